@@ -5,6 +5,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 import { StatusBar } from 'expo-status-bar';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { DownloadProvider } from './contexts/DownloadContext';
+import { LanguageProvider } from './contexts/LanguageContext';
 import DownloadProgressIndicator from './components/DownloadProgressIndicator';
 import NetworkStatusBanner from './components/NetworkStatusBanner';
 import SyncManager from './services/SyncManager';
@@ -74,16 +75,18 @@ export default function App() {
   }, []);
 
   return (
-    <AuthProvider>
-      <DownloadProvider>
-        <View style={styles.container}>
-          <NetworkStatusBanner />
-          <AppNavigator />
-          {/* Global Download Progress Indicator */}
-          <DownloadProgressIndicator />
-        </View>
-      </DownloadProvider>
-    </AuthProvider>
+    <LanguageProvider>
+      <AuthProvider>
+        <DownloadProvider>
+          <View style={styles.container}>
+            <NetworkStatusBanner />
+            <AppNavigator />
+            {/* Global Download Progress Indicator */}
+            <DownloadProgressIndicator />
+          </View>
+        </DownloadProvider>
+      </AuthProvider>
+    </LanguageProvider>
   );
 }
 
@@ -1,6 +1,7 @@
 /**
  * Download Progress Indicator - Floating component that shows download progress
- * Displayed across all screens when downloading is in progress
+ * Displayed across all screens when downloading is in progress,
+ * or when images failed to download (with a retry action)
  */
 
 import React from 'react';
@@ -12,10 +13,39 @@ import {
   Animated,
 } from 'react-native';
 import { useDownload } from '../contexts/DownloadContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import { THEME_COLORS } from '../config';
 
 const DownloadProgressIndicator = () => {
-  const { downloadProgress, isDownloading, cancelDownload } = useDownload();
+  const {
+    downloadProgress,
+    isDownloading,
+    cancelDownload,
+    failedDownloads,
+    retryFailedDownloads,
+    dismissFailedDownloads,
+  } = useDownload();
+  const { t } = useLanguage();
+
+  if (!isDownloading && failedDownloads > 0) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.content, styles.failedContent]}>
+          <View style={styles.detailsRow}>
+            <Text style={styles.failedText} numberOfLines={2}>
+              {t('downloadIndicator.failed', { count: failedDownloads })}
+            </Text>
+            <TouchableOpacity onPress={retryFailedDownloads} style={styles.retryButton}>
+              <Text style={styles.retryText}>{t('downloadIndicator.retry')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={dismissFailedDownloads} style={styles.cancelButton}>
+              <Text style={styles.cancelText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    );
+  }
 
   if (!isDownloading) {
     return null;
@@ -25,7 +55,7 @@ const DownloadProgressIndicator = () => {
     <View style={styles.container}>
       <View style={styles.content}>
         <View style={styles.infoSection}>
-          <Text style={styles.title}>📥 Downloading...</Text>
+          <Text style={styles.title}>{t('downloadIndicator.title')}</Text>
           <Text style={styles.percentage}>{downloadProgress.percentage}%</Text>
         </View>
         
@@ -111,6 +141,27 @@ const styles = StyleSheet.create({
     color: THEME_COLORS.textSecondary,
     marginRight: 10,
   },
+  failedContent: {
+    borderColor: THEME_COLORS.error,
+  },
+  failedText: {
+    flex: 1,
+    fontSize: 13,
+    color: THEME_COLORS.text,
+    marginRight: 10,
+  },
+  retryButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: THEME_COLORS.primary,
+    marginRight: 8,
+  },
+  retryText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
   cancelButton: {
     width: 24,
     height: 24,
@@ -0,0 +1,324 @@
+/**
+ * Schedule Editor - Temporary closures, weekly open hours and dated closures for edges and nodes
+ * Values use the formats in utils/schedules (closure dates as 'YYYY-MM-DD HH:MM' rows).
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { THEME_COLORS } from '../config';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  DAY_LABELS,
+  CLOSURE_REASONS,
+  CLOSURE_DURATIONS,
+  getActiveClosure,
+  createTemporaryClosure,
+  reopenClosures,
+  toClosureInputs,
+  formatDateTimeInput,
+} from '../utils/schedules';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+const formatDuration = (minutes, t) => {
+  if (minutes % (24 * 60) === 0) return t('scheduleEditor.dayCount', { count: minutes / (24 * 60) });
+  if (minutes % 60 === 0) return t('scheduleEditor.hourCount', { count: minutes / 60 });
+  return t('eta.minutes', { count: minutes });
+};
+
+const ScheduleEditor = ({ openHours, closures, onChangeOpenHours, onChangeClosures }) => {
+  const { t } = useLanguage();
+  const [closeReason, setCloseReason] = useState(CLOSURE_REASONS[0]);
+  const [closeMinutes, setCloseMinutes] = useState(CLOSURE_DURATIONS[1].minutes);
+  const activeClosure = getActiveClosure({ closures });
+
+  const closeNow = () => {
+    const closure = createTemporaryClosure(closeReason, closeMinutes);
+    onChangeClosures([...closures, ...toClosureInputs([closure])]);
+  };
+
+  const reopenNow = () => {
+    onChangeClosures(toClosureInputs(reopenClosures(closures)));
+  };
+
+  const updateOpenHours = (index, changes) => {
+    onChangeOpenHours(openHours.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+  };
+
+  const toggleDay = (index, day) => {
+    const days = openHours[index].days || [];
+    updateOpenHours(index, {
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day],
+    });
+  };
+
+  const addOpenHours = () => {
+    onChangeOpenHours([...openHours, { days: WEEKDAYS, open: '07:00', close: '18:00' }]);
+  };
+
+  const updateClosure = (index, changes) => {
+    onChangeClosures(closures.map((closure, i) => (i === index ? { ...closure, ...changes } : closure)));
+  };
+
+  const addClosure = () => {
+    onChangeClosures([...closures, { start: '', end: '', reason: '' }]);
+  };
+
+  return (
+    <View>
+      {/* Temporary closure (expires on its own) */}
+      <Text style={styles.label}>{t('scheduleEditor.temporaryClosure')}</Text>
+      {activeClosure ? (
+        <View style={[styles.row, styles.closedRow]}>
+          <Text style={styles.closedText}>
+            {activeClosure.reason
+              ? t('scheduleEditor.closedForUntil', {
+                  reason: activeClosure.reason.toLowerCase(),
+                  until: formatDateTimeInput(activeClosure.end),
+                })
+              : t('scheduleEditor.closedUntil', { until: formatDateTimeInput(activeClosure.end) })}
+          </Text>
+          <TouchableOpacity style={styles.addButton} onPress={reopenNow}>
+            <Text style={styles.addButtonText}>{t('scheduleEditor.reopenNow')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.row}>
+          <View style={styles.days}>
+            {CLOSURE_REASONS.map((reason) => (
+              <TouchableOpacity
+                key={reason}
+                style={[styles.dayChip, closeReason === reason && styles.dayChipSelected]}
+                onPress={() => setCloseReason(reason)}
+              >
+                <Text style={[styles.dayText, closeReason === reason && styles.dayTextSelected]}>{reason}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={closeReason}
+            onChangeText={setCloseReason}
+            placeholder={t('scheduleEditor.reason')}
+            placeholderTextColor={THEME_COLORS.textSecondary}
+          />
+          <View style={[styles.days, styles.durations]}>
+            {CLOSURE_DURATIONS.map((duration) => (
+              <TouchableOpacity
+                key={duration.minutes}
+                style={[styles.dayChip, closeMinutes === duration.minutes && styles.dayChipSelected]}
+                onPress={() => setCloseMinutes(duration.minutes)}
+              >
+                <Text style={[styles.dayText, closeMinutes === duration.minutes && styles.dayTextSelected]}>
+                  {formatDuration(duration.minutes, t)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.addButton} onPress={closeNow}>
+            <Text style={styles.addButtonText}>{t('scheduleEditor.closeNow')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      <Text style={[styles.hint, styles.sectionGap]}>
+        {t('scheduleEditor.temporaryHint')}
+      </Text>
+
+      {/* Weekly open hours */}
+      <Text style={styles.label}>{t('scheduleEditor.openHours')}</Text>
+      {openHours.length === 0 && (
+        <Text style={styles.hint}>{t('scheduleEditor.alwaysOpen')}</Text>
+      )}
+      {openHours.map((window, index) => (
+        <View key={`hours-${index}`} style={styles.row}>
+          <View style={styles.days}>
+            {DAY_LABELS.map((label, day) => {
+              const isSelected = (window.days || []).includes(day);
+              return (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.dayChip, isSelected && styles.dayChipSelected]}
+                  onPress={() => toggleDay(index, day)}
+                >
+                  <Text style={[styles.dayText, isSelected && styles.dayTextSelected]}>
+                    {t(`scheduleEditor.day${day}`)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <View style={styles.inline}>
+            <TextInput
+              style={[styles.input, styles.timeInput]}
+              value={window.open}
+              onChangeText={(value) => updateOpenHours(index, { open: value })}
+              placeholder="07:00"
+              placeholderTextColor={THEME_COLORS.textSecondary}
+            />
+            <Text style={styles.separator}>{t('scheduleEditor.to')}</Text>
+            <TextInput
+              style={[styles.input, styles.timeInput]}
+              value={window.close}
+              onChangeText={(value) => updateOpenHours(index, { close: value })}
+              placeholder="18:00"
+              placeholderTextColor={THEME_COLORS.textSecondary}
+            />
+            <TouchableOpacity onPress={() => onChangeOpenHours(openHours.filter((_, i) => i !== index))}>
+              <Text style={styles.remove}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity style={styles.addButton} onPress={addOpenHours}>
+        <Text style={styles.addButtonText}>{t('scheduleEditor.addOpenHours')}</Text>
+      </TouchableOpacity>
+      <Text style={styles.hint}>{t('scheduleEditor.hoursHint')}</Text>
+
+      {/* Dated closures */}
+      <Text style={[styles.label, styles.closuresLabel]}>{t('scheduleEditor.scheduledClosures')}</Text>
+      {closures.map((closure, index) => (
+        <View key={`closure-${index}`} style={styles.row}>
+          <View style={styles.inline}>
+            <TextInput
+              style={[styles.input, styles.dateInput]}
+              value={closure.start}
+              onChangeText={(value) => updateClosure(index, { start: value })}
+              placeholder="2026-01-31 18:00"
+              placeholderTextColor={THEME_COLORS.textSecondary}
+            />
+            <Text style={styles.separator}>{t('scheduleEditor.to')}</Text>
+            <TextInput
+              style={[styles.input, styles.dateInput]}
+              value={closure.end}
+              onChangeText={(value) => updateClosure(index, { end: value })}
+              placeholder="2026-02-02 07:00"
+              placeholderTextColor={THEME_COLORS.textSecondary}
+            />
+            <TouchableOpacity onPress={() => onChangeClosures(closures.filter((_, i) => i !== index))}>
+              <Text style={styles.remove}>✕</Text>
+            </TouchableOpacity>
+          </View>
+          <TextInput
+            style={[styles.input, styles.reasonInput]}
+            value={closure.reason}
+            onChangeText={(value) => updateClosure(index, { reason: value })}
+            placeholder={t('scheduleEditor.closureReason')}
+            placeholderTextColor={THEME_COLORS.textSecondary}
+          />
+        </View>
+      ))}
+      <TouchableOpacity style={styles.addButton} onPress={addClosure}>
+        <Text style={styles.addButtonText}>{t('scheduleEditor.addClosure')}</Text>
+      </TouchableOpacity>
+      <Text style={styles.hint}>{t('scheduleEditor.closuresHint')}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: THEME_COLORS.text,
+    marginBottom: 8,
+  },
+  closuresLabel: {
+    marginTop: 20,
+  },
+  sectionGap: {
+    marginBottom: 20,
+  },
+  closedRow: {
+    borderColor: THEME_COLORS.error,
+    backgroundColor: '#FDECEA',
+  },
+  closedText: {
+    fontSize: 14,
+    color: THEME_COLORS.error,
+    fontWeight: '600',
+  },
+  durations: {
+    marginTop: 8,
+    marginBottom: 0,
+  },
+  hint: {
+    fontSize: 12,
+    color: THEME_COLORS.textSecondary,
+    marginTop: 5,
+  },
+  row: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  days: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  dayChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: THEME_COLORS.primary,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  dayChipSelected: {
+    backgroundColor: THEME_COLORS.primary,
+  },
+  dayText: {
+    fontSize: 12,
+    color: THEME_COLORS.primary,
+  },
+  dayTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  inline: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: THEME_COLORS.text,
+  },
+  timeInput: {
+    width: 80,
+  },
+  dateInput: {
+    flex: 1,
+  },
+  reasonInput: {
+    marginTop: 8,
+  },
+  separator: {
+    marginHorizontal: 8,
+    color: THEME_COLORS.textSecondary,
+  },
+  remove: {
+    fontSize: 18,
+    color: THEME_COLORS.error,
+    marginLeft: 10,
+    paddingHorizontal: 4,
+  },
+  addButton: {
+    paddingVertical: 8,
+  },
+  addButtonText: {
+    fontSize: 14,
+    color: THEME_COLORS.primary,
+    fontWeight: '600',
+  },
+});
+
+export default ScheduleEditor;
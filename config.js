@@ -23,6 +23,8 @@ export const API_ENDPOINTS = {
   EDGES_LIST: '/api/mobile/edges/',
   ANNOTATIONS_LIST: '/api/mobile/annotations/',
   DATA_VERSION: '/api/mobile/data-version/',
+  // Records changed since a data version (?since=), with deleted IDs
+  CHANGES: '/api/mobile/changes/',
 
   // Event endpoints
   EVENTS_LIST: '/api/mobile/events/',
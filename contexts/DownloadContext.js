@@ -17,6 +17,7 @@ export const DownloadProvider = ({ children }) => {
     currentItem: '',
     percentage: 0,
     error: null,
+    failedItems: 0,
   });
   
   const [offlineStats, setOfflineStats] = useState({
@@ -37,6 +38,12 @@ export const DownloadProvider = ({ children }) => {
         await OfflineService.initialize();
         // Load initial state
         await loadInitialState();
+        // Pick up image downloads the app was killed in the middle of
+        const resumed = await OfflineService.resumeDownloadQueue();
+        if (resumed) {
+          const stats = await OfflineService.getOfflineStats();
+          setOfflineStats(stats);
+        }
       } catch (error) {
         console.error('Failed to initialize download context:', error);
       }
@@ -126,7 +133,23 @@ export const DownloadProvider = ({ children }) => {
     return OfflineService.cancelDownload();
   }, []);
 
+  const retryFailedDownloads = useCallback(async () => {
+    try {
+      const summary = await OfflineService.retryFailedDownloads();
+      await refreshStats();
+      return summary;
+    } catch (error) {
+      console.error('Retrying failed downloads failed:', error);
+      return null;
+    }
+  }, [refreshStats]);
+
+  const dismissFailedDownloads = useCallback(() => {
+    return OfflineService.dismissFailedDownloads();
+  }, []);
+
   const isDownloading = downloadProgress.status === 'downloading';
+  const failedDownloads = downloadProgress.failedItems || 0;
 
   const value = {
     downloadProgress,
@@ -137,6 +160,9 @@ export const DownloadProvider = ({ children }) => {
     checkForUpdates,
     clearCache,
     cancelDownload,
+    failedDownloads,
+    retryFailedDownloads,
+    dismissFailedDownloads,
     refreshStats,
   };
 
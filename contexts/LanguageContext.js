@@ -0,0 +1,57 @@
+/**
+ * Language Context - Active UI/directions language
+ * Persists the user's choice and keeps utils/i18n in sync so
+ * directions generated outside React use the same language.
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_LANGUAGE, setLanguage as applyLanguage, translate } from '../utils/i18n';
+
+const LANGUAGE_STORAGE_KEY = 'appLanguage';
+
+// Screens rendered without a provider (e.g. in tests) get English
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: async () => {},
+  t: (key, params) => translate(key, params, DEFAULT_LANGUAGE),
+});
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(DEFAULT_LANGUAGE);
+
+  useEffect(() => {
+    loadLanguage();
+  }, []);
+
+  const loadLanguage = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY);
+      if (saved) {
+        setLanguageState(applyLanguage(saved));
+      }
+    } catch (error) {
+      console.error('Error loading language setting:', error);
+    }
+  };
+
+  const setLanguage = useCallback(async (code) => {
+    const applied = applyLanguage(code);
+    setLanguageState(applied);
+    try {
+      await AsyncStorage.setItem(LANGUAGE_STORAGE_KEY, applied);
+    } catch (error) {
+      console.error('Error saving language setting:', error);
+    }
+  }, []);
+
+  const t = useCallback((key, params) => translate(key, params, language), [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage, t }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+export const useLanguage = () => useContext(LanguageContext);
@@ -0,0 +1,399 @@
+/**
+ * Cebuano (Binisaya) message catalog
+ * Missing keys fall back to English (locales/en.js).
+ */
+
+export default {
+  // Common
+  'common.error': 'Sayop',
+  'common.retry': 'Sulayi pag-usab',
+  'common.cancel': 'Kanselahon',
+  'common.done': 'Human na',
+  'common.back': '‹ Balik',
+  'common.loading': 'Nagkarga...',
+  'common.floor': 'Andana {floor}',
+  'common.ok': 'OK',
+  'common.reset': 'I-reset',
+
+  // Turn-by-turn directions
+  'directions.depart': 'Atubanga ang {name} ug sugdi ang paglakaw',
+  'directions.straightAhead': 'Lakaw diretso og {distance}m{note} paingon sa {name}',
+  'directions.continueStraight': 'Padayon og diretso og {distance}m{note} paingon sa {name}',
+  'directions.turnAndWalk': '{turn} ug lakaw og {distance}m{note} paingon sa {name}',
+  'directions.walkForward': 'Lakaw paabante og {distance}m{note} paingon sa {name}',
+  'directions.arrived': 'Niabot na ka sa {name}',
+  'directions.alreadyThere': 'Naa na ka sa {name}',
+  'directions.viaStairs': ' agi sa hagdan',
+  'directions.oneWay': ' (usa ra ka direksyon)',
+  'directions.stairsUp': 'Saka sa hagdan hangtod sa andana {floor}{note}',
+  'directions.stairsDown': 'Naog sa hagdan hangtod sa andana {floor}{note}',
+  'directions.stairsTo': 'Gamita ang hagdan paingon sa {name}{note}',
+  'directions.elevatorUp': 'Sakay sa elevator pasaka sa andana {floor}{note}',
+  'directions.elevatorDown': 'Sakay sa elevator panaog sa andana {floor}{note}',
+  'directions.elevatorTo': 'Sakay sa elevator paingon sa {name}{note}',
+  'directions.turnAfterLandmark': '{turn} human sa {landmark} ug lakaw og {distance}m{note} paingon sa {name}',
+  'directions.landmarkOnSide': '; ang {landmark} naa sa imong {side}',
+
+  // Relative turns
+  'turn.left': 'wala',
+  'turn.right': 'tuo',
+  'turn.straight': 'padayon og diretso',
+  'turn.slight': 'Gamay nga liko sa {direction} ({degrees}°)',
+  'turn.normal': 'Liko sa {direction} ({degrees}°)',
+  'turn.sharp': 'Liko pag-ayo sa {direction} ({degrees}°)',
+  'turn.slightPlain': 'Gamay nga liko sa {direction}',
+  'turn.normalPlain': 'Liko sa {direction}',
+  'turn.sharpPlain': 'Liko pag-ayo sa {direction}',
+
+  // Compass points (16-wind rose, clockwise from North)
+  'compass.0': 'Amihanan',
+  'compass.1': 'Amihanan-Amihanang-Sidlakan',
+  'compass.2': 'Amihanang-Sidlakan',
+  'compass.3': 'Sidlakan-Amihanang-Sidlakan',
+  'compass.4': 'Sidlakan',
+  'compass.5': 'Sidlakan-Habagatang-Sidlakan',
+  'compass.6': 'Habagatang-Sidlakan',
+  'compass.7': 'Habagatan-Habagatang-Sidlakan',
+  'compass.8': 'Habagatan',
+  'compass.9': 'Habagatan-Habagatang-Kasadpan',
+  'compass.10': 'Habagatang-Kasadpan',
+  'compass.11': 'Kasadpan-Habagatang-Kasadpan',
+  'compass.12': 'Kasadpan',
+  'compass.13': 'Kasadpan-Amihanang-Kasadpan',
+  'compass.14': 'Amihanang-Kasadpan',
+  'compass.15': 'Amihanan-Amihanang-Kasadpan',
+
+  // Routing profiles
+  'profiles.default.label': 'Naandan',
+  'profiles.default.description': 'Pinakamubo nga rota sa paglakaw',
+  'profiles.wheelchair.label': 'Wheelchair',
+  'profiles.wheelchair.description': 'Dili mogamit og hagdan, mas gusto ang elevator',
+  'profiles.stroller.label': 'Stroller / Bagahe',
+  'profiles.stroller.description': 'Mas gusto ang elevator kaysa hagdan',
+  'profiles.avoid_elevators.label': 'Likayi ang Elevator',
+  'profiles.avoid_elevators.description': 'Dili mogamit og elevator',
+
+  // Nearest facilities
+  'facilities.restroom': 'CR',
+  'facilities.exit': 'Gawasan',
+  'facilities.elevator': 'Elevator',
+  'facilities.staircase': 'Hagdan',
+
+  // Point selection
+  'pointSelection.title': 'Pangitaa ang Dalan',
+  'pointSelection.offlineMode': '📴 Offline Mode',
+  'pointSelection.offlineNoData': '📴 Offline Mode - Walay Data',
+  'pointSelection.offlineBanner': '⚠️ Offline ka. Gigamit ang na-save nga data. Dili makita ang mga kausaban sa server hangtod makakonekta ka pag-usab.',
+  'pointSelection.offlineBannerNoData': '❌ Walay offline nga data. Pagkonekta sa internet aron ma-download ang mga mapa.',
+  'pointSelection.startingPoint': 'Sugdanan',
+  'pointSelection.destination': 'Padulngan',
+  'pointSelection.stop': 'Hunonganan',
+  'pointSelection.selectStartPlaceholder': 'Pindota aron mopili og sugdanan',
+  'pointSelection.selectDestinationPlaceholder': 'Pindota aron mopili og padulngan',
+  'pointSelection.nodeDetails': '{building} • Andana {floor}',
+  'pointSelection.stopDetails': 'Hunonganan {number} • {building} • Andana {floor}',
+  'pointSelection.nearestChip': 'Pinakaduol nga {facility}',
+  'pointSelection.nearestNote': 'Pinakaduol nga {facility} • {distance}m ang gilay-on',
+  'pointSelection.addStop': '＋ Pagdugang og hunonganan',
+  'pointSelection.stopsOrderNote': 'Adtoan ang mga hunonganan sa pinakamubo nga kinatibuk-ang han-ay.',
+  'pointSelection.routePreference': 'Matang sa Rota',
+  'pointSelection.findPath': 'Pangitaa ang Dalan',
+  'pointSelection.planItinerary': 'Plano sa Biyahe',
+  'pointSelection.selectTitle': 'Pilia ang {target}',
+  'pointSelection.searchPlaceholder': 'Pangita pinaagi sa ngalan, building, o code...',
+  'pointSelection.noMatches': 'Walay nakit-an nga lugar o event',
+  'pointSelection.noLocations': 'Walay lugar nga magamit',
+  'pointSelection.noLocationsFound': 'Walay nakit-an nga lugar',
+  'pointSelection.selectBoth': 'Palihug pilia ang sugdanan ug padulngan',
+  'pointSelection.sameStartEnd': 'Dili mahimong managsama ang sugdanan ug padulngan',
+  'pointSelection.selectStartFirst': 'Pilia una kung asa ka, dayon pili og pasilidad.',
+  'pointSelection.nearestUnavailableTitle': 'Dili Magamit',
+  'pointSelection.nearestUnavailable': 'Dili makapangita sa duol nga mga pasilidad',
+  'pointSelection.nearestNotFoundTitle': 'Walay Nakit-an',
+  'pointSelection.nearestNotFound': 'Walay maabot nga {facility} gikan sa {name}',
+  'pointSelection.nearestFailed': 'Dili makapangita sa duol nga mga pasilidad. Sulayi pag-usab.',
+  'pointSelection.evacuate': 'Bakwit - pinakaduol nga luwas nga gawas',
+  'pointSelection.evacuateNoData': 'Kinahanglan ang offline nga mapa aron makit-an ang gawas. Sunda ang mga exit sign.',
+  'pointSelection.eventBadge': 'EVENT',
+  'pointSelection.eventDetails': '{category} • {building} • Andana {floor}',
+  'pointSelection.welcomeTitle': 'Maayong pag-abot!',
+  'pointSelection.welcomeMessage': 'Aron magamit ang app nga offline ug mas paspas makapangita og dalan, kinahanglan i-download ang metadata sa mapa sa campus (~2MB). I-load ang mga hulagway kung kinahanglan.',
+  'pointSelection.later': 'Unya',
+  'pointSelection.downloadNow': 'I-download Karon',
+  'pointSelection.loadNodesFailed': 'Napakyas ang pag-load sa mga lugar',
+  'pointSelection.loadNodesFailedConnection': 'Napakyas ang pag-load sa mga lugar. Susiha ang imong koneksyon.',
+  'pointSelection.settingsSavedTitle': 'Na-save ang Setting',
+  'pointSelection.qualitySaved': 'I-load na ang mga 360° nga hulagway sa {quality} nga kalidad',
+  'pointSelection.saveSettingsFailed': 'Napakyas ang pag-save sa setting',
+  'pointSelection.admin': 'Admin',
+  'pointSelection.adminLoginTitle': 'Admin Login',
+  'pointSelection.username': 'Username',
+  'pointSelection.password': 'Password',
+  'pointSelection.login': 'Mag-login',
+  'pointSelection.missingCredentials': 'Palihug isulod ang username ug password',
+  'pointSelection.loginSuccessTitle': 'Malampuson',
+  'pointSelection.loggedInAsAdmin': 'Naka-login isip admin',
+  'pointSelection.loginFailed': 'Napakyas ang pag-login',
+  'pointSelection.noConnectionTitle': 'Walay Koneksyon sa Internet',
+  'pointSelection.noConnectionNoData': 'Offline ka ug walay offline nga data. Pagkonekta una sa internet aron ma-download ang mga mapa ug dalan.',
+  'pointSelection.offlineReasonForced': 'pinugos nga offline mode para sa pagsulay',
+  'pointSelection.offlineReasonNoNetwork': 'walay koneksyon sa network',
+  'pointSelection.offlineWarning': 'Gigamit nimo ang {reason}. Gamiton sa app ang na-save nga data para sa nabigasyon.\n\n⚠️ Pahinumdom: Dili makita ang mga update sa server hangtod mo-online ka ug i-sync ang imong data.',
+  'pointSelection.continueOffline': 'Padayon nga Offline',
+  'pointSelection.loading360': 'Gi-load ang 360° nga hulagway...',
+  'pointSelection.swipeHint': '← I-swipe sa wala/tuo aron motan-aw →',
+
+  // Settings
+  'settings.title': '⚙️ Mga Setting',
+  'settings.language': '🌐 Pinulongan',
+  'settings.languageDescription': 'Gigamit sa mga direksyon ug teksto sa app.',
+  'settings.imageQuality': 'Kalidad sa 360° nga Hulagway',
+  'settings.imageQualityDescription': 'I-on ang HD para sa mas klaro nga 360° nga hulagway. Mas paspas mo-load ang SD (default).',
+  'settings.hdQuality': 'HD nga Kalidad',
+  'settings.hdOn': 'Orihinal nga kalidad sa hulagway',
+  'settings.hdOff': 'Gi-optimize para sa mas paspas nga pag-load',
+  'settings.testOffline': '🧪 Sulayi ang Offline Mode',
+  'settings.testOfflineDescription': 'Pugsa ang offline mode aron sulayan ang pagpangita og dalan nga dili patyon ang network.',
+  'settings.forceOffline': '📴 Pugsa ang Offline Mode',
+  'settings.forceOfflineOn': 'Offline nga pagpangita og dalan ra ang gamiton',
+  'settings.forceOfflineReady': 'Andam na sulayan ang offline nga nabigasyon',
+  'settings.forceOfflineNoData': 'I-download una ang offline nga data',
+  'settings.forceOfflineWarning': '⚠️ Naka-on ang offline mode. Na-save nga data ra ang gamiton sa pagpangita og dalan.',
+  'settings.offlineResources': '📥 Offline nga Resources',
+  'settings.offlineResourcesDescription': 'I-download ang tanang data sa mapa ug 360° nga hulagway para sa offline. Gamiton sa app ang na-save kung anaa.',
+  'settings.autoSync': '🔄 Auto-sync',
+  'settings.autoSyncDescription': 'Awtomatikong susihon ang mga update kung online',
+  'settings.wifiOnly': '📶 WiFi ra',
+  'settings.wifiOnlyDescription': 'Mag-sync ra kung naka-WiFi (makadaginot sa mobile data)',
+  'settings.downloading': 'Nag-download...',
+  'settings.progressItems': '{completed} sa {total} ka butang',
+  'settings.nodesCached': '📍 Na-save nga lugar:',
+  'settings.edgesCached': '🔗 Na-save nga agianan:',
+  'settings.imagesCached': '📷 Na-save nga hulagway:',
+  'settings.cacheSize': '💾 Gidak-on sa cache:',
+  'settings.lastSynced': '🕒 Katapusang sync:',
+  'settings.never': 'Wala pa',
+  'settings.allDownloaded': '✅ Na-download na ang tanan!',
+  'settings.downloadAll': 'I-download ang Tanan',
+  'settings.checkUpdates': '🔄 Susiha ang mga Update',
+  'settings.redownloadAll': '📥 I-download Pag-usab ang Tanan',
+  'settings.clearCache': '🗑️ Panas-a ang Cache',
+  'settings.advancedOffline': '⚙️ Advanced nga Offline Settings',
+  'settings.downloadTitle': 'I-download ang Data sa Mapa',
+  'settings.downloadPrompt': 'Pilia kung unsaon pag-download:',
+  'settings.downloadMetadata': 'Metadata Ra (Paspas)',
+  'settings.downloadFull': 'Tibuok Download (Apil ang mga Hulagway)',
+  'settings.downloadCompleteTitle': 'Nahuman ang Download',
+  'settings.metadataDownloaded': 'Na-download ang metadata. I-load ang mga hulagway kung kinahanglan.',
+  'settings.fullDownloaded': 'Na-download ang {nodes} ka lugar, {edges} ka agianan, ug {images} ka hulagway.',
+  'settings.downloadFailedTitle': 'Napakyas ang Download',
+  'settings.downloadFailed': 'Adunay error',
+  'settings.updateCompleteTitle': 'Nahuman ang Update',
+  'settings.updateComplete': 'Nadugang ang {nodes} ka bag-ong lugar ug {images} ka bag-ong hulagway.',
+  'settings.upToDateTitle': 'Bag-o na',
+  'settings.upToDate': 'Bag-o na ang tanang offline nga resources.',
+  'settings.updateFailedTitle': 'Napakyas ang Update',
+  'settings.updateFailed': 'Napakyas ang pagsusi sa mga update',
+  'settings.clearCacheTitle': 'Panas-a ang Cache',
+  'settings.clearCacheConfirm': 'Panason niini ang tanang na-download nga offline resources. Kinahanglan nimo kini i-download pag-usab para sa offline. Padayon?',
+  'settings.clear': 'Panas-a',
+  'settings.cacheClearedTitle': 'Napanas ang Cache',
+  'settings.cacheCleared': 'Napanas na ang tanang offline resources.',
+  'settings.clearCacheFailed': 'Napakyas ang pagpanas sa cache',
+
+  // Route map
+  'mapDisplay.loading': 'Gipangita ang imong dalan...',
+  'mapDisplay.title': 'Mapa sa Rota',
+  'mapDisplay.offlineBanner': '📴 Offline Mode - Gigamit ang na-save nga data',
+  'mapDisplay.from': 'Gikan',
+  'mapDisplay.to': 'Paingon',
+  'mapDisplay.viaStops': { one: 'moagi sa {count} pa ka hunonganan', other: 'moagi sa {count} pa ka hunonganan' },
+  'mapDisplay.distance': 'Gilay-on',
+  'mapDisplay.stops': 'Mga Hunonganan',
+  'mapDisplay.campusMap': 'Mapa sa Campus',
+  'mapDisplay.resetZoom': '⟲ I-reset',
+  'mapDisplay.fullscreen': '⛶ Full screen',
+  'mapDisplay.mapHint': 'I-pinch aron mag-zoom • I-drag aron molihok • Pindota ang ⛶ para sa full screen',
+  'mapDisplay.legendStart': 'Sugdanan',
+  'mapDisplay.legendEnd': 'Katapusan',
+  'mapDisplay.legend360': '360° View',
+  'mapDisplay.legendWaypoint': 'Agianan',
+  'mapDisplay.routes': 'Mga Rota',
+  'mapDisplay.bestRoute': 'Labing maayo nga rota',
+  'mapDisplay.alternative': 'Alternatibo {number}',
+  'mapDisplay.stairCount': { one: '{count} ka hagdan', other: '{count} ka hagdan' },
+  'mapDisplay.floorChangeCount': { one: '{count} ka balhin sa andana', other: '{count} ka balhin sa andana' },
+  'mapDisplay.directions': 'Mga Direksyon',
+  'mapDisplay.view360': '📷 Tan-awa ang 360° Street View',
+  'mapDisplay.view360Short': 'Tan-awa ang 360°',
+  'mapDisplay.no360Title': 'Dili Magamit',
+  'mapDisplay.no360': 'Walay 360° nga hulagway para niini nga ruta',
+  'mapDisplay.pathErrorTitle': 'Error sa Pagpangita og Dalan',
+  'mapDisplay.pathFailed': 'Wala makit-i ang dalan',
+  'mapDisplay.loadFailed': 'Napakyas ang pag-load sa dalan. Sulayi pag-usab.',
+  'mapDisplay.navBack': 'Balik',
+  'mapDisplay.navForward': 'Padayon',
+  'mapDisplay.goThisWay': 'Agi Dinhi',
+  'mapDisplay.markerDistance': '{distance}m paingon sa {name}',
+  'mapDisplay.closeFullscreen': '✕ Sirado',
+  'mapDisplay.fullscreenHint': 'I-pinch aron mag-zoom • I-drag aron molihok',
+
+  // Walking time
+  'eta.seconds': '{count} seg',
+  'eta.minutes': '{count} min',
+  'mapDisplay.walkingTime': 'Oras sa paglakaw',
+  'mapDisplay.rushPace': '🏃 Nagdali tali sa mga klase',
+  'mapDisplay.classChangeOk': '✅ Maabtan sulod sa {minutes} ka minuto nga balhin sa klase',
+  'mapDisplay.classChangeLate': '⚠️ Molapas sa {minutes} ka minuto nga balhin sa klase',
+  'mapDisplay.saveRoute': '📌 Tipigi kini nga ruta offline',
+  'mapDisplay.routeSaved': '📌 Natipigan offline',
+  'mapDisplay.stepEta': '~{duration}',
+  'mapDisplay.reachableFrom': 'Maabot sa paglakaw gikan sa {name}:',
+  'mapDisplay.reachableCount': { one: '{count} ka lugar sulod sa {minutes} min', other: '{count} ka lugar sulod sa {minutes} min' },
+  'mapDisplay.legendReachable': 'Maabot',
+  'mapDisplay.detourBanner': '🚧 Naglikay tungod sa pagsira (+{distance}m)',
+  'mapDisplay.detourClosure': '{name}: {reason} hangtod {time}',
+  'mapDisplay.detourClosureNoReason': '{name}: sirado hangtod {time}',
+  'mapDisplay.detourOutsideHours': '{name}: gawas sa oras sa pag-abli',
+  'mapDisplay.avoiding': 'Gilikayan:',
+  'mapDisplay.avoidingSoft': 'Gilikayan kung mahimo:',
+  'mapDisplay.avoidHint': 'Naay babag sa unahan? I-tap ang usa ka lakang aron likayan kanang pasilyo, o pindota kini og dugay o i-tap ang punto sa mapa aron likayan ang dapit.',
+  'mapDisplay.avoidNode': '🚫 Likayi kining dapita',
+  'mapDisplay.avoidBuilding': '🚫 Likayi ang {building}',
+  'mapDisplay.avoidEdge': '🚫 Likayi kining pasilyo',
+  'mapDisplay.avoidedEdge': 'Pasilyo padulong sa {name}',
+  'mapDisplay.avoidIfPossible': 'Likayi kung mahimo',
+  'mapDisplay.avoidFailedTitle': 'Walay Ruta',
+  'mapDisplay.avoidFailed': 'Walay ruta nga makalikay sa mga napiling dapit.',
+  'mapDisplay.rerouteFromHere': '🔄 Ruta pag-usab gikan dinhi',
+  'mapDisplay.rerouteFailedTitle': 'Napakyas ang Pag-ruta',
+  'mapDisplay.rerouteFailed': 'Walay ruta gikan dinhi paingon sa destinasyon.',
+  'mapDisplay.evacuationTitle': 'RUTA SA PAGBAKWIT',
+  'mapDisplay.evacuationGoTo': 'Adto sa {name}',
+  'mapDisplay.evacuationNote': '{distance}m • naglikay sa delikado nga lugar ug elevator',
+
+  // Offline settings
+  'offlineSettings.title': 'Mga Setting sa Offline',
+  'offlineSettings.offlineMode': 'Offline Mode',
+  'offlineSettings.ready': 'Andam',
+  'offlineSettings.notSetUp': 'Wala pa ma-set up',
+  'offlineSettings.offlineNavigation': 'Offline nga Nabigasyon',
+  'offlineSettings.available': 'Magamit',
+  'offlineSettings.unavailable': 'Dili magamit',
+  'offlineSettings.lastSynced': 'Katapusang pag-sync: {time}',
+  'offlineSettings.cachedData': 'Naka-cache nga Data',
+  'offlineSettings.locations': 'Mga Lokasyon',
+  'offlineSettings.paths': 'Mga Agianan',
+  'offlineSettings.images': 'Mga Hulagway',
+  'offlineSettings.storage': 'Storage',
+  'offlineSettings.syncSettings': 'Mga Setting sa Sync',
+  'offlineSettings.autoSync': 'Awtomatikong sync',
+  'offlineSettings.wifiOnly': 'WiFi Ra',
+  'offlineSettings.wifiOnlyDescription': 'Mag-sync lang kung konektado sa WiFi',
+  'offlineSettings.storageLimit': 'Limitasyon sa Storage sa 360° nga Hulagway',
+  'offlineSettings.storageLimitDescription': 'Kung puno na, unang tangtangon ang mga hulagway nga pinakadugay nang wala matan-awi.',
+  'offlineSettings.savedRoutesKept': { one: 'Kanunay nga gitipigan ang mga hulagway sa imong na-save nga ruta.', other: 'Kanunay nga gitipigan ang mga hulagway sa imong {count} ka na-save nga ruta.' },
+  'offlineSettings.noLimit': 'Walay limitasyon',
+  'offlineSettings.actions': 'Mga Aksyon',
+  'offlineSettings.checkUpdates': 'Susiha ang mga Update',
+  'offlineSettings.checkUpdatesDescription': 'I-download ang bag-ong mga lokasyon ug agianan',
+  'offlineSettings.downloadAll': 'I-download ang Tanang Data',
+  'offlineSettings.downloadAllDescription': 'Tibuok nga download apil ang tanang hulagway',
+  'offlineSettings.verifyNavigation': 'Susiha ang Nabigasyon',
+  'offlineSettings.verifyNavigationDescription': 'Sulayi ang offline nga pagpangita og agianan',
+  'offlineSettings.checkImages': 'Susiha ang mga Hulagway',
+  'offlineSettings.checkImagesDescription': 'Pangitaa ug i-download pag-usab ang mga guba nga 360° nga hulagway',
+  'offlineSettings.compareServer': 'Ikumpara sa Server',
+  'offlineSettings.compareServerDescription': 'Nagruta sa mga random nga pares sa lokasyon offline ug sa server, ug gi-report ang bisan unsang kalainan',
+  'offlineSettings.compareRoutes': 'Ikumpara ang mga Ruta',
+  'offlineSettings.compareRoutesDescription': 'Offline nga engine batok sa server',
+  'offlineSettings.routesMatch': '{matched}/{pairs} ka ruta ang parehas',
+  'offlineSettings.differences': 'Mga kalainan: {list}',
+  'offlineSettings.shareReport': '📤 Ipaambit ang JSON nga report',
+  'offlineSettings.reportTitle': 'Report sa pagkaparehas sa ruta',
+  'offlineSettings.clearData': 'Papasa ang Offline nga Data',
+  'offlineSettings.clearDataDescription': 'Tangtangon ang tanang naka-cache nga data',
+  'offlineSettings.aboutTitle': '💡 Mahitungod sa Offline Mode',
+  'offlineSettings.aboutIntro': 'Kung ma-download nimo ang offline nga data, mahimo nimo:',
+  'offlineSettings.aboutNavigate': '• Mag-navigate bisan walay internet',
+  'offlineSettings.about360': '• Motan-aw sa 360° nga hulagway offline',
+  'offlineSettings.aboutDirections': '• Mokuha og direksyon tali sa bisan unsang lokasyon',
+  'offlineSettings.aboutSync': 'Awtomatikong mag-sync ang data kung online ka na usab (kung naka-on).',
+  'offlineSettings.syncTitle': 'I-sync ang Data',
+  'offlineSettings.syncPrompt': 'Susiha ug i-download ang bisan unsang bag-ong lokasyon, agianan, o hulagway gikan sa server?',
+  'offlineSettings.syncNow': 'I-sync Karon',
+  'offlineSettings.syncCompleteTitle': '✅ Nahuman ang Sync',
+  'offlineSettings.syncComplete': 'Malampuson nga na-update!\n\nBag-ong mga lokasyon: {nodes}\nBag-ong mga hulagway: {images}',
+  'offlineSettings.upToDateTitle': '✅ Bag-o Na',
+  'offlineSettings.upToDate': 'Parehas na sa server ang imong offline nga data.',
+  'offlineSettings.syncFailedTitle': '❌ Napakyas ang Sync',
+  'offlineSettings.syncFailed': 'Wala masusi ang mga update. Palihug sulayi pag-usab.',
+  'offlineSettings.downloadTitle': 'I-download ang Offline nga Data',
+  'offlineSettings.downloadPrompt': 'I-download niini ang tanang data sa mapa ug 360° nga hulagway para magamit offline. Mahimong dako ang magamit nga data.',
+  'offlineSettings.download': 'I-download',
+  'offlineSettings.lowStorageTitle': '⚠️ Kulang ang Storage',
+  'offlineSettings.lowStorage': 'Kulang ang espasyo. Kinahanglan og {required}, naa ra {available}. Laktawan ang mga hulagway nga dili masulod.',
+  'offlineSettings.lowBudget': 'Kulang ang lugar sa imong limitasyon sa storage. Kinahanglan og {required}, naa ra {available}. Laktawan ang mga hulagway nga dili masulod.',
+  'offlineSettings.downloadAnyway': 'I-download Gihapon',
+  'offlineSettings.overBudgetTitle': '⚠️ Labaw sa Limitasyon',
+  'offlineSettings.overBudget': 'Mas dako ang kinahanglan sa imong na-save nga mga ruta kaysa niining limitasyon. Tipigan gihapon ang ilang mga hulagway.',
+  'offlineSettings.storageFreedTitle': '🧹 Nahawan ang Storage',
+  'offlineSettings.storageFreed': { one: 'Gitangtang ang {count} ka hulagway nga pinakadugay nang wala matan-awi ({size}).', other: 'Gitangtang ang {count} ka hulagway nga pinakadugay nang wala matan-awi ({size}).' },
+  'offlineSettings.budgetFailed': 'Wala ma-set ang limitasyon sa storage: {error}',
+  'offlineSettings.clearPrompt': 'Papason niini ang tanang naka-cache nga mapa ug hulagway. Kinahanglan nimo kini i-download pag-usab para magamit offline.',
+  'offlineSettings.verifyingTitle': '🔍 Gisusi ang Pagpangita og Agianan',
+  'offlineSettings.verifying': 'Gisusi ang offline nga nabigasyon...',
+  'offlineSettings.pathfindingReadyTitle': '✅ Andam na ang Pagpangita og Agianan',
+  'offlineSettings.pathfindingReady': 'Nagandar ang offline nga nabigasyon!\n\n• Mga lokasyon: {nodes}\n• Mga agianan: {edges}\n• Status: {status}',
+  'offlineSettings.pathfindingIssueTitle': '❌ Problema sa Pagpangita og Agianan',
+  'offlineSettings.pathfindingIssue': 'Naay nakitang problema:\n{error}\n\nMga lokasyon: {nodes}\nMga agianan: {edges}\n\nPalihug sulayi pag-usab og download ang offline nga data.',
+  'offlineSettings.verifyFailed': 'Wala masusi ang pagpangita og agianan: {error}',
+  'offlineSettings.imagesOkTitle': '✅ Maayo ang mga Hulagway',
+  'offlineSettings.imagesOk': 'Kompleto ang tanang {count} ka na-download nga 360° nga hulagway.',
+  'offlineSettings.imagesRepairedTitle': '🩹 Giayo ang mga Hulagway',
+  'offlineSettings.imagesRepaired': '{count} sa {checked} ka hulagway ang guba o nawala:\n\n{list}\n\nGi-download kini pag-usab.',
+  'offlineSettings.moreImages': '• ...ug {count} pa',
+  'offlineSettings.issue.missing': 'nawala',
+  'offlineSettings.issue.unreadable': 'dili mabasa',
+  'offlineSettings.issue.size_mismatch': 'sayop nga gidak-on',
+  'offlineSettings.issue.checksum_mismatch': 'sayop nga checksum',
+  'offlineSettings.issue.not_jpeg': 'dili JPEG',
+  'offlineSettings.issue.truncated': 'kulang',
+  'offlineSettings.issue.decode_failed': 'dili mapakita',
+  'offlineSettings.checkImagesFailed': 'Wala masusi ang mga hulagway: {error}',
+  'offlineSettings.compareFailedTitle': '❌ Napakyas ang Pagkumpara',
+  'offlineSettings.compareFailed': 'Wala makumpara ang mga ruta: {error}',
+  'offlineSettings.shareFailed': 'Wala maambit ang report: {error}',
+
+  // Download indicator
+  'downloadIndicator.title': '📥 Nag-download...',
+  'downloadIndicator.failed': { one: '⚠️ {count} ka hulagway ang wala ma-download', other: '⚠️ {count} ka hulagway ang wala ma-download' },
+  'downloadIndicator.retry': 'Sulayi pag-usab ang mga napakyas',
+
+  // Schedule editor
+  'scheduleEditor.temporaryClosure': 'Temporaryong Pagsira',
+  'scheduleEditor.closedUntil': '⛔ Sirado hangtod {until}',
+  'scheduleEditor.closedForUntil': '⛔ Sirado tungod sa {reason} hangtod {until}',
+  'scheduleEditor.reopenNow': 'Ablihi karon',
+  'scheduleEditor.reason': 'Rason',
+  'scheduleEditor.closeNow': '⛔ Sirad-i karon',
+  'scheduleEditor.temporaryHint': 'Likayan kini sa mga ruta hangtod sa oras sa pagtapos, unya awtomatiko kining moabli. I-save aron magamit.',
+  'scheduleEditor.hourCount': { one: '{count} ka oras', other: '{count} ka oras' },
+  'scheduleEditor.dayCount': { one: '{count} ka adlaw', other: '{count} ka adlaw' },
+  'scheduleEditor.openHours': 'Oras sa Pag-abli',
+  'scheduleEditor.alwaysOpen': 'Kanunay nga abli. Pagdugang og oras para sa mga pasilyo o pultahan nga gi-lock.',
+  'scheduleEditor.day0': 'Dom',
+  'scheduleEditor.day1': 'Lun',
+  'scheduleEditor.day2': 'Mar',
+  'scheduleEditor.day3': 'Miy',
+  'scheduleEditor.day4': 'Huw',
+  'scheduleEditor.day5': 'Biy',
+  'scheduleEditor.day6': 'Sab',
+  'scheduleEditor.to': 'hangtod',
+  'scheduleEditor.addOpenHours': '＋ Pagdugang og oras sa pag-abli',
+  'scheduleEditor.hoursHint': '24-oras nga HH:MM. Ang oras sa pagsira nga mas sayo sa pag-abli molapas sa tungang gabii.',
+  'scheduleEditor.scheduledClosures': 'Mga Naka-iskedyul nga Pagsira',
+  'scheduleEditor.closureReason': 'Rason (opsyonal), pananglitan Renovation',
+  'scheduleEditor.addClosure': '＋ Pagdugang og pagsira',
+  'scheduleEditor.closuresHint': 'Laktawan ang mga sirado nga bahin kung magruta niining mga petsa.',
+};
@@ -0,0 +1,399 @@
+/**
+ * English message catalog (reference language)
+ * Every key used by the app must exist here; other catalogs fall back to it.
+ */
+
+export default {
+  // Common
+  'common.error': 'Error',
+  'common.retry': 'Retry',
+  'common.cancel': 'Cancel',
+  'common.done': 'Done',
+  'common.back': '‹ Back',
+  'common.loading': 'Loading...',
+  'common.floor': 'Floor {floor}',
+  'common.ok': 'OK',
+  'common.reset': 'Reset',
+
+  // Turn-by-turn directions
+  'directions.depart': 'Face towards {name} and start walking',
+  'directions.straightAhead': 'Walk straight ahead for {distance}m{note} to {name}',
+  'directions.continueStraight': 'Continue straight for {distance}m{note} to {name}',
+  'directions.turnAndWalk': '{turn} and walk for {distance}m{note} to {name}',
+  'directions.walkForward': 'Walk forward for {distance}m{note} to {name}',
+  'directions.arrived': 'You have arrived at {name}',
+  'directions.alreadyThere': 'You are already at {name}',
+  'directions.viaStairs': ' via stairs',
+  'directions.oneWay': ' (one-way)',
+  'directions.stairsUp': 'Take the stairs up to floor {floor}{note}',
+  'directions.stairsDown': 'Take the stairs down to floor {floor}{note}',
+  'directions.stairsTo': 'Take the stairs to {name}{note}',
+  'directions.elevatorUp': 'Take the elevator up to floor {floor}{note}',
+  'directions.elevatorDown': 'Take the elevator down to floor {floor}{note}',
+  'directions.elevatorTo': 'Take the elevator to {name}{note}',
+  'directions.turnAfterLandmark': '{turn} after the {landmark} and walk for {distance}m{note} to {name}',
+  'directions.landmarkOnSide': '; the {landmark} will be on your {side}',
+
+  // Relative turns
+  'turn.left': 'left',
+  'turn.right': 'right',
+  'turn.straight': 'continue straight',
+  'turn.slight': 'Slightly turn {direction} ({degrees}°)',
+  'turn.normal': 'Turn {direction} ({degrees}°)',
+  'turn.sharp': 'Turn sharply {direction} ({degrees}°)',
+  'turn.slightPlain': 'Slightly turn {direction}',
+  'turn.normalPlain': 'Turn {direction}',
+  'turn.sharpPlain': 'Turn sharply {direction}',
+
+  // Compass points (16-wind rose, clockwise from North)
+  'compass.0': 'North',
+  'compass.1': 'North-Northeast',
+  'compass.2': 'Northeast',
+  'compass.3': 'East-Northeast',
+  'compass.4': 'East',
+  'compass.5': 'East-Southeast',
+  'compass.6': 'Southeast',
+  'compass.7': 'South-Southeast',
+  'compass.8': 'South',
+  'compass.9': 'South-Southwest',
+  'compass.10': 'Southwest',
+  'compass.11': 'West-Southwest',
+  'compass.12': 'West',
+  'compass.13': 'West-Northwest',
+  'compass.14': 'Northwest',
+  'compass.15': 'North-Northwest',
+
+  // Routing profiles
+  'profiles.default.label': 'Default',
+  'profiles.default.description': 'Shortest walking route',
+  'profiles.wheelchair.label': 'Wheelchair',
+  'profiles.wheelchair.description': 'Never uses stairs, prefers elevators',
+  'profiles.stroller.label': 'Stroller / Luggage',
+  'profiles.stroller.description': 'Strongly prefers elevators over stairs',
+  'profiles.avoid_elevators.label': 'Avoid Elevators',
+  'profiles.avoid_elevators.description': 'Never uses elevators',
+
+  // Nearest facilities
+  'facilities.restroom': 'Restroom',
+  'facilities.exit': 'Exit',
+  'facilities.elevator': 'Elevator',
+  'facilities.staircase': 'Stairs',
+
+  // Point selection
+  'pointSelection.title': 'Find Your Way',
+  'pointSelection.offlineMode': '📴 Offline Mode',
+  'pointSelection.offlineNoData': '📴 Offline Mode - No Data',
+  'pointSelection.offlineBanner': '⚠️ You are offline. Using cached data. Changes on the server won\'t be visible until you reconnect.',
+  'pointSelection.offlineBannerNoData': '❌ No offline data available. Please connect to the internet to download maps.',
+  'pointSelection.startingPoint': 'Starting Point',
+  'pointSelection.destination': 'Destination',
+  'pointSelection.stop': 'Stop',
+  'pointSelection.selectStartPlaceholder': 'Tap to select starting point',
+  'pointSelection.selectDestinationPlaceholder': 'Tap to select destination',
+  'pointSelection.nodeDetails': '{building} • Floor {floor}',
+  'pointSelection.stopDetails': 'Stop {number} • {building} • Floor {floor}',
+  'pointSelection.nearestChip': 'Nearest {facility}',
+  'pointSelection.nearestNote': 'Nearest {facility} • {distance}m away',
+  'pointSelection.addStop': '＋ Add another stop',
+  'pointSelection.stopsOrderNote': 'Stops will be visited in the shortest overall order.',
+  'pointSelection.routePreference': 'Route Preference',
+  'pointSelection.findPath': 'Find Path',
+  'pointSelection.planItinerary': 'Plan Itinerary',
+  'pointSelection.selectTitle': 'Select {target}',
+  'pointSelection.searchPlaceholder': 'Search by name, building, or code...',
+  'pointSelection.noMatches': 'No matching locations or events found',
+  'pointSelection.noLocations': 'No locations available',
+  'pointSelection.noLocationsFound': 'No locations found',
+  'pointSelection.selectBoth': 'Please select both starting point and destination',
+  'pointSelection.sameStartEnd': 'Starting point and destination cannot be the same',
+  'pointSelection.selectStartFirst': 'Choose where you are first, then pick a facility.',
+  'pointSelection.nearestUnavailableTitle': 'Not Available',
+  'pointSelection.nearestUnavailable': 'Could not search nearby facilities',
+  'pointSelection.nearestNotFoundTitle': 'Not Found',
+  'pointSelection.nearestNotFound': 'No reachable {facility} found from {name}',
+  'pointSelection.nearestFailed': 'Could not search nearby facilities. Please try again.',
+  'pointSelection.evacuate': 'Evacuate - nearest safe exit',
+  'pointSelection.evacuateNoData': 'Offline map data is needed to find an exit. Follow the posted exit signs.',
+  'pointSelection.eventBadge': 'EVENT',
+  'pointSelection.eventDetails': '{category} • {building} • Floor {floor}',
+  'pointSelection.welcomeTitle': 'Welcome!',
+  'pointSelection.welcomeMessage': 'To use the app offline and get faster pathfinding, we need to download the campus map metadata (~2MB). Images will be loaded on-demand.',
+  'pointSelection.later': 'Later',
+  'pointSelection.downloadNow': 'Download Now',
+  'pointSelection.loadNodesFailed': 'Failed to load nodes',
+  'pointSelection.loadNodesFailedConnection': 'Failed to load nodes. Please check your connection.',
+  'pointSelection.settingsSavedTitle': 'Settings Saved',
+  'pointSelection.qualitySaved': '360° images will now load in {quality} quality',
+  'pointSelection.saveSettingsFailed': 'Failed to save settings',
+  'pointSelection.admin': 'Admin',
+  'pointSelection.adminLoginTitle': 'Admin Login',
+  'pointSelection.username': 'Username',
+  'pointSelection.password': 'Password',
+  'pointSelection.login': 'Login',
+  'pointSelection.missingCredentials': 'Please enter username and password',
+  'pointSelection.loginSuccessTitle': 'Success',
+  'pointSelection.loggedInAsAdmin': 'Logged in as admin',
+  'pointSelection.loginFailed': 'Login failed',
+  'pointSelection.noConnectionTitle': 'No Internet Connection',
+  'pointSelection.noConnectionNoData': 'You are offline and no offline data is available. Please connect to the internet to download maps and paths first.',
+  'pointSelection.offlineReasonForced': 'forced offline mode for testing',
+  'pointSelection.offlineReasonNoNetwork': 'no network connection',
+  'pointSelection.offlineWarning': 'You are using {reason}. The app will use cached data for navigation.\n\n⚠️ Note: Any updates made on the server will not be reflected until you go online and sync your data.',
+  'pointSelection.continueOffline': 'Continue Offline',
+  'pointSelection.loading360': 'Loading 360° image...',
+  'pointSelection.swipeHint': '← Swipe left/right to explore →',
+
+  // Settings
+  'settings.title': '⚙️ Settings',
+  'settings.language': '🌐 Language',
+  'settings.languageDescription': 'Used for directions and screen text.',
+  'settings.imageQuality': '360° Image Quality',
+  'settings.imageQualityDescription': 'Toggle HD mode for higher quality 360° images. SD (default) loads faster.',
+  'settings.hdQuality': 'HD Quality',
+  'settings.hdOn': 'Original quality images',
+  'settings.hdOff': 'Optimized for faster loading',
+  'settings.testOffline': '🧪 Test Offline Mode',
+  'settings.testOfflineDescription': 'Force offline mode for testing pathfinding without disabling your network.',
+  'settings.forceOffline': '📴 Force Offline Mode',
+  'settings.forceOfflineOn': 'App will use offline pathfinding only',
+  'settings.forceOfflineReady': 'Ready to test offline navigation',
+  'settings.forceOfflineNoData': 'Download offline data first',
+  'settings.forceOfflineWarning': '⚠️ Offline mode is active. All pathfinding will use cached data only.',
+  'settings.offlineResources': '📥 Offline Resources',
+  'settings.offlineResourcesDescription': 'Download all map data and 360° images for offline use. The app will use cached resources when available.',
+  'settings.autoSync': '🔄 Auto-sync',
+  'settings.autoSyncDescription': 'Automatically check for updates when online',
+  'settings.wifiOnly': '📶 WiFi only',
+  'settings.wifiOnlyDescription': 'Only sync when connected to WiFi (saves mobile data)',
+  'settings.downloading': 'Downloading...',
+  'settings.progressItems': '{completed} of {total} items',
+  'settings.nodesCached': '📍 Nodes cached:',
+  'settings.edgesCached': '🔗 Edges cached:',
+  'settings.imagesCached': '📷 Images cached:',
+  'settings.cacheSize': '💾 Cache size:',
+  'settings.lastSynced': '🕒 Last synced:',
+  'settings.never': 'Never',
+  'settings.allDownloaded': '✅ All resources downloaded!',
+  'settings.downloadAll': 'Download All Resources',
+  'settings.checkUpdates': '🔄 Check for Updates',
+  'settings.redownloadAll': '📥 Re-download All',
+  'settings.clearCache': '🗑️ Clear Cache',
+  'settings.advancedOffline': '⚙️ Advanced Offline Settings',
+  'settings.downloadTitle': 'Download Map Data',
+  'settings.downloadPrompt': 'Choose your download preference:',
+  'settings.downloadMetadata': 'Metadata Only (Fast)',
+  'settings.downloadFull': 'Full Download (Includes Images)',
+  'settings.downloadCompleteTitle': 'Download Complete',
+  'settings.metadataDownloaded': 'Metadata downloaded successfully. Images will load on-demand.',
+  'settings.fullDownloaded': 'Downloaded {nodes} nodes, {edges} edges, and {images} images.',
+  'settings.downloadFailedTitle': 'Download Failed',
+  'settings.downloadFailed': 'An error occurred',
+  'settings.updateCompleteTitle': 'Update Complete',
+  'settings.updateComplete': 'Added {nodes} new nodes and {images} new images.',
+  'settings.upToDateTitle': 'Up to Date',
+  'settings.upToDate': 'All offline resources are up to date.',
+  'settings.updateFailedTitle': 'Update Failed',
+  'settings.updateFailed': 'Failed to check for updates',
+  'settings.clearCacheTitle': 'Clear Cache',
+  'settings.clearCacheConfirm': 'This will delete all downloaded offline resources. You will need to download them again for offline use. Continue?',
+  'settings.clear': 'Clear',
+  'settings.cacheClearedTitle': 'Cache Cleared',
+  'settings.cacheCleared': 'All offline resources have been deleted.',
+  'settings.clearCacheFailed': 'Failed to clear cache',
+
+  // Route map
+  'mapDisplay.loading': 'Finding your path...',
+  'mapDisplay.title': 'Route Map',
+  'mapDisplay.offlineBanner': '📴 Offline Mode - Using cached data',
+  'mapDisplay.from': 'From',
+  'mapDisplay.to': 'To',
+  'mapDisplay.viaStops': { one: 'via {count} more stop', other: 'via {count} more stops' },
+  'mapDisplay.distance': 'Distance',
+  'mapDisplay.stops': 'Stops',
+  'mapDisplay.campusMap': 'Campus Map',
+  'mapDisplay.resetZoom': '⟲ Reset',
+  'mapDisplay.fullscreen': '⛶ Fullscreen',
+  'mapDisplay.mapHint': 'Pinch to zoom • Drag to pan • Tap ⛶ for fullscreen',
+  'mapDisplay.legendStart': 'Start',
+  'mapDisplay.legendEnd': 'End',
+  'mapDisplay.legend360': '360° View',
+  'mapDisplay.legendWaypoint': 'Waypoint',
+  'mapDisplay.routes': 'Routes',
+  'mapDisplay.bestRoute': 'Best route',
+  'mapDisplay.alternative': 'Alternative {number}',
+  'mapDisplay.stairCount': { one: '{count} stair', other: '{count} stairs' },
+  'mapDisplay.floorChangeCount': { one: '{count} floor change', other: '{count} floor changes' },
+  'mapDisplay.directions': 'Directions',
+  'mapDisplay.view360': '📷 View 360° Street View',
+  'mapDisplay.view360Short': 'View 360°',
+  'mapDisplay.no360Title': 'Not Available',
+  'mapDisplay.no360': 'No 360° images available for this route',
+  'mapDisplay.pathErrorTitle': 'Path Finding Error',
+  'mapDisplay.pathFailed': 'Failed to find path',
+  'mapDisplay.loadFailed': 'Failed to load path. Please try again.',
+  'mapDisplay.navBack': 'Back',
+  'mapDisplay.navForward': 'Forward',
+  'mapDisplay.goThisWay': 'Go This Way',
+  'mapDisplay.markerDistance': '{distance}m to {name}',
+  'mapDisplay.closeFullscreen': '✕ Close',
+  'mapDisplay.fullscreenHint': 'Pinch to zoom • Drag to pan',
+
+  // Walking time
+  'eta.seconds': '{count} s',
+  'eta.minutes': '{count} min',
+  'mapDisplay.walkingTime': 'Walking time',
+  'mapDisplay.rushPace': '🏃 Rushing between classes',
+  'mapDisplay.classChangeOk': '✅ Fits a {minutes}-minute class change',
+  'mapDisplay.classChangeLate': '⚠️ Takes longer than a {minutes}-minute class change',
+  'mapDisplay.saveRoute': '📌 Keep this route offline',
+  'mapDisplay.routeSaved': '📌 Kept offline',
+  'mapDisplay.stepEta': '~{duration}',
+  'mapDisplay.reachableFrom': 'Within walking time of {name}:',
+  'mapDisplay.reachableCount': { one: '{count} place within {minutes} min', other: '{count} places within {minutes} min' },
+  'mapDisplay.legendReachable': 'Reachable',
+  'mapDisplay.detourBanner': '🚧 Detour around a closure (+{distance}m)',
+  'mapDisplay.detourClosure': '{name}: {reason} until {time}',
+  'mapDisplay.detourClosureNoReason': '{name}: closed until {time}',
+  'mapDisplay.detourOutsideHours': '{name}: outside opening hours',
+  'mapDisplay.avoiding': 'Avoiding:',
+  'mapDisplay.avoidingSoft': 'Avoiding where possible:',
+  'mapDisplay.avoidHint': 'Blocked ahead? Tap a step to avoid that hallway, or long-press it or tap a map point to avoid the spot.',
+  'mapDisplay.avoidNode': '🚫 Avoid this spot',
+  'mapDisplay.avoidBuilding': '🚫 Avoid {building}',
+  'mapDisplay.avoidEdge': '🚫 Avoid this hallway',
+  'mapDisplay.avoidedEdge': 'Hallway to {name}',
+  'mapDisplay.avoidIfPossible': 'Avoid if possible',
+  'mapDisplay.avoidFailedTitle': 'No Route',
+  'mapDisplay.avoidFailed': 'No route avoids the selected places.',
+  'mapDisplay.rerouteFromHere': '🔄 Reroute from here',
+  'mapDisplay.rerouteFailedTitle': 'Reroute Failed',
+  'mapDisplay.rerouteFailed': 'No route from here to the destination.',
+  'mapDisplay.evacuationTitle': 'EVACUATION ROUTE',
+  'mapDisplay.evacuationGoTo': 'Go to {name}',
+  'mapDisplay.evacuationNote': '{distance}m • avoids hazard areas and elevators',
+
+  // Offline settings
+  'offlineSettings.title': 'Offline Settings',
+  'offlineSettings.offlineMode': 'Offline Mode',
+  'offlineSettings.ready': 'Ready',
+  'offlineSettings.notSetUp': 'Not Set Up',
+  'offlineSettings.offlineNavigation': 'Offline Navigation',
+  'offlineSettings.available': 'Available',
+  'offlineSettings.unavailable': 'Unavailable',
+  'offlineSettings.lastSynced': 'Last synced: {time}',
+  'offlineSettings.cachedData': 'Cached Data',
+  'offlineSettings.locations': 'Locations',
+  'offlineSettings.paths': 'Paths',
+  'offlineSettings.images': 'Images',
+  'offlineSettings.storage': 'Storage',
+  'offlineSettings.syncSettings': 'Sync Settings',
+  'offlineSettings.autoSync': 'Auto-sync',
+  'offlineSettings.wifiOnly': 'WiFi Only',
+  'offlineSettings.wifiOnlyDescription': 'Only sync when connected to WiFi',
+  'offlineSettings.storageLimit': '360° Image Storage Limit',
+  'offlineSettings.storageLimitDescription': 'When full, the least recently viewed images are removed first.',
+  'offlineSettings.savedRoutesKept': { one: 'Images on your saved route are always kept.', other: 'Images on your {count} saved routes are always kept.' },
+  'offlineSettings.noLimit': 'No limit',
+  'offlineSettings.actions': 'Actions',
+  'offlineSettings.checkUpdates': 'Check for Updates',
+  'offlineSettings.checkUpdatesDescription': 'Download new locations and paths',
+  'offlineSettings.downloadAll': 'Download All Data',
+  'offlineSettings.downloadAllDescription': 'Full download including all images',
+  'offlineSettings.verifyNavigation': 'Verify Navigation',
+  'offlineSettings.verifyNavigationDescription': 'Test offline pathfinding engine',
+  'offlineSettings.checkImages': 'Check Images',
+  'offlineSettings.checkImagesDescription': 'Find and re-download damaged 360° images',
+  'offlineSettings.compareServer': 'Compare with Server',
+  'offlineSettings.compareServerDescription': 'Routes random location pairs offline and on the server, and reports any differences',
+  'offlineSettings.compareRoutes': 'Compare Routes',
+  'offlineSettings.compareRoutesDescription': 'Offline engine vs. server',
+  'offlineSettings.routesMatch': '{matched}/{pairs} routes match',
+  'offlineSettings.differences': 'Differences: {list}',
+  'offlineSettings.shareReport': '📤 Share JSON report',
+  'offlineSettings.reportTitle': 'Route consistency report',
+  'offlineSettings.clearData': 'Clear Offline Data',
+  'offlineSettings.clearDataDescription': 'Remove all cached data',
+  'offlineSettings.aboutTitle': '💡 About Offline Mode',
+  'offlineSettings.aboutIntro': 'When you download offline data, you can:',
+  'offlineSettings.aboutNavigate': '• Navigate without internet connection',
+  'offlineSettings.about360': '• View 360° images offline',
+  'offlineSettings.aboutDirections': '• Get directions between any locations',
+  'offlineSettings.aboutSync': 'Data syncs automatically when you\'re back online (if enabled).',
+  'offlineSettings.syncTitle': 'Sync Data',
+  'offlineSettings.syncPrompt': 'Check for and download any new nodes, edges, or images from the server?',
+  'offlineSettings.syncNow': 'Sync Now',
+  'offlineSettings.syncCompleteTitle': '✅ Sync Complete',
+  'offlineSettings.syncComplete': 'Updated successfully!\n\nNew nodes: {nodes}\nNew images: {images}',
+  'offlineSettings.upToDateTitle': '✅ Already Up to Date',
+  'offlineSettings.upToDate': 'Your offline data is current with the server.',
+  'offlineSettings.syncFailedTitle': '❌ Sync Failed',
+  'offlineSettings.syncFailed': 'Failed to check for updates. Please try again.',
+  'offlineSettings.downloadTitle': 'Download Offline Data',
+  'offlineSettings.downloadPrompt': 'This will download all map data and 360° images for offline use. This may use significant data.',
+  'offlineSettings.download': 'Download',
+  'offlineSettings.lowStorageTitle': '⚠️ Low Storage',
+  'offlineSettings.lowStorage': 'Not enough space. Need {required}, have {available}. Images that don\'t fit will be skipped.',
+  'offlineSettings.lowBudget': 'Not enough room in your storage limit. Need {required}, have {available}. Images that don\'t fit will be skipped.',
+  'offlineSettings.downloadAnyway': 'Download Anyway',
+  'offlineSettings.overBudgetTitle': '⚠️ Over Budget',
+  'offlineSettings.overBudget': 'Your saved routes alone need more space than this limit. Their images are kept anyway.',
+  'offlineSettings.storageFreedTitle': '🧹 Storage Freed',
+  'offlineSettings.storageFreed': { one: 'Removed {count} least recently viewed image ({size}).', other: 'Removed {count} least recently viewed images ({size}).' },
+  'offlineSettings.budgetFailed': 'Failed to set storage limit: {error}',
+  'offlineSettings.clearPrompt': 'This will delete all cached maps and images. You will need to download them again for offline use.',
+  'offlineSettings.verifyingTitle': '🔍 Verifying Pathfinding',
+  'offlineSettings.verifying': 'Checking offline navigation capabilities...',
+  'offlineSettings.pathfindingReadyTitle': '✅ Pathfinding Ready',
+  'offlineSettings.pathfindingReady': 'Offline navigation is working!\n\n• Nodes: {nodes}\n• Edges: {edges}\n• Status: {status}',
+  'offlineSettings.pathfindingIssueTitle': '❌ Pathfinding Issue',
+  'offlineSettings.pathfindingIssue': 'Problem detected:\n{error}\n\nNodes: {nodes}\nEdges: {edges}\n\nPlease try downloading offline data again.',
+  'offlineSettings.verifyFailed': 'Failed to verify pathfinding: {error}',
+  'offlineSettings.imagesOkTitle': '✅ Images OK',
+  'offlineSettings.imagesOk': 'All {count} downloaded 360° images are intact.',
+  'offlineSettings.imagesRepairedTitle': '🩹 Images Repaired',
+  'offlineSettings.imagesRepaired': '{count} of {checked} images were damaged or missing:\n\n{list}\n\nThey are being downloaded again.',
+  'offlineSettings.moreImages': '• ...and {count} more',
+  'offlineSettings.issue.missing': 'missing',
+  'offlineSettings.issue.unreadable': 'unreadable',
+  'offlineSettings.issue.size_mismatch': 'wrong size',
+  'offlineSettings.issue.checksum_mismatch': 'wrong checksum',
+  'offlineSettings.issue.not_jpeg': 'not a JPEG',
+  'offlineSettings.issue.truncated': 'incomplete',
+  'offlineSettings.issue.decode_failed': 'cannot be displayed',
+  'offlineSettings.checkImagesFailed': 'Failed to check images: {error}',
+  'offlineSettings.compareFailedTitle': '❌ Comparison Failed',
+  'offlineSettings.compareFailed': 'Failed to compare routes: {error}',
+  'offlineSettings.shareFailed': 'Failed to share report: {error}',
+
+  // Download indicator
+  'downloadIndicator.title': '📥 Downloading...',
+  'downloadIndicator.failed': { one: '⚠️ {count} image failed to download', other: '⚠️ {count} images failed to download' },
+  'downloadIndicator.retry': 'Retry failed items',
+
+  // Schedule editor
+  'scheduleEditor.temporaryClosure': 'Temporary Closure',
+  'scheduleEditor.closedUntil': '⛔ Closed until {until}',
+  'scheduleEditor.closedForUntil': '⛔ Closed for {reason} until {until}',
+  'scheduleEditor.reopenNow': 'Reopen now',
+  'scheduleEditor.reason': 'Reason',
+  'scheduleEditor.closeNow': '⛔ Close now',
+  'scheduleEditor.temporaryHint': 'Routes go around it until the end time, then it reopens automatically. Save to apply.',
+  'scheduleEditor.hourCount': { one: '{count} hour', other: '{count} hours' },
+  'scheduleEditor.dayCount': { one: '{count} day', other: '{count} days' },
+  'scheduleEditor.openHours': 'Open Hours',
+  'scheduleEditor.alwaysOpen': 'Always open. Add hours for corridors or doors that get locked.',
+  'scheduleEditor.day0': 'Sun',
+  'scheduleEditor.day1': 'Mon',
+  'scheduleEditor.day2': 'Tue',
+  'scheduleEditor.day3': 'Wed',
+  'scheduleEditor.day4': 'Thu',
+  'scheduleEditor.day5': 'Fri',
+  'scheduleEditor.day6': 'Sat',
+  'scheduleEditor.to': 'to',
+  'scheduleEditor.addOpenHours': '＋ Add open hours',
+  'scheduleEditor.hoursHint': '24-hour HH:MM. A closing time before the opening time runs past midnight.',
+  'scheduleEditor.scheduledClosures': 'Scheduled Closures',
+  'scheduleEditor.closureReason': 'Reason (optional), e.g. Renovation',
+  'scheduleEditor.addClosure': '＋ Add closure',
+  'scheduleEditor.closuresHint': 'Closed items are skipped when routing during these dates.',
+};
@@ -0,0 +1,399 @@
+/**
+ * Filipino message catalog
+ * Missing keys fall back to English (locales/en.js).
+ */
+
+export default {
+  // Common
+  'common.error': 'Error',
+  'common.retry': 'Subukang muli',
+  'common.cancel': 'Kanselahin',
+  'common.done': 'Tapos na',
+  'common.back': '‹ Bumalik',
+  'common.loading': 'Naglo-load...',
+  'common.floor': 'Palapag {floor}',
+  'common.ok': 'OK',
+  'common.reset': 'I-reset',
+
+  // Turn-by-turn directions
+  'directions.depart': 'Humarap sa {name} at magsimulang maglakad',
+  'directions.straightAhead': 'Maglakad nang diretso nang {distance}m{note} papunta sa {name}',
+  'directions.continueStraight': 'Magpatuloy nang diretso nang {distance}m{note} papunta sa {name}',
+  'directions.turnAndWalk': '{turn} at maglakad nang {distance}m{note} papunta sa {name}',
+  'directions.walkForward': 'Maglakad pasulong nang {distance}m{note} papunta sa {name}',
+  'directions.arrived': 'Narating mo na ang {name}',
+  'directions.alreadyThere': 'Nasa {name} ka na',
+  'directions.viaStairs': ' gamit ang hagdan',
+  'directions.oneWay': ' (isang direksyon lamang)',
+  'directions.stairsUp': 'Umakyat sa hagdan hanggang palapag {floor}{note}',
+  'directions.stairsDown': 'Bumaba sa hagdan hanggang palapag {floor}{note}',
+  'directions.stairsTo': 'Gamitin ang hagdan papunta sa {name}{note}',
+  'directions.elevatorUp': 'Sumakay sa elevator paakyat sa palapag {floor}{note}',
+  'directions.elevatorDown': 'Sumakay sa elevator pababa sa palapag {floor}{note}',
+  'directions.elevatorTo': 'Sumakay sa elevator papunta sa {name}{note}',
+  'directions.turnAfterLandmark': '{turn} pagkalampas sa {landmark} at maglakad nang {distance}m{note} papunta sa {name}',
+  'directions.landmarkOnSide': '; ang {landmark} ay nasa iyong {side}',
+
+  // Relative turns
+  'turn.left': 'kaliwa',
+  'turn.right': 'kanan',
+  'turn.straight': 'magpatuloy nang diretso',
+  'turn.slight': 'Bahagyang lumiko sa {direction} ({degrees}°)',
+  'turn.normal': 'Lumiko sa {direction} ({degrees}°)',
+  'turn.sharp': 'Lumiko nang husto sa {direction} ({degrees}°)',
+  'turn.slightPlain': 'Bahagyang lumiko sa {direction}',
+  'turn.normalPlain': 'Lumiko sa {direction}',
+  'turn.sharpPlain': 'Lumiko nang husto sa {direction}',
+
+  // Compass points (16-wind rose, clockwise from North)
+  'compass.0': 'Hilaga',
+  'compass.1': 'Hilaga-Hilagang-silangan',
+  'compass.2': 'Hilagang-silangan',
+  'compass.3': 'Silangan-Hilagang-silangan',
+  'compass.4': 'Silangan',
+  'compass.5': 'Silangan-Timog-silangan',
+  'compass.6': 'Timog-silangan',
+  'compass.7': 'Timog-Timog-silangan',
+  'compass.8': 'Timog',
+  'compass.9': 'Timog-Timog-kanluran',
+  'compass.10': 'Timog-kanluran',
+  'compass.11': 'Kanluran-Timog-kanluran',
+  'compass.12': 'Kanluran',
+  'compass.13': 'Kanluran-Hilagang-kanluran',
+  'compass.14': 'Hilagang-kanluran',
+  'compass.15': 'Hilaga-Hilagang-kanluran',
+
+  // Routing profiles
+  'profiles.default.label': 'Karaniwan',
+  'profiles.default.description': 'Pinakamaikling ruta sa paglalakad',
+  'profiles.wheelchair.label': 'Wheelchair',
+  'profiles.wheelchair.description': 'Hindi gumagamit ng hagdan, mas pinipili ang elevator',
+  'profiles.stroller.label': 'Stroller / Bagahe',
+  'profiles.stroller.description': 'Mas pinipili ang elevator kaysa sa hagdan',
+  'profiles.avoid_elevators.label': 'Iwasan ang Elevator',
+  'profiles.avoid_elevators.description': 'Hindi gumagamit ng elevator',
+
+  // Nearest facilities
+  'facilities.restroom': 'Palikuran',
+  'facilities.exit': 'Labasan',
+  'facilities.elevator': 'Elevator',
+  'facilities.staircase': 'Hagdan',
+
+  // Point selection
+  'pointSelection.title': 'Hanapin ang Daan',
+  'pointSelection.offlineMode': '📴 Offline Mode',
+  'pointSelection.offlineNoData': '📴 Offline Mode - Walang Data',
+  'pointSelection.offlineBanner': '⚠️ Offline ka. Gumagamit ng naka-save na data. Hindi makikita ang mga pagbabago sa server hangga\'t hindi ka muling nakakonekta.',
+  'pointSelection.offlineBannerNoData': '❌ Walang offline na data. Kumonekta sa internet para i-download ang mga mapa.',
+  'pointSelection.startingPoint': 'Panimulang Lugar',
+  'pointSelection.destination': 'Pupuntahan',
+  'pointSelection.stop': 'Hinto',
+  'pointSelection.selectStartPlaceholder': 'Pindutin para pumili ng panimulang lugar',
+  'pointSelection.selectDestinationPlaceholder': 'Pindutin para pumili ng pupuntahan',
+  'pointSelection.nodeDetails': '{building} • Palapag {floor}',
+  'pointSelection.stopDetails': 'Hinto {number} • {building} • Palapag {floor}',
+  'pointSelection.nearestChip': 'Pinakamalapit na {facility}',
+  'pointSelection.nearestNote': 'Pinakamalapit na {facility} • {distance}m ang layo',
+  'pointSelection.addStop': '＋ Magdagdag ng hinto',
+  'pointSelection.stopsOrderNote': 'Pupuntahan ang mga hinto sa pinakamaikling kabuuang pagkakasunod.',
+  'pointSelection.routePreference': 'Uri ng Ruta',
+  'pointSelection.findPath': 'Hanapin ang Daan',
+  'pointSelection.planItinerary': 'Planuhin ang Biyahe',
+  'pointSelection.selectTitle': 'Pumili ng {target}',
+  'pointSelection.searchPlaceholder': 'Maghanap ayon sa pangalan, gusali, o code...',
+  'pointSelection.noMatches': 'Walang tugmang lugar o event',
+  'pointSelection.noLocations': 'Walang available na lugar',
+  'pointSelection.noLocationsFound': 'Walang nahanap na lugar',
+  'pointSelection.selectBoth': 'Pumili ng panimulang lugar at pupuntahan',
+  'pointSelection.sameStartEnd': 'Hindi puwedeng magkapareho ang panimulang lugar at pupuntahan',
+  'pointSelection.selectStartFirst': 'Piliin muna kung nasaan ka, saka pumili ng pasilidad.',
+  'pointSelection.nearestUnavailableTitle': 'Hindi Available',
+  'pointSelection.nearestUnavailable': 'Hindi mahanap ang mga kalapit na pasilidad',
+  'pointSelection.nearestNotFoundTitle': 'Walang Nahanap',
+  'pointSelection.nearestNotFound': 'Walang maaabot na {facility} mula sa {name}',
+  'pointSelection.nearestFailed': 'Hindi mahanap ang mga kalapit na pasilidad. Subukang muli.',
+  'pointSelection.evacuate': 'Lumikas - pinakamalapit na ligtas na labasan',
+  'pointSelection.evacuateNoData': 'Kailangan ang offline na mapa para makahanap ng labasan. Sundin ang mga exit sign.',
+  'pointSelection.eventBadge': 'EVENT',
+  'pointSelection.eventDetails': '{category} • {building} • Palapag {floor}',
+  'pointSelection.welcomeTitle': 'Maligayang pagdating!',
+  'pointSelection.welcomeMessage': 'Para magamit ang app nang offline at mas mabilis makahanap ng daan, kailangang i-download ang metadata ng mapa ng campus (~2MB). Ilo-load ang mga larawan kapag kailangan.',
+  'pointSelection.later': 'Mamaya',
+  'pointSelection.downloadNow': 'I-download Ngayon',
+  'pointSelection.loadNodesFailed': 'Hindi ma-load ang mga lugar',
+  'pointSelection.loadNodesFailedConnection': 'Hindi ma-load ang mga lugar. Suriin ang iyong koneksyon.',
+  'pointSelection.settingsSavedTitle': 'Na-save ang Setting',
+  'pointSelection.qualitySaved': 'Ilo-load na ang mga 360° na larawan sa {quality} na kalidad',
+  'pointSelection.saveSettingsFailed': 'Hindi ma-save ang setting',
+  'pointSelection.admin': 'Admin',
+  'pointSelection.adminLoginTitle': 'Admin Login',
+  'pointSelection.username': 'Username',
+  'pointSelection.password': 'Password',
+  'pointSelection.login': 'Mag-login',
+  'pointSelection.missingCredentials': 'Ilagay ang username at password',
+  'pointSelection.loginSuccessTitle': 'Tagumpay',
+  'pointSelection.loggedInAsAdmin': 'Naka-login bilang admin',
+  'pointSelection.loginFailed': 'Hindi naka-login',
+  'pointSelection.noConnectionTitle': 'Walang Koneksyon sa Internet',
+  'pointSelection.noConnectionNoData': 'Offline ka at walang offline na data. Kumonekta muna sa internet para i-download ang mga mapa at daan.',
+  'pointSelection.offlineReasonForced': 'sapilitang offline mode para sa pagsubok',
+  'pointSelection.offlineReasonNoNetwork': 'walang koneksyon sa network',
+  'pointSelection.offlineWarning': 'Gumagamit ka ng {reason}. Gagamitin ng app ang naka-save na data para sa nabigasyon.\n\n⚠️ Paalala: Hindi makikita ang mga update sa server hangga\'t hindi ka nag-online at nag-sync ng data.',
+  'pointSelection.continueOffline': 'Magpatuloy nang Offline',
+  'pointSelection.loading360': 'Nilo-load ang 360° na larawan...',
+  'pointSelection.swipeHint': '← Mag-swipe pakaliwa/pakanan para tumingin →',
+
+  // Settings
+  'settings.title': '⚙️ Mga Setting',
+  'settings.language': '🌐 Wika',
+  'settings.languageDescription': 'Ginagamit sa mga direksyon at teksto ng app.',
+  'settings.imageQuality': 'Kalidad ng 360° na Larawan',
+  'settings.imageQualityDescription': 'I-on ang HD para sa mas malinaw na 360° na larawan. Mas mabilis mag-load ang SD (default).',
+  'settings.hdQuality': 'HD na Kalidad',
+  'settings.hdOn': 'Orihinal na kalidad ng larawan',
+  'settings.hdOff': 'Inayos para sa mas mabilis na pag-load',
+  'settings.testOffline': '🧪 Subukan ang Offline Mode',
+  'settings.testOfflineDescription': 'Pilitin ang offline mode para subukan ang paghahanap ng daan nang hindi pinapatay ang network.',
+  'settings.forceOffline': '📴 Sapilitang Offline Mode',
+  'settings.forceOfflineOn': 'Offline na paghahanap ng daan lang ang gagamitin',
+  'settings.forceOfflineReady': 'Handa nang subukan ang offline na nabigasyon',
+  'settings.forceOfflineNoData': 'I-download muna ang offline na data',
+  'settings.forceOfflineWarning': '⚠️ Naka-on ang offline mode. Naka-save na data lang ang gagamitin sa paghahanap ng daan.',
+  'settings.offlineResources': '📥 Offline na Resources',
+  'settings.offlineResourcesDescription': 'I-download ang lahat ng data ng mapa at 360° na larawan para sa offline. Gagamitin ng app ang naka-save kapag mayroon.',
+  'settings.autoSync': '🔄 Auto-sync',
+  'settings.autoSyncDescription': 'Awtomatikong tingnan ang mga update kapag online',
+  'settings.wifiOnly': '📶 WiFi lang',
+  'settings.wifiOnlyDescription': 'Mag-sync lang kapag naka-WiFi (tipid sa mobile data)',
+  'settings.downloading': 'Nagda-download...',
+  'settings.progressItems': '{completed} sa {total} item',
+  'settings.nodesCached': '📍 Naka-save na lugar:',
+  'settings.edgesCached': '🔗 Naka-save na daanan:',
+  'settings.imagesCached': '📷 Naka-save na larawan:',
+  'settings.cacheSize': '💾 Laki ng cache:',
+  'settings.lastSynced': '🕒 Huling sync:',
+  'settings.never': 'Hindi pa',
+  'settings.allDownloaded': '✅ Na-download na ang lahat!',
+  'settings.downloadAll': 'I-download ang Lahat',
+  'settings.checkUpdates': '🔄 Tingnan ang mga Update',
+  'settings.redownloadAll': '📥 I-download Muli ang Lahat',
+  'settings.clearCache': '🗑️ Burahin ang Cache',
+  'settings.advancedOffline': '⚙️ Advanced na Offline Settings',
+  'settings.downloadTitle': 'I-download ang Data ng Mapa',
+  'settings.downloadPrompt': 'Piliin kung paano magda-download:',
+  'settings.downloadMetadata': 'Metadata Lang (Mabilis)',
+  'settings.downloadFull': 'Buong Download (Kasama ang mga Larawan)',
+  'settings.downloadCompleteTitle': 'Tapos na ang Download',
+  'settings.metadataDownloaded': 'Na-download ang metadata. Ilo-load ang mga larawan kapag kailangan.',
+  'settings.fullDownloaded': 'Na-download ang {nodes} lugar, {edges} daanan, at {images} larawan.',
+  'settings.downloadFailedTitle': 'Hindi Na-download',
+  'settings.downloadFailed': 'Nagkaroon ng error',
+  'settings.updateCompleteTitle': 'Tapos na ang Update',
+  'settings.updateComplete': 'Nadagdag ang {nodes} bagong lugar at {images} bagong larawan.',
+  'settings.upToDateTitle': 'Napapanahon',
+  'settings.upToDate': 'Napapanahon ang lahat ng offline na resources.',
+  'settings.updateFailedTitle': 'Hindi Na-update',
+  'settings.updateFailed': 'Hindi matingnan ang mga update',
+  'settings.clearCacheTitle': 'Burahin ang Cache',
+  'settings.clearCacheConfirm': 'Buburahin nito ang lahat ng na-download na offline resources. Kailangan mo itong i-download muli para sa offline. Magpatuloy?',
+  'settings.clear': 'Burahin',
+  'settings.cacheClearedTitle': 'Nabura ang Cache',
+  'settings.cacheCleared': 'Nabura na ang lahat ng offline resources.',
+  'settings.clearCacheFailed': 'Hindi mabura ang cache',
+
+  // Route map
+  'mapDisplay.loading': 'Hinahanap ang iyong daan...',
+  'mapDisplay.title': 'Mapa ng Ruta',
+  'mapDisplay.offlineBanner': '📴 Offline Mode - Gumagamit ng naka-save na data',
+  'mapDisplay.from': 'Mula',
+  'mapDisplay.to': 'Papunta',
+  'mapDisplay.viaStops': { one: 'dadaan sa {count} pang hinto', other: 'dadaan sa {count} pang hinto' },
+  'mapDisplay.distance': 'Layo',
+  'mapDisplay.stops': 'Mga Hinto',
+  'mapDisplay.campusMap': 'Mapa ng Campus',
+  'mapDisplay.resetZoom': '⟲ I-reset',
+  'mapDisplay.fullscreen': '⛶ Full screen',
+  'mapDisplay.mapHint': 'I-pinch para mag-zoom • I-drag para gumalaw • Pindutin ang ⛶ para sa full screen',
+  'mapDisplay.legendStart': 'Simula',
+  'mapDisplay.legendEnd': 'Dulo',
+  'mapDisplay.legend360': '360° View',
+  'mapDisplay.legendWaypoint': 'Daanan',
+  'mapDisplay.routes': 'Mga Ruta',
+  'mapDisplay.bestRoute': 'Pinakamainam na ruta',
+  'mapDisplay.alternative': 'Alternatibo {number}',
+  'mapDisplay.stairCount': { one: '{count} hagdan', other: '{count} hagdan' },
+  'mapDisplay.floorChangeCount': { one: '{count} palit ng palapag', other: '{count} palit ng palapag' },
+  'mapDisplay.directions': 'Mga Direksyon',
+  'mapDisplay.view360': '📷 Tingnan ang 360° Street View',
+  'mapDisplay.view360Short': 'Tingnan ang 360°',
+  'mapDisplay.no360Title': 'Hindi Available',
+  'mapDisplay.no360': 'Walang 360° na larawan para sa rutang ito',
+  'mapDisplay.pathErrorTitle': 'Error sa Paghahanap ng Daan',
+  'mapDisplay.pathFailed': 'Hindi mahanap ang daan',
+  'mapDisplay.loadFailed': 'Hindi ma-load ang daan. Subukang muli.',
+  'mapDisplay.navBack': 'Bumalik',
+  'mapDisplay.navForward': 'Sumulong',
+  'mapDisplay.goThisWay': 'Dito Dumaan',
+  'mapDisplay.markerDistance': '{distance}m papunta sa {name}',
+  'mapDisplay.closeFullscreen': '✕ Isara',
+  'mapDisplay.fullscreenHint': 'I-pinch para mag-zoom • I-drag para gumalaw',
+
+  // Walking time
+  'eta.seconds': '{count} seg',
+  'eta.minutes': '{count} min',
+  'mapDisplay.walkingTime': 'Oras ng paglalakad',
+  'mapDisplay.rushPace': '🏃 Nagmamadali sa pagitan ng klase',
+  'mapDisplay.classChangeOk': '✅ Aabot sa {minutes} minutong palitan ng klase',
+  'mapDisplay.classChangeLate': '⚠️ Lampas sa {minutes} minutong palitan ng klase',
+  'mapDisplay.saveRoute': '📌 Itago ang rutang ito offline',
+  'mapDisplay.routeSaved': '📌 Nakatago offline',
+  'mapDisplay.stepEta': '~{duration}',
+  'mapDisplay.reachableFrom': 'Maaabot nang lakad mula sa {name}:',
+  'mapDisplay.reachableCount': { one: '{count} lugar sa loob ng {minutes} min', other: '{count} lugar sa loob ng {minutes} min' },
+  'mapDisplay.legendReachable': 'Maaabot',
+  'mapDisplay.detourBanner': '🚧 Lumihis dahil sa pagsasara (+{distance}m)',
+  'mapDisplay.detourClosure': '{name}: {reason} hanggang {time}',
+  'mapDisplay.detourClosureNoReason': '{name}: sarado hanggang {time}',
+  'mapDisplay.detourOutsideHours': '{name}: lampas sa oras ng pagbubukas',
+  'mapDisplay.avoiding': 'Iniiwasan:',
+  'mapDisplay.avoidingSoft': 'Iniiwasan kung maaari:',
+  'mapDisplay.avoidHint': 'May harang sa unahan? I-tap ang isang hakbang para iwasan ang pasilyong iyon, o pindutin ito nang matagal o i-tap ang punto sa mapa para iwasan ang lugar.',
+  'mapDisplay.avoidNode': '🚫 Iwasan ang lugar na ito',
+  'mapDisplay.avoidBuilding': '🚫 Iwasan ang {building}',
+  'mapDisplay.avoidEdge': '🚫 Iwasan ang pasilyong ito',
+  'mapDisplay.avoidedEdge': 'Pasilyo papuntang {name}',
+  'mapDisplay.avoidIfPossible': 'Iwasan kung maaari',
+  'mapDisplay.avoidFailedTitle': 'Walang Ruta',
+  'mapDisplay.avoidFailed': 'Walang rutang nakakaiwas sa mga napiling lugar.',
+  'mapDisplay.rerouteFromHere': '🔄 Mag-reroute mula rito',
+  'mapDisplay.rerouteFailedTitle': 'Hindi Na-reroute',
+  'mapDisplay.rerouteFailed': 'Walang ruta mula rito papunta sa destinasyon.',
+  'mapDisplay.evacuationTitle': 'RUTA NG PAGLIKAS',
+  'mapDisplay.evacuationGoTo': 'Pumunta sa {name}',
+  'mapDisplay.evacuationNote': '{distance}m • iniiwasan ang mapanganib na lugar at elevator',
+
+  // Offline settings
+  'offlineSettings.title': 'Mga Setting sa Offline',
+  'offlineSettings.offlineMode': 'Offline Mode',
+  'offlineSettings.ready': 'Handa',
+  'offlineSettings.notSetUp': 'Hindi pa naka-set up',
+  'offlineSettings.offlineNavigation': 'Offline na Nabigasyon',
+  'offlineSettings.available': 'Magagamit',
+  'offlineSettings.unavailable': 'Hindi magagamit',
+  'offlineSettings.lastSynced': 'Huling pag-sync: {time}',
+  'offlineSettings.cachedData': 'Naka-cache na Data',
+  'offlineSettings.locations': 'Mga Lokasyon',
+  'offlineSettings.paths': 'Mga Daanan',
+  'offlineSettings.images': 'Mga Larawan',
+  'offlineSettings.storage': 'Storage',
+  'offlineSettings.syncSettings': 'Mga Setting sa Sync',
+  'offlineSettings.autoSync': 'Awtomatikong sync',
+  'offlineSettings.wifiOnly': 'WiFi Lang',
+  'offlineSettings.wifiOnlyDescription': 'Mag-sync lang kapag nakakonekta sa WiFi',
+  'offlineSettings.storageLimit': 'Limitasyon ng Storage ng 360° na Larawan',
+  'offlineSettings.storageLimitDescription': 'Kapag puno na, inaalis muna ang mga larawang pinakamatagal nang hindi natitingnan.',
+  'offlineSettings.savedRoutesKept': { one: 'Laging itinatago ang mga larawan sa iyong naka-save na ruta.', other: 'Laging itinatago ang mga larawan sa iyong {count} naka-save na ruta.' },
+  'offlineSettings.noLimit': 'Walang limitasyon',
+  'offlineSettings.actions': 'Mga Aksyon',
+  'offlineSettings.checkUpdates': 'Tingnan ang mga Update',
+  'offlineSettings.checkUpdatesDescription': 'I-download ang mga bagong lokasyon at daanan',
+  'offlineSettings.downloadAll': 'I-download Lahat ng Data',
+  'offlineSettings.downloadAllDescription': 'Buong download kasama ang lahat ng larawan',
+  'offlineSettings.verifyNavigation': 'Suriin ang Nabigasyon',
+  'offlineSettings.verifyNavigationDescription': 'Subukan ang offline na paghahanap ng daan',
+  'offlineSettings.checkImages': 'Suriin ang mga Larawan',
+  'offlineSettings.checkImagesDescription': 'Hanapin at i-download muli ang mga sirang 360° na larawan',
+  'offlineSettings.compareServer': 'Ikumpara sa Server',
+  'offlineSettings.compareServerDescription': 'Nagruruta ng mga random na pares ng lokasyon offline at sa server, at iniuulat ang anumang pagkakaiba',
+  'offlineSettings.compareRoutes': 'Ikumpara ang mga Ruta',
+  'offlineSettings.compareRoutesDescription': 'Offline na engine laban sa server',
+  'offlineSettings.routesMatch': '{matched}/{pairs} ruta ang tugma',
+  'offlineSettings.differences': 'Mga pagkakaiba: {list}',
+  'offlineSettings.shareReport': '📤 Ibahagi ang JSON na ulat',
+  'offlineSettings.reportTitle': 'Ulat sa pagkakapareho ng ruta',
+  'offlineSettings.clearData': 'Burahin ang Offline na Data',
+  'offlineSettings.clearDataDescription': 'Alisin ang lahat ng naka-cache na data',
+  'offlineSettings.aboutTitle': '💡 Tungkol sa Offline Mode',
+  'offlineSettings.aboutIntro': 'Kapag na-download mo ang offline na data, maaari kang:',
+  'offlineSettings.aboutNavigate': '• Mag-navigate nang walang internet',
+  'offlineSettings.about360': '• Tumingin ng 360° na larawan offline',
+  'offlineSettings.aboutDirections': '• Kumuha ng direksyon sa pagitan ng anumang lokasyon',
+  'offlineSettings.aboutSync': 'Awtomatikong nagsi-sync ang data kapag online ka na ulit (kung naka-on).',
+  'offlineSettings.syncTitle': 'I-sync ang Data',
+  'offlineSettings.syncPrompt': 'Tingnan at i-download ang anumang bagong lokasyon, daanan, o larawan mula sa server?',
+  'offlineSettings.syncNow': 'I-sync Ngayon',
+  'offlineSettings.syncCompleteTitle': '✅ Tapos na ang Sync',
+  'offlineSettings.syncComplete': 'Matagumpay na na-update!\n\nMga bagong lokasyon: {nodes}\nMga bagong larawan: {images}',
+  'offlineSettings.upToDateTitle': '✅ Napapanahon Na',
+  'offlineSettings.upToDate': 'Kapareho na ng server ang iyong offline na data.',
+  'offlineSettings.syncFailedTitle': '❌ Nabigo ang Sync',
+  'offlineSettings.syncFailed': 'Hindi natingnan ang mga update. Pakisubukang muli.',
+  'offlineSettings.downloadTitle': 'I-download ang Offline na Data',
+  'offlineSettings.downloadPrompt': 'Ida-download nito ang lahat ng data ng mapa at 360° na larawan para magamit offline. Maaaring malaki ang magamit na data.',
+  'offlineSettings.download': 'I-download',
+  'offlineSettings.lowStorageTitle': '⚠️ Kulang ang Storage',
+  'offlineSettings.lowStorage': 'Kulang ang espasyo. Kailangan ng {required}, mayroon {available}. Lalaktawan ang mga larawang hindi kasya.',
+  'offlineSettings.lowBudget': 'Kulang ang lugar sa iyong limitasyon ng storage. Kailangan ng {required}, mayroon {available}. Lalaktawan ang mga larawang hindi kasya.',
+  'offlineSettings.downloadAnyway': 'I-download Pa Rin',
+  'offlineSettings.overBudgetTitle': '⚠️ Lampas sa Limitasyon',
+  'offlineSettings.overBudget': 'Mas malaki ang kailangan ng mga naka-save mong ruta kaysa sa limitasyong ito. Itatago pa rin ang kanilang mga larawan.',
+  'offlineSettings.storageFreedTitle': '🧹 Nabakante ang Storage',
+  'offlineSettings.storageFreed': { one: 'Inalis ang {count} larawang pinakamatagal nang hindi natitingnan ({size}).', other: 'Inalis ang {count} larawang pinakamatagal nang hindi natitingnan ({size}).' },
+  'offlineSettings.budgetFailed': 'Hindi naitakda ang limitasyon ng storage: {error}',
+  'offlineSettings.clearPrompt': 'Buburahin nito ang lahat ng naka-cache na mapa at larawan. Kailangan mo itong i-download muli para magamit offline.',
+  'offlineSettings.verifyingTitle': '🔍 Sinusuri ang Paghahanap ng Daan',
+  'offlineSettings.verifying': 'Sinusuri ang offline na nabigasyon...',
+  'offlineSettings.pathfindingReadyTitle': '✅ Handa na ang Paghahanap ng Daan',
+  'offlineSettings.pathfindingReady': 'Gumagana ang offline na nabigasyon!\n\n• Mga lokasyon: {nodes}\n• Mga daanan: {edges}\n• Status: {status}',
+  'offlineSettings.pathfindingIssueTitle': '❌ Problema sa Paghahanap ng Daan',
+  'offlineSettings.pathfindingIssue': 'May nakitang problema:\n{error}\n\nMga lokasyon: {nodes}\nMga daanan: {edges}\n\nPakisubukang i-download muli ang offline na data.',
+  'offlineSettings.verifyFailed': 'Hindi nasuri ang paghahanap ng daan: {error}',
+  'offlineSettings.imagesOkTitle': '✅ Maayos ang mga Larawan',
+  'offlineSettings.imagesOk': 'Buo ang lahat ng {count} na-download na 360° na larawan.',
+  'offlineSettings.imagesRepairedTitle': '🩹 Inayos ang mga Larawan',
+  'offlineSettings.imagesRepaired': '{count} sa {checked} na larawan ang sira o nawawala:\n\n{list}\n\nIdina-download muli ang mga ito.',
+  'offlineSettings.moreImages': '• ...at {count} pa',
+  'offlineSettings.issue.missing': 'nawawala',
+  'offlineSettings.issue.unreadable': 'hindi mabasa',
+  'offlineSettings.issue.size_mismatch': 'maling laki',
+  'offlineSettings.issue.checksum_mismatch': 'maling checksum',
+  'offlineSettings.issue.not_jpeg': 'hindi JPEG',
+  'offlineSettings.issue.truncated': 'kulang',
+  'offlineSettings.issue.decode_failed': 'hindi maipakita',
+  'offlineSettings.checkImagesFailed': 'Hindi nasuri ang mga larawan: {error}',
+  'offlineSettings.compareFailedTitle': '❌ Nabigo ang Paghahambing',
+  'offlineSettings.compareFailed': 'Hindi naikumpara ang mga ruta: {error}',
+  'offlineSettings.shareFailed': 'Hindi naibahagi ang ulat: {error}',
+
+  // Download indicator
+  'downloadIndicator.title': '📥 Nagda-download...',
+  'downloadIndicator.failed': { one: '⚠️ {count} larawan ang hindi na-download', other: '⚠️ {count} larawan ang hindi na-download' },
+  'downloadIndicator.retry': 'Subukang muli ang mga nabigo',
+
+  // Schedule editor
+  'scheduleEditor.temporaryClosure': 'Pansamantalang Pagsasara',
+  'scheduleEditor.closedUntil': '⛔ Sarado hanggang {until}',
+  'scheduleEditor.closedForUntil': '⛔ Sarado dahil sa {reason} hanggang {until}',
+  'scheduleEditor.reopenNow': 'Buksan ngayon',
+  'scheduleEditor.reason': 'Dahilan',
+  'scheduleEditor.closeNow': '⛔ Isara ngayon',
+  'scheduleEditor.temporaryHint': 'Iiwasan ito ng mga ruta hanggang sa oras ng pagtatapos, saka ito awtomatikong magbubukas. I-save para ilapat.',
+  'scheduleEditor.hourCount': { one: '{count} oras', other: '{count} oras' },
+  'scheduleEditor.dayCount': { one: '{count} araw', other: '{count} araw' },
+  'scheduleEditor.openHours': 'Oras ng Pagbubukas',
+  'scheduleEditor.alwaysOpen': 'Laging bukas. Magdagdag ng oras para sa mga pasilyo o pintong kinakandado.',
+  'scheduleEditor.day0': 'Lin',
+  'scheduleEditor.day1': 'Lun',
+  'scheduleEditor.day2': 'Mar',
+  'scheduleEditor.day3': 'Miy',
+  'scheduleEditor.day4': 'Huw',
+  'scheduleEditor.day5': 'Biy',
+  'scheduleEditor.day6': 'Sab',
+  'scheduleEditor.to': 'hanggang',
+  'scheduleEditor.addOpenHours': '＋ Magdagdag ng oras ng pagbubukas',
+  'scheduleEditor.hoursHint': '24-oras na HH:MM. Ang oras ng pagsasara na mas maaga sa pagbubukas ay lampas hatinggabi.',
+  'scheduleEditor.scheduledClosures': 'Mga Nakatakdang Pagsasara',
+  'scheduleEditor.closureReason': 'Dahilan (opsyonal), hal. Renovation',
+  'scheduleEditor.addClosure': '＋ Magdagdag ng pagsasara',
+  'scheduleEditor.closuresHint': 'Nilalaktawan ang mga saradong bahagi kapag nagruruta sa mga petsang ito.',
+};
@@ -15,8 +15,9 @@ import {
   InteractionManager,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { GestureHandlerRootView, PinchGestureHandler, State } from 'react-native-gesture-handler';
-import Svg, { Line, Circle, Polyline } from 'react-native-svg';
+import Svg, { Line, Circle, Polyline, Text as SvgText } from 'react-native-svg';
 import { Image as ExpoImage } from 'expo-image';
 import { THEME_COLORS, MAP_CALIBRATION, MAP_ASSETS } from '../config';
 import ApiService from '../services/ApiService';
@@ -25,12 +26,128 @@ import OfflineService from '../services/OfflineService';
 import OfflineModeBadge, { OfflineInfoCard } from '../components/OfflineModeBadge';
 import SvgMap from '../components/SvgMap';
 import { transformCoordinate } from '../utils/MapCoordinateUtils';
+import { getRoutingProfile, DEFAULT_PROFILE_ID } from '../utils/routingProfiles';
+import { getRouteStats } from '../utils/pathfinding';
+import { getRemainingStops } from '../utils/itinerary';
+import { MANEUVERS, renderDirectionStep } from '../utils/directionSteps';
+import { useLanguage } from '../contexts/LanguageContext';
+import { PACES, CLASS_CHANGE_SECONDS, estimateRoute, formatDuration } from '../utils/eta';
+import { formatDateTimeInput } from '../utils/schedules';
+import { INTEGRITY_ISSUES } from '../utils/cacheIntegrity';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+// Polyline colors for alternative routes (index 0 = best route)
+const ROUTE_COLORS = [THEME_COLORS.primary, '#2196F3', '#9C27B0', '#009688'];
+
+// Highlight color for the selected direction step on the map
+const ACTIVE_STEP_COLOR = '#FFC107';
+
+// Walking-time budgets offered for the reachability shading
+const REACH_MINUTES = [3, 5, 10];
+const REACH_COLOR = 'rgba(33, 150, 243, 0.25)';
+
+// High-contrast colors for evacuation mode (exit-sign green on black/red)
+const EVACUATION_ROUTE_COLOR = '#00C853';
+const EVACUATION_HEADER_COLOR = '#B71C1C';
+
+const TURN_ICONS = {
+  left: { slight: '↖', normal: '⬅', sharp: '↙' },
+  right: { slight: '↗', normal: '➡', sharp: '↘' },
+};
+
+// Icon for a direction step (see utils/directionSteps)
+const getStepIcon = (step) => {
+  if (step.maneuver === MANEUVERS.DEPART) return '🚶';
+  if (step.maneuver === MANEUVERS.ARRIVE) return '🏁';
+  if (step.maneuver === MANEUVERS.ELEVATOR) return '🛗';
+  if (step.is_staircase) return '🪜';
+  if (step.maneuver === MANEUVERS.TURN) {
+    return TURN_ICONS[step.turn.direction]?.[step.turn.severity] || '⬆';
+  }
+  return '⬆';
+};
+
+// Places the visitor asked to route around (nodes as { node_code, name },
+// hallways as { edge_ids, name } with the edges of one direction step)
+const NO_AVOIDED = { nodes: [], edges: [], buildings: [], soft: false };
+
+const hasAvoided = (avoided) =>
+  avoided.nodes.length > 0 || avoided.edges.length > 0 || avoided.buildings.length > 0;
+
+// Avoided places as the findPath avoid option
+const toAvoidOption = (avoided) => (
+  hasAvoided(avoided)
+    ? {
+        nodes: avoided.nodes.map((node) => node.node_code),
+        edges: avoided.edges.flatMap((hallway) => hallway.edge_ids),
+        buildings: avoided.buildings,
+        soft: avoided.soft,
+      }
+    : undefined
+);
+
+// Edges a direction step walks along (path nodes carry the edge that led to them)
+const getStepEdgeIds = (path, step) => (
+  step?.path_index && path
+    ? path
+        .slice(step.path_index.start + 1, step.path_index.end + 1)
+        .map((node) => node.edge_id)
+        .filter((edgeId) => edgeId !== null && edgeId !== undefined)
+    : []
+);
+
+// Closure end time: 'HH:MM' today, full date otherwise
+const formatClosureEnd = (until) => {
+  const formatted = formatDateTimeInput(until);
+  return formatted.startsWith(formatDateTimeInput(new Date()).slice(0, 10)) ? formatted.slice(11) : formatted;
+};
+
 const MapDisplayScreen = ({ route, navigation }) => {
-  const { startNode, endNode, imageQuality = 'hd', isOffline = false } = route.params;
+  const {
+    startNode,
+    endNode,
+    imageQuality = 'hd',
+    isOffline = false,
+    routingProfile = DEFAULT_PROFILE_ID,
+    stops = null,
+    departureTime: requestedDepartureTime = null,
+    // Emergency mode: route to the nearest safe exit instead of endNode
+    evacuation = false,
+  } = route.params;
+  const { language, t } = useLanguage();
+  // Multi-stop itinerary: visiting order is optimized by the pathfinder
+  const isItinerary = Array.isArray(stops) && stops.length > 1;
   const [pathData, setPathData] = useState(null);
+  const [alternativeRoutes, setAlternativeRoutes] = useState([]);
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
+  // Index into pathData.directions of the step highlighted on the map
+  const [activeStepIndex, setActiveStepIndex] = useState(null);
+  const [walkingPace, setWalkingPace] = useState(PACES.NORMAL);
+  // What routes on this screen are requested with. "Reroute from here" moves the origin
+  // (dropping stops already passed) and avoiding places changes avoided; the goal and
+  // profile stay. Every route honors opening hours at departureTime (see utils/schedules).
+  const [journey, setJourney] = useState(() => ({
+    origin: startNode,
+    stops,
+    departureTime: requestedDepartureTime || new Date().toISOString(),
+    avoided: NO_AVOIDED,
+  }));
+  const { origin, departureTime, avoided } = journey;
+  // Evacuation routes pick their own exit; alternatives would only distract
+  const goalNode = evacuation ? pathData?.exit : endNode;
+  const showsAlternatives = !isItinerary && !evacuation;
+  const [reachMinutes, setReachMinutes] = useState(null);
+  const [reachableNodes, setReachableNodes] = useState([]);
+  // Routes kept offline; their images are never evicted from the cache
+  const [savedRouteIds, setSavedRouteIds] = useState([]);
+  const savedRouteId = pathData?.path?.length
+    ? `${pathData.path[0].node_id}_${pathData.path[pathData.path.length - 1].node_id}`
+    : null;
+  const eta = useMemo(
+    () => (pathData ? estimateRoute(pathData, routingProfile, walkingPace) : null),
+    [pathData, routingProfile, walkingPace]
+  );
   const [campusMap, setCampusMap] = useState(null);
   const [loading, setLoading] = useState(true);
   const [mapDimensions, setMapDimensions] = useState({ width: 0, height: 0 });
@@ -99,6 +216,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
 
   // Ref to hold the pre-fetched next image URL so the swap is instant
   const nextImageUrlRef = useRef(null);
+  const repairedImageUrlsRef = useRef(new Set());
 
   // Start the Street View-style ripple animation
   const startStreetViewTransition = useCallback((dir) => {
@@ -191,6 +309,19 @@ const MapDisplayScreen = ({ route, navigation }) => {
     updateCampusMapUrl();
   }, [campusMap?.image_url, imageQuality]);
 
+  // A cached file that fails to decode is corrupt: show the remote image instead
+  // and let OfflineService quarantine and re-download it
+  const handle360ImageError = useCallback((failedUrl) => {
+    if (!current360Node || !failedUrl?.startsWith('file://')) return;
+    const remoteUrl = getOptimizedImageUrl(current360Node.image360 || current360Node.image360_url, imageQuality);
+    setCurrent360ImageUrl((url) => (url === failedUrl ? remoteUrl : url));
+    // All three wrapped copies report the same failure
+    if (repairedImageUrlsRef.current.has(failedUrl)) return;
+    repairedImageUrlsRef.current.add(failedUrl);
+    OfflineService.repairCachedImages([{ node: current360Node, issue: INTEGRITY_ISSUES.DECODE_FAILED }])
+      .catch((error) => console.error('Error repairing cached image:', error));
+  }, [current360Node, imageQuality]);
+
   // Helper function to get image URL with offline cache support
   const getImageUrlWithCache = async (node) => {
     if (!node) return null;
@@ -570,16 +701,12 @@ const MapDisplayScreen = ({ route, navigation }) => {
 
       console.log('=== MapDisplayScreen: Loading Path ===');
       console.log('Start Node:', startNode.node_code);
-      console.log('End Node:', endNode.node_code);
+      console.log('End Node:', evacuation ? '(nearest safe exit)' : endNode.node_code);
       console.log('Is Offline Mode:', isOfflineMode);
+      console.log('Routing Profile:', routingProfile);
 
       // Load path - use offlineOnly if user explicitly chose offline mode
-      const pathResponse = await ApiService.findPath(
-        startNode.node_code,
-        endNode.node_code,
-        false,
-        { offlineOnly: isOfflineMode }
-      );
+      const pathResponse = await requestRoute();
 
       console.log('Path Response:', {
         success: pathResponse.success,
@@ -589,7 +716,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
       });
 
       if (!pathResponse.success) {
-        const errorMessage = pathResponse.error || 'Failed to find path';
+        const errorMessage = pathResponse.error || t('mapDisplay.pathFailed');
         const wasOfflineAttempt = pathResponse.offline || isOfflineMode;
         
         let displayMessage = errorMessage;
@@ -600,15 +727,18 @@ const MapDisplayScreen = ({ route, navigation }) => {
         }
         
         Alert.alert(
-          'Path Finding Error',
+          t('mapDisplay.pathErrorTitle'),
           displayMessage,
-          [{ text: 'OK', onPress: () => navigation.goBack() }]
+          [{ text: t('common.ok'), onPress: () => navigation.goBack() }]
         );
         navigation.goBack();
         return;
       }
 
       setPathData(pathResponse);
+      if (showsAlternatives) {
+        loadAlternativeRoutes(pathResponse);
+      }
       
       // Track if this was an offline route
       if (pathResponse.offline || isOfflineMode) {
@@ -628,13 +758,313 @@ const MapDisplayScreen = ({ route, navigation }) => {
         setCampusMapImageUrl(cachedMapUrl);
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to load path. Please try again.');
+      Alert.alert(t('common.error'), t('mapDisplay.loadFailed'));
       navigation.goBack();
     } finally {
       setLoading(false);
     }
   };
 
+  const requestRoute = (target = journey) => {
+    const routeOptions = {
+      offlineOnly: isOfflineMode,
+      profile: routingProfile,
+      departureTime: target.departureTime,
+      avoid: toAvoidOption(target.avoided),
+    };
+    if (evacuation) {
+      return ApiService.findEvacuationRoute(target.origin.node_code, routeOptions);
+    }
+    return isItinerary
+      ? ApiService.findItinerary(
+          target.origin.node_code,
+          target.stops.map((stop) => stop.node_code),
+          false,
+          routeOptions
+        )
+      : ApiService.findPath(
+          target.origin.node_code,
+          endNode.node_code,
+          false,
+          routeOptions
+        );
+  };
+
+  const loadAlternativeRoutes = async (primaryRoute, target = journey) => {
+    try {
+      const response = await ApiService.findAlternativePaths(
+        target.origin.node_code,
+        endNode.node_code,
+        3,
+        false,
+        { profile: routingProfile, departureTime: target.departureTime, avoid: toAvoidOption(target.avoided) }
+      );
+      if (!response.success || response.routes.length < 2) return;
+
+      // Keep the loaded route (it may carry server directions) as route 1
+      setAlternativeRoutes([
+        { ...primaryRoute, ...getRouteStats(primaryRoute.path) },
+        ...response.routes.slice(1),
+      ]);
+    } catch (error) {
+      console.log('Alternative routes unavailable:', error.message);
+    }
+  };
+
+  // Route with a changed journey; the current route stays if no new one is found
+  const applyJourney = async (nextJourney) => {
+    const response = await requestRoute(nextJourney);
+    if (!response.success) return response;
+
+    setJourney(nextJourney);
+    setPathData(response);
+    setAlternativeRoutes([]);
+    setSelectedRouteIndex(0);
+    setActiveStepIndex(null);
+    if (showsAlternatives) {
+      loadAlternativeRoutes(response, nextJourney);
+    }
+    return response;
+  };
+
+  // Re-route around a new set of avoided places
+  const applyAvoided = async (nextAvoided) => {
+    try {
+      const response = await applyJourney({ ...journey, avoided: nextAvoided });
+      if (!response.success) {
+        const buttons = nextAvoided.soft
+          ? [{ text: t('common.done') }]
+          : [
+              { text: t('common.cancel'), style: 'cancel' },
+              { text: t('mapDisplay.avoidIfPossible'), onPress: () => applyAvoided({ ...nextAvoided, soft: true }) },
+            ];
+        Alert.alert(t('mapDisplay.avoidFailedTitle'), response.error || t('mapDisplay.avoidFailed'), buttons);
+      }
+    } catch (error) {
+      Alert.alert(t('mapDisplay.avoidFailedTitle'), error.message || t('mapDisplay.avoidFailed'));
+    }
+  };
+
+  // Start the route over from a node along it (e.g. after going off course)
+  const rerouteFrom = async (pathIndex) => {
+    const node = pathData?.path?.[pathIndex];
+    if (!node) return false;
+
+    try {
+      const response = await applyJourney({
+        ...journey,
+        origin: node,
+        stops: isItinerary ? getRemainingStops(pathData, pathIndex) : journey.stops,
+        // A planned departure stays; otherwise schedules are checked from now
+        departureTime: requestedDepartureTime || new Date().toISOString(),
+      });
+      if (!response.success) {
+        Alert.alert(t('mapDisplay.rerouteFailedTitle'), response.error || t('mapDisplay.rerouteFailed'));
+        return false;
+      }
+      return true;
+    } catch (error) {
+      Alert.alert(t('mapDisplay.rerouteFailedTitle'), error.message || t('mapDisplay.rerouteFailed'));
+      return false;
+    }
+  };
+
+  // Rerouting only makes sense from a node past the start and before the goal
+  const getReroutableIndex = (node) => {
+    const index = pathData?.path?.findIndex((pathNode) => pathNode.node_id === node?.node_id) ?? -1;
+    return index > 0 && index < pathData.path.length - 1 ? index : -1;
+  };
+
+  const rerouteFromSelected = async () => {
+    const index = getReroutableIndex(selectedNode);
+    setSelectedNode(null);
+    await rerouteFrom(index);
+  };
+
+  const rerouteFrom360 = async () => {
+    // The viewed node becomes the first node of the new route
+    if (await rerouteFrom(getReroutableIndex(current360Node))) {
+      setCurrent360Index(0);
+    }
+  };
+
+  const avoidNode = (node) => {
+    setSelectedNode(null);
+    applyAvoided({ ...avoided, nodes: [...avoided.nodes, { node_code: node.node_code, name: node.name }] });
+  };
+
+  const avoidBuilding = (building) => {
+    setSelectedNode(null);
+    applyAvoided({ ...avoided, buildings: [...avoided.buildings, building] });
+  };
+
+  const avoidStep = (index) => {
+    const step = pathData.directions[index];
+    setActiveStepIndex(null);
+    applyAvoided({
+      ...avoided,
+      edges: [...avoided.edges, { edge_ids: getStepEdgeIds(pathData.path, step), name: step.target?.name }],
+    });
+  };
+
+  const unavoidNode = (nodeCode) => {
+    applyAvoided({ ...avoided, nodes: avoided.nodes.filter((node) => node.node_code !== nodeCode) });
+  };
+
+  const unavoidHallway = (edgeIds) => {
+    applyAvoided({ ...avoided, edges: avoided.edges.filter((hallway) => hallway.edge_ids !== edgeIds) });
+  };
+
+  const unavoidBuilding = (building) => {
+    applyAvoided({ ...avoided, buildings: avoided.buildings.filter((name) => name !== building) });
+  };
+
+  // The start, destination and stops can't be avoided
+  const routeEndpoints = [origin, goalNode, ...(journey.stops || [])].filter(Boolean);
+  const canAvoidNode = (node) =>
+    !routeEndpoints.some((endpoint) => endpoint.node_code === node.node_code) &&
+    !avoided.nodes.some((avoidedNode) => avoidedNode.node_code === node.node_code);
+  const canAvoidStep = (step) => {
+    const edgeIds = getStepEdgeIds(pathData?.path, step);
+    return edgeIds.length > 0 &&
+      !avoided.edges.some((hallway) => hallway.edge_ids.some((edgeId) => edgeIds.includes(edgeId)));
+  };
+  const canAvoidBuilding = (building) =>
+    Boolean(building) &&
+    !routeEndpoints.some((endpoint) => endpoint.building === building) &&
+    !avoided.buildings.includes(building);
+
+  const selectRoute = (index) => {
+    if (!alternativeRoutes[index]) return;
+    setSelectedRouteIndex(index);
+    setActiveStepIndex(null);
+    setPathData(alternativeRoutes[index]);
+  };
+
+  useEffect(() => {
+    loadWalkingPace();
+  }, []);
+
+  const loadWalkingPace = async () => {
+    try {
+      const saved = await AsyncStorage.getItem('walkingPace');
+      if (saved === PACES.RUSH) setWalkingPace(PACES.RUSH);
+    } catch (error) {
+      console.error('Error loading walking pace:', error);
+    }
+  };
+
+  const toggleRushPace = async () => {
+    const next = walkingPace === PACES.RUSH ? PACES.NORMAL : PACES.RUSH;
+    setWalkingPace(next);
+    try {
+      await AsyncStorage.setItem('walkingPace', next);
+    } catch (error) {
+      console.error('Error saving walking pace:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadSavedRoutes();
+  }, []);
+
+  const loadSavedRoutes = async () => {
+    try {
+      const routes = await OfflineService.getSavedRoutes();
+      setSavedRouteIds(routes.map((saved) => saved.id));
+    } catch (error) {
+      console.error('Error loading saved routes:', error);
+    }
+  };
+
+  const toggleSavedRoute = async () => {
+    const path = pathData?.path;
+    if (!savedRouteId) return;
+    if (savedRouteIds.includes(savedRouteId)) {
+      await OfflineService.removeSavedRoute(savedRouteId);
+    } else {
+      await OfflineService.saveRoute({
+        id: savedRouteId,
+        name: `${path[0].name} → ${path[path.length - 1].name}`,
+        nodeIds: path.map((node) => node.node_id),
+      });
+    }
+    await loadSavedRoutes();
+  };
+
+  useEffect(() => {
+    if (!reachMinutes) {
+      setReachableNodes([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadReachable(reachMinutes).then((nodes) => {
+      if (!cancelled) setReachableNodes(nodes);
+    });
+    return () => { cancelled = true; };
+  }, [reachMinutes, walkingPace, routingProfile, isOfflineMode, origin]);
+
+  const loadReachable = async (minutes) => {
+    try {
+      const response = await ApiService.findReachable(
+        origin.node_code,
+        { maxSeconds: minutes * 60, pace: walkingPace },
+        { offlineOnly: isOfflineMode, profile: routingProfile, departureTime }
+      );
+      if (!response.success) {
+        console.warn('Reachability search failed:', response.error);
+        return [];
+      }
+      return response.nodes;
+    } catch (error) {
+      console.error('Error loading reachable nodes:', error);
+      return [];
+    }
+  };
+
+  const toggleReachMinutes = (minutes) => {
+    setReachMinutes((current) => (current === minutes ? null : minutes));
+  };
+
+  const toggleActiveStep = (index) => {
+    setActiveStepIndex((current) => (current === index ? null : index));
+  };
+
+  const renderDirectionItem = (step, index) => {
+    const isActive = index === activeStepIndex;
+    const stepSeconds = eta?.step_seconds[index] || 0;
+    return (
+      <TouchableOpacity
+        key={index}
+        style={[styles.directionItem, isActive && styles.directionItemActive]}
+        onPress={() => toggleActiveStep(index)}
+        onLongPress={() => pathData?.path?.[step.path_index?.end] && setSelectedNode(pathData.path[step.path_index.end])}
+        activeOpacity={0.7}
+      >
+        <View style={styles.directionNumber}>
+          <Text style={styles.directionNumberText}>{index + 1}</Text>
+        </View>
+        <Text style={styles.directionIcon}>{getStepIcon(step)}</Text>
+        <View style={styles.directionBody}>
+          <Text style={[styles.directionText, evacuation && styles.directionTextEvacuation]}>
+            {renderDirectionStep(step, language)}
+          </Text>
+          {stepSeconds > 0 && (
+            <Text style={styles.directionEta}>
+              {t('mapDisplay.stepEta', { duration: formatDuration(stepSeconds, language) })}
+            </Text>
+          )}
+          {isActive && canAvoidStep(pathData.directions[index]) && (
+            <TouchableOpacity style={styles.avoidStepButton} onPress={() => avoidStep(index)}>
+              <Text style={styles.avoidButtonText}>{t('mapDisplay.avoidEdge')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   const handleNodePress = (node) => {
     // If node has 360° image, open 360 view directly
     if (hasImage360(node)) {
@@ -649,7 +1079,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
     const nodesWithImages = pathData?.path?.filter((n) => hasImage360(n)) || [];
     
     if (nodesWithImages.length === 0) {
-      Alert.alert('Not Available', 'No 360° images available for this route');
+      Alert.alert(t('mapDisplay.no360Title'), t('mapDisplay.no360'));
       return;
     }
     
@@ -833,8 +1263,8 @@ const MapDisplayScreen = ({ route, navigation }) => {
         const targetImageIndex = nodesWithImages.findIndex(n => n.node_id === nextNode.node_id);
         markers.push({
           angle: nextNode.compass_angle,
-          label: 'Go This Way',
-          subLabel: `${nextNode.distance_from_prev}m to ${nextNode.name}`,
+          label: t('mapDisplay.goThisWay'),
+          subLabel: t('mapDisplay.markerDistance', { distance: nextNode.distance_from_prev, name: nextNode.name }),
           isNext: true,
           isStaircase: nextNode.is_staircase,
           targetNode: nextNode,
@@ -855,7 +1285,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
         const targetImageIndex = nodesWithImages.findIndex(n => n.node_id === prevNodeData.node_id);
         markers.push({
           angle: reverseAngle,
-          label: 'Back',
+          label: t('mapDisplay.navBack'),
           subLabel: prevNodeData.name,
           isNext: false,
           isStaircase: prevNode.is_staircase,
@@ -866,7 +1296,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
     }
     
     return markers;
-  }, [pathData?.path, current360Node?.node_id, hasImage360]);
+  }, [pathData?.path, current360Node?.node_id, hasImage360, t]);
 
   // Calculate marker position based on compass angle and current view angle
   const calculateMarkerPosition = useCallback((markerAngle) => {
@@ -906,7 +1336,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
 
     const calibration = MAP_CALIBRATION[MAP_ASSETS.DEFAULT_CAMPUS_MAP] || { scale: 1, offsetX: 0, offsetY: 0 };
 
-    const points = pathData.path
+    const toScreenPoints = (path) => path
       .filter((node) => node.map_x !== null && node.map_y !== null)
       .map((node) => {
         const point = { x: node.map_x, y: node.map_y };
@@ -918,13 +1348,38 @@ const MapDisplayScreen = ({ route, navigation }) => {
         };
       });
 
+    const points = toScreenPoints(pathData.path);
+
     if (points.length === 0) return null;
 
     const pathString = points.map((p) => `${p.x},${p.y}`).join(' ');
+    let routeColor = THEME_COLORS.primary;
+    if (evacuation) {
+      routeColor = EVACUATION_ROUTE_COLOR;
+    } else if (alternativeRoutes.length > 1) {
+      routeColor = ROUTE_COLORS[selectedRouteIndex % ROUTE_COLORS.length];
+    }
+
+    // Numbered markers for itinerary stops
+    const stopMarkers = (pathData.stops || [])
+      .map((stop) => {
+        const [point] = toScreenPoints([pathData.path[stop.path_index]].filter(Boolean));
+        return point ? { ...point, stopNumber: stop.stop_number } : null;
+      })
+      .filter(Boolean);
+
+    // Segment covered by the highlighted direction step
+    const activeStep = activeStepIndex !== null ? pathData.directions?.[activeStepIndex] : null;
+    const activePoints = activeStep?.path_index
+      ? toScreenPoints(pathData.path.slice(activeStep.path_index.start, activeStep.path_index.end + 1))
+      : [];
+
+    // Nodes within the selected walking time of the start
+    const reachPoints = toScreenPoints(reachableNodes.map((r) => r.node));
 
     const baseRadius = 10;
     const baseStroke = 3;
-    const baseLineWidth = 4;
+    const baseLineWidth = evacuation ? 7 : 4;
     const dotRadius = Math.max(4, baseRadius / _zoom);
     const strokeWidth = Math.max(1, baseStroke / _zoom);
     const lineWidth = Math.max(2, baseLineWidth / _zoom);
@@ -935,16 +1390,68 @@ const MapDisplayScreen = ({ route, navigation }) => {
         width={_dims.width}
         height={_dims.height}
       >
+        {/* Shade reachable nodes underneath everything else */}
+        {reachPoints.map((point) => (
+          <Circle
+            key={`reach-${point.node_id}`}
+            cx={point.x}
+            cy={point.y}
+            r={dotRadius * 2.5}
+            fill={REACH_COLOR}
+            stroke="none"
+          />
+        ))}
+
+        {/* Draw unselected alternative routes underneath */}
+        {alternativeRoutes.map((alt, altIndex) => {
+          if (altIndex === selectedRouteIndex) return null;
+          return (
+            <Polyline
+              key={`alt-${altIndex}`}
+              points={toScreenPoints(alt.path).map((p) => `${p.x},${p.y}`).join(' ')}
+              fill="none"
+              stroke={ROUTE_COLORS[altIndex % ROUTE_COLORS.length]}
+              strokeOpacity={0.45}
+              strokeWidth={lineWidth}
+              strokeDasharray={`${lineWidth * 2},${lineWidth * 2}`}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          );
+        })}
+
         {/* Draw path line */}
         <Polyline
           points={pathString}
           fill="none"
-          stroke={THEME_COLORS.primary}
+          stroke={routeColor}
           strokeWidth={lineWidth}
           strokeLinecap="round"
           strokeLinejoin="round"
         />
 
+        {/* Highlight the selected direction step */}
+        {activePoints.length > 1 && (
+          <Polyline
+            points={activePoints.map((p) => `${p.x},${p.y}`).join(' ')}
+            fill="none"
+            stroke={ACTIVE_STEP_COLOR}
+            strokeWidth={lineWidth * 1.5}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        )}
+        {activePoints.length === 1 && (
+          <Circle
+            cx={activePoints[0].x}
+            cy={activePoints[0].y}
+            r={dotRadius * 1.8}
+            fill="none"
+            stroke={ACTIVE_STEP_COLOR}
+            strokeWidth={strokeWidth * 1.5}
+          />
+        )}
+
         {/* Draw nodes */}
         {points.map((point, index) => {
           const isStart = index === 0;
@@ -987,6 +1494,30 @@ const MapDisplayScreen = ({ route, navigation }) => {
             </React.Fragment>
           );
         })}
+
+        {/* Draw numbered stop markers */}
+        {stopMarkers.map((marker) => (
+          <React.Fragment key={`stop-${marker.stopNumber}`}>
+            <Circle
+              cx={marker.x}
+              cy={marker.y}
+              r={dotRadius * 1.6}
+              fill="#2196F3"
+              stroke="#FFFFFF"
+              strokeWidth={strokeWidth}
+            />
+            <SvgText
+              x={marker.x}
+              y={marker.y + (dotRadius * 0.6)}
+              fontSize={dotRadius * 1.6}
+              fontWeight="bold"
+              fill="#FFFFFF"
+              textAnchor="middle"
+            >
+              {marker.stopNumber}
+            </SvgText>
+          </React.Fragment>
+        ))}
       </Svg>
     );
   };
@@ -995,7 +1526,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color={THEME_COLORS.primary} />
-        <Text style={styles.loadingText}>Finding your path...</Text>
+        <Text style={styles.loadingText}>{t('mapDisplay.loading')}</Text>
       </View>
     );
   }
@@ -1004,11 +1535,11 @@ const MapDisplayScreen = ({ route, navigation }) => {
     <GestureHandlerRootView style={{ flex: 1 }}>
       <SafeAreaView style={styles.container}>
         {/* Header */}
-        <View style={styles.header}>
+        <View style={[styles.header, evacuation && styles.headerEvacuation]}>
           <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
-            <Text style={styles.backButtonText}>‹ Back</Text>
+            <Text style={styles.backButtonText}>{t('common.back')}</Text>
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Route Map</Text>
+          <Text style={styles.headerTitle}>{t(evacuation ? 'mapDisplay.evacuationTitle' : 'mapDisplay.title')}</Text>
           <View style={styles.placeholder} />
         </View>
 
@@ -1016,25 +1547,66 @@ const MapDisplayScreen = ({ route, navigation }) => {
         {isOfflineMode && (
           <View style={styles.offlineModeBanner}>
             <Text style={styles.offlineModeText}>
-              📴 Offline Mode - Using cached data
+              {t('mapDisplay.offlineBanner')}
             </Text>
           </View>
         )}
 
+        {/* Evacuation Banner - where to go, readable at a glance */}
+        {evacuation && goalNode && (
+          <View style={styles.evacuationBanner}>
+            <Text style={styles.evacuationBannerTitle}>{t('mapDisplay.evacuationGoTo', { name: goalNode.name })}</Text>
+            <Text style={styles.evacuationBannerText}>
+              {t('mapDisplay.evacuationNote', { distance: Math.round(pathData.total_distance) })}
+            </Text>
+          </View>
+        )}
+
+        {/* Detour Banner - the route avoids a closed edge or node */}
+        {pathData?.detour && (
+          <View style={styles.detourBanner}>
+            <Text style={styles.detourTitle}>
+              {t('mapDisplay.detourBanner', { distance: Math.round(pathData.detour.extra_distance) })}
+            </Text>
+            {pathData.detour.closures.map((closure) => (
+              <Text key={`${closure.kind}-${closure.id}`} style={styles.detourText}>
+                {closure.until
+                  ? t(closure.reason ? 'mapDisplay.detourClosure' : 'mapDisplay.detourClosureNoReason', {
+                    name: closure.name,
+                    reason: closure.reason,
+                    time: formatClosureEnd(closure.until),
+                  })
+                  : t('mapDisplay.detourOutsideHours', { name: closure.name })}
+              </Text>
+            ))}
+          </View>
+        )}
+
       <ScrollView style={styles.content}>
         {/* Route Info Card */}
         <View style={styles.infoCard}>
           <View style={styles.infoRow}>
             <View style={styles.infoItem}>
-              <Text style={styles.infoLabel}>From</Text>
-              <Text style={styles.infoValue}>{startNode.name}</Text>
-              <Text style={styles.infoSubtext}>{startNode.building}</Text>
+              <Text style={styles.infoLabel}>{t('mapDisplay.from')}</Text>
+              <Text style={styles.infoValue}>{origin.name}</Text>
+              <Text style={styles.infoSubtext}>{origin.building}</Text>
             </View>
             <Text style={styles.arrowIcon}>→</Text>
             <View style={styles.infoItem}>
-              <Text style={styles.infoLabel}>To</Text>
-              <Text style={styles.infoValue}>{endNode.name}</Text>
-              <Text style={styles.infoSubtext}>{endNode.building}</Text>
+              <Text style={styles.infoLabel}>{t('mapDisplay.to')}</Text>
+              {isItinerary && pathData?.goal ? (
+                <>
+                  <Text style={styles.infoValue}>{pathData.goal.name}</Text>
+                  <Text style={styles.infoSubtext}>
+                    {t('mapDisplay.viaStops', { count: pathData.stops.length - 1 })}
+                  </Text>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.infoValue}>{goalNode?.name}</Text>
+                  <Text style={styles.infoSubtext}>{goalNode?.building}</Text>
+                </>
+              )}
             </View>
           </View>
           
@@ -1042,12 +1614,24 @@ const MapDisplayScreen = ({ route, navigation }) => {
             <View style={styles.statsRow}>
               <View style={styles.stat}>
                 <Text style={styles.statValue}>{pathData.total_distance}m</Text>
-                <Text style={styles.statLabel}>Distance</Text>
+                <Text style={styles.statLabel}>{t('mapDisplay.distance')}</Text>
               </View>
+              {eta && (
+                <View style={styles.stat}>
+                  <Text style={styles.statValue}>{formatDuration(eta.total_seconds, language)}</Text>
+                  <Text style={styles.statLabel}>{t('mapDisplay.walkingTime')}</Text>
+                </View>
+              )}
               <View style={styles.stat}>
                 <Text style={styles.statValue}>{pathData.num_nodes}</Text>
-                <Text style={styles.statLabel}>Stops</Text>
+                <Text style={styles.statLabel}>{t('mapDisplay.stops')}</Text>
               </View>
+              {routingProfile !== DEFAULT_PROFILE_ID && (
+                <View style={styles.stat}>
+                  <Text style={styles.statValue}>{getRoutingProfile(routingProfile).icon}</Text>
+                  <Text style={styles.statLabel}>{t(`profiles.${getRoutingProfile(routingProfile).id}.label`)}</Text>
+                </View>
+              )}
               {isOfflineRoute && (
                 <OfflineModeBadge 
                   isOffline={true}
@@ -1057,6 +1641,108 @@ const MapDisplayScreen = ({ route, navigation }) => {
               )}
             </View>
           )}
+
+          {/* Walking pace and class-change check */}
+          {eta && (
+            <View style={styles.etaRow}>
+              <TouchableOpacity
+                style={[styles.paceToggle, walkingPace === PACES.RUSH && styles.paceToggleActive]}
+                onPress={toggleRushPace}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.paceToggleText, walkingPace === PACES.RUSH && styles.paceToggleTextActive]}>
+                  {t('mapDisplay.rushPace')}
+                </Text>
+              </TouchableOpacity>
+              <Text style={[styles.classChangeNote, !eta.fits_class_change && styles.classChangeNoteLate]}>
+                {t(eta.fits_class_change ? 'mapDisplay.classChangeOk' : 'mapDisplay.classChangeLate', {
+                  minutes: CLASS_CHANGE_SECONDS / 60,
+                })}
+              </Text>
+            </View>
+          )}
+
+          {/* Keep this route's images offline */}
+          {savedRouteId && !evacuation && (
+            <View style={styles.etaRow}>
+              <TouchableOpacity
+                style={[styles.paceToggle, savedRouteIds.includes(savedRouteId) && styles.paceToggleActive]}
+                onPress={toggleSavedRoute}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.paceToggleText, savedRouteIds.includes(savedRouteId) && styles.paceToggleTextActive]}>
+                  {t(savedRouteIds.includes(savedRouteId) ? 'mapDisplay.routeSaved' : 'mapDisplay.saveRoute')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Reachability shading from the start node (not while evacuating) */}
+          {!evacuation && (
+          <View style={styles.reachRow}>
+            <Text style={styles.reachLabel}>{t('mapDisplay.reachableFrom', { name: origin.name })}</Text>
+            {REACH_MINUTES.map((minutes) => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.paceToggle, styles.reachChip, reachMinutes === minutes && styles.paceToggleActive]}
+                onPress={() => toggleReachMinutes(minutes)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.paceToggleText, reachMinutes === minutes && styles.paceToggleTextActive]}>
+                  {formatDuration(minutes * 60, language)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          )}
+          {reachMinutes && !evacuation && (
+            <Text style={styles.reachNote}>
+              {t('mapDisplay.reachableCount', { count: reachableNodes.length, minutes: reachMinutes })}
+            </Text>
+          )}
+
+          {/* Places the visitor chose to route around */}
+          {hasAvoided(avoided) ? (
+            <View style={styles.reachRow}>
+              <Text style={styles.reachLabel}>
+                {t(avoided.soft ? 'mapDisplay.avoidingSoft' : 'mapDisplay.avoiding')}
+              </Text>
+              {avoided.nodes.map((node) => (
+                <TouchableOpacity
+                  key={`node-${node.node_code}`}
+                  style={[styles.paceToggle, styles.reachChip, styles.avoidChip]}
+                  onPress={() => unavoidNode(node.node_code)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.paceToggleText, styles.avoidChipText]}>{node.name} ✕</Text>
+                </TouchableOpacity>
+              ))}
+              {avoided.edges.map((hallway) => (
+                <TouchableOpacity
+                  key={`edges-${hallway.edge_ids.join('-')}`}
+                  style={[styles.paceToggle, styles.reachChip, styles.avoidChip]}
+                  onPress={() => unavoidHallway(hallway.edge_ids)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.paceToggleText, styles.avoidChipText]}>
+                    {t('mapDisplay.avoidedEdge', { name: hallway.name })} ✕
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {avoided.buildings.map((building) => (
+                <TouchableOpacity
+                  key={`building-${building}`}
+                  style={[styles.paceToggle, styles.reachChip, styles.avoidChip]}
+                  onPress={() => unavoidBuilding(building)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.paceToggleText, styles.avoidChipText]}>🏢 {building} ✕</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            pathData && <Text style={styles.reachNote}>{t('mapDisplay.avoidHint')}</Text>
+          )}
           
           {/* Offline Info Card */}
           <OfflineInfoCard
@@ -1072,17 +1758,17 @@ const MapDisplayScreen = ({ route, navigation }) => {
         {campusMap && (
           <View style={styles.mapContainer}>
             <View style={styles.mapTitleRow}>
-              <Text style={styles.sectionTitle}>Campus Map</Text>
+              <Text style={styles.sectionTitle}>{t('mapDisplay.campusMap')}</Text>
               <View style={styles.mapTitleActions}>
                 <TouchableOpacity style={styles.resetZoomButton} onPress={resetMapZoom}>
-                  <Text style={styles.resetZoomText}>⟲ Reset</Text>
+                  <Text style={styles.resetZoomText}>{t('mapDisplay.resetZoom')}</Text>
                 </TouchableOpacity>
                 <TouchableOpacity style={styles.fullscreenButton} onPress={openFullscreenMap}>
-                  <Text style={styles.fullscreenButtonText}>⛶ Fullscreen</Text>
+                  <Text style={styles.fullscreenButtonText}>{t('mapDisplay.fullscreen')}</Text>
                 </TouchableOpacity>
               </View>
             </View>
-            <Text style={styles.mapHint}>Pinch to zoom • Drag to pan • Tap ⛶ for fullscreen</Text>
+            <Text style={styles.mapHint}>{t('mapDisplay.mapHint')}</Text>
             <View style={styles.mapClipContainer}>
               <PinchGestureHandler
                 onGestureEvent={onPinchEvent}
@@ -1118,36 +1804,88 @@ const MapDisplayScreen = ({ route, navigation }) => {
             <View style={styles.legend}>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: '#4CAF50' }]} />
-                <Text style={styles.legendText}>Start</Text>
+                <Text style={styles.legendText}>{t('mapDisplay.legendStart')}</Text>
               </View>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: '#F44336' }]} />
-                <Text style={styles.legendText}>End</Text>
+                <Text style={styles.legendText}>{t('mapDisplay.legendEnd')}</Text>
               </View>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: '#FF9800' }]} />
-                <Text style={styles.legendText}>360° View</Text>
+                <Text style={styles.legendText}>{t('mapDisplay.legend360')}</Text>
               </View>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: THEME_COLORS.primary }]} />
-                <Text style={styles.legendText}>Waypoint</Text>
+                <Text style={styles.legendText}>{t('mapDisplay.legendWaypoint')}</Text>
               </View>
+              {reachMinutes && (
+                <View style={styles.legendItem}>
+                  <View style={[styles.legendDot, { backgroundColor: REACH_COLOR }]} />
+                  <Text style={styles.legendText}>{t('mapDisplay.legendReachable')}</Text>
+                </View>
+              )}
             </View>
           </View>
         )}
 
+        {/* Alternative Routes */}
+        {alternativeRoutes.length > 1 && (
+          <View style={styles.directionsContainer}>
+            <Text style={styles.sectionTitle}>{t('mapDisplay.routes')}</Text>
+            {alternativeRoutes.map((alt, altIndex) => {
+              const isSelected = altIndex === selectedRouteIndex;
+              return (
+                <TouchableOpacity
+                  key={`route-${altIndex}`}
+                  style={[styles.routeOption, isSelected && styles.routeOptionSelected]}
+                  onPress={() => selectRoute(altIndex)}
+                  activeOpacity={0.7}
+                >
+                  <View
+                    style={[
+                      styles.routeSwatch,
+                      { backgroundColor: ROUTE_COLORS[altIndex % ROUTE_COLORS.length] },
+                    ]}
+                  />
+                  <Text style={styles.routeOptionTitle}>
+                    {altIndex === 0 ? t('mapDisplay.bestRoute') : t('mapDisplay.alternative', { number: altIndex })}
+                  </Text>
+                  <Text style={styles.routeOptionStats}>
+                    {formatDuration(estimateRoute(alt, routingProfile, walkingPace).total_seconds, language)} • {alt.total_distance}m • {t('mapDisplay.stairCount', { count: alt.stair_count })} • {t('mapDisplay.floorChangeCount', { count: alt.floor_changes })}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+
         {/* Turn-by-Turn Directions */}
         {pathData && pathData.directions && (
           <View style={styles.directionsContainer}>
-            <Text style={styles.sectionTitle}>Directions</Text>
-            {pathData.directions.map((direction, index) => (
-              <View key={index} style={styles.directionItem}>
-                <View style={styles.directionNumber}>
-                  <Text style={styles.directionNumberText}>{index + 1}</Text>
-                </View>
-                <Text style={styles.directionText}>{direction}</Text>
-              </View>
-            ))}
+            <Text style={styles.sectionTitle}>{t('mapDisplay.directions')}</Text>
+            {pathData.legs ? (
+              // Itinerary: group directions by leg, numbering continues across legs
+              pathData.legs.map((leg, legIndex) => {
+                const offset = pathData.legs
+                  .slice(0, legIndex)
+                  .reduce((sum, prev) => sum + prev.directions.length, 0);
+                return (
+                  <View key={`leg-${legIndex}`}>
+                    <View style={styles.legHeader}>
+                      <View style={styles.legBadge}>
+                        <Text style={styles.legBadgeText}>{legIndex + 1}</Text>
+                      </View>
+                      <Text style={styles.legHeaderText}>
+                        {leg.to?.name} • {leg.total_distance}m
+                      </Text>
+                    </View>
+                    {leg.directions.map((step, index) => renderDirectionItem(step, offset + index))}
+                  </View>
+                );
+              })
+            ) : (
+              pathData.directions.map((step, index) => renderDirectionItem(step, index))
+            )}
           </View>
         )}
 
@@ -1157,7 +1895,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
             style={styles.view360Button}
             onPress={() => handleView360()}
           >
-            <Text style={styles.view360ButtonText}>📷 View 360° Street View</Text>
+            <Text style={styles.view360ButtonText}>{t('mapDisplay.view360')}</Text>
           </TouchableOpacity>
         )}
       </ScrollView>
@@ -1175,7 +1913,24 @@ const MapDisplayScreen = ({ route, navigation }) => {
                 style={styles.view360SmallButton}
                 onPress={() => handleView360(selectedNode)}
               >
-                <Text style={styles.view360SmallButtonText}>View 360°</Text>
+                <Text style={styles.view360SmallButtonText}>{t('mapDisplay.view360Short')}</Text>
+              </TouchableOpacity>
+            )}
+            {getReroutableIndex(selectedNode) > 0 && (
+              <TouchableOpacity style={styles.view360SmallButton} onPress={rerouteFromSelected}>
+                <Text style={styles.view360SmallButtonText}>{t('mapDisplay.rerouteFromHere')}</Text>
+              </TouchableOpacity>
+            )}
+            {canAvoidNode(selectedNode) && (
+              <TouchableOpacity style={styles.avoidButton} onPress={() => avoidNode(selectedNode)}>
+                <Text style={styles.avoidButtonText}>{t('mapDisplay.avoidNode')}</Text>
+              </TouchableOpacity>
+            )}
+            {canAvoidBuilding(selectedNode.building) && (
+              <TouchableOpacity style={styles.avoidButton} onPress={() => avoidBuilding(selectedNode.building)}>
+                <Text style={styles.avoidButtonText}>
+                  {t('mapDisplay.avoidBuilding', { building: selectedNode.building })}
+                </Text>
               </TouchableOpacity>
             )}
             <TouchableOpacity
@@ -1221,6 +1976,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                     imageUrl={current360ImageUrl || getOptimizedImageUrl(current360Node.image360, imageQuality)}
                     quality={imageQuality}
                     position="left"
+                    onLoadError={handle360ImageError}
                   />
                   {/* Center (main) image */}
                   <Image360Part 
@@ -1228,6 +1984,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                     imageUrl={current360ImageUrl || getOptimizedImageUrl(current360Node.image360, imageQuality)}
                     quality={imageQuality}
                     position="center"
+                    onLoadError={handle360ImageError}
                   />
                   {/* Right copy for seamless wrapping */}
                   <Image360Part 
@@ -1235,6 +1992,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                     imageUrl={current360ImageUrl || getOptimizedImageUrl(current360Node.image360, imageQuality)}
                     quality={imageQuality}
                     position="right"
+                    onLoadError={handle360ImageError}
                   />
                 </Animated.View>
               </View>
@@ -1381,6 +2139,13 @@ const MapDisplayScreen = ({ route, navigation }) => {
                 <Text style={styles.uiToggleButtonText}>{hideUI ? '👁️' : '🙈'}</Text>
               </TouchableOpacity>
 
+              {/* Reroute from the viewed node */}
+              {!hideUI && getReroutableIndex(current360Node) > 0 && (
+                <TouchableOpacity style={styles.reroute360Button} onPress={rerouteFrom360}>
+                  <Text style={styles.reroute360ButtonText}>{t('mapDisplay.rerouteFromHere')}</Text>
+                </TouchableOpacity>
+              )}
+
               {/* Zoom Controls */}
               {!hideUI && (
                 <View style={styles.zoomControls}>
@@ -1388,7 +2153,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                     <Text style={styles.zoomButtonText}>+</Text>
                   </TouchableOpacity>
                   <TouchableOpacity style={styles.zoomButton} onPress={resetZoom360}>
-                    <Text style={styles.zoomButtonTextSmall}>Reset</Text>
+                    <Text style={styles.zoomButtonTextSmall}>{t('common.reset')}</Text>
                   </TouchableOpacity>
                   <TouchableOpacity style={styles.zoomButton} onPress={zoomOut360}>
                     <Text style={styles.zoomButtonText}>−</Text>
@@ -1421,7 +2186,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                         disabled={!canGoBack}
                       >
                         <Text style={styles.navButtonIcon}>◀</Text>
-                        <Text style={styles.navButtonLabel}>Back</Text>
+                        <Text style={styles.navButtonLabel}>{t('mapDisplay.navBack')}</Text>
                         {prevNode && <Text style={styles.navButtonSubLabel} numberOfLines={1}>{prevNode.name}</Text>}
                       </TouchableOpacity>
                     );
@@ -1447,7 +2212,7 @@ const MapDisplayScreen = ({ route, navigation }) => {
                         disabled={!canGoForward}
                       >
                         <Text style={styles.navButtonIcon}>▶</Text>
-                        <Text style={styles.navButtonLabel}>Forward</Text>
+                        <Text style={styles.navButtonLabel}>{t('mapDisplay.navForward')}</Text>
                         {nextNode && <Text style={styles.navButtonSubLabel} numberOfLines={1}>{nextNode.name}</Text>}
                       </TouchableOpacity>
                     );
@@ -1470,28 +2235,20 @@ const MapDisplayScreen = ({ route, navigation }) => {
                         const currentIndex = pathData.path.findIndex(n => n.node_id === current360Node.node_id);
                         if (currentIndex < 0) return null;
                         
-                        const directionItems = [];
-                        
-                        // At the start node, show the "Face towards" instruction
-                        if (currentIndex === 0 && pathData.directions.length > 0) {
-                          directionItems.push(
-                            <View key="face" style={styles.direction360Item}>
-                              <Text style={styles.direction360Number}>1.</Text>
-                              <Text style={styles.direction360Text}>{pathData.directions[0]}</Text>
-                            </View>
-                          );
-                        }
-                        
-                        // Show the next move direction (how to get to the next node)
-                        const dirIndex = currentIndex + 1;
-                        if (dirIndex < pathData.directions.length) {
-                          directionItems.push(
-                            <View key="move" style={styles.direction360Item}>
-                              <Text style={styles.direction360Number}>{currentIndex === 0 ? '2.' : `${dirIndex + 1}.`}</Text>
-                              <Text style={styles.direction360Text}>{pathData.directions[dirIndex]}</Text>
+                        // Steps starting at this node ("Face towards" + first move at the start,
+                        // the arrival at the destination) or passing through it (merged hallways)
+                        const directionItems = pathData.directions
+                          .map((step, dirIndex) => ({ step, dirIndex }))
+                          .filter(({ step }) => step.path_index && (
+                            step.path_index.start === currentIndex ||
+                            (step.path_index.start < currentIndex && currentIndex < step.path_index.end)
+                          ))
+                          .map(({ step, dirIndex }) => (
+                            <View key={dirIndex} style={styles.direction360Item}>
+                              <Text style={styles.direction360Number}>{dirIndex + 1}.</Text>
+                              <Text style={styles.direction360Text}>{getStepIcon(step)} {renderDirectionStep(step, language)}</Text>
                             </View>
-                          );
-                        }
+                          ));
                         
                         return directionItems.length > 0 ? directionItems : null;
                       })()}
@@ -1530,11 +2287,11 @@ const MapDisplayScreen = ({ route, navigation }) => {
             {/* Header */}
             <View style={styles.fullscreenMapHeader}>
               <TouchableOpacity style={styles.fsHeaderButton} onPress={resetFullscreenMap}>
-                <Text style={styles.fsHeaderButtonText}>⟲ Reset</Text>
+                <Text style={styles.fsHeaderButtonText}>{t('mapDisplay.resetZoom')}</Text>
               </TouchableOpacity>
-              <Text style={styles.fsHeaderTitle}>📍 Campus Map</Text>
+              <Text style={styles.fsHeaderTitle}>📍 {t('mapDisplay.campusMap')}</Text>
               <TouchableOpacity style={styles.fsHeaderButton} onPress={() => setShowFullscreenMap(false)}>
-                <Text style={styles.fsHeaderButtonText}>✕ Close</Text>
+                <Text style={styles.fsHeaderButtonText}>{t('mapDisplay.closeFullscreen')}</Text>
               </TouchableOpacity>
             </View>
 
@@ -1572,22 +2329,22 @@ const MapDisplayScreen = ({ route, navigation }) => {
                 <View style={styles.fsFloatingLegendRow}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#4CAF50' }]} />
-                    <Text style={styles.fsLegendText}>Start</Text>
+                    <Text style={styles.fsLegendText}>{t('mapDisplay.legendStart')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#F44336' }]} />
-                    <Text style={styles.fsLegendText}>End</Text>
+                    <Text style={styles.fsLegendText}>{t('mapDisplay.legendEnd')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF9800' }]} />
-                    <Text style={styles.fsLegendText}>360° View</Text>
+                    <Text style={styles.fsLegendText}>{t('mapDisplay.legend360')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: THEME_COLORS.primary }]} />
-                    <Text style={styles.fsLegendText}>Waypoint</Text>
+                    <Text style={styles.fsLegendText}>{t('mapDisplay.legendWaypoint')}</Text>
                   </View>
                 </View>
-                <Text style={styles.fsHint}>Pinch to zoom • Drag to pan</Text>
+                <Text style={styles.fsHint}>{t('mapDisplay.fullscreenHint')}</Text>
               </View>
             </View>
           </View>
@@ -1622,6 +2379,27 @@ const styles = StyleSheet.create({
     padding: 15,
     backgroundColor: THEME_COLORS.primary,
   },
+  headerEvacuation: {
+    backgroundColor: EVACUATION_HEADER_COLOR,
+  },
+  evacuationBanner: {
+    backgroundColor: '#000000',
+    borderBottomWidth: 4,
+    borderBottomColor: EVACUATION_ROUTE_COLOR,
+    paddingVertical: 14,
+    paddingHorizontal: 15,
+  },
+  evacuationBannerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  evacuationBannerText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#FFEB3B',
+    marginTop: 4,
+  },
   backButton: {
     padding: 5,
   },
@@ -1638,6 +2416,23 @@ const styles = StyleSheet.create({
   placeholder: {
     width: 50,
   },
+  detourBanner: {
+    backgroundColor: '#FDECEA',
+    borderBottomWidth: 2,
+    borderBottomColor: THEME_COLORS.error,
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+  },
+  detourTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: THEME_COLORS.error,
+  },
+  detourText: {
+    fontSize: 12,
+    color: THEME_COLORS.text,
+    marginTop: 2,
+  },
   offlineModeBanner: {
     backgroundColor: '#FFF3CD',
     borderBottomWidth: 2,
@@ -1714,6 +2509,59 @@ const styles = StyleSheet.create({
     color: THEME_COLORS.textSecondary,
     marginTop: 5,
   },
+  etaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  paceToggle: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: THEME_COLORS.primary,
+    marginVertical: 4,
+  },
+  paceToggleActive: {
+    backgroundColor: THEME_COLORS.primary,
+  },
+  paceToggleText: {
+    fontSize: 13,
+    color: THEME_COLORS.primary,
+    fontWeight: '600',
+  },
+  paceToggleTextActive: {
+    color: '#FFFFFF',
+  },
+  classChangeNote: {
+    fontSize: 13,
+    color: '#2E7D32',
+    marginVertical: 4,
+  },
+  classChangeNoteLate: {
+    color: '#E65100',
+  },
+  reachRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  reachLabel: {
+    fontSize: 13,
+    color: THEME_COLORS.textSecondary,
+    marginRight: 8,
+  },
+  reachChip: {
+    marginRight: 8,
+  },
+  reachNote: {
+    fontSize: 12,
+    color: THEME_COLORS.textSecondary,
+    marginTop: 4,
+  },
   mapContainer: {
     backgroundColor: '#FFFFFF',
     margin: 15,
@@ -1826,12 +2674,93 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  directionItemActive: {
+    backgroundColor: '#FFF8E1',
+    borderRadius: 8,
+    borderBottomColor: ACTIVE_STEP_COLOR,
+  },
+  directionIcon: {
+    width: 26,
+    fontSize: 18,
+    lineHeight: 30,
+    textAlign: 'center',
+    marginRight: 6,
+  },
   directionText: {
     flex: 1,
     fontSize: 15,
     color: THEME_COLORS.text,
     lineHeight: 22,
   },
+  directionTextEvacuation: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000000',
+    lineHeight: 26,
+  },
+  directionBody: {
+    flex: 1,
+  },
+  directionEta: {
+    fontSize: 12,
+    color: THEME_COLORS.textSecondary,
+    marginTop: 2,
+  },
+  routeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderColor: '#E0E0E0',
+  },
+  routeOptionSelected: {
+    borderColor: THEME_COLORS.primary,
+    backgroundColor: '#FAF3F3',
+  },
+  routeSwatch: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  routeOptionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: THEME_COLORS.text,
+    marginRight: 10,
+  },
+  routeOptionStats: {
+    fontSize: 13,
+    color: THEME_COLORS.textSecondary,
+  },
+  legHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  legBadge: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  legBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  legHeaderText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: THEME_COLORS.text,
+  },
   view360Button: {
     backgroundColor: THEME_COLORS.secondary,
     margin: 15,
@@ -1880,6 +2809,34 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  avoidButton: {
+    borderWidth: 1,
+    borderColor: THEME_COLORS.error,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  avoidStepButton: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: THEME_COLORS.error,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    marginTop: 6,
+  },
+  avoidButtonText: {
+    color: THEME_COLORS.error,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  avoidChip: {
+    borderColor: THEME_COLORS.error,
+  },
+  avoidChipText: {
+    color: THEME_COLORS.error,
+  },
   closeNodeInfo: {
     position: 'absolute',
     top: 10,
@@ -1946,6 +2903,23 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: '#FFFFFF',
   },
+  reroute360Button: {
+    position: 'absolute',
+    left: 20,
+    top: 80,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    borderWidth: 2,
+    borderColor: '#FFFFFF',
+    zIndex: 100,
+  },
+  reroute360ButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   zoomControls: {
     position: 'absolute',
     right: 20,
@@ -2364,11 +3338,12 @@ const styles = StyleSheet.create({
 });
 
 // Memoized 360 image component to prevent unnecessary re-renders
-const Image360Part = React.memo(({ nodeId, imageUrl, quality, position }) => {
+const Image360Part = React.memo(({ nodeId, imageUrl, quality, position, onLoadError }) => {
   return (
     <ExpoImage
       key={`360-${nodeId}-${quality}-${position}`}
       source={{ uri: imageUrl }}
+      onError={() => onLoadError?.(imageUrl)}
       style={styles.image360Part}
       contentFit="cover"
       cachePolicy="memory-disk"
@@ -12,20 +12,34 @@ import {
   Switch,
   Alert,
   ActivityIndicator,
+  TextInput,
+  Share,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { THEME_COLORS } from '../config';
+import { THEME_COLORS, API_BASE_URL } from '../config';
 import OfflineService from '../services/OfflineService';
+import ApiService from '../services/ApiService';
 import SyncManager from '../services/SyncManager';
 import { useDownload } from '../contexts/DownloadContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { hasEnoughSpace, estimateDownloadSize } from '../utils/StorageUtils';
+import { BUDGET_OPTIONS } from '../utils/imageCacheBudget';
 
 const OfflineSettingsScreen = ({ navigation }) => {
   const { downloadProgress, offlineStats, refreshStats, startDownload, clearCache } = useDownload();
+  const { t } = useLanguage();
   
   const [autoSync, setAutoSync] = useState(true);
   const [wifiOnly, setWifiOnly] = useState(false);
   const [syncStatus, setSyncStatus] = useState({ status: 'idle', message: '' });
   const [pathfindingAvailable, setPathfindingAvailable] = useState(false);
+  // Offline-vs-server route comparison (server can be a local stand-in)
+  const [consistencyServer, setConsistencyServer] = useState(API_BASE_URL);
+  const [consistencyRunning, setConsistencyRunning] = useState(false);
+  const [consistencyReport, setConsistencyReport] = useState(null);
+  // Panorama storage budget in bytes (null = no limit)
+  const [storageBudget, setStorageBudgetState] = useState(null);
+  const [savedRoutesCount, setSavedRoutesCount] = useState(0);
 
   useEffect(() => {
     loadSettings();
@@ -40,6 +54,8 @@ const OfflineSettingsScreen = ({ navigation }) => {
     const wifiOnlyEnabled = await SyncManager.isWifiOnlySync();
     setAutoSync(autoSyncEnabled);
     setWifiOnly(wifiOnlyEnabled);
+    setStorageBudgetState(await OfflineService.getStorageBudget());
+    setSavedRoutesCount((await OfflineService.getSavedRoutes()).length);
   };
 
   const checkPathfindingAvailability = async () => {
@@ -59,12 +75,12 @@ const OfflineSettingsScreen = ({ navigation }) => {
 
   const handleCheckUpdates = async () => {
     Alert.alert(
-      'Sync Data',
-      'Check for and download any new nodes, edges, or images from the server?',
+      t('offlineSettings.syncTitle'),
+      t('offlineSettings.syncPrompt'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Sync Now', 
+          text: t('offlineSettings.syncNow'), 
           onPress: async () => {
             const result = await SyncManager.checkForUpdates();
             if (result.success) {
@@ -73,24 +89,25 @@ const OfflineSettingsScreen = ({ navigation }) => {
               
               if (result.hasUpdates) {
                 Alert.alert(
-                  '✅ Sync Complete',
-                  `Updated successfully!\n\n` +
-                  `New nodes: ${result.newNodes || 0}\n` +
-                  `New images: ${result.newImages || 0}`,
-                  [{ text: 'OK' }]
+                  t('offlineSettings.syncCompleteTitle'),
+                  t('offlineSettings.syncComplete', {
+                    nodes: result.newNodes || 0,
+                    images: result.newImages || 0,
+                  }),
+                  [{ text: t('common.ok') }]
                 );
               } else {
                 Alert.alert(
-                  '✅ Already Up to Date',
-                  'Your offline data is current with the server.',
-                  [{ text: 'OK' }]
+                  t('offlineSettings.upToDateTitle'),
+                  t('offlineSettings.upToDate'),
+                  [{ text: t('common.ok') }]
                 );
               }
-            } else {
+            } else if (!result.cancelled) {
               Alert.alert(
-                '❌ Sync Failed',
-                result.error || 'Failed to check for updates. Please try again.',
-                [{ text: 'OK' }]
+                t('offlineSettings.syncFailedTitle'),
+                result.error || t('offlineSettings.syncFailed'),
+                [{ text: t('common.ok') }]
               );
             }
           }
@@ -99,31 +116,83 @@ const OfflineSettingsScreen = ({ navigation }) => {
     );
   };
 
+  const runDownloadAll = async () => {
+    await startDownload();
+    await checkPathfindingAvailability();
+  };
+
   const handleDownloadAll = () => {
     Alert.alert(
-      'Download Offline Data',
-      'This will download all map data and 360° images for offline use. This may use significant data.',
+      t('offlineSettings.downloadTitle'),
+      t('offlineSettings.downloadPrompt'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Download', 
+          text: t('offlineSettings.download'), 
           onPress: async () => {
-            await startDownload();
-            await checkPathfindingAvailability();
+            // Node count is only known after a first download
+            const space = offlineStats.nodesCount > 0
+              ? await hasEnoughSpace(estimateDownloadSize(offlineStats.nodesCount))
+              : { hasSpace: true };
+            if (space.hasSpace) {
+              await runDownloadAll();
+              return;
+            }
+            Alert.alert(
+              t('offlineSettings.lowStorageTitle'),
+              t(space.budgetLimited ? 'offlineSettings.lowBudget' : 'offlineSettings.lowStorage', {
+                required: space.requiredFormatted,
+                available: space.availableFormatted,
+              }),
+              [
+                { text: t('common.cancel'), style: 'cancel' },
+                { text: t('offlineSettings.downloadAnyway'), onPress: runDownloadAll },
+              ]
+            );
           }
         },
       ]
     );
   };
 
+  const handleStorageBudgetChange = async (bytes) => {
+    setStorageBudgetState(bytes);
+    try {
+      const result = await OfflineService.setStorageBudget(bytes);
+      await refreshStats();
+      if (!result.fits) {
+        Alert.alert(
+          t('offlineSettings.overBudgetTitle'),
+          t('offlineSettings.overBudget'),
+          [{ text: t('common.ok') }]
+        );
+      } else if (result.evicted > 0) {
+        Alert.alert(
+          t('offlineSettings.storageFreedTitle'),
+          t('offlineSettings.storageFreed', {
+            count: result.evicted,
+            size: OfflineService.formatBytes(result.freedBytes),
+          }),
+          [{ text: t('common.ok') }]
+        );
+      }
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('offlineSettings.budgetFailed', { error: error.message }),
+        [{ text: t('common.ok') }]
+      );
+    }
+  };
+
   const handleClearCache = () => {
     Alert.alert(
-      'Clear Offline Data',
-      'This will delete all cached maps and images. You will need to download them again for offline use.',
+      t('offlineSettings.clearData'),
+      t('offlineSettings.clearPrompt'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Clear', 
+          text: t('settings.clear'), 
           style: 'destructive',
           onPress: async () => {
             await clearCache();
@@ -136,9 +205,9 @@ const OfflineSettingsScreen = ({ navigation }) => {
 
   const handleVerifyPathfinding = async () => {
     Alert.alert(
-      '🔍 Verifying Pathfinding',
-      'Checking offline navigation capabilities...',
-      [{ text: 'OK' }]
+      t('offlineSettings.verifyingTitle'),
+      t('offlineSettings.verifying'),
+      [{ text: t('common.ok') }]
     );
 
     try {
@@ -146,21 +215,23 @@ const OfflineSettingsScreen = ({ navigation }) => {
       
       if (result.success) {
         Alert.alert(
-          '✅ Pathfinding Ready',
-          `Offline navigation is working!\n\n` +
-          `• Nodes: ${result.nodesCount}\n` +
-          `• Edges: ${result.edgesCount}\n` +
-          `• Status: ${result.message}`,
-          [{ text: 'OK' }]
+          t('offlineSettings.pathfindingReadyTitle'),
+          t('offlineSettings.pathfindingReady', {
+            nodes: result.nodesCount,
+            edges: result.edgesCount,
+            status: result.message,
+          }),
+          [{ text: t('common.ok') }]
         );
       } else {
         Alert.alert(
-          '❌ Pathfinding Issue',
-          `Problem detected:\n${result.error}\n\n` +
-          `Nodes: ${result.nodesCount || 0}\n` +
-          `Edges: ${result.edgesCount || 0}\n\n` +
-          `Please try downloading offline data again.`,
-          [{ text: 'OK' }]
+          t('offlineSettings.pathfindingIssueTitle'),
+          t('offlineSettings.pathfindingIssue', {
+            error: result.error,
+            nodes: result.nodesCount || 0,
+            edges: result.edgesCount || 0,
+          }),
+          [{ text: t('common.ok') }]
         );
       }
       
@@ -168,15 +239,97 @@ const OfflineSettingsScreen = ({ navigation }) => {
       await checkPathfindingAvailability();
     } catch (error) {
       Alert.alert(
-        'Error',
-        `Failed to verify pathfinding: ${error.message}`,
-        [{ text: 'OK' }]
+        t('common.error'),
+        t('offlineSettings.verifyFailed', { error: error.message }),
+        [{ text: t('common.ok') }]
+      );
+    }
+  };
+
+  const handleCheckImages = async () => {
+    try {
+      const diagnosis = await OfflineService.diagnoseOfflineData();
+      if (diagnosis.error) {
+        Alert.alert(
+          t('common.error'),
+          t('offlineSettings.checkImagesFailed', { error: diagnosis.error }),
+          [{ text: t('common.ok') }]
+        );
+        return;
+      }
+
+      const corrupt = diagnosis.corruptImages || [];
+      if (corrupt.length === 0) {
+        Alert.alert(
+          t('offlineSettings.imagesOkTitle'),
+          t('offlineSettings.imagesOk', { count: diagnosis.imagesChecked }),
+          [{ text: t('common.ok') }]
+        );
+      } else {
+        Alert.alert(
+          t('offlineSettings.imagesRepairedTitle'),
+          t('offlineSettings.imagesRepaired', {
+            count: corrupt.length,
+            checked: diagnosis.imagesChecked,
+            list: [
+              ...corrupt
+                .slice(0, 5)
+                .map((image) => `• ${image.name || image.nodeId} (${t(`offlineSettings.issue.${image.issue}`)})`),
+              ...(corrupt.length > 5 ? [t('offlineSettings.moreImages', { count: corrupt.length - 5 })] : []),
+            ].join('\n'),
+          }),
+          [{ text: t('common.ok') }]
+        );
+      }
+      await refreshStats();
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('offlineSettings.checkImagesFailed', { error: error.message }),
+        [{ text: t('common.ok') }]
+      );
+    }
+  };
+
+  const handleCompareRoutes = async () => {
+    setConsistencyRunning(true);
+    try {
+      const result = await ApiService.checkRouteConsistency({
+        baseURL: consistencyServer.trim() || API_BASE_URL,
+      });
+      if (!result.success) {
+        Alert.alert(t('offlineSettings.compareFailedTitle'), result.error, [{ text: t('common.ok') }]);
+        return;
+      }
+      setConsistencyReport(result.report);
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('offlineSettings.compareFailed', { error: error.message }),
+        [{ text: t('common.ok') }]
+      );
+    } finally {
+      setConsistencyRunning(false);
+    }
+  };
+
+  const handleShareReport = async () => {
+    try {
+      await Share.share({
+        title: t('offlineSettings.reportTitle'),
+        message: JSON.stringify(consistencyReport, null, 2),
+      });
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('offlineSettings.shareFailed', { error: error.message }),
+        [{ text: t('common.ok') }]
       );
     }
   };
 
   const formatLastSync = () => {
-    if (!offlineStats.lastSync) return 'Never';
+    if (!offlineStats.lastSync) return t('settings.never');
     return new Date(offlineStats.lastSync).toLocaleString();
   };
 
@@ -188,38 +341,38 @@ const OfflineSettingsScreen = ({ navigation }) => {
         {/* Header */}
         <View style={styles.header}>
           <TouchableOpacity onPress={() => navigation.goBack()}>
-            <Text style={styles.backBtn}>← Back</Text>
+            <Text style={styles.backBtn}>{t('common.back')}</Text>
           </TouchableOpacity>
-          <Text style={styles.title}>Offline Settings</Text>
+          <Text style={styles.title}>{t('offlineSettings.title')}</Text>
         </View>
 
         {/* Status Card */}
         <View style={styles.statusCard}>
           <View style={styles.statusRow}>
-            <Text style={styles.statusLabel}>Offline Mode</Text>
+            <Text style={styles.statusLabel}>{t('offlineSettings.offlineMode')}</Text>
             <View style={[
               styles.statusBadge, 
               { backgroundColor: offlineStats.offlineEnabled ? THEME_COLORS.success : '#ccc' }
             ]}>
               <Text style={styles.statusBadgeText}>
-                {offlineStats.offlineEnabled ? 'Ready' : 'Not Set Up'}
+                {offlineStats.offlineEnabled ? t('offlineSettings.ready') : t('offlineSettings.notSetUp')}
               </Text>
             </View>
           </View>
 
           <View style={styles.statusRow}>
-            <Text style={styles.statusLabel}>Offline Navigation</Text>
+            <Text style={styles.statusLabel}>{t('offlineSettings.offlineNavigation')}</Text>
             <View style={[
               styles.statusBadge, 
               { backgroundColor: pathfindingAvailable ? THEME_COLORS.success : '#ccc' }
             ]}>
               <Text style={styles.statusBadgeText}>
-                {pathfindingAvailable ? 'Available' : 'Unavailable'}
+                {pathfindingAvailable ? t('offlineSettings.available') : t('offlineSettings.unavailable')}
               </Text>
             </View>
           </View>
 
-          <Text style={styles.lastSync}>Last synced: {formatLastSync()}</Text>
+          <Text style={styles.lastSync}>{t('offlineSettings.lastSynced', { time: formatLastSync() })}</Text>
         </View>
 
         {/* Download Progress */}
@@ -227,7 +380,7 @@ const OfflineSettingsScreen = ({ navigation }) => {
           <View style={styles.progressCard}>
             <View style={styles.progressHeader}>
               <ActivityIndicator color={THEME_COLORS.primary} />
-              <Text style={styles.progressTitle}>Downloading...</Text>
+              <Text style={styles.progressTitle}>{t('settings.downloading')}</Text>
             </View>
             <View style={styles.progressBar}>
               <View style={[styles.progressFill, { width: `${downloadProgress.percentage}%` }]} />
@@ -240,35 +393,35 @@ const OfflineSettingsScreen = ({ navigation }) => {
 
         {/* Stats */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Cached Data</Text>
+          <Text style={styles.sectionTitle}>{t('offlineSettings.cachedData')}</Text>
           <View style={styles.statsGrid}>
             <View style={styles.statBox}>
               <Text style={styles.statNumber}>{offlineStats.nodesCount}</Text>
-              <Text style={styles.statLabel}>Locations</Text>
+              <Text style={styles.statLabel}>{t('offlineSettings.locations')}</Text>
             </View>
             <View style={styles.statBox}>
               <Text style={styles.statNumber}>{offlineStats.edgesCount}</Text>
-              <Text style={styles.statLabel}>Paths</Text>
+              <Text style={styles.statLabel}>{t('offlineSettings.paths')}</Text>
             </View>
             <View style={styles.statBox}>
               <Text style={styles.statNumber}>{offlineStats.imagesCount}</Text>
-              <Text style={styles.statLabel}>Images</Text>
+              <Text style={styles.statLabel}>{t('offlineSettings.images')}</Text>
             </View>
             <View style={styles.statBox}>
               <Text style={styles.statNumber}>{offlineStats.cacheSize}</Text>
-              <Text style={styles.statLabel}>Storage</Text>
+              <Text style={styles.statLabel}>{t('offlineSettings.storage')}</Text>
             </View>
           </View>
         </View>
 
         {/* Sync Settings */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Sync Settings</Text>
+          <Text style={styles.sectionTitle}>{t('offlineSettings.syncSettings')}</Text>
           
           <View style={styles.settingRow}>
             <View style={styles.settingInfo}>
-              <Text style={styles.settingLabel}>Auto-sync</Text>
-              <Text style={styles.settingDesc}>Automatically check for updates when online</Text>
+              <Text style={styles.settingLabel}>{t('offlineSettings.autoSync')}</Text>
+              <Text style={styles.settingDesc}>{t('settings.autoSyncDescription')}</Text>
             </View>
             <Switch
               value={autoSync}
@@ -279,8 +432,8 @@ const OfflineSettingsScreen = ({ navigation }) => {
 
           <View style={styles.settingRow}>
             <View style={styles.settingInfo}>
-              <Text style={styles.settingLabel}>WiFi Only</Text>
-              <Text style={styles.settingDesc}>Only sync when connected to WiFi</Text>
+              <Text style={styles.settingLabel}>{t('offlineSettings.wifiOnly')}</Text>
+              <Text style={styles.settingDesc}>{t('offlineSettings.wifiOnlyDescription')}</Text>
             </View>
             <Switch
               value={wifiOnly}
@@ -290,9 +443,37 @@ const OfflineSettingsScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Storage Budget */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('offlineSettings.storage')}</Text>
+          <View style={styles.budgetCard}>
+            <Text style={styles.settingLabel}>{t('offlineSettings.storageLimit')}</Text>
+            <Text style={styles.settingDesc}>
+              {t('offlineSettings.storageLimitDescription')}
+              {savedRoutesCount > 0
+                ? ` ${t('offlineSettings.savedRoutesKept', { count: savedRoutesCount })}`
+                : ''}
+            </Text>
+            <View style={styles.budgetOptions}>
+              {BUDGET_OPTIONS.map((bytes) => (
+                <TouchableOpacity
+                  key={String(bytes)}
+                  style={[styles.budgetChip, storageBudget === bytes && styles.budgetChipActive]}
+                  onPress={() => handleStorageBudgetChange(bytes)}
+                  disabled={isDownloading}
+                >
+                  <Text style={[styles.budgetChipText, storageBudget === bytes && styles.budgetChipTextActive]}>
+                    {bytes === null ? t('offlineSettings.noLimit') : OfflineService.formatBytes(bytes)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        </View>
+
         {/* Actions */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Actions</Text>
+          <Text style={styles.sectionTitle}>{t('offlineSettings.actions')}</Text>
 
           <TouchableOpacity 
             style={[styles.actionBtn, styles.primaryBtn]}
@@ -301,8 +482,8 @@ const OfflineSettingsScreen = ({ navigation }) => {
           >
             <Text style={styles.actionBtnIcon}>🔄</Text>
             <View style={styles.actionBtnContent}>
-              <Text style={styles.actionBtnText}>Check for Updates</Text>
-              <Text style={styles.actionBtnDesc}>Download new locations and paths</Text>
+              <Text style={styles.actionBtnText}>{t('offlineSettings.checkUpdates')}</Text>
+              <Text style={styles.actionBtnDesc}>{t('offlineSettings.checkUpdatesDescription')}</Text>
             </View>
           </TouchableOpacity>
 
@@ -313,8 +494,8 @@ const OfflineSettingsScreen = ({ navigation }) => {
           >
             <Text style={styles.actionBtnIcon}>📥</Text>
             <View style={styles.actionBtnContent}>
-              <Text style={styles.actionBtnText}>Download All Data</Text>
-              <Text style={styles.actionBtnDesc}>Full download including all images</Text>
+              <Text style={styles.actionBtnText}>{t('offlineSettings.downloadAll')}</Text>
+              <Text style={styles.actionBtnDesc}>{t('offlineSettings.downloadAllDescription')}</Text>
             </View>
           </TouchableOpacity>
 
@@ -325,11 +506,74 @@ const OfflineSettingsScreen = ({ navigation }) => {
           >
             <Text style={styles.actionBtnIcon}>🔍</Text>
             <View style={styles.actionBtnContent}>
-              <Text style={styles.actionBtnText}>Verify Navigation</Text>
-              <Text style={styles.actionBtnDesc}>Test offline pathfinding engine</Text>
+              <Text style={styles.actionBtnText}>{t('offlineSettings.verifyNavigation')}</Text>
+              <Text style={styles.actionBtnDesc}>{t('offlineSettings.verifyNavigationDescription')}</Text>
             </View>
           </TouchableOpacity>
 
+          <TouchableOpacity 
+            style={[styles.actionBtn, styles.secondaryBtn]}
+            onPress={handleCheckImages}
+            disabled={isDownloading || offlineStats.imagesCount === 0}
+          >
+            <Text style={styles.actionBtnIcon}>🩹</Text>
+            <View style={styles.actionBtnContent}>
+              <Text style={styles.actionBtnText}>{t('offlineSettings.checkImages')}</Text>
+              <Text style={styles.actionBtnDesc}>{t('offlineSettings.checkImagesDescription')}</Text>
+            </View>
+          </TouchableOpacity>
+
+          <View style={styles.consistencyCard}>
+            <Text style={styles.settingLabel}>{t('offlineSettings.compareServer')}</Text>
+            <Text style={styles.settingDesc}>{t('offlineSettings.compareServerDescription')}</Text>
+            <TextInput
+              style={styles.consistencyInput}
+              value={consistencyServer}
+              onChangeText={setConsistencyServer}
+              placeholder={API_BASE_URL}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <TouchableOpacity
+              style={[styles.actionBtn, styles.primaryBtn, styles.consistencyBtn]}
+              onPress={handleCompareRoutes}
+              disabled={isDownloading || consistencyRunning || !pathfindingAvailable}
+            >
+              <Text style={styles.actionBtnIcon}>⚖️</Text>
+              <View style={styles.actionBtnContent}>
+                <Text style={styles.actionBtnText}>{t('offlineSettings.compareRoutes')}</Text>
+                <Text style={styles.actionBtnDesc}>{t('offlineSettings.compareRoutesDescription')}</Text>
+              </View>
+              {consistencyRunning && <ActivityIndicator color={THEME_COLORS.primary} />}
+            </TouchableOpacity>
+
+            {consistencyReport && (
+              <View>
+                <Text style={styles.consistencySummary}>
+                  {consistencyReport.summary.mismatched === 0 ? '✅' : '⚠️'}{' '}
+                  {t('offlineSettings.routesMatch', {
+                    matched: consistencyReport.summary.matched,
+                    pairs: consistencyReport.summary.pairs,
+                  })}
+                </Text>
+                {consistencyReport.summary.mismatched > 0 && (
+                  <Text style={styles.settingDesc}>
+                    {t('offlineSettings.differences', {
+                      list: Object.entries(consistencyReport.summary.by_type)
+                        .filter(([, count]) => count > 0)
+                        .map(([type, count]) => `${type} ${count}`)
+                        .join(', '),
+                    })}
+                  </Text>
+                )}
+                <TouchableOpacity style={styles.shareReportBtn} onPress={handleShareReport}>
+                  <Text style={styles.shareReportText}>{t('offlineSettings.shareReport')}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+
           <TouchableOpacity 
             style={[styles.actionBtn, styles.dangerBtn]}
             onPress={handleClearCache}
@@ -338,25 +582,21 @@ const OfflineSettingsScreen = ({ navigation }) => {
             <Text style={styles.actionBtnIcon}>🗑️</Text>
             <View style={styles.actionBtnContent}>
               <Text style={[styles.actionBtnText, { color: THEME_COLORS.error }]}>
-                Clear Offline Data
+                {t('offlineSettings.clearData')}
               </Text>
-              <Text style={styles.actionBtnDesc}>Remove all cached data</Text>
+              <Text style={styles.actionBtnDesc}>{t('offlineSettings.clearDataDescription')}</Text>
             </View>
           </TouchableOpacity>
         </View>
 
         {/* Info */}
         <View style={styles.infoBox}>
-          <Text style={styles.infoTitle}>💡 About Offline Mode</Text>
-          <Text style={styles.infoText}>
-            When you download offline data, you can:
-          </Text>
-          <Text style={styles.infoBullet}>• Navigate without internet connection</Text>
-          <Text style={styles.infoBullet}>• View 360° images offline</Text>
-          <Text style={styles.infoBullet}>• Get directions between any locations</Text>
-          <Text style={styles.infoText}>
-            Data syncs automatically when you're back online (if enabled).
-          </Text>
+          <Text style={styles.infoTitle}>{t('offlineSettings.aboutTitle')}</Text>
+          <Text style={styles.infoText}>{t('offlineSettings.aboutIntro')}</Text>
+          <Text style={styles.infoBullet}>{t('offlineSettings.aboutNavigate')}</Text>
+          <Text style={styles.infoBullet}>{t('offlineSettings.about360')}</Text>
+          <Text style={styles.infoBullet}>{t('offlineSettings.aboutDirections')}</Text>
+          <Text style={styles.infoText}>{t('offlineSettings.aboutSync')}</Text>
         </View>
       </ScrollView>
     </SafeAreaView>
@@ -544,6 +784,72 @@ const styles = StyleSheet.create({
     color: THEME_COLORS.textSecondary,
     marginTop: 2,
   },
+  consistencyCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  consistencyInput: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: THEME_COLORS.text,
+    marginTop: 10,
+  },
+  consistencyBtn: {
+    marginTop: 10,
+    marginBottom: 0,
+    backgroundColor: THEME_COLORS.background,
+  },
+  consistencySummary: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: THEME_COLORS.text,
+    marginTop: 12,
+  },
+  budgetCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+  },
+  budgetOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  budgetChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: THEME_COLORS.primary,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  budgetChipActive: {
+    backgroundColor: THEME_COLORS.primary,
+  },
+  budgetChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: THEME_COLORS.primary,
+  },
+  budgetChipTextActive: {
+    color: '#fff',
+  },
+  shareReportBtn: {
+    paddingVertical: 8,
+    marginTop: 4,
+  },
+  shareReportText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: THEME_COLORS.primary,
+  },
   infoBox: {
     backgroundColor: '#E8F5E9',
     borderRadius: 12,
@@ -23,16 +23,21 @@ import { THEME_COLORS, APP_CONFIG } from '../config';
 import ApiService from '../services/ApiService';
 import { useAuth } from '../contexts/AuthContext';
 import { useDownload } from '../contexts/DownloadContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import SyncManager from '../services/SyncManager';
 import OfflineService from '../services/OfflineService';
 import { Image as ExpoImage } from 'expo-image';
 import { getOptimizedImageUrl } from '../utils/ImageOptimizer';
+import { getRoutingProfileList, DEFAULT_PROFILE_ID } from '../utils/routingProfiles';
+import { NEAREST_FACILITIES } from '../utils/facilityFilters';
+import { LANGUAGES } from '../utils/i18n';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 
 const PointSelectionScreen = ({ navigation }) => {
   const { isAdmin, login } = useAuth();
   const { isDownloading, startMetadataDownload } = useDownload();
+  const { t } = useLanguage();
   const [nodes, setNodes] = useState([]);
   const [events, setEvents] = useState([]);
   const [filteredNodes, setFilteredNodes] = useState([]);
@@ -40,7 +45,12 @@ const PointSelectionScreen = ({ navigation }) => {
   const [startPoint, setStartPoint] = useState(null);
   const [endPoint, setEndPoint] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
-  const [selectingType, setSelectingType] = useState(null); // 'start' or 'end'
+  const [selectingType, setSelectingType] = useState(null); // 'start', 'end' or 'stop'
+  // Extra destinations for multi-stop itineraries (visiting order is optimized)
+  const [extraStops, setExtraStops] = useState([]);
+  // Nearest-facility quick actions: { facilityId, label, distance } of the picked destination
+  const [nearestInfo, setNearestInfo] = useState(null);
+  const [nearestLoading, setNearestLoading] = useState(null); // facility id being searched
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(false);
   // Incremented every time the screen comes into focus to bust image caches
@@ -56,6 +66,9 @@ const PointSelectionScreen = ({ navigation }) => {
   const [settingsModalVisible, setSettingsModalVisible] = useState(false);
   const [imageQuality, setImageQuality] = useState('sd'); // 'hd' or 'sd'
 
+  // Accessibility routing profile (see utils/routingProfiles)
+  const [routingProfile, setRoutingProfile] = useState(DEFAULT_PROFILE_ID);
+
   // Network status
   const [isConnected, setIsConnected] = useState(true);
   const [offlineDataAvailable, setOfflineDataAvailable] = useState(false);
@@ -73,6 +86,7 @@ const PointSelectionScreen = ({ navigation }) => {
 
   useEffect(() => {
     loadImageQualitySetting();
+    loadRoutingProfileSetting();
     checkOfflineData();
     checkFirstRun();
     
@@ -188,15 +202,15 @@ const PointSelectionScreen = ({ navigation }) => {
         const netState = await NetInfo.fetch();
         if (netState.isConnected) {
           Alert.alert(
-            'Welcome!',
-            'To use the app offline and get faster pathfinding, we need to download the campus map metadata (~2MB). Images will be loaded on-demand.',
+            t('pointSelection.welcomeTitle'),
+            t('pointSelection.welcomeMessage'),
             [
               {
-                text: 'Later',
+                text: t('pointSelection.later'),
                 style: 'cancel'
               },
               {
-                text: 'Download Now',
+                text: t('pointSelection.downloadNow'),
                 onPress: async () => {
                   const result = await startMetadataDownload();
                   if (result.success) {
@@ -326,7 +340,7 @@ const PointSelectionScreen = ({ navigation }) => {
         setFilteredNodes(roomNodes);
       } else {
         console.error('Failed to load nodes:', response);
-        Alert.alert('Error', response.error || 'Failed to load nodes');
+        Alert.alert(t('common.error'), response.error || t('pointSelection.loadNodesFailed'));
       }
 
       // Load events
@@ -342,7 +356,7 @@ const PointSelectionScreen = ({ navigation }) => {
       }
     } catch (error) {
       console.error('Error loading nodes:', error);
-      Alert.alert('Error', error.error || error.message || 'Failed to load nodes. Please check your connection.');
+      Alert.alert(t('common.error'), error.error || error.message || t('pointSelection.loadNodesFailedConnection'));
     } finally {
       setLoading(false);
     }
@@ -359,6 +373,26 @@ const PointSelectionScreen = ({ navigation }) => {
     }
   };
 
+  const loadRoutingProfileSetting = async () => {
+    try {
+      const savedProfile = await AsyncStorage.getItem('routingProfile');
+      if (savedProfile) {
+        setRoutingProfile(savedProfile);
+      }
+    } catch (error) {
+      console.error('Error loading routing profile setting:', error);
+    }
+  };
+
+  const saveRoutingProfileSetting = async (profileId) => {
+    setRoutingProfile(profileId);
+    try {
+      await AsyncStorage.setItem('routingProfile', profileId);
+    } catch (error) {
+      console.error('Error saving routing profile setting:', error);
+    }
+  };
+
   const checkOfflineData = async () => {
     try {
       const available = await OfflineService.isPathfindingAvailable();
@@ -374,12 +408,12 @@ const PointSelectionScreen = ({ navigation }) => {
       await AsyncStorage.setItem('imageQuality', quality);
       setImageQuality(quality);
       Alert.alert(
-        'Settings Saved',
-        `360° images will now load in ${quality.toUpperCase()} quality`
+        t('pointSelection.settingsSavedTitle'),
+        t('pointSelection.qualitySaved', { quality: quality.toUpperCase() })
       );
     } catch (error) {
       console.error('Error saving image quality setting:', error);
-      Alert.alert('Error', 'Failed to save settings');
+      Alert.alert(t('common.error'), t('pointSelection.saveSettingsFailed'));
     }
   };
 
@@ -397,7 +431,7 @@ const PointSelectionScreen = ({ navigation }) => {
 
   const handleAdminLogin = async () => {
     if (!username || !password) {
-      Alert.alert('Error', 'Please enter username and password');
+      Alert.alert(t('common.error'), t('pointSelection.missingCredentials'));
       return;
     }
 
@@ -407,14 +441,14 @@ const PointSelectionScreen = ({ navigation }) => {
       setAdminModalVisible(false);
       setUsername('');
       setPassword('');
-      Alert.alert('Success', 'Logged in as admin', [
+      Alert.alert(t('pointSelection.loginSuccessTitle'), t('pointSelection.loggedInAsAdmin'), [
         {
-          text: 'OK',
+          text: t('common.ok'),
           onPress: () => navigation.navigate('AdminDashboard'),
         },
       ]);
     } else {
-      Alert.alert('Error', result.error || 'Login failed');
+      Alert.alert(t('common.error'), result.error || t('pointSelection.loginFailed'));
     }
   };
 
@@ -426,11 +460,25 @@ const PointSelectionScreen = ({ navigation }) => {
     console.log('Filtered nodes count:', filteredNodes.length);
   };
 
+  const addExtraStop = (node) => {
+    if (!node) return;
+    setExtraStops((prev) =>
+      prev.some((stop) => stop.node_id === node.node_id) ? prev : [...prev, node]
+    );
+  };
+
+  const removeExtraStop = (nodeId) => {
+    setExtraStops((prev) => prev.filter((stop) => stop.node_id !== nodeId));
+  };
+
   const selectNode = (node) => {
     if (selectingType === 'start') {
       setStartPoint(node);
+    } else if (selectingType === 'stop') {
+      addExtraStop(node);
     } else {
       setEndPoint(node);
+      setNearestInfo(null);
     }
     setModalVisible(false);
     setSearchQuery('');
@@ -440,8 +488,11 @@ const PointSelectionScreen = ({ navigation }) => {
     // Auto-fill destination with event's node location
     if (selectingType === 'start') {
       setStartPoint(event.location);
+    } else if (selectingType === 'stop') {
+      addExtraStop(event.location);
     } else {
       setEndPoint(event.location);
+      setNearestInfo(null);
     }
     setModalVisible(false);
     setSearchQuery('');
@@ -462,11 +513,15 @@ const PointSelectionScreen = ({ navigation }) => {
       >
         <View style={styles.nodeInfo}>
           <View style={styles.eventBadge}>
-            <Text style={styles.eventBadgeText}>EVENT</Text>
+            <Text style={styles.eventBadgeText}>{t('pointSelection.eventBadge')}</Text>
           </View>
           <Text style={styles.nodeName}>{item.event_name}</Text>
           <Text style={styles.nodeDetails}>
-            {item.category} • {item.node?.building} • Floor {item.node?.floor_level}
+            {t('pointSelection.eventDetails', {
+              category: item.category,
+              building: item.node?.building,
+              floor: item.node?.floor_level,
+            })}
           </Text>
           {item.start_datetime && (
             <Text style={styles.eventTime}>
@@ -515,45 +570,115 @@ const PointSelectionScreen = ({ navigation }) => {
     }
   };
 
+  const handleFindNearest = async (facility) => {
+    if (!startPoint) {
+      Alert.alert(t('pointSelection.startingPoint'), t('pointSelection.selectStartFirst'));
+      return;
+    }
+
+    try {
+      setNearestLoading(facility.id);
+      const response = await ApiService.findNearest(
+        startPoint.node_code,
+        facility.predicate,
+        1,
+        { offlineOnly: !isConnected || forceOfflineMode, profile: routingProfile }
+      );
+
+      if (!response.success) {
+        Alert.alert(t('pointSelection.nearestUnavailableTitle'), response.error || t('pointSelection.nearestUnavailable'));
+        return;
+      }
+      if (response.results.length === 0) {
+        Alert.alert(
+          t('pointSelection.nearestNotFoundTitle'),
+          t('pointSelection.nearestNotFound', {
+            facility: t(`facilities.${facility.id}`).toLowerCase(),
+            name: startPoint.name,
+          })
+        );
+        return;
+      }
+
+      const [nearest] = response.results;
+      setEndPoint(nearest.node);
+      setNearestInfo({ facilityId: facility.id, label: facility.label, distance: nearest.distance });
+    } catch (error) {
+      console.error('Nearest facility search failed:', error);
+      Alert.alert(t('common.error'), t('pointSelection.nearestFailed'));
+    } finally {
+      setNearestLoading(null);
+    }
+  };
+
+  // Emergency: straight to the nearest safe exit, no confirmation dialogs
+  const handleEvacuate = () => {
+    const isOffline = !isConnected || forceOfflineMode;
+    if (isOffline && !offlineDataAvailable) {
+      Alert.alert(t('common.error'), t('pointSelection.evacuateNoData'));
+      return;
+    }
+
+    navigation.navigate('MapDisplay', {
+      startNode: startPoint,
+      evacuation: true,
+      imageQuality: imageQuality,
+      routingProfile,
+      isOffline,
+    });
+  };
+
   const handleFindPath = async () => {
     if (!startPoint || !endPoint) {
-      Alert.alert('Error', 'Please select both starting point and destination');
+      Alert.alert(t('common.error'), t('pointSelection.selectBoth'));
       return;
     }
 
     if (startPoint.node_id === endPoint.node_id) {
-      Alert.alert('Error', 'Starting point and destination cannot be the same');
+      Alert.alert(t('common.error'), t('pointSelection.sameStartEnd'));
       return;
     }
 
+    // All destinations for a multi-stop itinerary, or null for a single route
+    const destinations = [endPoint, ...extraStops].filter(
+      (stop, index, all) =>
+        stop.node_id !== startPoint.node_id &&
+        all.findIndex((other) => other.node_id === stop.node_id) === index
+    );
+    const stops = destinations.length > 1 ? destinations : null;
+
     // Check if offline (either manually forced or no network) and warn user
     if (!isConnected || forceOfflineMode) {
       if (!offlineDataAvailable) {
         Alert.alert(
-          'No Internet Connection',
-          'You are offline and no offline data is available. Please connect to the internet to download maps and paths first.',
-          [{ text: 'OK' }]
+          t('pointSelection.noConnectionTitle'),
+          t('pointSelection.noConnectionNoData'),
+          [{ text: t('common.ok') }]
         );
         return;
       }
 
       // Show offline mode warning
-      const offlineReason = forceOfflineMode ? 'forced offline mode for testing' : 'no network connection';
+      const offlineReason = forceOfflineMode
+        ? t('pointSelection.offlineReasonForced')
+        : t('pointSelection.offlineReasonNoNetwork');
       Alert.alert(
-        '📴 Offline Mode',
-        `You are using ${offlineReason}. The app will use cached data for navigation.\n\n⚠️ Note: Any updates made on the server will not be reflected until you go online and sync your data.`,
+        t('pointSelection.offlineMode'),
+        t('pointSelection.offlineWarning', { reason: offlineReason }),
         [
           {
-            text: 'Cancel',
+            text: t('common.cancel'),
             style: 'cancel'
           },
           {
-            text: 'Continue Offline',
+            text: t('pointSelection.continueOffline'),
             onPress: () => {
               navigation.navigate('MapDisplay', {
                 startNode: startPoint,
                 endNode: endPoint,
+                stops,
                 imageQuality: imageQuality,
+                routingProfile,
                 isOffline: true,
               });
             }
@@ -567,7 +692,9 @@ const PointSelectionScreen = ({ navigation }) => {
     navigation.navigate('MapDisplay', {
       startNode: startPoint,
       endNode: endPoint,
+      stops,
       imageQuality: imageQuality,
+      routingProfile,
       isOffline: false,
     });
   };
@@ -580,10 +707,10 @@ const PointSelectionScreen = ({ navigation }) => {
           <Text style={styles.headerBackBtnText}>‹</Text>
         </TouchableOpacity>
         <TouchableOpacity onPress={handleTitleTap} activeOpacity={1} style={styles.headerTitleContainer}>
-          <Text style={styles.headerTitle}>Find Your Way</Text>
+          <Text style={styles.headerTitle}>{t('pointSelection.title')}</Text>
           {!isConnected && (
             <Text style={styles.offlineIndicator}>
-              📴 Offline Mode{offlineDataAvailable ? '' : ' - No Data'}
+              {offlineDataAvailable ? t('pointSelection.offlineMode') : t('pointSelection.offlineNoData')}
             </Text>
           )}
         </TouchableOpacity>
@@ -599,7 +726,7 @@ const PointSelectionScreen = ({ navigation }) => {
               style={styles.adminButton}
               onPress={() => navigation.navigate('AdminDashboard')}
             >
-              <Text style={styles.adminButtonText}>Admin</Text>
+              <Text style={styles.adminButtonText}>{t('pointSelection.admin')}</Text>
             </TouchableOpacity>
           )}
         </View>
@@ -611,15 +738,15 @@ const PointSelectionScreen = ({ navigation }) => {
           <View style={styles.offlineBanner}>
             <Text style={styles.offlineBannerText}>
               {offlineDataAvailable 
-                ? '⚠️ You are offline. Using cached data. Changes on the server won\'t be visible until you reconnect.'
-                : '❌ No offline data available. Please connect to the internet to download maps.'}
+                ? t('pointSelection.offlineBanner')
+                : t('pointSelection.offlineBannerNoData')}
             </Text>
           </View>
         )}
 
         {/* Starting Point Selector */}
         <View style={styles.section}>
-          <Text style={styles.label}>Starting Point</Text>
+          <Text style={styles.label}>{t('pointSelection.startingPoint')}</Text>
           <TouchableOpacity
             style={[styles.selector, startPoint && styles.selectorFilled]}
             onPress={() => openNodeSelector('start')}
@@ -629,18 +756,51 @@ const PointSelectionScreen = ({ navigation }) => {
               <View style={styles.selectedNode}>
                 <Text style={styles.selectedNodeName}>{startPoint.name}</Text>
                 <Text style={styles.selectedNodeDetails}>
-                  {startPoint.building} • Floor {startPoint.floor_level}
+                  {t('pointSelection.nodeDetails', { building: startPoint.building, floor: startPoint.floor_level })}
                 </Text>
               </View>
             ) : (
               <Text style={styles.selectorPlaceholder}>
-                Tap to select starting point
+                {t('pointSelection.selectStartPlaceholder')}
               </Text>
             )}
             <Text style={styles.selectorIcon}>📍</Text>
           </TouchableOpacity>
         </View>
 
+        {/* Nearest Facility Quick Actions */}
+        {startPoint && (
+          <View style={styles.nearestChips}>
+            {NEAREST_FACILITIES.map((facility) => (
+              <TouchableOpacity
+                key={facility.id}
+                style={[
+                  styles.profileChip,
+                  nearestInfo?.facilityId === facility.id && styles.profileChipSelected,
+                ]}
+                onPress={() => handleFindNearest(facility)}
+                disabled={nearestLoading !== null}
+                activeOpacity={0.7}
+              >
+                {nearestLoading === facility.id ? (
+                  <ActivityIndicator size="small" color={THEME_COLORS.primary} />
+                ) : (
+                  <Text style={styles.profileChipText}>
+                    {facility.icon} {t('pointSelection.nearestChip', { facility: t(`facilities.${facility.id}`) })}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Evacuation - route to the nearest safe exit */}
+        {startPoint && (
+          <TouchableOpacity style={styles.evacuateButton} onPress={handleEvacuate} activeOpacity={0.8}>
+            <Text style={styles.evacuateButtonText}>🚨 {t('pointSelection.evacuate')}</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Swap Button */}
         {startPoint && endPoint && (
           <TouchableOpacity
@@ -649,6 +809,7 @@ const PointSelectionScreen = ({ navigation }) => {
               const temp = startPoint;
               setStartPoint(endPoint);
               setEndPoint(temp);
+              setNearestInfo(null);
             }}
           >
             <Text style={styles.swapIcon}>⇅</Text>
@@ -657,7 +818,7 @@ const PointSelectionScreen = ({ navigation }) => {
 
         {/* End Point Selector */}
         <View style={styles.section}>
-          <Text style={styles.label}>Destination</Text>
+          <Text style={styles.label}>{t('pointSelection.destination')}</Text>
           <TouchableOpacity
             style={[styles.selector, endPoint && styles.selectorFilled]}
             onPress={() => openNodeSelector('end')}
@@ -667,16 +828,82 @@ const PointSelectionScreen = ({ navigation }) => {
               <View style={styles.selectedNode}>
                 <Text style={styles.selectedNodeName}>{endPoint.name}</Text>
                 <Text style={styles.selectedNodeDetails}>
-                  {endPoint.building} • Floor {endPoint.floor_level}
+                  {t('pointSelection.nodeDetails', { building: endPoint.building, floor: endPoint.floor_level })}
                 </Text>
               </View>
             ) : (
               <Text style={styles.selectorPlaceholder}>
-                Tap to select destination
+                {t('pointSelection.selectDestinationPlaceholder')}
               </Text>
             )}
             <Text style={styles.selectorIcon}>🎯</Text>
           </TouchableOpacity>
+          {nearestInfo && endPoint && (
+            <Text style={styles.profileDescription}>
+              {t('pointSelection.nearestNote', {
+                facility: t(`facilities.${nearestInfo.facilityId}`).toLowerCase(),
+                distance: nearestInfo.distance,
+              })}
+            </Text>
+          )}
+
+          {/* Additional Stops */}
+          {extraStops.map((stop, index) => (
+            <View key={stop.node_id} style={[styles.selector, styles.selectorFilled, styles.extraStop]}>
+              <View style={styles.selectedNode}>
+                <Text style={styles.selectedNodeName}>{stop.name}</Text>
+                <Text style={styles.selectedNodeDetails}>
+                  {t('pointSelection.stopDetails', {
+                    number: index + 2,
+                    building: stop.building,
+                    floor: stop.floor_level,
+                  })}
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => removeExtraStop(stop.node_id)}>
+                <Text style={styles.removeStopText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+          {endPoint && (
+            <TouchableOpacity
+              style={styles.addStopButton}
+              onPress={() => openNodeSelector('stop')}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.addStopButtonText}>{t('pointSelection.addStop')}</Text>
+            </TouchableOpacity>
+          )}
+          {extraStops.length > 0 && (
+            <Text style={styles.profileDescription}>
+              {t('pointSelection.stopsOrderNote')}
+            </Text>
+          )}
+        </View>
+
+        {/* Routing Profile Selector */}
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('pointSelection.routePreference')}</Text>
+          <View style={styles.profileChips}>
+            {getRoutingProfileList().map((profile) => {
+              const isSelected = routingProfile === profile.id;
+              return (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[styles.profileChip, isSelected && styles.profileChipSelected]}
+                  onPress={() => saveRoutingProfileSetting(profile.id)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.profileChipText, isSelected && styles.profileChipTextSelected]}>
+                    {profile.icon} {t(`profiles.${profile.id}.label`)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.profileDescription}>
+            {t(`profiles.${routingProfile}.description`)}
+          </Text>
         </View>
 
         {/* Find Path Button */}
@@ -689,7 +916,9 @@ const PointSelectionScreen = ({ navigation }) => {
           disabled={!startPoint || !endPoint}
           activeOpacity={0.8}
         >
-          <Text style={styles.findPathButtonText}>Find Path</Text>
+          <Text style={styles.findPathButtonText}>
+            {extraStops.length > 0 ? t('pointSelection.planItinerary') : t('pointSelection.findPath')}
+          </Text>
         </TouchableOpacity>
       </ScrollView>
 
@@ -704,7 +933,11 @@ const PointSelectionScreen = ({ navigation }) => {
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
               <Text style={styles.modalTitle}>
-                Select {selectingType === 'start' ? 'Starting Point' : 'Destination'}
+                {t('pointSelection.selectTitle', {
+                  target: selectingType === 'start'
+                    ? t('pointSelection.startingPoint')
+                    : selectingType === 'stop' ? t('pointSelection.stop') : t('pointSelection.destination'),
+                })}
               </Text>
               <TouchableOpacity
                 onPress={() => setModalVisible(false)}
@@ -719,7 +952,7 @@ const PointSelectionScreen = ({ navigation }) => {
               <Text style={styles.searchIcon}>🔍</Text>
               <TextInput
                 style={styles.searchInput}
-                placeholder="Search by name, building, or code..."
+                placeholder={t('pointSelection.searchPlaceholder')}
                 value={searchQuery}
                 onChangeText={setSearchQuery}
                 autoFocus
@@ -743,16 +976,16 @@ const PointSelectionScreen = ({ navigation }) => {
               ListEmptyComponent={
                 <View style={styles.emptyContainer}>
                   <Text style={styles.emptyText}>
-                    {loading ? 'Loading...' : 
-                     searchQuery.trim() !== '' ? 'No matching locations or events found' :
-                     nodes.length === 0 ? 'No locations available' : 'No locations found'}
+                    {loading ? t('common.loading') : 
+                     searchQuery.trim() !== '' ? t('pointSelection.noMatches') :
+                     nodes.length === 0 ? t('pointSelection.noLocations') : t('pointSelection.noLocationsFound')}
                   </Text>
                   {!loading && nodes.length === 0 && (
                     <TouchableOpacity
                       style={styles.retryButton}
                       onPress={loadNodesAndEvents}
                     >
-                      <Text style={styles.retryButtonText}>Retry</Text>
+                      <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
                     </TouchableOpacity>
                   )}
                 </View>
@@ -791,7 +1024,7 @@ const PointSelectionScreen = ({ navigation }) => {
               {!preview360ImageUrl && (
                 <View style={styles.preview360Loading}>
                   <ActivityIndicator size="large" color="#FFFFFF" />
-                  <Text style={styles.preview360LoadingText}>Loading 360° image...</Text>
+                  <Text style={styles.preview360LoadingText}>{t('pointSelection.loading360')}</Text>
                 </View>
               )}
 
@@ -801,7 +1034,7 @@ const PointSelectionScreen = ({ navigation }) => {
                   <Text style={styles.zoom360ButtonText}>+</Text>
                 </TouchableOpacity>
                 <TouchableOpacity style={styles.zoom360Button} onPress={resetZoom360}>
-                  <Text style={styles.zoom360ButtonTextSmall}>Reset</Text>
+                  <Text style={styles.zoom360ButtonTextSmall}>{t('common.reset')}</Text>
                 </TouchableOpacity>
                 <TouchableOpacity style={styles.zoom360Button} onPress={zoomOut360}>
                   <Text style={styles.zoom360ButtonText}>−</Text>
@@ -812,9 +1045,9 @@ const PointSelectionScreen = ({ navigation }) => {
               <View style={styles.preview360Info} pointerEvents="none">
                 <Text style={styles.preview360NodeName}>{preview360Node.name}</Text>
                 <Text style={styles.preview360NodeDetails}>
-                  {preview360Node.building} • Floor {preview360Node.floor_level}
+                  {t('pointSelection.nodeDetails', { building: preview360Node.building, floor: preview360Node.floor_level })}
                 </Text>
-                <Text style={styles.preview360Hint}>← Swipe left/right to explore →</Text>
+                <Text style={styles.preview360Hint}>{t('pointSelection.swipeHint')}</Text>
               </View>
 
               {/* Close Button */}
@@ -838,11 +1071,11 @@ const PointSelectionScreen = ({ navigation }) => {
       >
         <View style={styles.modalContainer}>
           <View style={styles.adminModalContent}>
-            <Text style={styles.adminModalTitle}>Admin Login</Text>
+            <Text style={styles.adminModalTitle}>{t('pointSelection.adminLoginTitle')}</Text>
             
             <TextInput
               style={styles.input}
-              placeholder="Username"
+              placeholder={t('pointSelection.username')}
               value={username}
               onChangeText={setUsername}
               autoCapitalize="none"
@@ -850,7 +1083,7 @@ const PointSelectionScreen = ({ navigation }) => {
             
             <TextInput
               style={styles.input}
-              placeholder="Password"
+              placeholder={t('pointSelection.password')}
               value={password}
               onChangeText={setPassword}
               secureTextEntry
@@ -865,14 +1098,14 @@ const PointSelectionScreen = ({ navigation }) => {
                   setPassword('');
                 }}
               >
-                <Text style={styles.cancelButtonText}>Cancel</Text>
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
               </TouchableOpacity>
               
               <TouchableOpacity
                 style={[styles.adminModalButton, styles.loginButton]}
                 onPress={handleAdminLogin}
               >
-                <Text style={styles.loginButtonText}>Login</Text>
+                <Text style={styles.loginButtonText}>{t('pointSelection.login')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -917,6 +1150,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
     cancelDownload,
     refreshStats 
   } = useDownload();
+  const { language, setLanguage, t } = useLanguage();
 
   // Sync settings state
   const [autoSyncEnabled, setAutoSyncEnabled] = useState(true);
@@ -949,34 +1183,38 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
 
   const handleDownload = async () => {
     Alert.alert(
-      'Download Map Data',
-      'Choose your download preference:',
+      t('settings.downloadTitle'),
+      t('settings.downloadPrompt'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Metadata Only (Fast)', 
+          text: t('settings.downloadMetadata'), 
           onPress: async () => {
             const result = await startMetadataDownload();
             if (result.success) {
               await AsyncStorage.setItem('HAS_INITIAL_DOWNLOAD', 'true');
-              Alert.alert('Download Complete', 'Metadata downloaded successfully. Images will load on-demand.');
+              Alert.alert(t('settings.downloadCompleteTitle'), t('settings.metadataDownloaded'));
             } else if (result.error !== 'Download already in progress') {
-              Alert.alert('Download Failed', result.error || 'An error occurred');
+              Alert.alert(t('settings.downloadFailedTitle'), result.error || t('settings.downloadFailed'));
             }
           }
         },
         { 
-          text: 'Full Download (Includes Images)', 
+          text: t('settings.downloadFull'), 
           onPress: async () => {
             const result = await startDownload();
             if (result.success) {
               await AsyncStorage.setItem('HAS_INITIAL_DOWNLOAD', 'true');
               Alert.alert(
-                'Download Complete',
-                `Downloaded ${result.nodesCount} nodes, ${result.edgesCount} edges, and ${result.imagesCount} images.`
+                t('settings.downloadCompleteTitle'),
+                t('settings.fullDownloaded', {
+                  nodes: result.nodesCount,
+                  edges: result.edgesCount,
+                  images: result.imagesCount,
+                })
               );
-            } else if (result.error !== 'Download already in progress') {
-              Alert.alert('Download Failed', result.error || 'An error occurred');
+            } else if (!result.cancelled && result.error !== 'Download already in progress') {
+              Alert.alert(t('settings.downloadFailedTitle'), result.error || t('settings.downloadFailed'));
             }
           }
         },
@@ -988,30 +1226,33 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
     const result = await checkForUpdates();
     if (result.success) {
       if (result.hasUpdates) {
-        Alert.alert('Update Complete', `Added ${result.newNodes} new nodes and ${result.newImages} new images.`);
+        Alert.alert(
+          t('settings.updateCompleteTitle'),
+          t('settings.updateComplete', { nodes: result.newNodes, images: result.newImages })
+        );
       } else {
-        Alert.alert('Up to Date', 'All offline resources are up to date.');
+        Alert.alert(t('settings.upToDateTitle'), t('settings.upToDate'));
       }
-    } else {
-      Alert.alert('Update Failed', result.error || 'Failed to check for updates');
+    } else if (!result.cancelled) {
+      Alert.alert(t('settings.updateFailedTitle'), result.error || t('settings.updateFailed'));
     }
   };
 
   const handleClearCache = () => {
     Alert.alert(
-      'Clear Cache',
-      'This will delete all downloaded offline resources. You will need to download them again for offline use. Continue?',
+      t('settings.clearCacheTitle'),
+      t('settings.clearCacheConfirm'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         { 
-          text: 'Clear', 
+          text: t('settings.clear'), 
           style: 'destructive',
           onPress: async () => {
             const result = await clearCache();
             if (result.success) {
-              Alert.alert('Cache Cleared', 'All offline resources have been deleted.');
+              Alert.alert(t('settings.cacheClearedTitle'), t('settings.cacheCleared'));
             } else {
-              Alert.alert('Error', result.error || 'Failed to clear cache');
+              Alert.alert(t('common.error'), result.error || t('settings.clearCacheFailed'));
             }
           }
         },
@@ -1020,7 +1261,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
   };
 
   const formatLastSync = (date) => {
-    if (!date) return 'Never';
+    if (!date) return t('settings.never');
     const d = new Date(date);
     return d.toLocaleDateString() + ' ' + d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
@@ -1028,18 +1269,39 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
   return (
     <View style={styles.settingsModalContent}>
       <View style={styles.settingsModalHeader}>
-        <Text style={styles.settingsModalTitle}>⚙️ Settings</Text>
+        <Text style={styles.settingsModalTitle}>{t('settings.title')}</Text>
         <TouchableOpacity onPress={onClose} style={styles.closeButton}>
           <Text style={styles.closeButtonText}>✕</Text>
         </TouchableOpacity>
       </View>
 
       <ScrollView style={styles.settingsScrollView} showsVerticalScrollIndicator={false}>
+        {/* Language Section */}
+        <Text style={styles.settingsSectionTitle}>{t('settings.language')}</Text>
+        <Text style={styles.settingsDescription}>{t('settings.languageDescription')}</Text>
+
+        {LANGUAGES.map((option) => (
+          <TouchableOpacity
+            key={option.code}
+            style={styles.qualityToggleRow}
+            onPress={() => setLanguage(option.code)}
+            activeOpacity={0.7}
+          >
+            <View style={styles.qualityToggleInfo}>
+              <Text style={styles.qualityToggleLabel}>{option.nativeLabel}</Text>
+              {option.nativeLabel !== option.label && (
+                <Text style={styles.qualityToggleDescription}>{option.label}</Text>
+              )}
+            </View>
+            <View style={[styles.radioButton, language === option.code && styles.radioButtonOn]}>
+              {language === option.code && <View style={styles.radioButtonInner} />}
+            </View>
+          </TouchableOpacity>
+        ))}
+
         {/* Image Quality Section */}
-        <Text style={styles.settingsSectionTitle}>360° Image Quality</Text>
-        <Text style={styles.settingsDescription}>
-          Toggle HD mode for higher quality 360° images. SD (default) loads faster.
-        </Text>
+        <Text style={[styles.settingsSectionTitle, { marginTop: 25 }]}>{t('settings.imageQuality')}</Text>
+        <Text style={styles.settingsDescription}>{t('settings.imageQualityDescription')}</Text>
 
         <TouchableOpacity
           style={styles.qualityToggleRow}
@@ -1047,9 +1309,9 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
           activeOpacity={0.7}
         >
           <View style={styles.qualityToggleInfo}>
-            <Text style={styles.qualityToggleLabel}>HD Quality</Text>
+            <Text style={styles.qualityToggleLabel}>{t('settings.hdQuality')}</Text>
             <Text style={styles.qualityToggleDescription}>
-              {imageQuality === 'hd' ? 'Original quality images' : 'Optimized for faster loading'}
+              {imageQuality === 'hd' ? t('settings.hdOn') : t('settings.hdOff')}
             </Text>
           </View>
           <View style={[styles.radioButton, imageQuality === 'hd' && styles.radioButtonOn]}>
@@ -1058,20 +1320,18 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
         </TouchableOpacity>
 
         {/* Force Offline Mode Section */}
-        <Text style={[styles.settingsSectionTitle, { marginTop: 25 }]}>🧪 Test Offline Mode</Text>
-        <Text style={styles.settingsDescription}>
-          Force offline mode for testing pathfinding without disabling your network.
-        </Text>
+        <Text style={[styles.settingsSectionTitle, { marginTop: 25 }]}>{t('settings.testOffline')}</Text>
+        <Text style={styles.settingsDescription}>{t('settings.testOfflineDescription')}</Text>
 
         <View style={styles.syncSettingRow}>
           <View style={styles.syncSettingInfo}>
-            <Text style={styles.syncSettingLabel}>📴 Force Offline Mode</Text>
+            <Text style={styles.syncSettingLabel}>{t('settings.forceOffline')}</Text>
             <Text style={styles.syncSettingDescription}>
               {forceOfflineMode 
-                ? 'App will use offline pathfinding only' 
+                ? t('settings.forceOfflineOn') 
                 : offlineDataAvailable 
-                  ? 'Ready to test offline navigation'
-                  : 'Download offline data first'}
+                  ? t('settings.forceOfflineReady')
+                  : t('settings.forceOfflineNoData')}
             </Text>
           </View>
           <Switch
@@ -1085,26 +1345,20 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
 
         {forceOfflineMode && (
           <View style={styles.warningBox}>
-            <Text style={styles.warningText}>
-              ⚠️ Offline mode is active. All pathfinding will use cached data only.
-            </Text>
+            <Text style={styles.warningText}>{t('settings.forceOfflineWarning')}</Text>
           </View>
         )}
 
         {/* Offline Resources Section */}
-        <Text style={[styles.settingsSectionTitle, { marginTop: 25 }]}>📥 Offline Resources</Text>
-        <Text style={styles.settingsDescription}>
-          Download all map data and 360° images for offline use. The app will use cached resources when available.
-        </Text>
+        <Text style={[styles.settingsSectionTitle, { marginTop: 25 }]}>{t('settings.offlineResources')}</Text>
+        <Text style={styles.settingsDescription}>{t('settings.offlineResourcesDescription')}</Text>
 
         {/* Sync Settings */}
         <View style={styles.syncSettingsContainer}>
           <View style={styles.syncSettingRow}>
             <View style={styles.syncSettingInfo}>
-              <Text style={styles.syncSettingLabel}>🔄 Auto-sync</Text>
-              <Text style={styles.syncSettingDescription}>
-                Automatically check for updates when online
-              </Text>
+              <Text style={styles.syncSettingLabel}>{t('settings.autoSync')}</Text>
+              <Text style={styles.syncSettingDescription}>{t('settings.autoSyncDescription')}</Text>
             </View>
             <Switch
               value={autoSyncEnabled}
@@ -1116,10 +1370,8 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
           
           <View style={styles.syncSettingRow}>
             <View style={styles.syncSettingInfo}>
-              <Text style={styles.syncSettingLabel}>📶 WiFi only</Text>
-              <Text style={styles.syncSettingDescription}>
-                Only sync when connected to WiFi (saves mobile data)
-              </Text>
+              <Text style={styles.syncSettingLabel}>{t('settings.wifiOnly')}</Text>
+              <Text style={styles.syncSettingDescription}>{t('settings.wifiOnlyDescription')}</Text>
             </View>
             <Switch
               value={wifiOnlySync}
@@ -1135,9 +1387,9 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
         {isDownloading && (
           <View style={styles.progressContainer}>
             <View style={styles.progressHeader}>
-              <Text style={styles.progressTitle}>Downloading...</Text>
+              <Text style={styles.progressTitle}>{t('settings.downloading')}</Text>
               <TouchableOpacity onPress={cancelDownload}>
-                <Text style={styles.cancelText}>Cancel</Text>
+                <Text style={styles.cancelText}>{t('common.cancel')}</Text>
               </TouchableOpacity>
             </View>
             <View style={styles.progressBarContainer}>
@@ -1147,7 +1399,10 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
               {downloadProgress.percentage}% - {downloadProgress.currentItem}
             </Text>
             <Text style={styles.progressSubtext}>
-              {downloadProgress.completedItems} of {downloadProgress.totalItems} items
+              {t('settings.progressItems', {
+                completed: downloadProgress.completedItems,
+                total: downloadProgress.totalItems,
+              })}
             </Text>
           </View>
         )}
@@ -1156,23 +1411,23 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
         {!isDownloading && offlineStats.offlineEnabled && (
           <View style={styles.statsContainer}>
             <View style={styles.statsRow}>
-              <Text style={styles.statsLabel}>📍 Nodes cached:</Text>
+              <Text style={styles.statsLabel}>{t('settings.nodesCached')}</Text>
               <Text style={styles.statsValue}>{offlineStats.nodesCount}</Text>
             </View>
             <View style={styles.statsRow}>
-              <Text style={styles.statsLabel}>🔗 Edges cached:</Text>
+              <Text style={styles.statsLabel}>{t('settings.edgesCached')}</Text>
               <Text style={styles.statsValue}>{offlineStats.edgesCount}</Text>
             </View>
             <View style={styles.statsRow}>
-              <Text style={styles.statsLabel}>📷 Images cached:</Text>
+              <Text style={styles.statsLabel}>{t('settings.imagesCached')}</Text>
               <Text style={styles.statsValue}>{offlineStats.imagesCount}</Text>
             </View>
             <View style={styles.statsRow}>
-              <Text style={styles.statsLabel}>💾 Cache size:</Text>
+              <Text style={styles.statsLabel}>{t('settings.cacheSize')}</Text>
               <Text style={styles.statsValue}>{offlineStats.cacheSize}</Text>
             </View>
             <View style={styles.statsRow}>
-              <Text style={styles.statsLabel}>🕒 Last synced:</Text>
+              <Text style={styles.statsLabel}>{t('settings.lastSynced')}</Text>
               <Text style={styles.statsValue}>{formatLastSync(offlineStats.lastSync)}</Text>
             </View>
           </View>
@@ -1181,7 +1436,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
         {/* Download Status Message */}
         {!isDownloading && downloadProgress.status === 'completed' && (
           <View style={styles.statusMessage}>
-            <Text style={styles.statusSuccess}>✅ All resources downloaded!</Text>
+            <Text style={styles.statusSuccess}>{t('settings.allDownloaded')}</Text>
           </View>
         )}
 
@@ -1204,7 +1459,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
               ) : (
                 <>
                   <Text style={styles.downloadButtonIcon}>📥</Text>
-                  <Text style={styles.downloadButtonText}>Download All Resources</Text>
+                  <Text style={styles.downloadButtonText}>{t('settings.downloadAll')}</Text>
                 </>
               )}
             </TouchableOpacity>
@@ -1215,7 +1470,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
                 onPress={handleCheckUpdates}
                 disabled={isDownloading}
               >
-                <Text style={styles.updateButtonText}>🔄 Check for Updates</Text>
+                <Text style={styles.updateButtonText}>{t('settings.checkUpdates')}</Text>
               </TouchableOpacity>
               
               <TouchableOpacity
@@ -1223,7 +1478,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
                 onPress={handleDownload}
                 disabled={isDownloading}
               >
-                <Text style={styles.redownloadButtonText}>📥 Re-download All</Text>
+                <Text style={styles.redownloadButtonText}>{t('settings.redownloadAll')}</Text>
               </TouchableOpacity>
 
               <TouchableOpacity
@@ -1231,14 +1486,14 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
                 onPress={handleClearCache}
                 disabled={isDownloading}
               >
-                <Text style={styles.clearCacheButtonText}>🗑️ Clear Cache</Text>
+                <Text style={styles.clearCacheButtonText}>{t('settings.clearCache')}</Text>
               </TouchableOpacity>
               
               <TouchableOpacity
                 style={styles.advancedSettingsButton}
                 onPress={onOpenOfflineSettings}
               >
-                <Text style={styles.advancedSettingsButtonText}>⚙️ Advanced Offline Settings</Text>
+                <Text style={styles.advancedSettingsButtonText}>{t('settings.advancedOffline')}</Text>
               </TouchableOpacity>
             </>
           )}
@@ -1248,7 +1503,7 @@ const SettingsModalContent = ({ imageQuality, saveImageQualitySetting, onClose,
       </ScrollView>
 
       <TouchableOpacity style={styles.settingsCloseButton} onPress={onClose}>
-        <Text style={styles.settingsCloseButtonText}>Done</Text>
+        <Text style={styles.settingsCloseButtonText}>{t('common.done')}</Text>
       </TouchableOpacity>
     </View>
   );
@@ -1380,6 +1635,78 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: '#FFFFFF',
   },
+  extraStop: {
+    marginTop: 8,
+  },
+  removeStopText: {
+    fontSize: 18,
+    color: THEME_COLORS.textSecondary,
+    paddingHorizontal: 8,
+  },
+  addStopButton: {
+    marginTop: 8,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: THEME_COLORS.primary,
+    alignItems: 'center',
+  },
+  addStopButtonText: {
+    fontSize: 15,
+    color: THEME_COLORS.primary,
+    fontWeight: '600',
+  },
+  nearestChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  evacuateButton: {
+    backgroundColor: '#B71C1C',
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 3,
+    borderColor: '#FFEB3B',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  evacuateButtonText: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  profileChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  profileChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 18,
+    borderWidth: 1.5,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FFFFFF',
+  },
+  profileChipSelected: {
+    borderColor: THEME_COLORS.primary,
+    backgroundColor: '#F5E6E6',
+  },
+  profileChipText: {
+    fontSize: 14,
+    color: THEME_COLORS.text,
+  },
+  profileChipTextSelected: {
+    color: THEME_COLORS.primary,
+    fontWeight: '600',
+  },
+  profileDescription: {
+    fontSize: 13,
+    color: THEME_COLORS.textSecondary,
+    marginTop: 8,
+  },
   findPathButton: {
     backgroundColor: THEME_COLORS.primary,
     padding: 18,
@@ -35,6 +35,7 @@ import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../../contexts/AuthContext';
 import ApiService from '../../services/ApiService';
 import AdminDrawerLayout from '../../components/AdminDrawerLayout';
+import { lintGraph, SEVERITY } from '../../utils/graphLinter';
 
 // ─── Theme ────────────────────────────────────────────────────────────────────
 const C = {
@@ -92,6 +93,14 @@ const HISTORY_TYPE = {
   event:  { color: C.orange,   bg: C.orangeFaint, label: 'EVENT' },
 };
 
+// Graph health severity config
+const SEVERITY_STYLE = {
+  [SEVERITY.ERROR]:   { color: '#EF4444', bg: 'rgba(239,68,68,0.1)', label: 'ERROR' },
+  [SEVERITY.WARNING]: { color: C.orange,  bg: C.orangeFaint,         label: 'WARN' },
+};
+
+const HEALTH_PREVIEW_COUNT = 5;
+
 // ─── Column Chart ─────────────────────────────────────────────────────────────
 const ColumnChart = () => {
   const anim = useRef(CHART_DATA.map(() => new Animated.Value(0))).current;
@@ -201,6 +210,8 @@ const AdminDashboardScreen = ({ navigation }) => {
   });
 
   const [stats, setStats] = useState({ nodes: 0, edges: 0, users: 0 });
+  const [graphHealth, setGraphHealth] = useState(null);
+  const [showAllIssues, setShowAllIssues] = useState(false);
 
   // Animations
   const contentOp = useRef(new Animated.Value(0)).current;
@@ -242,7 +253,22 @@ const AdminDashboardScreen = ({ navigation }) => {
         }
       };
 
+      const fetchGraphHealth = async () => {
+        try {
+          const [nodesResponse, edgesResponse] = await Promise.all([
+            ApiService.getNodes(),
+            ApiService.getEdges(),
+          ]);
+          if (nodesResponse?.success && edgesResponse?.success) {
+            setGraphHealth(lintGraph(nodesResponse.nodes || [], edgesResponse.edges || []));
+          }
+        } catch (error) {
+          console.error('Failed to check graph health:', error);
+        }
+      };
+
       fetchStats();
+      fetchGraphHealth();
     }, [])
   );
 
@@ -323,6 +349,59 @@ const AdminDashboardScreen = ({ navigation }) => {
 
           </View>
 
+          {/* ── GRAPH HEALTH ──────────────────────────────────────────────── */}
+          {graphHealth && (
+            <View style={styles.sectionCard}>
+              <View style={styles.sectionHeader}>
+                <View style={[styles.sectionDot, { backgroundColor: graphHealth.healthy ? C.green : '#EF4444' }]} />
+                <Text style={styles.sectionTitle}>Graph Health</Text>
+                <View style={styles.sectionLine} />
+                <View style={styles.sectionBadge}>
+                  <Text style={styles.sectionBadgeText}>
+                    {graphHealth.summary.errors} ERR · {graphHealth.summary.warnings} WARN
+                  </Text>
+                </View>
+              </View>
+              <Text style={styles.sectionSubtitle}>
+                {graphHealth.healthy
+                  ? 'No integrity issues found in nodes and edges'
+                  : 'Tap an issue to open the node or edge that needs fixing'}
+              </Text>
+
+              {(showAllIssues
+                ? graphHealth.issues
+                : graphHealth.issues.slice(0, HEALTH_PREVIEW_COUNT)
+              ).map((issue, index) => {
+                const s = SEVERITY_STYLE[issue.severity];
+                return (
+                  <TouchableOpacity
+                    key={`${issue.type}-${issue.node_id ?? issue.edge_id}-${index}`}
+                    style={styles.healthItem}
+                    onPress={() => issue.target?.params && navigation.navigate(issue.target.screen, issue.target.params)}
+                    activeOpacity={0.7}
+                  >
+                    <View style={[styles.historyBadge, { backgroundColor: s.bg }]}>
+                      <Text style={[styles.historyBadgeText, { color: s.color }]}>{s.label}</Text>
+                    </View>
+                    <Text style={styles.healthMessage} numberOfLines={2}>{issue.message}</Text>
+                    <Text style={styles.healthChevron}>›</Text>
+                  </TouchableOpacity>
+                );
+              })}
+
+              {graphHealth.issues.length > HEALTH_PREVIEW_COUNT && (
+                <TouchableOpacity
+                  style={[styles.viewAllBtn, styles.healthToggle]}
+                  onPress={() => setShowAllIssues((prev) => !prev)}
+                >
+                  <Text style={styles.viewAllText}>
+                    {showAllIssues ? 'Show less' : `View all ${graphHealth.issues.length}`}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
           {/* ── COLUMN CHART ──────────────────────────────────────────────── */}
           <View style={styles.sectionCard}>
             <View style={styles.sectionHeader}>
@@ -545,6 +624,31 @@ const styles = StyleSheet.create({
     letterSpacing: 0.5,
   },
 
+  // ── Graph health ──────────────────────────────────────────────────────────
+  healthItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 9,
+    borderBottomWidth: 1,
+    borderBottomColor: C.grayFaint,
+  },
+  healthMessage: {
+    flex: 1,
+    fontFamily: 'Montserrat_400Regular',
+    fontSize: 10.5,
+    color: C.charcoal,
+    letterSpacing: 0.2,
+  },
+  healthChevron: {
+    fontSize: 18,
+    color: C.gray,
+  },
+  healthToggle: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+
   // ── Chart ─────────────────────────────────────────────────────────────────
   chartValue: {
     fontFamily: 'Montserrat_700Bold',
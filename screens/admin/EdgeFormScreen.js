@@ -14,6 +14,19 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { THEME_COLORS } from '../../config';
 import ApiService from '../../services/ApiService';
+import {
+  EDGE_DIRECTIONS,
+  EDGE_DIRECTION_OPTIONS,
+  getEdgeDirection,
+} from '../../utils/edgeDirection';
+import {
+  validateOpenHours,
+  validateClosures,
+  toClosureInputs,
+  toClosurePayload,
+  pruneExpiredClosures,
+} from '../../utils/schedules';
+import ScheduleEditor from '../../components/ScheduleEditor';
 
 const EdgeFormScreen = ({ route, navigation }) => {
   const { edge } = route.params || {};
@@ -26,6 +39,11 @@ const EdgeFormScreen = ({ route, navigation }) => {
     compass_angle: edge?.compass_angle?.toString() || '',
     is_staircase: edge?.is_staircase || false,
     is_active: edge?.is_active !== undefined ? edge.is_active : true,
+    is_hazard: edge?.is_hazard === true,
+    direction: getEdgeDirection(edge),
+    reverse_distance: edge?.reverse_distance?.toString() || '',
+    open_hours: edge?.open_hours || [],
+    closures: toClosureInputs(edge?.closures),
   });
 
   const [fromNode, setFromNode] = useState(edge?.from_node || null);
@@ -120,6 +138,17 @@ const EdgeFormScreen = ({ route, navigation }) => {
       Alert.alert('Error', 'Please enter a valid compass angle (0-360)');
       return;
     }
+    const hasReverseDistance =
+      formData.direction === EDGE_DIRECTIONS.BIDIRECTIONAL && formData.reverse_distance !== '';
+    if (hasReverseDistance && !(parseFloat(formData.reverse_distance) > 0)) {
+      Alert.alert('Error', 'Please enter a valid return distance or leave it empty');
+      return;
+    }
+    const scheduleError = validateOpenHours(formData.open_hours) || validateClosures(formData.closures);
+    if (scheduleError) {
+      Alert.alert('Error', scheduleError);
+      return;
+    }
 
     try {
       setLoading(true);
@@ -131,6 +160,12 @@ const EdgeFormScreen = ({ route, navigation }) => {
         compass_angle: parseFloat(formData.compass_angle),
         is_staircase: formData.is_staircase,
         is_active: formData.is_active,
+        is_hazard: formData.is_hazard,
+        direction: formData.direction,
+        reverse_distance: hasReverseDistance ? parseFloat(formData.reverse_distance) : null,
+        open_hours: formData.open_hours,
+        // Ended closures are dropped on save
+        closures: toClosurePayload(pruneExpiredClosures(formData.closures)),
       };
 
       let response;
@@ -255,11 +290,38 @@ const EdgeFormScreen = ({ route, navigation }) => {
         {fromNode && toNode && (
           <View style={styles.connectionPreview}>
             <Text style={styles.connectionText}>
-              📍 {fromNode.name} → {toNode.name}
+              📍 {fromNode.name}{' '}
+              {EDGE_DIRECTION_OPTIONS.find((o) => o.value === formData.direction)?.icon}{' '}
+              {toNode.name}
             </Text>
           </View>
         )}
 
+        {/* Direction */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Direction</Text>
+          <View style={styles.directionOptions}>
+            {EDGE_DIRECTION_OPTIONS.map((option) => {
+              const isSelected = formData.direction === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.directionOption, isSelected && styles.directionOptionSelected]}
+                  onPress={() => handleChange('direction', option.value)}
+                >
+                  <Text style={styles.directionOptionIcon}>{option.icon}</Text>
+                  <Text style={[styles.directionOptionLabel, isSelected && styles.directionOptionLabelSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.hint}>
+            Use one-way for exit-only doors, turnstiles and escalators
+          </Text>
+        </View>
+
         {/* Distance */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>Distance (meters) <Text style={styles.required}>*</Text></Text>
@@ -274,6 +336,24 @@ const EdgeFormScreen = ({ route, navigation }) => {
           <Text style={styles.hint}>Physical distance between the two nodes</Text>
         </View>
 
+        {/* Return Distance (bidirectional only) */}
+        {formData.direction === EDGE_DIRECTIONS.BIDIRECTIONAL && (
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Return Distance (meters)</Text>
+            <TextInput
+              style={styles.input}
+              value={formData.reverse_distance}
+              onChangeText={(value) => handleChange('reverse_distance', value)}
+              placeholder="Same as distance"
+              keyboardType="decimal-pad"
+              placeholderTextColor={THEME_COLORS.textSecondary}
+            />
+            <Text style={styles.hint}>
+              Optional cost for walking To → From (e.g. uphill ramps)
+            </Text>
+          </View>
+        )}
+
         {/* Compass Angle */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>Compass Angle (degrees) <Text style={styles.required}>*</Text></Text>
@@ -361,13 +441,36 @@ const EdgeFormScreen = ({ route, navigation }) => {
               <Text style={styles.checkboxHint}>Inactive edges won't be used in pathfinding</Text>
             </View>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.checkboxItem}
+            onPress={() => handleChange('is_hazard', !formData.is_hazard)}
+          >
+            <View style={[styles.checkbox, formData.is_hazard && styles.checkboxChecked]}>
+              {formData.is_hazard && <Text style={styles.checkboxIcon}>✓</Text>}
+            </View>
+            <View style={styles.checkboxTextContainer}>
+              <Text style={styles.checkboxLabel}>☣️ Hazard area</Text>
+              <Text style={styles.checkboxHint}>Evacuation routes never use this edge</Text>
+            </View>
+          </TouchableOpacity>
+        </View>
+
+        {/* Schedule */}
+        <View style={styles.inputGroup}>
+          <ScheduleEditor
+            openHours={formData.open_hours}
+            closures={formData.closures}
+            onChangeOpenHours={(value) => handleChange('open_hours', value)}
+            onChangeClosures={(value) => handleChange('closures', value)}
+          />
         </View>
 
         {/* Info Box */}
         <View style={styles.infoBox}>
           <Text style={styles.infoText}>
-            💡 <Text style={styles.infoTextBold}>Note:</Text> Edges are automatically bidirectional. 
-            The reverse edge will be created with compass angle + 180°.
+            💡 <Text style={styles.infoTextBold}>Note:</Text> Unless set to one-way, edges are
+            bidirectional. The reverse edge uses compass angle + 180°.
           </Text>
         </View>
 
@@ -595,6 +698,37 @@ const styles = StyleSheet.create({
     fontSize: 11,
     color: THEME_COLORS.textSecondary,
   },
+  directionOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  directionOption: {
+    width: '32%',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  directionOptionSelected: {
+    borderColor: THEME_COLORS.primary,
+    borderWidth: 2,
+  },
+  directionOptionIcon: {
+    fontSize: 18,
+    color: THEME_COLORS.text,
+  },
+  directionOptionLabel: {
+    fontSize: 11,
+    color: THEME_COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  directionOptionLabelSelected: {
+    color: THEME_COLORS.primary,
+    fontWeight: '600',
+  },
   checkboxGroup: {
     marginBottom: 20,
   },
@@ -11,6 +11,8 @@ import {
 } from 'react-native';
 import { THEME_COLORS } from '../../config';
 import ApiService from '../../services/ApiService';
+import { isOneWay, getEdgeDirectionOption, getReverseDistance } from '../../utils/edgeDirection';
+import { getClosureStatus, formatClosureStatus } from '../../utils/schedules';
 import { useFocusEffect } from '@react-navigation/native';
 import AdminDrawerLayout from '../../components/AdminDrawerLayout';
 
@@ -140,16 +142,24 @@ const EdgesListScreen = ({ navigation }) => {
     >
       <View style={styles.edgeInfo}>
         <Text style={styles.edgeRoute}>
-          {item.from_node.name} → {item.to_node.name}
+          {item.from_node.name} {getEdgeDirectionOption(item).icon} {item.to_node.name}
         </Text>
         <Text style={styles.edgeDate}>📅 Added: {formatDate(item.created_at)}</Text>
         <Text style={styles.edgeDetails}>
-          Distance: {item.distance}m • Angle: {item.compass_angle}°
+          Distance: {item.distance}m
+          {!isOneWay(item) && getReverseDistance(item) !== parseFloat(item.distance) &&
+            ` (return ${getReverseDistance(item)}m)`}
+          {' '}• Angle: {item.compass_angle}°
           {item.is_staircase && ' • 🪜 Staircase'}
+          {isOneWay(item) && ' • 🚪 One-way'}
         </Text>
         <Text style={styles.edgeStatus}>
           Status: {item.is_active ? '✅ Active' : '❌ Inactive'}
         </Text>
+        {getClosureStatus(item) && (
+          <Text style={styles.closureStatus}>⛔ {formatClosureStatus(getClosureStatus(item))}</Text>
+        )}
+        {item.is_hazard && <Text style={styles.closureStatus}>☣️ Hazard area</Text>}
       </View>
       <View style={styles.edgeActions}>
         <TouchableOpacity
@@ -528,6 +538,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: THEME_COLORS.textSecondary,
   },
+  closureStatus: {
+    fontSize: 12,
+    color: THEME_COLORS.error,
+    marginTop: 2,
+  },
   edgeActions: {
     flexDirection: 'row',
     alignItems: 'center',
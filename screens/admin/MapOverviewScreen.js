@@ -238,6 +238,7 @@ const MapOverviewScreen = ({ navigation }) => {
       case 'hallway': return '#D4A843';
       case 'room': return '#800000';
       case 'landmark': return '#C62828';
+      case 'assembly_point': return '#00C853';
       default: return THEME_COLORS.primary;
     }
   };
@@ -20,6 +20,14 @@ import { Image as ExpoImage } from 'expo-image';
 import { THEME_COLORS, MAP_ASSETS } from '../../config';
 import ApiService from '../../services/ApiService';
 import SvgMap from '../../components/SvgMap';
+import ScheduleEditor from '../../components/ScheduleEditor';
+import {
+  validateOpenHours,
+  validateClosures,
+  toClosureInputs,
+  toClosurePayload,
+  pruneExpiredClosures,
+} from '../../utils/schedules';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -30,6 +38,7 @@ const NODE_TYPES = [
   { value: 'staircase', label: '🪜 Staircase' },
   { value: 'elevator', label: '🛗 Elevator' },
   { value: 'landmark', label: '📍 Landmark' },
+  { value: 'assembly_point', label: '🟩 Assembly Point' },
 ];
 
 const NodeFormScreen = ({ route, navigation }) => {
@@ -47,6 +56,9 @@ const NodeFormScreen = ({ route, navigation }) => {
     map_x: node?.map_x?.toString() || '',
     map_y: node?.map_y?.toString() || '',
     annotation: node?.annotation?.toString() || '',
+    open_hours: node?.open_hours || [],
+    closures: toClosureInputs(node?.closures),
+    is_hazard: node?.is_hazard === true,
   });
 
   const [image360, setImage360] = useState(null);
@@ -251,6 +263,11 @@ const NodeFormScreen = ({ route, navigation }) => {
       Alert.alert('Error', 'Please fill in all required fields');
       return;
     }
+    const scheduleError = validateOpenHours(formData.open_hours) || validateClosures(formData.closures);
+    if (scheduleError) {
+      Alert.alert('Error', scheduleError);
+      return;
+    }
 
     try {
       setLoading(true);
@@ -260,6 +277,8 @@ const NodeFormScreen = ({ route, navigation }) => {
         floor_level: parseInt(formData.floor_level),
         map_x: formData.map_x ? parseFloat(formData.map_x) : null,
         map_y: formData.map_y ? parseFloat(formData.map_y) : null,
+        // Ended closures are dropped on save
+        closures: toClosurePayload(pruneExpiredClosures(formData.closures)),
       };
 
       if (image360) {
@@ -436,6 +455,48 @@ const NodeFormScreen = ({ route, navigation }) => {
           </View>
         </View>
 
+        {/* Schedule Section */}
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionIcon}>🕒</Text>
+            <View>
+              <Text style={styles.sectionTitle}>Schedule</Text>
+              <Text style={styles.sectionSubtitle}>When routes may pass through this node</Text>
+            </View>
+          </View>
+
+          <ScheduleEditor
+            openHours={formData.open_hours}
+            closures={formData.closures}
+            onChangeOpenHours={(value) => handleChange('open_hours', value)}
+            onChangeClosures={(value) => handleChange('closures', value)}
+          />
+        </View>
+
+        {/* Emergency Section */}
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionIcon}>🚨</Text>
+            <View>
+              <Text style={styles.sectionTitle}>Emergency</Text>
+              <Text style={styles.sectionSubtitle}>How evacuation routes treat this node</Text>
+            </View>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.hazardToggle, formData.is_hazard && styles.hazardToggleActive]}
+            onPress={() => handleChange('is_hazard', !formData.is_hazard)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.hazardToggleText, formData.is_hazard && styles.hazardToggleTextActive]}>
+              {formData.is_hazard ? '☣️ Inside a hazard area' : '✅ Not a hazard area'}
+            </Text>
+          </TouchableOpacity>
+          <Text style={styles.hint}>
+            Evacuation routes never pass through hazard areas. Entrances and assembly points are used as safe exits.
+          </Text>
+        </View>
+
         {/* Media Section */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
@@ -788,6 +849,10 @@ const styles = StyleSheet.create({
   label: { fontSize: 15, fontWeight: '600', color: '#2C3E50', marginBottom: 8 },
   required: { color: '#E74C3C' },
   hint: { fontSize: 12, color: '#6C757D', marginTop: 5 },
+  hazardToggle: { padding: 14, borderRadius: 8, borderWidth: 2, borderColor: '#E0E0E0', alignItems: 'center' },
+  hazardToggleActive: { borderColor: '#E74C3C', backgroundColor: '#FDECEA' },
+  hazardToggleText: { fontSize: 15, fontWeight: '600', color: '#2C3E50' },
+  hazardToggleTextActive: { color: '#E74C3C' },
   input: { backgroundColor: '#FFFFFF', padding: 14, borderRadius: 8, fontSize: 16, borderWidth: 2, borderColor: '#E0E0E0', color: '#2C3E50' },
   inputDisabled: { backgroundColor: '#F5F5F5', color: '#999' },
   textArea: { minHeight: 100, textAlignVertical: 'top' },
@@ -11,6 +11,7 @@ import {
 } from 'react-native';
 import { THEME_COLORS } from '../../config';
 import ApiService from '../../services/ApiService';
+import { getClosureStatus, formatClosureStatus } from '../../utils/schedules';
 import { useFocusEffect } from '@react-navigation/native';
 import AdminDrawerLayout from '../../components/AdminDrawerLayout';
 
@@ -149,6 +150,10 @@ const NodesListScreen = ({ navigation }) => {
         <Text style={styles.nodeDetails}>
           {item.building} • Floor {item.floor_level} • {item.type_of_node}
         </Text>
+        {getClosureStatus(item) && (
+          <Text style={styles.closureStatus}>⛔ {formatClosureStatus(getClosureStatus(item))}</Text>
+        )}
+        {item.is_hazard && <Text style={styles.closureStatus}>☣️ Hazard area</Text>}
       </View>
       <View style={styles.nodeActions}>
         <TouchableOpacity
@@ -499,6 +504,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: THEME_COLORS.textSecondary,
   },
+  closureStatus: {
+    fontSize: 12,
+    color: THEME_COLORS.error,
+    marginTop: 2,
+  },
   nodeActions: {
     flexDirection: 'row',
   },
@@ -3,6 +3,13 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { API_BASE_URL, API_ENDPOINTS } from '../config';
 import OfflineService from './OfflineService';
 import { isNetworkError } from '../utils/networkUtils';
+import { getRoutingProfile, getRouteCost, DEFAULT_PROFILE_ID } from '../utils/routingProfiles';
+import { solveStopOrder, stitchLegs } from '../utils/itinerary';
+import { PathFinder } from '../utils/pathfinding';
+import { buildDirectionSteps } from '../utils/directionSteps';
+import { parseDateTime } from '../utils/schedules';
+import { sampleNodePairs, runConsistencyCheck, buildConsistencyReport } from '../utils/routeConsistency';
+import { computeGraphDelta } from '../utils/graphDelta';
 
 // Generate a UUID v4 string with no external dependencies
 const generateUUID = () =>
@@ -12,6 +19,73 @@ const generateUUID = () =>
     return v.toString(16);
   });
 
+// Give every successful path result structured direction steps, whichever engine produced it.
+// Legacy servers return plain sentences, so their steps are rebuilt from the path.
+const withDirectionSteps = (result) => {
+  if (!result?.success || !Array.isArray(result.path)) return result;
+  const directions = result.directions;
+  if (Array.isArray(directions) && directions.length > 0 && typeof directions[0] === 'object') {
+    return result;
+  }
+  return { ...result, directions: buildDirectionSteps(result.path) };
+};
+
+// Routes honor opening hours and closures at departure (see utils/schedules).
+// No departure time means now; null ignores schedules.
+const resolveDepartureTime = (departureTime) => (
+  departureTime === undefined
+    ? new Date().toISOString()
+    : parseDateTime(departureTime)?.toISOString() ?? null
+);
+
+// The server rate-limits each install to 5 requests per second
+const SERVER_REQUESTS_PER_SECOND = 5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run request tasks one at a time, spaced to stay under the server's rate limit.
+// A rejected task rejects the whole batch.
+const runThrottled = async (tasks, perSecond = SERVER_REQUESTS_PER_SECOND) => {
+  const interval = 1000 / perSecond;
+  const results = [];
+  let lastStart = -Infinity;
+  for (const task of tasks) {
+    const delay = lastStart + interval - Date.now();
+    if (delay > 0) await wait(delay);
+    lastStart = Date.now();
+    results.push(await task());
+  }
+  return results;
+};
+
+// Avoid list in the server's snake_case shape (null when nothing is avoided)
+const toAvoidPayload = (avoid) => {
+  if (!avoid) return null;
+  return {
+    node_codes: avoid.nodes || [],
+    edge_ids: avoid.edges || [],
+    buildings: avoid.buildings || [],
+    soft: avoid.soft === true,
+  };
+};
+
+// Body of a find-path request
+const toFindPathPayload = (startCode, goalCode, avoidStairs, routingProfile, departureTime, avoid) => ({
+  start_code: startCode,
+  goal_code: goalCode,
+  // Servers without profile support still honor the hard stair exclusion
+  avoid_stairs: avoidStairs || routingProfile.excludeStairs,
+  routing_profile: {
+    id: routingProfile.id,
+    stair_multiplier: routingProfile.stairMultiplier,
+    elevator_multiplier: routingProfile.elevatorMultiplier,
+    exclude_stairs: routingProfile.excludeStairs,
+    exclude_elevators: routingProfile.excludeElevators,
+  },
+  departure_time: departureTime,
+  avoid: toAvoidPayload(avoid),
+});
+
 // Get or create a unique, persistent install ID for this app installation.
 // Stored in AsyncStorage so it survives app restarts but is unique per install.
 const getInstallId = async () => {
@@ -153,6 +227,20 @@ const ApiService = {
     }
   },
 
+  /**
+   * Get nodes, edges and events changed since a data version
+   * @param {string} since - Data version the offline cache was synced to
+   * @returns {Object} { success, version, nodes, edges, events, deleted } (see utils/deltaSync)
+   */
+  getChanges: async (since) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.CHANGES, { params: { since } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
   /**
    * Get list of all nodes with optional filtering
    * Falls back to offline cache if network unavailable
@@ -273,24 +361,31 @@ const ApiService = {
    * @param {Object} options - Optional configuration
    * @param {boolean} options.preferOffline - If true, use offline pathfinding first
    * @param {boolean} options.offlineOnly - If true, only use offline pathfinding
+   * @param {string} options.profile - Routing profile ID (see utils/routingProfiles)
+   * @param {Date|string|null} options.departureTime - Skip edges closed at this time (default now)
+   * @param {Object} options.avoid - { nodes: [node codes], edges: [edge IDs], buildings: [names], soft }
    * @returns {Object} Path result
    */
   findPath: async (startCode, goalCode, avoidStairs = false, options = {}) => {
-    const { preferOffline = false, offlineOnly = false } = options;
+    const { preferOffline = false, offlineOnly = false, profile = DEFAULT_PROFILE_ID } = options;
+    const routingProfile = getRoutingProfile(profile);
+    const departureTime = resolveDepartureTime(options.departureTime);
+    // Same options object for the offline engine so both routes honor the profile
+    const routeOptions = { avoidStairs, profile: routingProfile.id, departureTime, avoid: options.avoid };
 
     console.log('\n=== ApiService.findPath ===');
-    console.log('Options:', { preferOffline, offlineOnly });
+    console.log('Options:', { preferOffline, offlineOnly, profile: routingProfile.id });
 
     // If offline only mode or prefer offline mode
     if (offlineOnly || preferOffline) {
       console.log('Using offline pathfinding...');
-      const offlineResult = await OfflineService.findPath(startCode, goalCode, avoidStairs);
+      const offlineResult = await OfflineService.findPath(startCode, goalCode, routeOptions);
 
       console.log('Offline result:', { success: offlineResult.success, error: offlineResult.error });
 
       // If offline only or offline succeeded, return the result
       if (offlineOnly || offlineResult.success) {
-        return offlineResult;
+        return withDirectionSteps(offlineResult);
       }
       console.log('Offline failed, falling back to server...');
       // If prefer offline but failed, fall through to try server
@@ -298,12 +393,11 @@ const ApiService = {
 
     // Try server-side pathfinding
     try {
-      const response = await api.post(API_ENDPOINTS.FIND_PATH, {
-        start_code: startCode,
-        goal_code: goalCode,
-        avoid_stairs: avoidStairs,
-      });
-      return { ...response.data, offline: false };
+      const response = await api.post(
+        API_ENDPOINTS.FIND_PATH,
+        toFindPathPayload(startCode, goalCode, avoidStairs, routingProfile, departureTime, options.avoid)
+      );
+      return withDirectionSteps({ ...response.data, offline: false });
     } catch (error) {
       // Check if it's a network error
       const isNetworkError = !error.response ||
@@ -315,11 +409,11 @@ const ApiService = {
       // If network error, try offline fallback
       if (isNetworkError) {
         console.log('Network unavailable, attempting offline pathfinding...');
-        const offlineResult = await OfflineService.findPath(startCode, goalCode, avoidStairs);
+        const offlineResult = await OfflineService.findPath(startCode, goalCode, routeOptions);
 
         if (offlineResult.success) {
           console.log('Offline pathfinding succeeded');
-          return offlineResult;
+          return withDirectionSteps(offlineResult);
         }
 
         // Both server and offline failed - provide helpful error message
@@ -344,6 +438,312 @@ const ApiService = {
     }
   },
 
+  /**
+   * Find a path with the server only (no offline fallback)
+   * @param {string} startCode - Starting node code
+   * @param {string} goalCode - Destination node code
+   * @param {Object} options - Same options as findPath, plus:
+   * @param {string} options.baseURL - Server to ask instead of API_BASE_URL (e.g. a local stand-in)
+   * @returns {Object} Path result (errors are returned, not thrown)
+   */
+  findServerPath: async (startCode, goalCode, options = {}) => {
+    const { avoidStairs = false, profile = DEFAULT_PROFILE_ID, baseURL } = options;
+    const routingProfile = getRoutingProfile(profile);
+    const departureTime = resolveDepartureTime(options.departureTime);
+
+    try {
+      const response = await api.post(
+        API_ENDPOINTS.FIND_PATH,
+        toFindPathPayload(startCode, goalCode, avoidStairs, routingProfile, departureTime, options.avoid),
+        baseURL ? { baseURL } : undefined
+      );
+      return withDirectionSteps({ ...response.data, offline: false });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Server pathfinding failed',
+        offline: false,
+      };
+    }
+  },
+
+  /**
+   * Compare offline and server routes for randomly sampled node pairs
+   * Both engines route with the same profile and departure time.
+   * @param {Object} options - Check configuration
+   * @param {number} options.sampleSize - Number of node pairs (default 20)
+   * @param {string} options.baseURL - Server to compare against (default API_BASE_URL)
+   * @param {string} options.profile - Routing profile ID
+   * @returns {Object} { success, report } (see utils/routeConsistency) or { success: false, error }
+   */
+  checkRouteConsistency: async (options = {}) => {
+    const { sampleSize = 20, baseURL = API_BASE_URL, profile = DEFAULT_PROFILE_ID } = options;
+    const nodes = await OfflineService.getNodes();
+    if (!nodes || nodes.length < 2) {
+      return { success: false, error: 'Not enough cached nodes to compare routes' };
+    }
+
+    const routeOptions = { profile, departureTime: resolveDepartureTime(options.departureTime) };
+    const pairs = sampleNodePairs(nodes, sampleSize);
+    const results = await runConsistencyCheck(pairs, {
+      findOfflineRoute: async (start, goal) =>
+        withDirectionSteps(await OfflineService.findPath(start, goal, routeOptions)),
+      findServerRoute: (start, goal) => ApiService.findServerPath(start, goal, { ...routeOptions, baseURL }),
+    });
+
+    return {
+      success: true,
+      report: buildConsistencyReport(results, {
+        server: baseURL,
+        profile,
+        departure_time: routeOptions.departureTime,
+        offline_synced_at: await OfflineService.getLastSyncTime(),
+      }),
+    };
+  },
+
+  /**
+   * Plan a multi-stop itinerary visiting every stop in the best order
+   * Legs come from findPath, so each one keeps its server/offline fallback.
+   * With a cached graph the order comes from the offline cost matrix and only the
+   * chosen legs are requested; otherwise every pair is requested, throttled to the
+   * server's rate limit. Stops are ordered by profile-weighted cost.
+   * @param {string} startCode - Starting node code
+   * @param {Array<string>} stopCodes - Node codes to visit (order is optimized)
+   * @param {boolean} avoidStairs - If true, avoid stairs
+   * @param {Object} options - Same options as findPath
+   * @returns {Object} Combined path with legs, stops and per-leg directions
+   */
+  findItinerary: async (startCode, stopCodes, avoidStairs = false, options = {}) => {
+    const { preferOffline = false, offlineOnly = false, profile = DEFAULT_PROFILE_ID } = options;
+    // Every leg is routed for the same departure
+    const departureTime = resolveDepartureTime(options.departureTime);
+    const routeOptions = {
+      avoidStairs,
+      profile: getRoutingProfile(profile).id,
+      departureTime,
+      avoid: options.avoid,
+    };
+
+    if (offlineOnly || preferOffline) {
+      const offlineResult = await OfflineService.findItinerary(startCode, stopCodes, routeOptions);
+      if (offlineOnly || offlineResult.success) {
+        return offlineResult;
+      }
+    }
+
+    const stops = [...new Set(stopCodes || [])].filter((code) => code !== startCode);
+    if (stops.length === 0) {
+      return { success: false, error: 'At least one stop different from the start is required' };
+    }
+
+    const codes = [startCode, ...stops];
+    const legResults = new Map();
+    // A failed request is not an unreachable stop, so it fails the itinerary
+    const fetchLegs = async (pairs) => {
+      const results = await runThrottled(pairs.map(([i, j]) => () =>
+        ApiService.findPath(codes[i], codes[j], avoidStairs, { ...options, departureTime })
+      ));
+      pairs.forEach(([i, j], k) => legResults.set(`${i}:${j}`, results[k]));
+    };
+
+    let order = null;
+    let exact = false;
+    if (await OfflineService.isPathfindingAvailable()) {
+      const offlinePlan = await OfflineService.findItinerary(startCode, stops, routeOptions);
+      if (offlinePlan.success) {
+        order = offlinePlan.order.map((code) => codes.indexOf(code));
+        exact = offlinePlan.exact_order;
+      }
+    }
+
+    try {
+      if (!order) {
+        // Every leg once; the route never returns to the start
+        const pairs = codes.flatMap((_, i) =>
+          codes.map((__, j) => [i, j]).filter(([, j]) => i !== j && j !== 0)
+        );
+        await fetchLegs(pairs);
+
+        const costMatrix = codes.map((_, i) =>
+          codes.map((__, j) => {
+            if (i === j) return 0;
+            const leg = legResults.get(`${i}:${j}`);
+            return leg?.success ? getRouteCost(leg, routeOptions.profile) : Infinity;
+          })
+        );
+        ({ order, exact } = solveStopOrder(costMatrix));
+        if (!order) {
+          return { success: false, error: 'No route visits all of the selected stops' };
+        }
+      } else {
+        await fetchLegs(order.map((stopIndex, k) => [k === 0 ? 0 : order[k - 1], stopIndex]));
+      }
+    } catch (error) {
+      console.error('Itinerary leg request failed:', error);
+      return {
+        success: false,
+        error: error?.error || error?.message || 'Could not load every leg of the route. Please try again.',
+      };
+    }
+
+    const legs = [];
+    let prevIndex = 0;
+    for (const stopIndex of order) {
+      const leg = legResults.get(`${prevIndex}:${stopIndex}`);
+      if (!leg.success) return leg;
+      legs.push(leg);
+      prevIndex = stopIndex;
+    }
+
+    const result = stitchLegs(legs);
+    result.order = order.map((stopIndex) => codes[stopIndex]);
+    result.exact_order = exact;
+    result.profile = routeOptions.profile;
+    result.offline = legs.some((leg) => leg.offline);
+    return result;
+  },
+
+  /**
+   * Find the nearest nodes matching a predicate (e.g. closest restroom)
+   * Uses the cached graph when available, otherwise builds one from the server's nodes and edges
+   * @param {string} startCode - Starting node code
+   * @param {Function|string} predicate - (node) => boolean, or a type_of_node value
+   * @param {number} limit - Maximum number of matches
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.offlineOnly - If true, only use cached data
+   * @param {string} options.profile - Routing profile ID (see utils/routingProfiles)
+   * @param {Date|string|null} options.departureTime - Skip edges closed at this time (default now)
+   * @returns {Object} { success, results: [{ node, distance }], offline }
+   */
+  findNearest: async (startCode, predicate, limit = 1, options = {}) => {
+    const { offlineOnly = false, profile = DEFAULT_PROFILE_ID } = options;
+    const routeOptions = {
+      profile: getRoutingProfile(profile).id,
+      departureTime: resolveDepartureTime(options.departureTime),
+    };
+
+    const offlineResult = await OfflineService.findNearest(startCode, predicate, limit, routeOptions);
+    if (offlineOnly || offlineResult.success) {
+      return offlineResult;
+    }
+
+    // No cached graph: build a temporary one from the server
+    const [nodesResponse, edgesResponse] = await Promise.all([
+      ApiService.getNodes(),
+      ApiService.getEdges(),
+    ]);
+    if (!nodesResponse.success || !edgesResponse.success) {
+      return { success: false, error: 'Could not load map data for nearest search', offline: false };
+    }
+
+    const pathfinder = new PathFinder();
+    pathfinder.buildGraph(nodesResponse.nodes || [], edgesResponse.edges || []);
+    return { ...pathfinder.findNearest(startCode, predicate, limit, routeOptions), offline: false };
+  },
+
+  /**
+   * Find every node reachable within a distance or walking-time budget
+   * Uses the cached graph when available, otherwise builds one from the server's nodes and edges
+   * @param {string} startCode - Starting node code
+   * @param {Object} budget - { maxDistance } in meters or { maxSeconds, pace } (see utils/eta)
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.offlineOnly - If true, only use cached data
+   * @param {string} options.profile - Routing profile ID (see utils/routingProfiles)
+   * @param {Date|string|null} options.departureTime - Skip edges closed at this time (default now)
+   * @returns {Object} { success, nodes: [{ node, distance, seconds }], offline }
+   */
+  findReachable: async (startCode, budget, options = {}) => {
+    const { offlineOnly = false, profile = DEFAULT_PROFILE_ID } = options;
+    const routeOptions = {
+      profile: getRoutingProfile(profile).id,
+      departureTime: resolveDepartureTime(options.departureTime),
+    };
+
+    const offlineResult = await OfflineService.findReachable(startCode, budget, routeOptions);
+    if (offlineOnly || offlineResult.success) {
+      return offlineResult;
+    }
+
+    // No cached graph: build a temporary one from the server
+    const [nodesResponse, edgesResponse] = await Promise.all([
+      ApiService.getNodes(),
+      ApiService.getEdges(),
+    ]);
+    if (!nodesResponse.success || !edgesResponse.success) {
+      return { success: false, error: 'Could not load map data for reachability search', offline: false };
+    }
+
+    const pathfinder = new PathFinder();
+    pathfinder.buildGraph(nodesResponse.nodes || [], edgesResponse.edges || []);
+    return { ...pathfinder.findReachable(startCode, budget, routeOptions), offline: false };
+  },
+
+  /**
+   * Find an evacuation route to the nearest safe exit or assembly point
+   * Computed on-device from the cached graph so it works without a connection;
+   * builds a temporary graph from the server only when nothing is cached
+   * @param {string} startCode - Starting node code
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.offlineOnly - If true, only use cached data
+   * @param {string} options.profile - Routing profile ID (elevators are never used)
+   * @param {Date|string|null} options.departureTime - Skip edges closed at this time (default now)
+   * @param {Object} options.avoid - Places to avoid (see findPath)
+   * @returns {Object} Path result with directions plus { evacuation, exit, offline }
+   */
+  findEvacuationRoute: async (startCode, options = {}) => {
+    const { offlineOnly = false, profile = DEFAULT_PROFILE_ID } = options;
+    const routeOptions = {
+      profile: getRoutingProfile(profile).id,
+      departureTime: resolveDepartureTime(options.departureTime),
+      avoid: options.avoid,
+    };
+
+    const offlineResult = await OfflineService.findEvacuationRoute(startCode, routeOptions);
+    if (offlineOnly || offlineResult.success || (await OfflineService.isOfflineEnabled())) {
+      return withDirectionSteps(offlineResult);
+    }
+
+    // No cached graph: build a temporary one from the server
+    const [nodesResponse, edgesResponse] = await Promise.all([
+      ApiService.getNodes(),
+      ApiService.getEdges(),
+    ]);
+    if (!nodesResponse.success || !edgesResponse.success) {
+      return { success: false, error: 'Could not load map data for evacuation routing', offline: false };
+    }
+
+    const pathfinder = new PathFinder();
+    pathfinder.buildGraph(nodesResponse.nodes || [], edgesResponse.edges || []);
+    return withDirectionSteps({ ...pathfinder.findEvacuationRoute(startCode, routeOptions), offline: false });
+  },
+
+  /**
+   * Find alternative routes between two nodes
+   * Computed on-device from the cached graph, so offline data must be downloaded
+   * @param {string} startCode - Starting node code
+   * @param {string} goalCode - Destination node code
+   * @param {number} k - Maximum number of routes
+   * @param {boolean} avoidStairs - If true, avoid stairs
+   * @param {Object} options - Optional configuration
+   * @param {string} options.profile - Routing profile ID (see utils/routingProfiles)
+   * @param {number} options.maxOverlap - Maximum shared distance fraction between routes
+   * @param {Date|string|null} options.departureTime - Skip edges closed at this time (default now)
+   * @param {Object} options.avoid - Places to avoid (see findPath)
+   * @returns {Object} { success, routes } with directions and stats per route
+   */
+  findAlternativePaths: async (startCode, goalCode, k = 3, avoidStairs = false, options = {}) => {
+    const { profile = DEFAULT_PROFILE_ID, maxOverlap } = options;
+    const routeOptions = {
+      avoidStairs,
+      profile: getRoutingProfile(profile).id,
+      maxOverlap,
+      departureTime: resolveDepartureTime(options.departureTime),
+      avoid: options.avoid,
+    };
+    return OfflineService.findAlternativePaths(startCode, goalCode, k, routeOptions);
+  },
+
   /**
    * Get list of all edges
    * Falls back to cached edges if offline
@@ -444,7 +844,9 @@ const ApiService = {
       const response = await api.get(API_ENDPOINTS.NODES_LIST, { params: { _ts: Date.now() } });
       if (response.data?.success && Array.isArray(response.data.nodes)) {
         const normalizedNodes = response.data.nodes.map(ApiService.normalizeNodeImageFields);
+        const cachedNodes = await OfflineService.getNodes();
         await OfflineService.saveNodes(normalizedNodes);
+        OfflineService.applyGraphDelta(computeGraphDelta({ nodes: cachedNodes }, { nodes: normalizedNodes }));
       }
     } catch (error) {
       // Do not block mutation success if refresh fails; screens will still reload on focus.
@@ -468,11 +870,35 @@ const ApiService = {
       });
 
       await OfflineService.saveNodes(nextNodes);
+      // Closures and other routing fields take effect on the next route
+      OfflineService.applyGraphDelta({
+        nodes: nextNodes.filter((node) => Number(node.node_id) === updatedNodeId),
+      });
     } catch (cacheError) {
       console.warn('Failed to sync updated node in offline cache:', cacheError.message);
     }
   },
 
+  syncUpdatedEdgeInCache: async (edgeId, updatedEdge) => {
+    if (!edgeId || !updatedEdge) return;
+
+    try {
+      const cachedEdges = await OfflineService.getEdges();
+      if (!Array.isArray(cachedEdges) || cachedEdges.length === 0) return;
+
+      const nextEdges = cachedEdges.map((edge) => (
+        Number(edge.edge_id) === Number(edgeId) ? { ...edge, ...updatedEdge } : edge
+      ));
+
+      await OfflineService.saveEdges(nextEdges);
+      OfflineService.applyGraphDelta({
+        edges: nextEdges.filter((edge) => Number(edge.edge_id) === Number(edgeId)),
+      });
+    } catch (cacheError) {
+      console.warn('Failed to sync updated edge in offline cache:', cacheError.message);
+    }
+  },
+
   removeDeletedNodeFromCache: async (nodeId) => {
     if (!nodeId) return;
 
@@ -482,6 +908,7 @@ const ApiService = {
 
       const nextNodes = cachedNodes.filter((node) => node.node_id !== nodeId);
       await OfflineService.saveNodes(nextNodes);
+      OfflineService.applyGraphDelta({ removedNodeIds: [nodeId] });
     } catch (cacheError) {
       console.warn('Failed to remove deleted node from offline cache:', cacheError.message);
     }
@@ -567,6 +994,9 @@ const ApiService = {
   updateEdge: async (edgeId, edgeData) => {
     try {
       const response = await adminApi.put(`${API_ENDPOINTS.EDGE_UPDATE}${edgeId}/update/`, edgeData);
+      if (response.data?.success) {
+        await ApiService.syncUpdatedEdgeInCache(edgeId, response.data.edge || edgeData);
+      }
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
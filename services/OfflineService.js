@@ -5,9 +5,31 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
 import { Directory, File, Paths } from 'expo-file-system';
 import { API_BASE_URL } from '../config';
 import { getPathfinder, resetPathfinder } from '../utils/pathfinding';
+import { computeGraphDelta, isEmptyDelta } from '../utils/graphDelta';
+import { getVersionToken, applyChanges, recordsChanged } from '../utils/deltaSync';
+import {
+  ITEM_STATUS,
+  enqueueItems,
+  mergeQueued,
+  isRequeued,
+  getNextItem,
+  markDone,
+  markFailed,
+  retryFailed,
+  pruneQueue,
+  getQueueSummary,
+} from '../utils/downloadQueue';
+import {
+  getDownloadConcurrency,
+  recordThroughputSample,
+  measureThroughput,
+} from '../utils/downloadConcurrency';
+import { AVERAGE_IMAGE_BYTES, planEviction } from '../utils/imageCacheBudget';
+import { TAIL_BYTES, getExpectedImage, verifyImageFile } from '../utils/cacheIntegrity';
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -19,12 +41,18 @@ const STORAGE_KEYS = {
   DATA_VERSION: '@offline_data_version',
   OFFLINE_ENABLED: '@offline_enabled',
   DOWNLOAD_PROGRESS: '@offline_download_progress',
+  DOWNLOAD_QUEUE: '@offline_download_queue',
+  IMAGE_ACCESS: '@offline_image_access',
+  STORAGE_BUDGET: '@offline_storage_budget',
+  SAVED_ROUTES: '@offline_saved_routes',
 };
 
 // Directory instances for cached images
 const IMAGE_CACHE_DIR = new Directory(Paths.document, 'offline_images');
 const IMAGE_360_DIR = new Directory(IMAGE_CACHE_DIR, '360');
 const CAMPUS_MAP_DIR = new Directory(IMAGE_CACHE_DIR, 'maps');
+// Corrupt 360° images are moved here (one per node) before being downloaded again
+const QUARANTINE_DIR = new Directory(IMAGE_CACHE_DIR, 'quarantine');
 
 class OfflineService {
   constructor() {
@@ -37,10 +65,14 @@ class OfflineService {
       currentItem: '',
       percentage: 0,
       error: null,
+      failedItems: 0, // images that gave up retrying (see utils/downloadQueue)
     };
     this.nodesMemoryCache = null;
     this.edgesMemoryCache = null;
     this.eventsMemoryCache = null;
+    this.imageAccessCache = null;
+    this.storageBudget = undefined; // bytes, null = no limit (undefined until loaded)
+    this.queueUpdate = Promise.resolve(); // tail of the serialized download queue updates
   }
 
   /**
@@ -49,7 +81,7 @@ class OfflineService {
   async initialize() {
     try {
       // Create directories if they don't exist using the new API
-      const dirsToCreate = [IMAGE_CACHE_DIR, IMAGE_360_DIR, CAMPUS_MAP_DIR];
+      const dirsToCreate = [IMAGE_CACHE_DIR, IMAGE_360_DIR, CAMPUS_MAP_DIR, QUARANTINE_DIR];
       for (const dir of dirsToCreate) {
         if (!dir.exists) {
           dir.create({ intermediates: true });
@@ -223,6 +255,7 @@ class OfflineService {
         if (cachedUrl === imageUrl) {
           // Cache is fresh and matches the server URL — use it
           console.log(`📦 Using cached image for node ${node.node_id}: ${localFile.uri}`);
+          this.touchImage(node.node_id);
           return localFile.uri;
         } else {
           // The server image URL changed (updated) — delete the stale cached file
@@ -326,6 +359,7 @@ class OfflineService {
       if (nodeId !== undefined && nodeId !== null) {
         const cachedUrlKey = `@cached_image_url_${nodeId}`;
         await AsyncStorage.setItem(cachedUrlKey, url);
+        await this.touchImage(nodeId);
       }
       
       console.log(`✅ Downloaded: ${filename} (${(bytes.length / 1024 / 1024).toFixed(2)} MB)`);
@@ -611,6 +645,7 @@ class OfflineService {
         currentItem: 'Fetching data...',
         percentage: 0,
         error: null,
+        failedItems: 0,
       });
 
       // Step 1: Fetch all data from API
@@ -702,35 +737,18 @@ class OfflineService {
         this.updateProgress({ completedItems });
       }
 
-      // Step 4: Download all 360° images
+      // Step 4: Download all 360° images (persisted queue, resumes after a restart)
       console.log(`\n📸 Starting image download for ${nodesWithImages.length} nodes...`);
-      
-      for (let i = 0; i < nodesWithImages.length; i++) {
-        const node = nodesWithImages[i];
-        const imageUrl = node.image360_url || node.image360;
-        
-        this.updateProgress({
-          currentItem: `Downloading image ${i + 1}/${nodesWithImages.length}: ${node.name}`,
-        });
+      await this.queueNodeImages(nodesWithImages);
+      const imageSummary = await this.processDownloadQueue(completedItems);
+      completedItems = this.downloadProgress.completedItems;
 
-        const localFile = this.getLocal360ImagePath(node.node_id);
-        
-        // Check if already cached
-        if (!localFile.exists) {
-          console.log(`  Downloading node ${node.node_id}: ${node.name}`);
-          const success = await this.downloadImage(imageUrl, `node_${node.node_id}.jpg`, node.node_id);
-          if (!success) {
-            console.warn(`  ⚠️ Failed to download image for node ${node.node_id}`);
-          }
-        } else {
-          console.log(`  ✅ Already cached: node ${node.node_id}`);
-        }
-
-        completedItems++;
-        this.updateProgress({ completedItems });
+      // Cancelled: the download is incomplete, so it is not recorded as a sync
+      if (!this.isDownloading) {
+        return { success: false, cancelled: true, error: 'Download cancelled' };
       }
-      
-      console.log(`✅ Image download complete`);
+
+      console.log(`✅ Image download complete (${imageSummary.done} downloaded, ${imageSummary.failed} failed)`);
 
       // Step 5: Initialize pathfinder with downloaded data
       this.updateProgress({
@@ -758,9 +776,15 @@ class OfflineService {
       await AsyncStorage.setItem(STORAGE_KEYS.LAST_SYNC, syncTime);
       await this.setOfflineEnabled(true);
 
+      let doneMessage = 'All resources downloaded!';
+      if (imageSummary.skipped > 0) {
+        doneMessage = `Storage budget reached, ${imageSummary.skipped} images skipped`;
+      } else if (imageSummary.failed > 0) {
+        doneMessage = `Downloaded, but ${imageSummary.failed} images failed`;
+      }
       this.updateProgress({
         status: 'completed',
-        currentItem: 'All resources downloaded!',
+        currentItem: doneMessage,
         percentage: 100,
       });
 
@@ -783,8 +807,125 @@ class OfflineService {
     }
   }
 
+  /**
+   * Read cached events as stored (getEvents hides past events)
+   * @returns {Array} Events, or [] if none are cached
+   */
+  async getStoredEvents() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.EVENTS);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to read stored events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the data version the offline cache was last synced to
+   * @returns {string|null} Version token (see utils/deltaSync)
+   */
+  async getAppliedDataVersion() {
+    try {
+      return await AsyncStorage.getItem(STORAGE_KEYS.DATA_VERSION);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save synced nodes, edges and events with the data version they match
+   * One multiSet, so a failed sync never leaves half-applied data behind
+   * @param {Object} data - { nodes, edges, events }
+   * @param {string|null} version - Data version applied (null if the server reports none)
+   */
+  async saveSyncedData({ nodes, edges, events }, version) {
+    const entries = [
+      [STORAGE_KEYS.NODES, JSON.stringify(nodes)],
+      [STORAGE_KEYS.EDGES, JSON.stringify(edges)],
+      [STORAGE_KEYS.EVENTS, JSON.stringify(events)],
+      [STORAGE_KEYS.LAST_SYNC, new Date().toISOString()],
+    ];
+    if (version) entries.push([STORAGE_KEYS.DATA_VERSION, version]);
+
+    await AsyncStorage.multiSet(entries);
+    if (!version) await AsyncStorage.removeItem(STORAGE_KEYS.DATA_VERSION);
+
+    this.nodesMemoryCache = nodes;
+    this.edgesMemoryCache = edges;
+    // Re-filtered to active/upcoming on next read
+    this.eventsMemoryCache = null;
+  }
+
+  /**
+   * Fetch the records that changed since the applied data version
+   * Uses the changes endpoint when both sides know their version, otherwise
+   * refetches every node, edge and event.
+   * @param {Object} apiService - ApiService
+   * @param {Object} cache - { nodes, edges, events } currently cached
+   * @returns {Object} { data: { nodes, edges, events }, version, incremental }
+   */
+  async fetchServerChanges(apiService, cache) {
+    const appliedVersion = await this.getAppliedDataVersion();
+    let serverVersion = null;
+    try {
+      const versionResponse = await apiService.getDataVersion();
+      serverVersion = getVersionToken(versionResponse?.version);
+    } catch (error) {
+      console.warn('Data version unavailable, doing a full sync:', error.message || error);
+    }
+
+    if (serverVersion && serverVersion === appliedVersion) {
+      return { data: cache, version: serverVersion, incremental: true, upToDate: true };
+    }
+
+    if (serverVersion && appliedVersion) {
+      try {
+        const changes = await apiService.getChanges(appliedVersion);
+        if (changes?.success) {
+          const nodes = (changes.nodes || []).map(apiService.normalizeNodeImageFields);
+          return {
+            data: applyChanges(cache, { ...changes, nodes }),
+            version: changes.version != null ? String(changes.version) : serverVersion,
+            incremental: true,
+          };
+        }
+      } catch (error) {
+        console.warn('Changes endpoint failed, doing a full sync:', error.message || error);
+      }
+    }
+
+    const nodesResponse = await apiService.getNodes();
+    const edgesResponse = await apiService.getEdges();
+    if (!nodesResponse.success || !edgesResponse.success) {
+      throw new Error('Failed to check for updates');
+    }
+
+    // Events are optional; keep the cached ones if they can't be fetched
+    let events = cache.events;
+    try {
+      const eventsResponse = await apiService.getEvents();
+      if (eventsResponse.success) events = eventsResponse.events || [];
+    } catch (error) {
+      console.warn('Failed to fetch events, keeping cached events:', error.message || error);
+    }
+
+    return {
+      data: {
+        // Same image fields as the nodes cached by ApiService.getNodes
+        nodes: (nodesResponse.nodes || []).map(apiService.normalizeNodeImageFields),
+        edges: edgesResponse.edges || [],
+        events,
+      },
+      version: serverVersion,
+      incremental: false,
+    };
+  }
+
   /**
    * Check for updates and download only new/changed items
+   * Change tracking is keyed on the server's data version (see utils/deltaSync);
+   * records are compared by content, so edited names, distances and angles count.
    */
   async checkAndUpdateResources(apiService) {
     try {
@@ -796,38 +937,37 @@ class OfflineService {
       }
 
       // Get current local data
-      const localNodes = await this.getNodes();
-      const localEdges = await this.getEdges();
+      const localNodes = (await this.getNodes()) || [];
+      const localEdges = (await this.getEdges()) || [];
+      const localEvents = await this.getStoredEvents();
 
       console.log('Current offline data:');
-      console.log('  - Nodes:', localNodes?.length || 0);
-      console.log('  - Edges:', localEdges?.length || 0);
-
-      // Fetch latest from server
-      const nodesResponse = await apiService.getNodes();
-      const edgesResponse = await apiService.getEdges();
-
-      if (!nodesResponse.success || !edgesResponse.success) {
-        return { success: false, error: 'Failed to check for updates' };
+      console.log('  - Nodes:', localNodes.length);
+      console.log('  - Edges:', localEdges.length);
+      console.log('  - Events:', localEvents.length);
+
+      const cache = { nodes: localNodes, edges: localEdges, events: localEvents };
+      const { data, version, incremental, upToDate } = await this.fetchServerChanges(apiService, cache);
+      if (upToDate) {
+        console.log('✅ Already at data version', version);
+        await AsyncStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
+        return { success: true, hasUpdates: false, newNodes: 0, newImages: 0 };
       }
 
-      const serverNodes = nodesResponse.nodes || [];
-      const serverEdges = edgesResponse.edges || [];
-
-      console.log('Server data:');
-      console.log('  - Nodes:', serverNodes.length);
-      console.log('  - Edges:', serverEdges.length);
+      const serverNodes = data.nodes;
+      const serverEdges = data.edges;
 
-      // Check if data has changed
-      const nodesChanged = !localNodes || localNodes.length !== serverNodes.length;
-      const edgesChanged = !localEdges || localEdges.length !== serverEdges.length;
+      // Check if data has changed (by content, not just by count)
+      const nodesChanged = recordsChanged(localNodes, serverNodes);
+      const edgesChanged = recordsChanged(localEdges, serverEdges);
+      const eventsChanged = recordsChanged(localEvents, data.events);
       
       // Calculate new nodes
-      const localNodeIds = new Set((localNodes || []).map(n => n.node_id));
+      const localNodeIds = new Set(localNodes.map(n => n.node_id));
       const newNodesAdded = serverNodes.filter(n => !localNodeIds.has(n.node_id));
       
       // Find nodes with new/updated images
-      const localNodeMap = new Map((localNodes || []).map(n => [n.node_id, n]));
+      const localNodeMap = new Map(localNodes.map(n => [n.node_id, n]));
       const nodesNeedingImages = serverNodes.filter(serverNode => {
         const imageUrl = serverNode.image360_url || serverNode.image360;
         if (!imageUrl) return false;
@@ -837,31 +977,29 @@ class OfflineService {
         return !localNode || localNode.image360_url !== imageUrl || localNode.image360 !== imageUrl;
       });
 
-      console.log('Changes detected:');
+      console.log('Changes detected:', incremental ? '(since applied version)' : '(full comparison)');
       console.log('  - Nodes changed:', nodesChanged);
       console.log('  - Edges changed:', edgesChanged);
+      console.log('  - Events changed:', eventsChanged);
       console.log('  - New nodes:', newNodesAdded.length);
       console.log('  - Images to download:', nodesNeedingImages.length);
 
-      // Always update nodes and edges data (they're small)
-      await this.saveNodes(serverNodes);
-      await this.saveEdges(serverEdges);
-      console.log('✅ Updated nodes and edges in cache');
+      // Apply nodes, edges, events and the version together
+      await this.saveSyncedData(data, version);
+      console.log('✅ Updated nodes, edges and events in cache, data version:', version);
+
+      // Patch the live graph with whatever changed (renames included)
+      this.applyGraphDelta(computeGraphDelta(
+        { nodes: localNodes, edges: localEdges },
+        { nodes: serverNodes, edges: serverEdges }
+      ));
 
       if (nodesNeedingImages.length === 0) {
         // Just data update, no images
-        await AsyncStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
-        
-        // Reset pathfinder if data changed
-        if (nodesChanged || edgesChanged) {
-          resetPathfinder();
-          console.log('✅ Pathfinder reset due to data changes');
-        }
-        
         return { 
           success: true, 
-          hasUpdates: nodesChanged || edgesChanged,
-          newNodes: 0,
+          hasUpdates: nodesChanged || edgesChanged || eventsChanged,
+          newNodes: newNodesAdded.length,
           newImages: 0
         };
       }
@@ -870,43 +1008,31 @@ class OfflineService {
       this.isDownloading = true;
       this.updateProgress({
         status: 'downloading',
-        totalItems: nodesNeedingImages.length + 2,
+        totalItems: nodesNeedingImages.length,
         completedItems: 0,
-        currentItem: 'Updating data...',
+        currentItem: 'Updating images...',
         percentage: 0,
         error: null,
       });
 
-      // Save updated data
-      await this.saveNodes(serverNodes);
-      this.updateProgress({ completedItems: 1, currentItem: 'Saving updated data...' });
-      
-      await this.saveEdges(serverEdges);
-      this.updateProgress({ completedItems: 2 });
-
-      // Download new images
-      for (let i = 0; i < nodesNeedingImages.length; i++) {
-        const node = nodesNeedingImages[i];
-        const imageUrl = node.image360_url || node.image360;
-        
-        this.updateProgress({
-          currentItem: `Downloading new image: ${node.name}`,
-          completedItems: i + 2,
-        });
+      // Changed images replace the cached files
+      await this.queueNodeImages(nodesNeedingImages, { skipCached: false });
+      const imageSummary = await this.processDownloadQueue();
 
-        await this.downloadImage(imageUrl, `node_${node.node_id}.jpg`, node.node_id);
+      if (!this.isDownloading) {
+        return { success: false, cancelled: true, error: 'Update cancelled' };
       }
 
-      await AsyncStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
-      
-      // Reset pathfinder after updating
-      resetPathfinder();
-
+      let doneMessage = 'Update complete!';
+      if (imageSummary.skipped > 0) {
+        doneMessage = `Updated, but storage budget reached (${imageSummary.skipped} images skipped)`;
+      } else if (imageSummary.failed > 0) {
+        doneMessage = `Updated, but ${imageSummary.failed} images failed`;
+      }
       this.updateProgress({
         status: 'completed',
-        currentItem: 'Update complete!',
+        currentItem: doneMessage,
         percentage: 100,
-        completedItems: nodesNeedingImages.length + 2,
       });
 
       this.isDownloading = false;
@@ -932,6 +1058,7 @@ class OfflineService {
       this.nodesMemoryCache = null;
       this.edgesMemoryCache = null;
       this.eventsMemoryCache = null;
+      this.imageAccessCache = null;
       // Clear AsyncStorage
       await AsyncStorage.multiRemove([
         STORAGE_KEYS.NODES,
@@ -941,10 +1068,12 @@ class OfflineService {
         STORAGE_KEYS.LAST_SYNC,
         STORAGE_KEYS.DATA_VERSION,
         STORAGE_KEYS.DOWNLOAD_PROGRESS,
+        STORAGE_KEYS.DOWNLOAD_QUEUE,
+        STORAGE_KEYS.IMAGE_ACCESS,
       ]);
 
       // Clear image directories using new API
-      const dirs = [IMAGE_360_DIR, CAMPUS_MAP_DIR];
+      const dirs = [IMAGE_360_DIR, CAMPUS_MAP_DIR, QUARANTINE_DIR];
       for (const dir of dirs) {
         if (dir.exists) {
           dir.delete();
@@ -961,6 +1090,7 @@ class OfflineService {
         currentItem: '',
         percentage: 0,
         error: null,
+        failedItems: 0,
       };
       this.notifyProgress();
 
@@ -993,6 +1123,7 @@ class OfflineService {
 
       totalSize += await calculateDirSize(IMAGE_360_DIR);
       totalSize += await calculateDirSize(CAMPUS_MAP_DIR);
+      totalSize += await calculateDirSize(QUARANTINE_DIR);
 
       return totalSize;
     } catch (error) {
@@ -1057,6 +1188,517 @@ class OfflineService {
     }
   }
 
+  /**
+   * Load when each cached image was last viewed
+   * @returns {Object} Node ID -> last access time (ms)
+   */
+  async getImageAccessTimes() {
+    if (this.imageAccessCache) return this.imageAccessCache;
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.IMAGE_ACCESS);
+      this.imageAccessCache = data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Failed to load image access times:', error);
+      this.imageAccessCache = {};
+    }
+    return this.imageAccessCache;
+  }
+
+  /**
+   * Record that a cached image was viewed or downloaded (for LRU eviction)
+   * @param {number|string} nodeId - Node ID
+   */
+  async touchImage(nodeId) {
+    await this.getImageAccessTimes();
+    this.imageAccessCache = { ...this.imageAccessCache, [nodeId]: Date.now() };
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.IMAGE_ACCESS, JSON.stringify(this.imageAccessCache));
+    } catch (error) {
+      console.error('Failed to save image access time:', error);
+    }
+  }
+
+  /**
+   * Get the routes the user saved for offline use
+   * @returns {Array} [{ id, name, nodeIds, saved_at }]
+   */
+  async getSavedRoutes() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.SAVED_ROUTES);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to load saved routes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a route for offline use and download its images
+   * Images on saved routes are never evicted by the storage budget.
+   * @param {Object} route - { id, name, nodeIds }
+   * @returns {Object} { success, error }
+   */
+  async saveRoute(route) {
+    try {
+      const routes = (await this.getSavedRoutes()).filter((saved) => saved.id !== route.id);
+      routes.push({ ...route, saved_at: new Date().toISOString() });
+      await AsyncStorage.setItem(STORAGE_KEYS.SAVED_ROUTES, JSON.stringify(routes));
+
+      const nodeIds = new Set(route.nodeIds.map(String));
+      const routeNodes = ((await this.getNodes()) || []).filter((node) => (
+        nodeIds.has(String(node.node_id)) && (node.image360_url || node.image360)
+      ));
+      await this.queueNodeImages(routeNodes);
+      // Fire and forget; progress shows in the download indicator
+      this.resumeDownloadQueue().catch((error) => console.error('Saved route download failed:', error));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save route:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forget a saved route (its images become evictable again)
+   * @param {string} routeId - Route ID
+   */
+  async removeSavedRoute(routeId) {
+    try {
+      const routes = (await this.getSavedRoutes()).filter((saved) => saved.id !== routeId);
+      await AsyncStorage.setItem(STORAGE_KEYS.SAVED_ROUTES, JSON.stringify(routes));
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to remove saved route:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the storage budget for cached panoramas
+   * @returns {number|null} Bytes, or null for no limit
+   */
+  async getStorageBudget() {
+    if (this.storageBudget !== undefined) return this.storageBudget;
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.STORAGE_BUDGET);
+      this.storageBudget = data ? Number(data) : null;
+    } catch (error) {
+      console.error('Failed to load storage budget:', error);
+      return null;
+    }
+    return this.storageBudget;
+  }
+
+  /**
+   * Set the storage budget and evict images over it
+   * @param {number|null} bytes - Budget in bytes, or null for no limit
+   * @returns {Object} Result of enforceStorageBudget
+   */
+  async setStorageBudget(bytes) {
+    if (bytes === null) {
+      await AsyncStorage.removeItem(STORAGE_KEYS.STORAGE_BUDGET);
+    } else {
+      await AsyncStorage.setItem(STORAGE_KEYS.STORAGE_BUDGET, String(bytes));
+    }
+    this.storageBudget = bytes;
+    return this.enforceStorageBudget();
+  }
+
+  /**
+   * List cached 360° images
+   * @returns {Array} [{ id, size, file }] where id is the node ID
+   */
+  listCachedImages() {
+    if (!IMAGE_360_DIR.exists) return [];
+    return IMAGE_360_DIR.list()
+      .filter((entry) => entry instanceof File)
+      .map((file) => ({ id: file.name?.match(/^node_(.+)\.jpg$/)?.[1], size: file.size || 0, file }))
+      .filter((entry) => entry.id !== undefined);
+  }
+
+  /**
+   * Work out which panoramas would be evicted to fit the storage budget, without deleting any
+   * Images on saved routes and in keepIds are never evicted.
+   * @param {number} incomingBytes - Room needed for downloads about to start
+   * @param {Object} options - { keepIds }: node IDs to keep as well
+   * @returns {Object} { budget, plan } where plan is from planEviction (null without a budget)
+   */
+  async planStorageBudget(incomingBytes = 0, { keepIds = [] } = {}) {
+    const budget = await this.getStorageBudget();
+    if (budget === null) return { budget, plan: null };
+
+    const accessTimes = await this.getImageAccessTimes();
+    const entries = this.listCachedImages().map((entry) => ({
+      ...entry,
+      lastAccess: accessTimes[entry.id] || 0,
+    }));
+    const protectedIds = new Set(keepIds.map(String));
+    for (const route of await this.getSavedRoutes()) {
+      route.nodeIds.forEach((id) => protectedIds.add(String(id)));
+    }
+
+    return { budget, plan: planEviction(entries, { budget, incomingBytes, protectedIds }) };
+  }
+
+  /**
+   * Evict least-recently-used panoramas until the cache fits the storage budget
+   * Images on saved routes and in keepIds are never evicted. Nothing is evicted
+   * if the cache can't be made to fit anyway.
+   * @param {number} incomingBytes - Room needed for downloads about to start
+   * @param {Object} options - { keepIds }: node IDs to keep as well
+   * @returns {Object} { budget, usedBytes, freedBytes, evicted, fits }
+   */
+  async enforceStorageBudget(incomingBytes = 0, { keepIds = [] } = {}) {
+    try {
+      const { budget, plan } = await this.planStorageBudget(incomingBytes, { keepIds });
+      if (budget === null) {
+        return { budget, usedBytes: null, freedBytes: 0, evicted: 0, fits: true };
+      }
+
+      if (plan.evict.length > 0) {
+        const remainingTimes = { ...this.imageAccessCache };
+        for (const entry of plan.evict) {
+          try {
+            entry.file.delete();
+          } catch (deleteErr) {
+            console.warn(`Could not evict cached image for node ${entry.id}:`, deleteErr.message);
+          }
+          await AsyncStorage.removeItem(`@cached_image_url_${entry.id}`);
+          delete remainingTimes[entry.id];
+        }
+        this.imageAccessCache = remainingTimes;
+        await AsyncStorage.setItem(STORAGE_KEYS.IMAGE_ACCESS, JSON.stringify(remainingTimes));
+        console.log(`🧹 Evicted ${plan.evict.length} cached images (${this.formatBytes(plan.freedBytes)}) to fit the storage budget`);
+      }
+
+      return {
+        budget,
+        usedBytes: plan.usedBytes - plan.freedBytes,
+        freedBytes: plan.freedBytes,
+        evicted: plan.evict.length,
+        fits: plan.fits,
+      };
+    } catch (error) {
+      console.error('Failed to enforce storage budget:', error);
+      return { budget: null, usedBytes: null, freedBytes: 0, evicted: 0, fits: true };
+    }
+  }
+
+  /**
+   * Load the persisted image download queue
+   * @returns {Object} Queue (see utils/downloadQueue)
+   */
+  async loadDownloadQueue() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.DOWNLOAD_QUEUE);
+      return data ? JSON.parse(data) : { items: [] };
+    } catch (error) {
+      console.error('Failed to load download queue:', error);
+      return { items: [] };
+    }
+  }
+
+  /**
+   * Persist the image download queue
+   * @param {Object} queue - Queue
+   */
+  async saveDownloadQueue(queue) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.DOWNLOAD_QUEUE, JSON.stringify(queue));
+    } catch (error) {
+      console.error('Failed to save download queue:', error);
+    }
+  }
+
+  /**
+   * Read, change and save the persisted download queue
+   * Updates run one at a time, so a running download and images queued meanwhile
+   * (saved routes, repairs) never overwrite each other.
+   * @param {Function} update - (queue) => new queue
+   * @returns {Object} Saved queue
+   */
+  updateDownloadQueue(update) {
+    const run = this.queueUpdate.then(async () => {
+      const queue = update(await this.loadDownloadQueue());
+      await this.saveDownloadQueue(queue);
+      return queue;
+    });
+    this.queueUpdate = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue the 360° images of some nodes
+   * @param {Array} nodes - Nodes with image360_url / image360
+   * @param {Object} options - { skipCached }: leave out images already on disk (default true)
+   * @returns {Object} Queue
+   */
+  async queueNodeImages(nodes, { skipCached = true } = {}) {
+    const items = nodes
+      .filter((node) => !skipCached || !this.getLocal360ImagePath(node.node_id).exists)
+      .map((node) => ({
+        id: `node_${node.node_id}`,
+        url: node.image360_url || node.image360,
+        filename: `node_${node.node_id}.jpg`,
+        nodeId: node.node_id,
+        label: node.name,
+      }));
+
+    return this.updateDownloadQueue((queue) => pruneQueue(enqueueItems(queue, items, { force: !skipCached })));
+  }
+
+  /**
+   * Wait before retrying a download (replaceable in tests)
+   * @param {number} ms - Delay in milliseconds
+   */
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Size of a downloaded 360° image, for throughput measurement
+   * @param {string} filename - Local filename
+   * @returns {number} Bytes (0 if unknown)
+   */
+  getCachedImageSize(filename) {
+    try {
+      return new File(IMAGE_360_DIR, filename).size || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Download queued images with a bounded worker pool, retrying failures with exponential backoff
+   * Concurrency follows the connection type and the observed throughput
+   * (see utils/downloadConcurrency). The queue is saved after every item,
+   * so a killed app resumes where it stopped. Each save merges in images
+   * queued (or queued again, e.g. after a repair) since the run started, and
+   * they are downloaded in the same run.
+   * Stops starting new downloads when cancelled; the rest is dropped so the
+   * next launch doesn't resume it.
+   * Stops for good when the storage budget is full; the rest is dropped
+   * and counted as skipped.
+   * @param {number} completedOffset - Progress items finished before the images
+   * @returns {Object} Queue summary { total, done, pending, failed, skipped }
+   */
+  async processDownloadQueue(completedOffset = 0) {
+    await this.queueUpdate;
+    let queue = await this.loadDownloadQueue();
+    let total = getQueueSummary(queue).total;
+    this.updateProgress({ totalItems: completedOffset + total });
+
+    // Save the run's state, keeping items others queued meanwhile (they join this run)
+    const persist = (finalize = (merged) => merged) => this.updateDownloadQueue((persisted) => {
+      queue = mergeQueued(queue, persisted);
+      const merged = getQueueSummary(queue).total;
+      if (merged !== total) {
+        total = merged;
+        this.updateProgress({ totalItems: completedOffset + total });
+      }
+      return finalize(queue);
+    });
+
+    let netState = null;
+    try {
+      netState = await NetInfo.fetch();
+    } catch (error) {
+      console.warn('Could not read connection type, using default concurrency:', error.message);
+    }
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      netState = state;
+    });
+
+    let samples = [];
+    let budgetFull = false;
+    const active = new Map();
+
+    // Images downloaded in this run (or still downloading) make room for the next ones, not vice versa
+    const getKeepIds = () => [
+      ...queue.items.filter((item) => item.status === ITEM_STATUS.DONE).map((item) => item.nodeId),
+      ...[...active.values()].map(({ nodeId }) => nodeId),
+    ];
+
+    // Bytes in the image cache, kept up to date during the run so the budget is only
+    // re-planned (listing and evicting from the whole cache) when the estimate reaches it
+    let cachedBytes = null;
+    const makeRoom = async (incomingBytes) => {
+      const budget = await this.getStorageBudget();
+      if (budget === null) return true;
+      if (cachedBytes !== null && cachedBytes + incomingBytes <= budget) return true;
+      const room = await this.enforceStorageBudget(incomingBytes, { keepIds: getKeepIds() });
+      cachedBytes = room.usedBytes;
+      return room.fits;
+    };
+
+    const reportProgress = () => {
+      const { done, failed } = getQueueSummary(queue);
+      const labels = [...active.values()].map(({ label }) => label).join(', ');
+      this.updateProgress({
+        currentItem: `Downloading images ${done + failed}/${total}${labels ? `: ${labels}` : ''}`,
+        completedItems: completedOffset + done + failed,
+      });
+    };
+
+    const download = async (item) => {
+      const startedAt = Date.now();
+      const success = await this.downloadImage(item.url, item.filename, item.nodeId);
+      const bytes = success ? this.getCachedImageSize(item.filename) : 0;
+      if (bytes > 0) {
+        samples = recordThroughputSample(samples, { bytes, startedAt, finishedAt: Date.now() });
+        if (cachedBytes !== null) cachedBytes += bytes;
+      }
+      if (success) await this.releaseQuarantinedImage(item.nodeId);
+      // Queued again while downloading (e.g. found corrupt): leave it pending
+      if (!isRequeued(queue, item)) {
+        queue = success ? markDone(queue, item.id) : markFailed(queue, item.id, 'Download failed');
+      }
+      active.delete(item.id);
+      await persist();
+      if (this.isDownloading) reportProgress();
+    };
+
+    try {
+      while (this.isDownloading) {
+        const concurrency = getDownloadConcurrency(netState, measureThroughput(samples));
+        let next = getNextItem(queue, Date.now(), new Set(active.keys()));
+        while (next && next.waitMs === 0 && active.size < concurrency) {
+          if (!(await makeRoom(AVERAGE_IMAGE_BYTES * (active.size + 1)))) {
+            budgetFull = true;
+            break;
+          }
+          const { item } = next;
+          active.set(item.id, { label: item.label, nodeId: item.nodeId, promise: download(item) });
+          next = getNextItem(queue, Date.now(), new Set(active.keys()));
+        }
+        if (budgetFull) {
+          console.warn('⚠️ Storage budget reached, not downloading the remaining images');
+          break;
+        }
+
+        if (active.size > 0) {
+          reportProgress();
+          await Promise.race([...active.values()].map(({ promise }) => promise));
+          continue;
+        }
+        if (!next) {
+          // Pick up images queued since the last save before finishing
+          await persist();
+          if (getNextItem(queue, Date.now())) continue;
+          break;
+        }
+
+        // Everything left is backing off
+        this.updateProgress({ currentItem: `Retrying ${next.item.label} in ${Math.ceil(next.waitMs / 1000)}s...` });
+        await this.wait(next.waitMs);
+      }
+    } finally {
+      unsubscribe?.();
+      // Downloads already started still finish and land in the queue
+      await Promise.all([...active.values()].map(({ promise }) => promise));
+    }
+
+    const dropPending = (merged) => ({ items: merged.items.filter((item) => item.status !== ITEM_STATUS.PENDING) });
+    let summary;
+    // Finished items are dropped; failed ones stay for "retry failed items"
+    await persist((merged) => {
+      let remaining = merged;
+      let skipped = 0;
+      if (budgetFull) {
+        // No point resuming them on the next start; downloading again re-queues them
+        skipped = getQueueSummary(remaining).pending;
+        remaining = dropPending(remaining);
+      }
+      summary = { ...getQueueSummary(remaining), skipped };
+      if (!this.isDownloading) {
+        // Cancelled by the user: don't resume the rest on the next launch
+        remaining = dropPending(remaining);
+      }
+      return pruneQueue(remaining);
+    });
+    this.updateProgress({
+      completedItems: completedOffset + summary.done + summary.failed,
+      failedItems: summary.failed,
+    });
+    return summary;
+  }
+
+  /**
+   * Download whatever is queued, outside a full download or sync
+   * @param {string} message - Progress message to start with
+   * @returns {Object} Queue summary
+   */
+  async runQueuedDownloads(message) {
+    this.isDownloading = true;
+    this.updateProgress({
+      status: 'downloading',
+      totalItems: 0,
+      completedItems: 0,
+      currentItem: message,
+      percentage: 0,
+      error: null,
+    });
+
+    try {
+      const summary = await this.processDownloadQueue();
+      // A cancelled run has already reset the status
+      if (this.isDownloading) {
+        let doneMessage = 'Images downloaded!';
+        if (summary.skipped > 0) {
+          doneMessage = `Storage budget reached, ${summary.skipped} images skipped`;
+        } else if (summary.failed > 0) {
+          doneMessage = `${summary.failed} images failed`;
+        }
+        this.updateProgress({
+          status: 'completed',
+          currentItem: doneMessage,
+          percentage: 100,
+        });
+      }
+      return summary;
+    } finally {
+      this.isDownloading = false;
+    }
+  }
+
+  /**
+   * Resume image downloads interrupted by an app restart
+   * @returns {Object|null} Queue summary, or null if nothing was pending
+   */
+  async resumeDownloadQueue() {
+    if (this.isDownloading) return null;
+
+    const summary = getQueueSummary(await this.loadDownloadQueue());
+    if (summary.pending === 0) {
+      // A killed download leaves a stale 'downloading' status behind
+      if (this.downloadProgress.status === 'downloading') {
+        this.updateProgress({ status: 'idle', currentItem: '' });
+      }
+      return null;
+    }
+    console.log(`📥 Resuming ${summary.pending} queued image downloads`);
+    return this.runQueuedDownloads('Resuming image downloads...');
+  }
+
+  /**
+   * Retry the images that gave up after their last attempt
+   * @returns {Object|null} Queue summary, or null if a download is running
+   */
+  async retryFailedDownloads() {
+    if (this.isDownloading) return null;
+    await this.updateDownloadQueue(retryFailed);
+    return this.runQueuedDownloads('Retrying failed images...');
+  }
+
+  /**
+   * Forget the images that failed to download
+   */
+  async dismissFailedDownloads() {
+    await this.updateDownloadQueue((queue) => pruneQueue(queue, true));
+    this.updateProgress({ failedItems: 0 });
+  }
+
   /**
    * Cancel ongoing download
    */
@@ -1119,6 +1761,12 @@ class OfflineService {
         const imageUrl = node.image360_url || node.image360;
         if (!imageUrl) continue;
 
+        const room = await this.enforceStorageBudget(AVERAGE_IMAGE_BYTES, { keepIds: [nodeId, ...nearbyIds] });
+        if (!room.fits) {
+          console.log('  Storage budget full, skipping predictive caching');
+          return;
+        }
+
         console.log(`  🔮 Predownloading neighbor ${neighborId}`);
         
         // Fire and forget (but handle promise locally)
@@ -1181,15 +1829,15 @@ class OfflineService {
    * Find path offline using cached nodes and edges
    * @param {string} startCode - Starting node code
    * @param {string} goalCode - Destination node code
-   * @param {boolean} avoidStairs - If true, avoid edges with is_staircase=true
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
    * @returns {Object} Path result with success flag, path array, or error message
    */
-  async findPath(startCode, goalCode, avoidStairs = false) {
+  async findPath(startCode, goalCode, routeOptions = false) {
     try {
       console.log('\n=== Offline Pathfinding Request ===');
       console.log('Start Code:', startCode);
       console.log('Goal Code:', goalCode);
-      console.log('Avoid Stairs:', avoidStairs);
+      console.log('Route Options:', routeOptions);
       
       const pathfinder = getPathfinder();
 
@@ -1229,13 +1877,14 @@ class OfflineService {
       }
 
       console.log('Finding path using A* algorithm...');
-      // Find path using client-side A* algorithm
-      const result = pathfinder.findPath(startCode, goalCode, avoidStairs);
+      // Find path using client-side A* algorithm (directions reference nearby landmarks)
+      const result = pathfinder.getDirections(startCode, goalCode, routeOptions);
       
       console.log('Pathfinding result:', result.success ? 'Success' : 'Failed');
       if (result.success) {
         console.log('Path length:', result.path?.length || 0);
         console.log('Total distance:', result.total_distance);
+        console.log('Expanded nodes:', result.expanded_nodes);
       } else {
         console.error('Pathfinding error:', result.error);
       }
@@ -1258,10 +1907,10 @@ class OfflineService {
    * Get turn-by-turn directions offline
    * @param {string} startCode - Starting node code
    * @param {string} goalCode - Destination node code
-   * @param {boolean} avoidStairs - If true, avoid stairs
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
    * @returns {Object} Path with human-readable directions
    */
-  async getDirections(startCode, goalCode, avoidStairs = false) {
+  async getDirections(startCode, goalCode, routeOptions = false) {
     try {
       const pathfinder = getPathfinder();
 
@@ -1278,7 +1927,7 @@ class OfflineService {
       }
 
       // Get directions using client-side algorithm
-      const result = pathfinder.getDirections(startCode, goalCode, avoidStairs);
+      const result = pathfinder.getDirections(startCode, goalCode, routeOptions);
       
       // Add offline indicator to result
       result.offline = true;
@@ -1294,6 +1943,195 @@ class OfflineService {
     }
   }
 
+  /**
+   * Plan a multi-stop itinerary offline
+   * @param {string} startCode - Starting node code
+   * @param {Array<string>} stopCodes - Node codes to visit (order is optimized)
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} Combined path with legs, stops and per-leg directions
+   */
+  async findItinerary(startCode, stopCodes, routeOptions = false) {
+    try {
+      const pathfinder = getPathfinder();
+
+      // Initialize pathfinder if not already done
+      if (!pathfinder.isInitialized()) {
+        const initialized = await this.initializePathfinder();
+        if (!initialized) {
+          return {
+            success: false,
+            error: 'Offline map data not available. Please download offline maps from Settings.',
+            offline: true
+          };
+        }
+      }
+
+      const result = pathfinder.findItinerary(startCode, stopCodes, routeOptions);
+      console.log('Offline itinerary result:', result.success ? `Order: ${result.order.join(' → ')}` : result.error);
+
+      // Add offline indicator to result
+      result.offline = true;
+
+      return result;
+    } catch (error) {
+      console.error('Offline itinerary failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Offline itinerary failed',
+        offline: true
+      };
+    }
+  }
+
+  /**
+   * Find the nearest matching nodes offline
+   * @param {string} startCode - Starting node code
+   * @param {Function|string} predicate - (node) => boolean, or a type_of_node value
+   * @param {number} limit - Maximum number of matches
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} { success, results: [{ node, distance }] }
+   */
+  async findNearest(startCode, predicate, limit = 1, routeOptions = false) {
+    try {
+      const pathfinder = getPathfinder();
+
+      // Initialize pathfinder if not already done
+      if (!pathfinder.isInitialized()) {
+        const initialized = await this.initializePathfinder();
+        if (!initialized) {
+          return {
+            success: false,
+            error: 'Offline map data not available. Please download offline maps from Settings.',
+            offline: true
+          };
+        }
+      }
+
+      const result = pathfinder.findNearest(startCode, predicate, limit, routeOptions);
+      result.offline = true;
+      return result;
+    } catch (error) {
+      console.error('Offline nearest search failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Offline nearest search failed',
+        offline: true
+      };
+    }
+  }
+
+  /**
+   * Find every node reachable offline within a distance or walking-time budget
+   * @param {string} startCode - Starting node code
+   * @param {Object} budget - { maxDistance } or { maxSeconds, pace }
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} { success, nodes: [{ node, distance, seconds }] }
+   */
+  async findReachable(startCode, budget, routeOptions = false) {
+    try {
+      const pathfinder = getPathfinder();
+
+      // Initialize pathfinder if not already done
+      if (!pathfinder.isInitialized()) {
+        const initialized = await this.initializePathfinder();
+        if (!initialized) {
+          return {
+            success: false,
+            error: 'Offline map data not available. Please download offline maps from Settings.',
+            offline: true
+          };
+        }
+      }
+
+      const result = pathfinder.findReachable(startCode, budget, routeOptions);
+      result.offline = true;
+      return result;
+    } catch (error) {
+      console.error('Offline reachability search failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Offline reachability search failed',
+        offline: true
+      };
+    }
+  }
+
+  /**
+   * Find an evacuation route offline to the nearest safe exit or assembly point
+   * @param {string} startCode - Starting node code
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile, departureTime, avoid }
+   * @returns {Object} Path with directions plus { evacuation, exit }
+   */
+  async findEvacuationRoute(startCode, routeOptions = false) {
+    try {
+      const pathfinder = getPathfinder();
+
+      // Initialize pathfinder if not already done
+      if (!pathfinder.isInitialized()) {
+        const initialized = await this.initializePathfinder();
+        if (!initialized) {
+          return {
+            success: false,
+            error: 'Offline map data not available. Please download offline maps from Settings.',
+            offline: true
+          };
+        }
+      }
+
+      const result = pathfinder.findEvacuationRoute(startCode, routeOptions);
+      result.offline = true;
+      return result;
+    } catch (error) {
+      console.error('Offline evacuation routing failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Offline evacuation routing failed',
+        offline: true
+      };
+    }
+  }
+
+  /**
+   * Find alternative routes offline (k-shortest loopless paths)
+   * @param {string} startCode - Starting node code
+   * @param {string} goalCode - Destination node code
+   * @param {number} k - Maximum number of routes
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile, maxOverlap }
+   * @returns {Object} { success, routes } with directions and stats per route
+   */
+  async findAlternativePaths(startCode, goalCode, k = 3, routeOptions = false) {
+    try {
+      const pathfinder = getPathfinder();
+
+      // Initialize pathfinder if not already done
+      if (!pathfinder.isInitialized()) {
+        const initialized = await this.initializePathfinder();
+        if (!initialized) {
+          return {
+            success: false,
+            error: 'Offline map data not available. Please download offline maps from Settings.',
+            offline: true
+          };
+        }
+      }
+
+      const result = pathfinder.findAlternativePaths(startCode, goalCode, k, routeOptions);
+      console.log('Offline alternatives result:', result.success ? `${result.routes.length} route(s)` : result.error);
+
+      // Add offline indicator to result
+      result.offline = true;
+
+      return result;
+    } catch (error) {
+      console.error('Offline alternative routes failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Offline alternative routes failed',
+        offline: true
+      };
+    }
+  }
+
   /**
    * Reset pathfinder (useful when cached data changes)
    */
@@ -1301,8 +2139,163 @@ class OfflineService {
     resetPathfinder();
   }
 
+  /**
+   * Patch the live pathfinder graph instead of rebuilding it
+   * An unbuilt graph is left alone (the next route builds it from the saved data);
+   * a delta that can't be computed or applied resets it instead.
+   * @param {Object|null} delta - Graph delta (see utils/graphDelta)
+   */
+  applyGraphDelta(delta) {
+    const pathfinder = getPathfinder();
+    if (!pathfinder.isInitialized() || isEmptyDelta(delta)) return;
+    if (!delta) {
+      resetPathfinder();
+      return;
+    }
+
+    try {
+      pathfinder.applyDelta(delta);
+      console.log('✅ Pathfinder patched:', {
+        nodes: (delta.nodes || []).length,
+        edges: (delta.edges || []).length,
+        removedNodes: (delta.removedNodeIds || []).length,
+        removedEdges: (delta.removedEdgeIds || []).length,
+      });
+    } catch (error) {
+      console.warn('Failed to patch pathfinder, rebuilding on next route:', error.message);
+      resetPathfinder();
+    }
+  }
+
+  /**
+   * Read what's needed to verify a cached image
+   * @param {File} file - Cached image file
+   * @param {Object} options - { withMd5 }: also hash the file
+   * @returns {Object} File facts (see utils/cacheIntegrity)
+   */
+  readImageFile(file, { withMd5 = false } = {}) {
+    const facts = { exists: file.exists, size: null, md5: null, head: null, tail: null, unreadable: false };
+    if (!facts.exists) return facts;
+
+    let handle = null;
+    try {
+      facts.size = file.size ?? null;
+      if (withMd5) facts.md5 = file.md5 ?? null;
+      if (facts.size >= 4) {
+        handle = file.open();
+        facts.head = handle.readBytes(2);
+        const tailLength = Math.min(facts.size - 2, TAIL_BYTES);
+        handle.offset = facts.size - tailLength;
+        facts.tail = handle.readBytes(tailLength);
+      }
+    } catch (error) {
+      console.warn(`Could not read cached image ${file.uri}:`, error.message);
+      facts.unreadable = true;
+    } finally {
+      handle?.close();
+    }
+    return facts;
+  }
+
+  /**
+   * Move a cached image out of the way so it is never shown again
+   * @param {Object} node - Node whose image is corrupt
+   * @param {string} reason - One of INTEGRITY_ISSUES
+   */
+  async quarantineImage(node, reason) {
+    const file = this.getLocal360ImagePath(node.node_id);
+    try {
+      if (file.exists) {
+        const quarantined = new File(QUARANTINE_DIR, `node_${node.node_id}.jpg`);
+        if (quarantined.exists) quarantined.delete();
+        file.move(quarantined);
+      }
+    } catch (error) {
+      console.warn(`Could not quarantine image for node ${node.node_id}, deleting it:`, error.message);
+      try {
+        file.delete();
+      } catch (deleteErr) {
+        // Already gone
+      }
+    }
+    await AsyncStorage.removeItem(`@cached_image_url_${node.node_id}`);
+    console.warn(`🩹 Quarantined cached image for node ${node.node_id} (${reason})`);
+  }
+
+  /**
+   * Delete a node's quarantined image once its re-downloaded replacement verifies
+   * A replacement that fails too is quarantined over it on the next check,
+   * so there is never more than one quarantined file per node.
+   * @param {number|string} nodeId - Node ID
+   * @returns {boolean} True if the quarantined file was deleted
+   */
+  async releaseQuarantinedImage(nodeId) {
+    const quarantined = new File(QUARANTINE_DIR, `node_${nodeId}.jpg`);
+    if (!quarantined.exists) return false;
+
+    const node = ((await this.getNodes()) || []).find((cached) => String(cached.node_id) === String(nodeId));
+    const expected = getExpectedImage(node);
+    const facts = this.readImageFile(this.getLocal360ImagePath(nodeId), { withMd5: !!expected.md5 });
+    if (verifyImageFile(facts, expected)) return false;
+
+    try {
+      quarantined.delete();
+      return true;
+    } catch (error) {
+      console.warn(`Could not delete quarantined image for node ${nodeId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Quarantine corrupt images and download them again
+   * @param {Array} corrupt - [{ node, issue }]
+   */
+  async repairCachedImages(corrupt) {
+    for (const { node, issue } of corrupt) {
+      await this.quarantineImage(node, issue);
+    }
+    await this.queueNodeImages(corrupt.map(({ node }) => node), { skipCached: false });
+    // Fire and forget; progress shows in the download indicator
+    this.resumeDownloadQueue().catch((error) => console.error('Re-downloading images failed:', error));
+  }
+
+  /**
+   * Verify every downloaded 360° image and repair the corrupt or missing ones
+   * Images never downloaded, evicted, or outdated on the server are skipped.
+   * @param {Array} nodes - Cached nodes (loaded if omitted)
+   * @returns {Object} { checked, corrupt: [{ nodeId, name, issue }] }
+   */
+  async verifyCachedImages(nodes = null) {
+    const allNodes = nodes || (await this.getNodes()) || [];
+    const corrupt = [];
+    let checked = 0;
+
+    for (const node of allNodes) {
+      const imageUrl = node.image360_url || node.image360;
+      if (!imageUrl) continue;
+      const cachedUrl = await AsyncStorage.getItem(`@cached_image_url_${node.node_id}`);
+      if (cachedUrl !== imageUrl) continue;
+
+      checked++;
+      const expected = getExpectedImage(node);
+      const facts = this.readImageFile(this.getLocal360ImagePath(node.node_id), { withMd5: !!expected.md5 });
+      const issue = verifyImageFile(facts, expected);
+      if (issue) corrupt.push({ node, issue });
+    }
+
+    if (corrupt.length > 0) {
+      await this.repairCachedImages(corrupt);
+    }
+    return {
+      checked,
+      corrupt: corrupt.map(({ node, issue }) => ({ nodeId: node.node_id, name: node.name, issue })),
+    };
+  }
+
   /**
    * Diagnostic function to check offline data status
+   * Also verifies cached images, re-queuing the corrupt or missing ones.
    * @returns {Object} Detailed status of offline data
    */
   async diagnoseOfflineData() {
@@ -1337,6 +2330,13 @@ class OfflineService {
         diagnosis.sampleEdge = edges[0];
       }
 
+      const integrity = await this.verifyCachedImages(nodes);
+      diagnosis.imagesChecked = integrity.checked;
+      diagnosis.corruptImages = integrity.corrupt;
+      if (integrity.corrupt.length > 0) {
+        diagnosis.issues.push(`${integrity.corrupt.length} cached images were corrupt or missing - re-downloading`);
+      }
+
       return diagnosis;
     } catch (error) {
       return {
@@ -1408,7 +2408,8 @@ class OfflineService {
         message: 'Offline pathfinding is ready',
         nodesCount: stats.nodes,
         edgesCount: stats.edges,
-        initialized: stats.initialized
+        initialized: stats.initialized,
+        metersPerMapUnit: stats.metersPerMapUnit
       };
     } catch (error) {
       console.error('Pathfinding verification failed:', error);
@@ -176,11 +176,8 @@ class SyncManager {
             ? `Updated: ${result.newNodes || 0} nodes, ${result.newImages || 0} images`
             : 'All data is up to date',
         });
-
-        // Reset pathfinder if data changed
-        if (result.hasUpdates) {
-          OfflineService.resetPathfinder();
-        }
+      } else if (result.cancelled) {
+        this.updateStatus({ status: 'idle', message: result.error });
       } else {
         this.updateStatus({
           status: 'error',
@@ -223,6 +220,8 @@ class SyncManager {
           message: `Downloaded: ${result.nodesCount} nodes, ${result.imagesCount} images`,
         });
         OfflineService.resetPathfinder();
+      } else if (result.cancelled) {
+        this.updateStatus({ status: 'idle', message: result.error });
       } else {
         this.updateStatus({
           status: 'error',
@@ -6,6 +6,8 @@ import { getPathfinder } from '../../utils/pathfinding';
 jest.mock('@react-native-async-storage/async-storage', () => ({
   getItem: jest.fn(),
   setItem: jest.fn(),
+  removeItem: jest.fn(),
+  multiSet: jest.fn(),
   multiRemove: jest.fn(),
 }));
 
@@ -22,6 +24,11 @@ jest.mock('expo-file-system', () => ({
   Paths: { document: '/doc/' },
 }));
 
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn().mockResolvedValue({ isConnected: true, type: 'wifi', details: {} }),
+  addEventListener: jest.fn(() => jest.fn()),
+}));
+
 jest.mock('../../config', () => ({
   API_BASE_URL: 'http://test.com',
 }));
@@ -153,3 +160,471 @@ describe('OfflineService - Metadata Download', () => {
     expect(result).toBe(false);
   });
 });
+
+describe('OfflineService - Delta Sync', () => {
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  let mockApiService;
+  const storage = {
+    '@offline_enabled': 'true',
+    '@offline_data_version': '7',
+    '@offline_events': JSON.stringify([{ event_id: 1, title: 'Fair' }]),
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    getPathfinder.mockReturnValue({ isInitialized: jest.fn().mockReturnValue(false) });
+    AsyncStorage.getItem.mockImplementation(async (key) => storage[key] ?? null);
+    OfflineService.nodesMemoryCache = [{ node_id: 1, name: 'Lobby' }];
+    OfflineService.edgesMemoryCache = [{ edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 10 }];
+    mockApiService = {
+      getDataVersion: jest.fn().mockResolvedValue({ success: true, version: { data_version: 8 } }),
+      getChanges: jest.fn().mockResolvedValue({
+        success: true,
+        version: 8,
+        nodes: [{ node_id: 1, name: 'Main Lobby' }],
+        edges: [],
+        events: [{ event_id: 2, title: 'Concert' }],
+        deleted: { edges: [1], events: [1] },
+      }),
+      getNodes: jest.fn(),
+      getEdges: jest.fn(),
+      getEvents: jest.fn(),
+      normalizeNodeImageFields: (node) => node,
+    };
+  });
+
+  test('fetches only changes since the applied version and saves them atomically', async () => {
+    const result = await OfflineService.checkAndUpdateResources(mockApiService);
+
+    expect(result).toEqual({ success: true, hasUpdates: true, newNodes: 0, newImages: 0 });
+    expect(mockApiService.getChanges).toHaveBeenCalledWith('7');
+    expect(mockApiService.getNodes).not.toHaveBeenCalled();
+
+    expect(AsyncStorage.multiSet).toHaveBeenCalledTimes(1);
+    const saved = Object.fromEntries(AsyncStorage.multiSet.mock.calls[0][0]);
+    expect(JSON.parse(saved['@offline_nodes'])).toEqual([{ node_id: 1, name: 'Main Lobby' }]);
+    expect(JSON.parse(saved['@offline_edges'])).toEqual([]);
+    expect(JSON.parse(saved['@offline_events'])).toEqual([{ event_id: 2, title: 'Concert' }]);
+    expect(saved['@offline_data_version']).toBe('8');
+  });
+
+  test('skips fetching when already at the server version', async () => {
+    mockApiService.getDataVersion.mockResolvedValue({ success: true, version: { data_version: 7 } });
+
+    const result = await OfflineService.checkAndUpdateResources(mockApiService);
+
+    expect(result.hasUpdates).toBe(false);
+    expect(mockApiService.getChanges).not.toHaveBeenCalled();
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+
+  test('falls back to a full comparison that notices edits with the same counts', async () => {
+    mockApiService.getDataVersion.mockResolvedValue({ success: true, version: { nodes_count: 1 } });
+    mockApiService.getNodes.mockResolvedValue({ success: true, nodes: [{ node_id: 1, name: 'Lobby' }] });
+    mockApiService.getEdges.mockResolvedValue({
+      success: true,
+      edges: [{ edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 12 }],
+    });
+    mockApiService.getEvents.mockResolvedValue({ success: true, events: [{ event_id: 1, title: 'Fair' }] });
+
+    const result = await OfflineService.checkAndUpdateResources(mockApiService);
+
+    expect(result.hasUpdates).toBe(true);
+    expect(mockApiService.getChanges).not.toHaveBeenCalled();
+    expect(AsyncStorage.removeItem).toHaveBeenCalledWith('@offline_data_version');
+  });
+});
+
+describe('OfflineService - Download Queue', () => {
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  let storage;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => storage[key] ?? null);
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { storage[key] = value; });
+    // Backoff is measured against Date.now(), so waiting moves the fake clock
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(OfflineService, 'wait').mockImplementation(async (ms) => {
+      jest.setSystemTime(Date.now() + ms);
+    });
+    OfflineService.isDownloading = false;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const queuedIds = () => JSON.parse(storage['@offline_download_queue']).items.map((item) => item.id);
+
+  test('resumes queued images after a restart and retries failures with backoff', async () => {
+    await OfflineService.queueNodeImages(
+      [{ node_id: 1, name: 'Lobby', image360_url: 'http://img1.jpg' }, { node_id: 2, name: 'Gym', image360_url: 'http://img2.jpg' }],
+      { skipCached: false }
+    );
+    const download = jest.spyOn(OfflineService, 'downloadImage')
+      .mockResolvedValueOnce(false)
+      .mockResolvedValue(true);
+
+    const summary = await OfflineService.resumeDownloadQueue();
+
+    expect(summary).toEqual({ total: 2, done: 2, pending: 0, failed: 0, skipped: 0 });
+    expect(download).toHaveBeenCalledTimes(3);
+    expect(OfflineService.wait).toHaveBeenCalledWith(expect.any(Number));
+    expect(queuedIds()).toEqual([]);
+    expect(OfflineService.isDownloading).toBe(false);
+  });
+
+  test('keeps items that gave up for "retry failed items"', async () => {
+    await OfflineService.queueNodeImages(
+      [{ node_id: 1, name: 'Lobby', image360_url: 'http://img1.jpg' }],
+      { skipCached: false }
+    );
+    const download = jest.spyOn(OfflineService, 'downloadImage').mockResolvedValue(false);
+
+    const summary = await OfflineService.resumeDownloadQueue();
+    expect(summary.failed).toBe(1);
+    expect(OfflineService.downloadProgress.failedItems).toBe(1);
+    expect(queuedIds()).toEqual(['node_1']);
+
+    download.mockResolvedValue(true);
+    const retried = await OfflineService.retryFailedDownloads();
+    expect(retried).toEqual({ total: 1, done: 1, pending: 0, failed: 0, skipped: 0 });
+    expect(OfflineService.downloadProgress.failedItems).toBe(0);
+  });
+});
+
+describe('OfflineService - Concurrent Downloads', () => {
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  const NetInfo = require('@react-native-community/netinfo');
+  const nodes = [1, 2, 3, 4, 5].map((id) => ({ node_id: id, name: `Node ${id}`, image360_url: `http://img${id}.jpg` }));
+  let storage;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => storage[key] ?? null);
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { storage[key] = value; });
+    jest.spyOn(OfflineService, 'wait').mockResolvedValue();
+    OfflineService.isDownloading = false;
+  });
+
+  // Downloads that finish only when released, to observe how many run at once
+  const trackDownloads = () => {
+    const pending = [];
+    let running = 0;
+    let peak = 0;
+    jest.spyOn(OfflineService, 'downloadImage').mockImplementation(() => new Promise((resolve) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      pending.push(() => { running -= 1; resolve(true); });
+    }));
+    const flush = async () => {
+      while (pending.length === 0) await new Promise((resolve) => setImmediate(resolve));
+      pending.shift()();
+    };
+    return { pending, flush, peak: () => peak };
+  };
+
+  test('downloads several images at once on Wi-Fi', async () => {
+    await OfflineService.queueNodeImages(nodes, { skipCached: false });
+    const downloads = trackDownloads();
+
+    const run = OfflineService.resumeDownloadQueue();
+    for (let i = 0; i < nodes.length; i++) await downloads.flush();
+    const summary = await run;
+
+    expect(summary).toEqual({ total: 5, done: 5, pending: 0, failed: 0, skipped: 0 });
+    expect(downloads.peak()).toBe(5);
+    expect(OfflineService.downloadProgress.completedItems).toBe(5);
+    expect(OfflineService.downloadProgress.percentage).toBe(100);
+  });
+
+  test('downloads one at a time on 2G', async () => {
+    NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, type: 'cellular', details: { cellularGeneration: '2g' } });
+    await OfflineService.queueNodeImages(nodes.slice(0, 3), { skipCached: false });
+    const downloads = trackDownloads();
+
+    const run = OfflineService.resumeDownloadQueue();
+    for (let i = 0; i < 3; i++) await downloads.flush();
+    await run;
+
+    expect(downloads.peak()).toBe(1);
+  });
+
+  test('stops starting downloads when cancelled and drops the rest from the queue', async () => {
+    await OfflineService.queueNodeImages(nodes, { skipCached: false });
+    NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, type: 'cellular', details: { cellularGeneration: '3g' } });
+    const downloads = trackDownloads();
+
+    const run = OfflineService.resumeDownloadQueue();
+    await downloads.flush();
+    OfflineService.cancelDownload();
+    while (downloads.pending.length > 0) await downloads.flush();
+    const summary = await run;
+
+    // Two ran on 3G; the one still in flight when cancelled finishes and is kept
+    expect(OfflineService.downloadImage).toHaveBeenCalledTimes(2);
+    expect(summary).toEqual({ total: 5, done: 2, pending: 3, failed: 0, skipped: 0 });
+    // Nothing left for the next launch to resume
+    expect(JSON.parse(storage['@offline_download_queue']).items).toEqual([]);
+    expect(await OfflineService.resumeDownloadQueue()).toBeNull();
+  });
+
+  test('downloads the images of a route saved while a download is running', async () => {
+    await OfflineService.queueNodeImages(nodes.slice(0, 2), { skipCached: false });
+    jest.spyOn(OfflineService, 'getNodes').mockResolvedValue(nodes);
+    const downloads = trackDownloads();
+
+    const run = OfflineService.resumeDownloadQueue();
+    await downloads.flush();
+    expect(await OfflineService.saveRoute({ id: 'library', name: 'To the library', nodeIds: [4, 5] }))
+      .toEqual({ success: true });
+    for (let i = 0; i < 3; i++) await downloads.flush();
+    const summary = await run;
+
+    expect(summary).toEqual({ total: 4, done: 4, pending: 0, failed: 0, skipped: 0 });
+    expect(OfflineService.downloadImage.mock.calls.map(([, , nodeId]) => nodeId)).toEqual([1, 2, 4, 5]);
+    expect(JSON.parse(storage['@offline_download_queue']).items).toEqual([]);
+  });
+
+  test('a cancelled full download is not recorded as a sync', async () => {
+    const apiService = {
+      getNodes: jest.fn().mockResolvedValue({ success: true, nodes }),
+      getEdges: jest.fn().mockResolvedValue({ success: true, edges: [] }),
+      getCampusMap: jest.fn().mockResolvedValue({ success: false }),
+      getEvents: jest.fn().mockResolvedValue({ success: true, events: [] }),
+    };
+    const downloads = trackDownloads();
+
+    const run = OfflineService.downloadAllResources(apiService);
+    await downloads.flush();
+    OfflineService.cancelDownload();
+    while (downloads.pending.length > 0) await downloads.flush();
+    const result = await run;
+
+    expect(result).toEqual({ success: false, cancelled: true, error: 'Download cancelled' });
+    expect(storage['@offline_last_sync']).toBeUndefined();
+    expect(storage['@offline_enabled']).toBeUndefined();
+    expect(OfflineService.downloadProgress.status).toBe('idle');
+  });
+});
+
+describe('OfflineService - Storage Budget', () => {
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  const NetInfo = require('@react-native-community/netinfo');
+  const MB = 1024 * 1024;
+  let storage;
+  let cached;
+
+  const cachedImage = (id, lastAccess) => ({ id: String(id), size: MB, lastAccess, file: { delete: jest.fn() } });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => storage[key] ?? null);
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { storage[key] = value; });
+    AsyncStorage.removeItem.mockImplementation(async (key) => { delete storage[key]; });
+    OfflineService.storageBudget = undefined;
+    OfflineService.imageAccessCache = null;
+    OfflineService.isDownloading = false;
+
+    cached = [cachedImage(1, 100), cachedImage(2, 300), cachedImage(3, 200)];
+    storage['@offline_image_access'] = JSON.stringify(Object.fromEntries(cached.map((c) => [c.id, c.lastAccess])));
+    jest.spyOn(OfflineService, 'listCachedImages').mockImplementation(() => cached);
+  });
+
+  test('evicts least recently viewed images but keeps saved routes', async () => {
+    storage['@offline_saved_routes'] = JSON.stringify([{ id: '1_9', name: 'Lobby → Gym', nodeIds: [1, 9] }]);
+
+    const result = await OfflineService.setStorageBudget(2 * MB);
+
+    expect(result).toMatchObject({ budget: 2 * MB, usedBytes: 2 * MB, evicted: 1, fits: true });
+    expect(cached[0].file.delete).not.toHaveBeenCalled();
+    expect(cached[2].file.delete).toHaveBeenCalled();
+    expect(storage['@offline_storage_budget']).toBe(String(2 * MB));
+    expect(JSON.parse(storage['@offline_image_access'])).toEqual({ 1: 100, 2: 300 });
+  });
+
+  test('plans eviction without deleting anything', async () => {
+    storage['@offline_storage_budget'] = String(2 * MB);
+
+    const { budget, plan } = await OfflineService.planStorageBudget(MB);
+
+    expect(budget).toBe(2 * MB);
+    expect(plan).toMatchObject({ usedBytes: 3 * MB, freedBytes: 2 * MB, fits: true });
+    expect(plan.evict.map((entry) => entry.id)).toEqual(['1', '3']);
+    cached.forEach((entry) => expect(entry.file.delete).not.toHaveBeenCalled());
+    expect(JSON.parse(storage['@offline_image_access'])).toEqual({ 1: 100, 2: 300, 3: 200 });
+  });
+
+  test('lists the cache once per download run while well within the budget', async () => {
+    storage['@offline_storage_budget'] = String(100 * MB);
+    await OfflineService.queueNodeImages(
+      [4, 5, 6, 7].map((id) => ({ node_id: id, name: `Node ${id}`, image360_url: `http://img${id}.jpg` })),
+      { skipCached: false }
+    );
+    jest.spyOn(OfflineService, 'downloadImage').mockResolvedValue(true);
+    jest.spyOn(OfflineService, 'getCachedImageSize').mockReturnValue(MB);
+
+    const summary = await OfflineService.resumeDownloadQueue();
+
+    expect(summary).toMatchObject({ done: 4, skipped: 0 });
+    expect(OfflineService.listCachedImages).toHaveBeenCalledTimes(1);
+  });
+
+  test('re-plans the budget when the downloads reach it', async () => {
+    storage['@offline_storage_budget'] = String(5 * MB);
+    await OfflineService.queueNodeImages(
+      [4, 5, 6].map((id) => ({ node_id: id, name: `Node ${id}`, image360_url: `http://img${id}.jpg` })),
+      { skipCached: false }
+    );
+    jest.spyOn(OfflineService, 'downloadImage').mockImplementation(async (url, filename, nodeId) => {
+      cached.push(cachedImage(nodeId, 0));
+      return true;
+    });
+    jest.spyOn(OfflineService, 'getCachedImageSize').mockReturnValue(MB);
+    NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, type: 'cellular', details: { cellularGeneration: '2g' } });
+
+    const summary = await OfflineService.resumeDownloadQueue();
+
+    expect(summary).toMatchObject({ done: 3, skipped: 0 });
+    // The oldest cached image made room for the last download
+    expect(cached[0].file.delete).toHaveBeenCalled();
+    expect(OfflineService.listCachedImages.mock.calls.length).toBeGreaterThan(1);
+  });
+
+  test('stops the download queue when the budget is full', async () => {
+    storage['@offline_storage_budget'] = String(3 * MB);
+    storage['@offline_saved_routes'] = JSON.stringify([{ id: '1_3', name: 'A → C', nodeIds: [1, 2, 3] }]);
+    await OfflineService.queueNodeImages(
+      [{ node_id: 4, name: 'Gym', image360_url: 'http://img4.jpg' }],
+      { skipCached: false }
+    );
+    jest.spyOn(OfflineService, 'downloadImage').mockResolvedValue(true);
+
+    const summary = await OfflineService.resumeDownloadQueue();
+
+    expect(OfflineService.downloadImage).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ pending: 0, skipped: 1 });
+    expect(OfflineService.downloadProgress.currentItem).toBe('Storage budget reached, 1 images skipped');
+    expect(JSON.parse(storage['@offline_download_queue']).items).toEqual([]);
+  });
+});
+
+describe('OfflineService - Cache Integrity', () => {
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  const nodes = [
+    { node_id: 1, name: 'Lobby', image360_url: 'http://img1.jpg', image360_size: 1000 },
+    { node_id: 2, name: 'Library', image360_url: 'http://img2.jpg', image360_size: 1000 },
+    { node_id: 3, name: 'Gym', image360_url: 'http://img3.jpg' },
+  ];
+  let storage;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    storage = {
+      '@cached_image_url_1': 'http://img1.jpg',
+      '@cached_image_url_2': 'http://img2.jpg',
+    };
+    AsyncStorage.getItem.mockImplementation(async (key) => storage[key] ?? null);
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { storage[key] = value; });
+    AsyncStorage.removeItem.mockImplementation(async (key) => { delete storage[key]; });
+    OfflineService.storageBudget = null;
+    OfflineService.isDownloading = false;
+    jest.spyOn(OfflineService, 'getNodes').mockResolvedValue(nodes);
+    jest.spyOn(OfflineService, 'downloadImage').mockResolvedValue(true);
+    jest.spyOn(OfflineService, 'readImageFile').mockImplementation((file) => file.facts);
+    jest.spyOn(OfflineService, 'getLocal360ImagePath').mockImplementation((nodeId) => ({
+      exists: false,
+      facts: {
+        exists: true,
+        size: nodeId === 2 ? 400 : 1000,
+        head: [0xff, 0xd8],
+        tail: [0xff, 0xd9],
+      },
+    }));
+  });
+
+  test('quarantines and re-downloads damaged images found by diagnoseOfflineData', async () => {
+    const diagnosis = await OfflineService.diagnoseOfflineData();
+
+    expect(diagnosis.imagesChecked).toBe(2);
+    expect(diagnosis.corruptImages).toEqual([{ nodeId: 2, name: 'Library', issue: 'size_mismatch' }]);
+    expect(diagnosis.issues).toContain('1 cached images were corrupt or missing - re-downloading');
+    expect(storage['@cached_image_url_2']).toBeUndefined();
+
+    await new Promise((resolve) => setImmediate(resolve));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(OfflineService.downloadImage).toHaveBeenCalledWith('http://img2.jpg', 'node_2.jpg', 2);
+  });
+
+  test('re-downloads images repaired while a download is running', async () => {
+    let release = null;
+    OfflineService.downloadImage.mockImplementationOnce(() => new Promise((resolve) => {
+      release = () => resolve(true);
+    }));
+    await OfflineService.queueNodeImages([nodes[2]], { skipCached: false });
+
+    const run = OfflineService.resumeDownloadQueue();
+    while (!release) await new Promise((resolve) => setImmediate(resolve));
+    await OfflineService.verifyCachedImages();
+    release();
+    const summary = await run;
+
+    expect(summary).toEqual({ total: 2, done: 2, pending: 0, failed: 0, skipped: 0 });
+    expect(OfflineService.downloadImage).toHaveBeenCalledWith('http://img2.jpg', 'node_2.jpg', 2);
+    expect(JSON.parse(storage['@offline_download_queue']).items).toEqual([]);
+  });
+
+  test('re-downloads an image the running download already finished when it is found corrupt', async () => {
+    let release = null;
+    OfflineService.downloadImage.mockImplementation((url, filename, nodeId) => (
+      nodeId === 1 ? new Promise((resolve) => { release = () => resolve(true); }) : Promise.resolve(true)
+    ));
+    const savedStatus = (id) => JSON.parse(storage['@offline_download_queue'] || '{"items":[]}')
+      .items.find((item) => item.id === id)?.status;
+    await OfflineService.queueNodeImages(nodes.slice(0, 2), { skipCached: false });
+
+    const run = OfflineService.resumeDownloadQueue();
+    while (!release || savedStatus('node_2') !== 'done') await new Promise((resolve) => setImmediate(resolve));
+    await OfflineService.verifyCachedImages();
+    release();
+    const summary = await run;
+
+    const node2Downloads = OfflineService.downloadImage.mock.calls.filter(([, , nodeId]) => nodeId === 2);
+    expect(node2Downloads).toHaveLength(2);
+    expect(summary).toEqual({ total: 2, done: 2, pending: 0, failed: 0, skipped: 0 });
+    expect(JSON.parse(storage['@offline_download_queue']).items).toEqual([]);
+  });
+
+  test('deletes the quarantined copy once the re-downloaded image verifies', async () => {
+    const { File } = require('expo-file-system');
+    const defaultFile = File.getMockImplementation();
+    const quarantined = { exists: true, delete: jest.fn() };
+    File.mockImplementation((dir, name) => (name === 'node_2.jpg' ? quarantined : defaultFile()));
+
+    try {
+      await OfflineService.queueNodeImages([nodes[1]], { skipCached: false });
+
+      // Still the wrong size: the quarantined copy stays
+      await OfflineService.resumeDownloadQueue();
+      expect(quarantined.delete).not.toHaveBeenCalled();
+
+      OfflineService.readImageFile.mockImplementation(() => ({
+        exists: true, size: 1000, head: [0xff, 0xd8], tail: [0xff, 0xd9],
+      }));
+      await OfflineService.queueNodeImages([nodes[1]], { skipCached: false });
+      await OfflineService.resumeDownloadQueue();
+      expect(quarantined.delete).toHaveBeenCalledTimes(1);
+    } finally {
+      File.mockImplementation(defaultFile);
+    }
+  });
+});
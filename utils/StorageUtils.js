@@ -4,22 +4,33 @@
 
 import * as FileSystem from 'expo-file-system';
 import OfflineService from '../services/OfflineService';
+import { AVERAGE_IMAGE_BYTES } from './imageCacheBudget';
 
 /**
- * Check available storage space on the device
- * @returns {Object} { available, total, used } in bytes
+ * Check available storage space, within the user's storage budget
+ * Counts the least-recently-used panoramas a download of requiredBytes would
+ * evict as free; nothing is deleted here (downloads evict as they go).
+ * @param {number} requiredBytes - Size of the download about to start
+ * @returns {Object} { available, total, used, budget, budgetUsed } in bytes
  */
-export const checkStorageSpace = async () => {
+export const checkStorageSpace = async (requiredBytes = 0) => {
   try {
+    const { budget, plan } = await OfflineService.planStorageBudget(requiredBytes);
+    const budgetUsed = plan ? plan.usedBytes : null;
     const freeSpace = await FileSystem.getFreeDiskStorageAsync();
     const totalSpace = await FileSystem.getTotalDiskCapacityAsync();
+    const available = budget === null
+      ? freeSpace
+      : Math.min(freeSpace, Math.max(0, budget - (plan.usedBytes - plan.freedBytes)));
     
     return {
-      available: freeSpace,
+      available,
       total: totalSpace,
       used: totalSpace - freeSpace,
-      availableFormatted: formatBytes(freeSpace),
+      availableFormatted: formatBytes(available),
       totalFormatted: formatBytes(totalSpace),
+      budget,
+      budgetUsed,
     };
   } catch (error) {
     console.error('Error checking storage:', error);
@@ -30,17 +41,18 @@ export const checkStorageSpace = async () => {
 /**
  * Check if there's enough space for offline download
  * @param {number} estimatedSize - Estimated download size in bytes
- * @returns {Object} { hasSpace, available, required }
+ * @returns {Object} { hasSpace, available, required, budgetLimited }
  */
 export const hasEnoughSpace = async (estimatedSize) => {
-  const storage = await checkStorageSpace();
+  // Add 20% buffer for safety
+  const requiredSpace = estimatedSize * 1.2;
+  const storage = await checkStorageSpace(requiredSpace);
   if (!storage) {
     return { hasSpace: true, message: 'Could not check storage' };
   }
   
-  // Add 20% buffer for safety
-  const requiredSpace = estimatedSize * 1.2;
   const hasSpace = storage.available > requiredSpace;
+  const limit = storage.budget === null ? 'space' : 'room in your storage budget';
   
   return {
     hasSpace,
@@ -48,9 +60,10 @@ export const hasEnoughSpace = async (estimatedSize) => {
     availableFormatted: storage.availableFormatted,
     required: requiredSpace,
     requiredFormatted: formatBytes(requiredSpace),
+    budgetLimited: storage.budget !== null,
     message: hasSpace 
       ? `${storage.availableFormatted} available` 
-      : `Not enough space. Need ${formatBytes(requiredSpace)}, have ${storage.availableFormatted}`,
+      : `Not enough ${limit}. Need ${formatBytes(requiredSpace)}, have ${storage.availableFormatted}`,
   };
 };
 
@@ -119,8 +132,7 @@ export const checkDataFreshness = async () => {
  */
 export const estimateDownloadSize = (nodeCount) => {
   // Average 360° image size is about 500KB-2MB
-  // We'll estimate 800KB per image on average
-  const avgImageSize = 800 * 1024; // 800KB
+  const avgImageSize = AVERAGE_IMAGE_BYTES;
   
   // Assume about 70% of nodes have images
   const imagesCount = Math.ceil(nodeCount * 0.7);
@@ -0,0 +1,52 @@
+import { INTEGRITY_ISSUES, getExpectedImage, verifyImageFile } from '../cacheIntegrity';
+
+const jpeg = (overrides = {}) => ({
+  exists: true,
+  size: 1000,
+  md5: 'abc123',
+  head: [0xff, 0xd8],
+  tail: [0xff, 0xd9],
+  unreadable: false,
+  ...overrides,
+});
+
+describe('cacheIntegrity', () => {
+  test('reads the expected size and checksum from the node', () => {
+    expect(getExpectedImage({ image360_size: '1000', image360_md5: 'ABC123' })).toEqual({ size: 1000, md5: 'abc123' });
+    expect(getExpectedImage({ image360_url: 'http://img.jpg' })).toEqual({ size: null, md5: null });
+  });
+
+  describe('verifyImageFile', () => {
+    const expected = { size: 1000, md5: 'abc123' };
+
+    test('accepts an intact file', () => {
+      expect(verifyImageFile(jpeg(), expected)).toBeNull();
+      expect(verifyImageFile(jpeg({ md5: null }), {})).toBeNull();
+    });
+
+    test('flags missing, unreadable and empty files', () => {
+      expect(verifyImageFile({ exists: false }, expected)).toBe(INTEGRITY_ISSUES.MISSING);
+      expect(verifyImageFile(jpeg({ unreadable: true }), expected)).toBe(INTEGRITY_ISSUES.UNREADABLE);
+      expect(verifyImageFile(jpeg({ size: 0, head: null, tail: null }), {})).toBe(INTEGRITY_ISSUES.TRUNCATED);
+    });
+
+    test('compares against the server size and checksum', () => {
+      expect(verifyImageFile(jpeg({ size: 600 }), expected)).toBe(INTEGRITY_ISSUES.SIZE_MISMATCH);
+      expect(verifyImageFile(jpeg({ md5: 'ABC124' }), expected)).toBe(INTEGRITY_ISSUES.CHECKSUM_MISMATCH);
+    });
+
+    test('accepts data after the end marker', () => {
+      // Camera or XMP trailer after FFD9
+      const trailer = [0xff, 0xd9, 0x58, 0x4d, 0x50, 0x00];
+      expect(verifyImageFile(jpeg({ tail: trailer }), {})).toBeNull();
+      // The server size and checksum win over the markers
+      expect(verifyImageFile(jpeg({ tail: [0x58, 0x4d] }), expected)).toBeNull();
+      expect(verifyImageFile(jpeg({ md5: null, tail: [0x58, 0x4d] }), { size: 1000, md5: null })).toBeNull();
+    });
+
+    test('catches partially written files without server data', () => {
+      expect(verifyImageFile(jpeg({ tail: [0x3a, 0x00] }), {})).toBe(INTEGRITY_ISSUES.TRUNCATED);
+      expect(verifyImageFile(jpeg({ head: [0x3c, 0x68] }), {})).toBe(INTEGRITY_ISSUES.NOT_JPEG);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { getVersionToken, isTombstone, mergeRecords, applyChanges, recordsChanged } from '../deltaSync';
+
+describe('deltaSync', () => {
+  describe('getVersionToken', () => {
+    test('reads data_version or updated_at', () => {
+      expect(getVersionToken({ data_version: 42, nodes_count: 3 })).toBe('42');
+      expect(getVersionToken({ updated_at: '2026-10-19T08:00:00Z' })).toBe('2026-10-19T08:00:00Z');
+    });
+
+    test('ignores counts-only responses', () => {
+      expect(getVersionToken({ nodes_count: 3, edges_count: 2 })).toBeNull();
+      expect(getVersionToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('mergeRecords', () => {
+    const cached = [
+      { node_id: 1, name: 'Lobby' },
+      { node_id: 2, name: 'Library' },
+      { node_id: 3, name: 'Chapel' },
+    ];
+
+    test('replaces changed records, appends new ones and drops deleted IDs', () => {
+      const merged = mergeRecords(
+        cached,
+        [{ node_id: 2, name: 'Main Library' }, { node_id: 4, name: 'Gym' }],
+        ['3'],
+        'node_id'
+      );
+      expect(merged).toEqual([
+        { node_id: 1, name: 'Lobby' },
+        { node_id: 2, name: 'Main Library' },
+        { node_id: 4, name: 'Gym' },
+      ]);
+    });
+
+    test('drops tombstoned records', () => {
+      const tombstone = { node_id: 1, deleted_at: '2026-10-19T08:00:00Z' };
+      expect(isTombstone(tombstone)).toBe(true);
+      expect(mergeRecords(cached, [tombstone], [], 'node_id').map((n) => n.node_id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('applyChanges', () => {
+    test('merges nodes, edges and events by their own IDs', () => {
+      const cache = {
+        nodes: [{ node_id: 1 }],
+        edges: [{ edge_id: 1, distance: 10 }],
+        events: [{ event_id: 1, title: 'Fair' }],
+      };
+      const result = applyChanges(cache, {
+        success: true,
+        edges: [{ edge_id: 1, distance: 12 }],
+        events: [{ event_id: 2, title: 'Concert' }],
+        deleted: { events: [1] },
+      });
+
+      expect(result).toEqual({
+        nodes: [{ node_id: 1 }],
+        edges: [{ edge_id: 1, distance: 12 }],
+        events: [{ event_id: 2, title: 'Concert' }],
+      });
+    });
+  });
+
+  describe('recordsChanged', () => {
+    test('notices edits that keep the count', () => {
+      expect(recordsChanged([{ edge_id: 1, compass_angle: 90 }], [{ edge_id: 1, compass_angle: 180 }])).toBe(true);
+      expect(recordsChanged([{ edge_id: 1 }], [{ edge_id: 1 }])).toBe(false);
+    });
+  });
+});
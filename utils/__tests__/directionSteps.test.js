@@ -0,0 +1,190 @@
+import {
+  MANEUVERS,
+  buildDirectionSteps,
+  classifyTurn,
+  createDirectionStep,
+  getSideOf,
+  renderDirectionStep,
+} from '../directionSteps';
+import { stitchLegs } from '../itinerary';
+
+// A → B heading north, B → C turns right (east), C → D climbs stairs one floor up
+const path = [
+  { node_id: 1, node_code: 'A', name: 'Gate', floor_level: 1, annotation: 0 },
+  { node_id: 2, node_code: 'B', name: 'Lobby', floor_level: 1, compass_angle: 5, distance_from_prev: 12 },
+  { node_id: 3, node_code: 'C', name: 'Hall', floor_level: 1, compass_angle: 95, distance_from_prev: 8.25 },
+  { node_id: 4, node_code: 'D', name: 'Library', floor_level: 2, compass_angle: 95, distance_from_prev: 6, is_staircase: true },
+];
+
+describe('directionSteps', () => {
+  describe('classifyTurn', () => {
+    test('handles wrap-around', () => {
+      expect(classifyTurn(350, 20)).toEqual({ degrees: 30, direction: 'right', severity: 'slight' });
+      expect(classifyTurn(10, 280)).toEqual({ degrees: 90, direction: 'left', severity: 'normal' });
+      expect(classifyTurn(0, 170)).toEqual({ degrees: 170, direction: 'right', severity: 'sharp' });
+      expect(classifyTurn(90, 95).direction).toBe('straight');
+    });
+  });
+
+  describe('landmarks', () => {
+    // Walking north (up the map, y decreasing) from (0, 100) to (0, 0)
+    const from = { map_x: 0, map_y: 100 };
+    const to = { map_x: 0, map_y: 0 };
+
+    test('getSideOf uses map coordinates', () => {
+      expect(getSideOf(from, to, { map_x: -60, map_y: 20 })).toBe('left');
+      expect(getSideOf(from, to, { map_x: '60', map_y: '20' })).toBe('right');
+      // Straight ahead, or missing coordinates
+      expect(getSideOf(from, to, { map_x: 5, map_y: -50 })).toBeNull();
+      expect(getSideOf(from, to, { map_x: null, map_y: 20 })).toBeNull();
+    });
+
+    test('renders turns after a landmark without degrees', () => {
+      const [, , turn] = buildDirectionSteps(path);
+      const step = createDirectionStep({ ...turn, landmark: { node_id: 9, name: 'Chapel', position: 'after' } });
+      expect(step.text).toBe('Turn right after the Chapel and walk for 8.3m to Hall');
+      expect(renderDirectionStep(step, 'fil')).toBe('Lumiko sa kanan pagkalampas sa Chapel at maglakad nang 8.3m papunta sa Hall');
+    });
+
+    test('notes landmarks passed on either side', () => {
+      const [, walk] = buildDirectionSteps(path);
+      const step = createDirectionStep({ ...walk, landmark: { node_id: 9, name: 'Library', position: 'right' } });
+      expect(step.text).toBe('Walk straight ahead for 12.0m to Lobby; the Library will be on your right');
+      expect(renderDirectionStep(step, 'ceb')).toBe('Lakaw diretso og 12.0m paingon sa Lobby; ang Library naa sa imong tuo');
+    });
+  });
+
+  describe('collapsing', () => {
+    test('merges a straight hallway into the preceding move', () => {
+      const hallway = [
+        { node_id: 1, name: 'Gate', annotation: 0 },
+        { node_id: 2, name: 'Hallway 1', compass_angle: 90, distance_from_prev: 4 },
+        { node_id: 3, name: 'Hallway 2', compass_angle: 92, distance_from_prev: 3.2 },
+        { node_id: 4, name: 'Hallway 3', compass_angle: 88, distance_from_prev: 3.2 },
+        { node_id: 5, name: 'Office', compass_angle: 0, distance_from_prev: 2 },
+      ];
+      const steps = buildDirectionSteps(hallway);
+
+      expect(steps.map((s) => s.text)).toEqual([
+        'Face towards Hallway 1 and start walking',
+        'Turn right (90°) and walk for 10.4m to Hallway 3',
+        'Turn left (88°) and walk for 2.0m to Office',
+        'You have arrived at Office',
+      ]);
+      expect(steps[1].path_index).toEqual({ start: 0, end: 3 });
+    });
+
+    test('does not merge across a one-way change', () => {
+      const steps = buildDirectionSteps([
+        { node_id: 1, name: 'A', annotation: 0 },
+        { node_id: 2, name: 'B', compass_angle: 0, distance_from_prev: 5 },
+        { node_id: 3, name: 'C', compass_angle: 0, distance_from_prev: 5, one_way: true },
+      ]);
+      expect(steps).toHaveLength(4);
+      expect(steps[2].text).toBe('Continue straight for 5.0m (one-way) to C');
+    });
+
+    test('collapses a staircase run into one floor change', () => {
+      const steps = buildDirectionSteps([
+        { node_id: 1, name: 'Lobby', floor_level: 1, annotation: 0 },
+        { node_id: 2, name: 'Landing', floor_level: 1.5, compass_angle: 0, distance_from_prev: 4, is_staircase: true },
+        { node_id: 3, name: 'Stair 2F', floor_level: 2, compass_angle: 180, distance_from_prev: 4, is_staircase: true },
+        { node_id: 4, name: 'Stair 3F', floor_level: 3, compass_angle: 0, distance_from_prev: 8, is_staircase: true },
+        { node_id: 5, name: 'Room 301', floor_level: 3, compass_angle: 0, distance_from_prev: 6 },
+      ]);
+
+      expect(steps[1]).toMatchObject({
+        maneuver: MANEUVERS.STAIRS,
+        distance: 16,
+        floor_change: { from: 1, to: 3 },
+        path_index: { start: 0, end: 3 },
+        text: 'Take the stairs up to floor 3',
+      });
+      expect(steps).toHaveLength(4);
+    });
+
+    test('collapses elevator rides between elevator nodes', () => {
+      const steps = buildDirectionSteps([
+        { node_id: 1, name: 'Elevator 3F', floor_level: 3, type: 'elevator', annotation: 0 },
+        { node_id: 2, name: 'Elevator 2F', floor_level: 2, type: 'elevator', compass_angle: 0, distance_from_prev: 4 },
+        { node_id: 3, name: 'Elevator 1F', floor_level: 1, type: 'elevator', compass_angle: 0, distance_from_prev: 4 },
+        { node_id: 4, name: 'Exit', floor_level: 1, compass_angle: 0, distance_from_prev: 10 },
+      ]);
+
+      expect(steps[1].maneuver).toBe(MANEUVERS.ELEVATOR);
+      expect(steps[1].text).toBe('Take the elevator down to floor 1');
+      expect(steps[2].text).toBe('Continue straight for 10.0m to Exit');
+    });
+  });
+
+  describe('buildDirectionSteps', () => {
+    test('builds one object per maneuver with path ranges', () => {
+      const steps = buildDirectionSteps(path);
+
+      expect(steps.map((s) => s.maneuver)).toEqual([
+        MANEUVERS.DEPART,
+        MANEUVERS.CONTINUE,
+        MANEUVERS.TURN,
+        MANEUVERS.STAIRS,
+        MANEUVERS.ARRIVE,
+      ]);
+      expect(steps.map((s) => s.path_index)).toEqual([
+        { start: 0, end: 0 },
+        { start: 0, end: 1 },
+        { start: 1, end: 2 },
+        { start: 2, end: 3 },
+        { start: 3, end: 3 },
+      ]);
+      expect(steps[2].turn).toEqual({ degrees: 90, direction: 'right', severity: 'normal' });
+      expect(steps[2].target).toEqual({ node_id: 3, node_code: 'C', name: 'Hall' });
+      expect(steps[3].is_staircase).toBe(true);
+      expect(steps[3].floor_change).toEqual({ from: 1, to: 2 });
+      expect(steps[1].floor_change).toBeNull();
+    });
+
+    test('renders the familiar sentences', () => {
+      expect(buildDirectionSteps(path).map((s) => s.text)).toEqual([
+        'Face towards Lobby and start walking',
+        'Walk straight ahead for 12.0m to Lobby',
+        'Turn right (90°) and walk for 8.3m to Hall',
+        'Take the stairs up to floor 2',
+        'You have arrived at Library',
+      ]);
+    });
+
+    test('falls back to "walk forward" without heading data', () => {
+      const steps = buildDirectionSteps([
+        { node_id: 1, name: 'Gate' },
+        { node_id: 2, name: 'Lobby', distance_from_prev: 3 },
+      ]);
+      expect(steps[1].maneuver).toBe(MANEUVERS.PROCEED);
+      expect(steps[1].turn).toBeNull();
+      expect(steps[1].text).toBe('Walk forward for 3.0m to Lobby');
+    });
+
+    test('handles a single-node path', () => {
+      const steps = buildDirectionSteps([path[0]]);
+      expect(steps).toHaveLength(1);
+      expect(steps[0].text).toBe('You are already at Gate');
+    });
+
+    test('text is a rendering of the step', () => {
+      const step = buildDirectionSteps(path)[2];
+      expect(renderDirectionStep({ ...step, distance: 20 })).toBe('Turn right (90°) and walk for 20.0m to Hall');
+    });
+  });
+
+  test('stitched legs re-base step ranges onto the combined path', () => {
+    const first = path.slice(0, 2);
+    const second = path.slice(1);
+    const result = stitchLegs([
+      { path: first, total_distance: 12, directions: buildDirectionSteps(first) },
+      { path: second, total_distance: 14.25, directions: buildDirectionSteps(second) },
+    ]);
+
+    const secondLeg = result.legs[1].directions;
+    expect(secondLeg[0].path_index).toEqual({ start: 1, end: 1 });
+    expect(secondLeg[secondLeg.length - 1].path_index).toEqual({ start: 3, end: 3 });
+    expect(result.directions).toHaveLength(3 + 4);
+  });
+});
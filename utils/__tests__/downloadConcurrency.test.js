@@ -0,0 +1,57 @@
+import {
+  MAX_CONCURRENCY,
+  BYTES_PER_WORKER,
+  getConnectionConcurrency,
+  recordThroughputSample,
+  measureThroughput,
+  getDownloadConcurrency,
+} from '../downloadConcurrency';
+
+const wifi = { isConnected: true, type: 'wifi', details: {} };
+
+describe('downloadConcurrency', () => {
+  describe('getConnectionConcurrency', () => {
+    test('allows more parallel downloads on faster connections', () => {
+      expect(getConnectionConcurrency(wifi)).toBe(MAX_CONCURRENCY);
+      expect(getConnectionConcurrency({ ...wifi, details: { isConnectionExpensive: true } })).toBe(3);
+      expect(getConnectionConcurrency({ isConnected: true, type: 'cellular', details: { cellularGeneration: '4g' } })).toBe(3);
+      expect(getConnectionConcurrency({ isConnected: true, type: 'cellular', details: { cellularGeneration: '2g' } })).toBe(1);
+    });
+
+    test('falls back for unknown or missing state', () => {
+      expect(getConnectionConcurrency({ isConnected: true, type: 'unknown' })).toBe(2);
+      expect(getConnectionConcurrency(null)).toBe(1);
+    });
+  });
+
+  describe('throughput', () => {
+    test('measures overlapping downloads as one pool', () => {
+      let samples = recordThroughputSample([], { bytes: 1000, startedAt: 0, finishedAt: 1000 });
+      samples = recordThroughputSample(samples, { bytes: 1000, startedAt: 0, finishedAt: 1000 });
+      expect(measureThroughput(samples)).toBe(2000);
+    });
+
+    test('forgets samples outside the window', () => {
+      let samples = recordThroughputSample([], { bytes: 1000, startedAt: 0, finishedAt: 1000 });
+      samples = recordThroughputSample(samples, { bytes: 500, startedAt: 20000, finishedAt: 21000 }, 15000);
+      expect(samples).toHaveLength(1);
+      expect(measureThroughput(samples)).toBe(500);
+    });
+
+    test('has no measurement without samples', () => {
+      expect(measureThroughput([])).toBeNull();
+    });
+  });
+
+  describe('getDownloadConcurrency', () => {
+    test('uses the connection ceiling before any download finished', () => {
+      expect(getDownloadConcurrency(wifi)).toBe(MAX_CONCURRENCY);
+    });
+
+    test('backs off when the link is saturated and grows back with bandwidth', () => {
+      expect(getDownloadConcurrency(wifi, BYTES_PER_WORKER / 2)).toBe(1);
+      expect(getDownloadConcurrency(wifi, BYTES_PER_WORKER * 2)).toBe(3);
+      expect(getDownloadConcurrency(wifi, BYTES_PER_WORKER * 100)).toBe(MAX_CONCURRENCY);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  ITEM_STATUS,
+  MAX_ATTEMPTS,
+  MAX_RETRY_DELAY_MS,
+  getRetryDelay,
+  enqueueItems,
+  mergeQueued,
+  isRequeued,
+  getNextItem,
+  markDone,
+  markFailed,
+  retryFailed,
+  pruneQueue,
+  getQueueSummary,
+} from '../downloadQueue';
+
+const item = (id, url = `http://img/${id}.jpg`) => ({ id, url, filename: `${id}.jpg`, nodeId: id, label: id });
+
+describe('downloadQueue', () => {
+  test('backs off exponentially up to a cap', () => {
+    expect(getRetryDelay(1)).toBe(2000);
+    expect(getRetryDelay(2)).toBe(4000);
+    expect(getRetryDelay(3)).toBe(8000);
+    expect(getRetryDelay(20)).toBe(MAX_RETRY_DELAY_MS);
+  });
+
+  describe('enqueueItems', () => {
+    test('keeps the state of items already queued with the same URL', () => {
+      const queue = markDone(enqueueItems(null, [item('a'), item('b')]), 'a');
+      const requeued = enqueueItems(queue, [item('a'), item('b', 'http://img/b-v2.jpg'), item('c')]);
+
+      expect(requeued.items.map((i) => [i.id, i.status, i.url])).toEqual([
+        ['a', ITEM_STATUS.DONE, 'http://img/a.jpg'],
+        ['b', ITEM_STATUS.PENDING, 'http://img/b-v2.jpg'],
+        ['c', ITEM_STATUS.PENDING, 'http://img/c.jpg'],
+      ]);
+    });
+
+    test('queues forced items again whatever their state', () => {
+      const queue = markDone(enqueueItems(null, [item('a'), item('b')]), 'a');
+      const requeued = enqueueItems(queue, [item('a')], { force: true });
+
+      expect(requeued.items.map((i) => [i.id, i.status, i.revision])).toEqual([
+        ['a', ITEM_STATUS.PENDING, 1],
+        ['b', ITEM_STATUS.PENDING, 0],
+      ]);
+      expect(isRequeued(requeued, queue.items[0])).toBe(true);
+      expect(isRequeued(requeued, queue.items[1])).toBe(false);
+    });
+  });
+
+  describe('mergeQueued', () => {
+    test('takes added and re-queued items from the saved queue', () => {
+      const saved = enqueueItems(null, [item('a'), item('b')]);
+      // The working copy finished both; meanwhile b was queued again and c added
+      const working = markDone(markDone(saved, 'a'), 'b');
+      const resaved = enqueueItems(saved, [item('b'), item('c')], { force: true });
+
+      expect(mergeQueued(working, resaved).items.map((i) => [i.id, i.status])).toEqual([
+        ['a', ITEM_STATUS.DONE],
+        ['b', ITEM_STATUS.PENDING],
+        ['c', ITEM_STATUS.PENDING],
+      ]);
+    });
+  });
+
+  describe('retries', () => {
+    test('waits out the backoff before the next attempt', () => {
+      let queue = enqueueItems(null, [item('a')]);
+      queue = markFailed(queue, 'a', 'HTTP 500', 1000);
+
+      expect(queue.items[0]).toMatchObject({ status: ITEM_STATUS.PENDING, attempts: 1, error: 'HTTP 500' });
+      expect(getNextItem(queue, 1000)).toEqual({ item: queue.items[0], waitMs: 2000 });
+      expect(getNextItem(queue, 5000).waitMs).toBe(0);
+    });
+
+    test('prefers items that are not backing off', () => {
+      let queue = enqueueItems(null, [item('a'), item('b')]);
+      queue = markFailed(queue, 'a', 'timeout', 0);
+      expect(getNextItem(queue, 0).item.id).toBe('b');
+    });
+
+    test('skips items already being downloaded', () => {
+      const queue = enqueueItems(null, [item('a'), item('b')]);
+      expect(getNextItem(queue, 0, new Set(['a'])).item.id).toBe('b');
+      expect(getNextItem(queue, 0, new Set(['a', 'b']))).toBeNull();
+    });
+
+    test('gives up after the last attempt and can be retried by hand', () => {
+      let queue = enqueueItems(null, [item('a')]);
+      for (let i = 0; i < MAX_ATTEMPTS; i++) queue = markFailed(queue, 'a', 'offline', 0);
+
+      expect(queue.items[0].status).toBe(ITEM_STATUS.FAILED);
+      expect(getNextItem(queue)).toBeNull();
+
+      queue = retryFailed(queue);
+      expect(queue.items[0]).toMatchObject({ status: ITEM_STATUS.PENDING, attempts: 0, error: null });
+    });
+  });
+
+  test('prunes finished items and summarizes the rest', () => {
+    let queue = enqueueItems(null, [item('a'), item('b'), item('c')]);
+    queue = markDone(queue, 'a');
+    for (let i = 0; i < MAX_ATTEMPTS; i++) queue = markFailed(queue, 'b', 'offline', 0);
+
+    expect(getQueueSummary(queue)).toEqual({ total: 3, done: 1, pending: 1, failed: 1 });
+    expect(pruneQueue(queue).items.map((i) => i.id)).toEqual(['b', 'c']);
+    expect(pruneQueue(queue, true).items.map((i) => i.id)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  PACES,
+  RUSH_PACE_MULTIPLIER,
+  CLASS_CHANGE_SECONDS,
+  getWalkingSpeed,
+  estimateSegmentSeconds,
+  estimateRoute,
+  formatDuration,
+} from '../eta';
+import { buildDirectionSteps } from '../directionSteps';
+import { ROUTING_PROFILES } from '../routingProfiles';
+
+const { default: walker } = ROUTING_PROFILES;
+
+describe('eta', () => {
+  test('walking speed depends on profile and pace', () => {
+    expect(getWalkingSpeed('default')).toBe(walker.walkingSpeed);
+    expect(getWalkingSpeed('wheelchair')).toBeLessThan(walker.walkingSpeed);
+    expect(getWalkingSpeed('default', PACES.RUSH)).toBeCloseTo(walker.walkingSpeed * RUSH_PACE_MULTIPLIER);
+  });
+
+  test('adds time per stair edge', () => {
+    const seconds = estimateSegmentSeconds([
+      { node_id: 1, floor_level: 1 },
+      { node_id: 2, floor_level: 1, distance_from_prev: 13 },
+      { node_id: 3, floor_level: 2, distance_from_prev: 13, is_staircase: true },
+    ], 'default');
+
+    expect(seconds[0]).toBe(0);
+    expect(seconds[1]).toBeCloseTo(13 / walker.walkingSpeed);
+    expect(seconds[2]).toBeCloseTo(13 / walker.walkingSpeed + walker.stairEdgeSeconds);
+  });
+
+  test('waits for the elevator once per ride and adds per-floor time', () => {
+    const seconds = estimateSegmentSeconds([
+      { node_id: 1, type: 'elevator', floor_level: 1 },
+      { node_id: 2, type: 'elevator', floor_level: 2, distance_from_prev: 0 },
+      { node_id: 3, type: 'elevator', floor_level: 4, distance_from_prev: 0 },
+    ], 'default');
+
+    expect(seconds[1]).toBe(walker.elevatorWaitSeconds + walker.elevatorFloorSeconds);
+    expect(seconds[2]).toBe(2 * walker.elevatorFloorSeconds);
+  });
+
+  test('rush pace speeds up walking but not stairs', () => {
+    const path = [
+      { node_id: 1 },
+      { node_id: 2, distance_from_prev: 26, is_staircase: true },
+    ];
+    const normal = estimateSegmentSeconds(path, 'default')[1] - walker.stairEdgeSeconds;
+    const rush = estimateSegmentSeconds(path, 'default', PACES.RUSH)[1] - walker.stairEdgeSeconds;
+    expect(rush).toBeCloseTo(normal / RUSH_PACE_MULTIPLIER);
+  });
+
+  test('estimates per step, in total and against a class change', () => {
+    const path = [
+      { node_id: 1, name: 'Gate', annotation: 0 },
+      { node_id: 2, name: 'Lobby', compass_angle: 0, distance_from_prev: 65 },
+      { node_id: 3, name: 'Hall', compass_angle: 90, distance_from_prev: 130 },
+    ];
+    const result = { path, directions: buildDirectionSteps(path) };
+    const eta = estimateRoute(result, 'default');
+
+    expect(eta.total_seconds).toBe(150);
+    expect(eta.step_seconds).toEqual([0, 50, 100, 0]);
+    expect(eta.fits_class_change).toBe(true);
+
+    const far = estimateRoute({ path: [{ node_id: 1 }, { node_id: 2, distance_from_prev: 1000 }] }, 'default');
+    expect(far.total_seconds).toBeGreaterThan(CLASS_CHANGE_SECONDS);
+    expect(far.fits_class_change).toBe(false);
+    expect(far.step_seconds).toEqual([]);
+  });
+
+  test('formats durations', () => {
+    expect(formatDuration(42)).toBe('42 s');
+    expect(formatDuration(0)).toBe('1 s');
+    expect(formatDuration(150)).toBe('3 min');
+    expect(formatDuration(150, 'fil')).toBe('3 min');
+  });
+});
@@ -0,0 +1,35 @@
+import { NEAREST_FACILITIES, getFacilityFilter, isEvacuationTarget } from '../facilityFilters';
+
+describe('facilityFilters', () => {
+  test('every facility has a predicate', () => {
+    NEAREST_FACILITIES.forEach((facility) => {
+      expect(typeof facility.predicate).toBe('function');
+    });
+  });
+
+  test('restroom matches common names', () => {
+    const { predicate } = getFacilityFilter('restroom');
+    expect(predicate({ name: 'Comfort Room 2F', type_of_node: 'room' })).toBe(true);
+    expect(predicate({ name: 'Male CR', type_of_node: 'room' })).toBe(true);
+    expect(predicate({ name: 'Crossing Hall', type_of_node: 'room' })).toBe(false);
+  });
+
+  test('exit matches entrance nodes and exit names', () => {
+    const { predicate } = getFacilityFilter('exit');
+    expect(predicate({ name: 'Main Lobby', type_of_node: 'entrance' })).toBe(true);
+    expect(predicate({ name: 'Back Gate', type_of_node: 'room' })).toBe(true);
+    expect(predicate({ name: 'Registrar', type_of_node: 'room' })).toBe(false);
+  });
+
+  test('evacuation targets are exits and assembly points outside hazard areas', () => {
+    expect(isEvacuationTarget({ type_of_node: 'entrance' })).toBe(true);
+    expect(isEvacuationTarget({ type_of_node: 'assembly_point' })).toBe(true);
+    expect(isEvacuationTarget({ type_of_node: 'entrance', is_hazard: true })).toBe(false);
+    // Names alone don't make a safe exit
+    expect(isEvacuationTarget({ name: 'Back Gate', type_of_node: 'room' })).toBe(false);
+  });
+
+  test('returns null for unknown facilities', () => {
+    expect(getFacilityFilter('pool')).toBeNull();
+  });
+});
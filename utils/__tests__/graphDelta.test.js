@@ -0,0 +1,51 @@
+import { computeGraphDelta, isEmptyDelta } from '../graphDelta';
+
+describe('graphDelta', () => {
+  const nodes = [
+    { node_id: 1, node_code: 'A', name: 'Lobby' },
+    { node_id: 2, node_code: 'B', name: 'Library' },
+  ];
+  const edges = [{ edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 10 }];
+
+  describe('computeGraphDelta', () => {
+    test('returns an empty delta for identical graphs', () => {
+      const delta = computeGraphDelta({ nodes, edges }, { nodes: [...nodes], edges: [...edges] });
+      expect(isEmptyDelta(delta)).toBe(true);
+    });
+
+    test('lists added, changed and removed items', () => {
+      const added = { node_id: 3, node_code: 'C', name: 'Chapel' };
+      const changed = { ...edges[0], is_hazard: true };
+      const delta = computeGraphDelta(
+        { nodes, edges },
+        { nodes: [nodes[0], added], edges: [changed] }
+      );
+
+      expect(delta).toEqual({
+        nodes: [added],
+        edges: [changed],
+        removedNodeIds: [2],
+        removedEdgeIds: [],
+      });
+    });
+
+    test('treats a missing side as empty', () => {
+      const delta = computeGraphDelta(null, { nodes, edges });
+      expect(delta.nodes).toEqual(nodes);
+      expect(delta.edges).toEqual(edges);
+    });
+
+    test('gives up when edges have no edge_id', () => {
+      const anonymous = [{ from_node_id: 1, to_node_id: 2, distance: 10 }];
+      expect(computeGraphDelta({ nodes, edges: anonymous }, { nodes, edges: anonymous })).toBeNull();
+    });
+  });
+
+  describe('isEmptyDelta', () => {
+    test('is false for a missing delta or any change', () => {
+      expect(isEmptyDelta(null)).toBe(false);
+      expect(isEmptyDelta({ removedEdgeIds: [4] })).toBe(false);
+      expect(isEmptyDelta({})).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { lintGraph, findComponents, ISSUE_TYPES, SEVERITY } from '../graphLinter';
+
+const node = (id, code, extra = {}) => ({
+  node_id: id,
+  node_code: code,
+  name: `Node ${code}`,
+  map_x: 10,
+  map_y: 10,
+  ...extra,
+});
+
+const edge = (id, from, to, distance = 10, extra = {}) => ({
+  edge_id: id,
+  from_node_id: from,
+  to_node_id: to,
+  distance,
+  is_active: true,
+  ...extra,
+});
+
+const issuesOfType = (report, type) => report.issues.filter((issue) => issue.type === type);
+
+describe('graphLinter', () => {
+  test('reports a healthy graph', () => {
+    const report = lintGraph([node(1, 'A'), node(2, 'B')], [edge(1, 1, 2)]);
+    expect(report.healthy).toBe(true);
+    expect(report.summary).toEqual({ errors: 0, warnings: 0, total: 0, components: 1 });
+  });
+
+  test('flags duplicate node codes as errors', () => {
+    const report = lintGraph([node(1, 'A'), node(2, 'A')], [edge(1, 1, 2)]);
+    const issues = issuesOfType(report, ISSUE_TYPES.DUPLICATE_NODE_CODE);
+    expect(issues).toHaveLength(2);
+    expect(issues[0].severity).toBe(SEVERITY.ERROR);
+    expect(issues[0].target.screen).toBe('NodeForm');
+  });
+
+  test('flags edges to missing nodes and invalid distances', () => {
+    const report = lintGraph(
+      [node(1, 'A'), node(2, 'B')],
+      [edge(1, 1, 2, 0), edge(2, 1, 99)]
+    );
+
+    const distance = issuesOfType(report, ISSUE_TYPES.INVALID_DISTANCE);
+    expect(distance).toHaveLength(1);
+    expect(distance[0].edge_id).toBe(1);
+    expect(distance[0].target.screen).toBe('EdgeForm');
+
+    const missing = issuesOfType(report, ISSUE_TYPES.MISSING_NODE);
+    expect(missing).toHaveLength(1);
+    expect(missing[0].message).toContain('99');
+    expect(report.summary.errors).toBe(2);
+  });
+
+  test('flags disconnected components outside the largest one', () => {
+    const report = lintGraph(
+      [node(1, 'A'), node(2, 'B'), node(3, 'C'), node(4, 'D')],
+      [edge(1, 1, 2), edge(2, 2, 3)]
+    );
+    const issues = issuesOfType(report, ISSUE_TYPES.DISCONNECTED_COMPONENT);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].node_ids).toEqual([4]);
+    expect(issues[0].severity).toBe(SEVERITY.WARNING);
+    expect(report.summary.components).toBe(2);
+  });
+
+  test('ignores inactive edges when checking connectivity', () => {
+    const components = findComponents(
+      [node(1, 'A'), node(2, 'B')],
+      [edge(1, 1, 2, 10, { is_active: false })]
+    );
+    expect(components).toHaveLength(2);
+  });
+
+  test('flags nodes without map coordinates as warnings', () => {
+    const report = lintGraph(
+      [node(1, 'A'), node(2, 'B', { map_x: null })],
+      [edge(1, 1, 2)]
+    );
+    const issues = issuesOfType(report, ISSUE_TYPES.MISSING_COORDINATES);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].node_id).toBe(2);
+    expect(report.summary.warnings).toBe(1);
+  });
+});
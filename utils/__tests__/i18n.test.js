@@ -0,0 +1,65 @@
+import { translate, setLanguage, getLanguage, LANGUAGES, DEFAULT_LANGUAGE } from '../i18n';
+import { buildDirectionSteps, renderDirectionStep } from '../directionSteps';
+import { PathFinder } from '../pathfinding';
+import en from '../../locales/en';
+import fil from '../../locales/fil';
+import ceb from '../../locales/ceb';
+
+describe('i18n', () => {
+  afterEach(() => {
+    setLanguage(DEFAULT_LANGUAGE);
+  });
+
+  test('every catalog covers the English keys', () => {
+    const catalogs = { fil, ceb };
+    expect(LANGUAGES.map((l) => l.code)).toEqual(['en', 'fil', 'ceb']);
+    for (const catalog of Object.values(catalogs)) {
+      expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+    }
+  });
+
+  test('interpolates params and picks plural forms', () => {
+    expect(translate('directions.arrived', { name: 'Library' })).toBe('You have arrived at Library');
+    expect(translate('mapDisplay.stairCount', { count: 1 })).toBe('1 stair');
+    expect(translate('mapDisplay.stairCount', { count: 3 })).toBe('3 stairs');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('directions.arrived', { name: 'X' }, 'xx')).toBe('You have arrived at X');
+    expect(translate('missing.key')).toBe('missing.key');
+  });
+
+  test('unsupported languages fall back to English', () => {
+    expect(setLanguage('fr')).toBe('en');
+    expect(setLanguage('ceb')).toBe('ceb');
+    expect(getLanguage()).toBe('ceb');
+  });
+
+  describe('localized directions', () => {
+    const path = [
+      { node_id: 1, name: 'Gate', annotation: 0 },
+      { node_id: 2, name: 'Lobby', compass_angle: 90, distance_from_prev: 10 },
+      { node_id: 3, name: 'Library', compass_angle: 90, distance_from_prev: 4, is_staircase: true, floor_level: 2 },
+    ];
+
+    test('renders steps in the active language', () => {
+      setLanguage('fil');
+      const steps = buildDirectionSteps(path);
+      expect(steps[1].text).toBe('Lumiko sa kanan (90°) at maglakad nang 10.0m papunta sa Lobby');
+      expect(steps[steps.length - 1].text).toBe('Narating mo na ang Library');
+    });
+
+    test('re-renders a step in another language', () => {
+      const [, turn] = buildDirectionSteps(path);
+      expect(turn.text).toBe('Turn right (90°) and walk for 10.0m to Lobby');
+      expect(renderDirectionStep(turn, 'ceb')).toBe('Liko sa tuo (90°) ug lakaw og 10.0m paingon sa Lobby');
+    });
+
+    test('localizes relative turns and compass names', () => {
+      const finder = new PathFinder();
+      expect(finder.getRelativeTurn(0, 300, 'fil').instruction).toBe('Lumiko sa kaliwa (60°)');
+      expect(finder.compassToDirection(90)).toBe('East');
+      expect(finder.compassToDirection(225, 'ceb')).toBe('Habagatang-Kasadpan');
+    });
+  });
+});
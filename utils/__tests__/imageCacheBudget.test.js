@@ -0,0 +1,32 @@
+import { planEviction } from '../imageCacheBudget';
+
+const image = (id, size, lastAccess) => ({ id, size, lastAccess });
+
+describe('imageCacheBudget', () => {
+  describe('planEviction', () => {
+    const entries = [image('1', 100, 3000), image('2', 100, 1000), image('3', 100, 2000)];
+
+    test('evicts nothing without a budget', () => {
+      expect(planEviction(entries, { budget: null, incomingBytes: 1000 })).toEqual({
+        evict: [], usedBytes: 300, freedBytes: 0, fits: true,
+      });
+    });
+
+    test('evicts the least recently used images until the download fits', () => {
+      const plan = planEviction(entries, { budget: 300, incomingBytes: 150 });
+      expect(plan.evict.map((entry) => entry.id)).toEqual(['2', '3']);
+      expect(plan).toMatchObject({ usedBytes: 300, freedBytes: 200, fits: true });
+    });
+
+    test('never evicts protected images', () => {
+      const plan = planEviction(entries, { budget: 250, protectedIds: new Set(['2']) });
+      expect(plan.evict.map((entry) => entry.id)).toEqual(['3']);
+      expect(plan.fits).toBe(true);
+    });
+
+    test('evicts nothing when the cache cannot fit anyway', () => {
+      const plan = planEviction(entries, { budget: 250, incomingBytes: 100, protectedIds: new Set(['1', '2']) });
+      expect(plan).toEqual({ evict: [], usedBytes: 300, freedBytes: 0, fits: false });
+    });
+  });
+});
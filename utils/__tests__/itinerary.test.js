@@ -0,0 +1,93 @@
+import { solveStopOrder, stitchLegs, getOrderCost, getRemainingStops, EXACT_STOP_LIMIT } from '../itinerary';
+
+// Points on a line: cost is the absolute difference of positions
+const lineMatrix = (positions) =>
+  positions.map((a, i) => positions.map((b, j) => (j === 0 && i !== 0 ? Infinity : Math.abs(a - b))));
+
+describe('itinerary', () => {
+  describe('solveStopOrder', () => {
+    test('returns an empty order when there are no stops', () => {
+      expect(solveStopOrder([[0]])).toEqual({ order: [], cost: 0, exact: true });
+    });
+
+    test('finds the optimal order exactly for small stop counts', () => {
+      // start at 0, stops at 30, 10, 20
+      const result = solveStopOrder(lineMatrix([0, 30, 10, 20]));
+      expect(result.exact).toBe(true);
+      expect(result.order).toEqual([2, 3, 1]);
+      expect(result.cost).toBe(30);
+    });
+
+    test('uses the heuristic above the exact limit', () => {
+      const positions = [0];
+      for (let i = EXACT_STOP_LIMIT + 2; i >= 1; i--) positions.push(i * 10);
+      const matrix = lineMatrix(positions);
+      const result = solveStopOrder(matrix);
+
+      expect(result.exact).toBe(false);
+      expect(result.order).toHaveLength(positions.length - 1);
+      expect(result.cost).toBe(getOrderCost(matrix, result.order));
+      expect(result.cost).toBe((EXACT_STOP_LIMIT + 2) * 10);
+    });
+
+    test('returns null order when a stop is unreachable', () => {
+      const matrix = [
+        [0, 10, Infinity],
+        [Infinity, 0, Infinity],
+        [Infinity, Infinity, 0],
+      ];
+      expect(solveStopOrder(matrix).order).toBeNull();
+    });
+  });
+
+  describe('stitchLegs', () => {
+    const legs = [
+      {
+        path: [{ node_id: 1, node_code: 'A' }, { node_id: 2, node_code: 'B' }],
+        total_distance: 10,
+        directions: ['Go to B', 'You have arrived at B'],
+      },
+      {
+        path: [{ node_id: 2, node_code: 'B' }, { node_id: 3, node_code: 'C' }],
+        total_distance: 5.5,
+        directions: ['Go to C', 'You have arrived at C'],
+      },
+    ];
+
+    test('joins legs without duplicating the shared node', () => {
+      const result = stitchLegs(legs);
+      expect(result.path.map((n) => n.node_code)).toEqual(['A', 'B', 'C']);
+      expect(result.path.map((n) => n.leg_index)).toEqual([0, 0, 1]);
+      expect(result.total_distance).toBe(15.5);
+      expect(result.num_nodes).toBe(3);
+    });
+
+    test('numbers stops and keeps per-leg directions', () => {
+      const result = stitchLegs(legs);
+      expect(result.stops.map((s) => [s.stop_number, s.node_code, s.path_index])).toEqual([
+        [1, 'B', 1],
+        [2, 'C', 2],
+      ]);
+      expect(result.legs[1].directions).toEqual(['Go to C', 'You have arrived at C']);
+      expect(result.legs[1].path_start_index).toBe(1);
+      expect(result.directions).toHaveLength(4);
+    });
+
+    test('merges the detours of every leg', () => {
+      const closure = { kind: 'edge', id: 4, name: 'B – C', reason: 'Construction', until: null };
+      const detoured = [legs[0], { ...legs[1], detour: { closures: [closure], extra_distance: 12.5 } }];
+
+      expect(stitchLegs(legs).detour).toBeUndefined();
+      expect(stitchLegs(detoured).detour).toEqual({ closures: [closure], extra_distance: 12.5 });
+    });
+
+    test('lists the stops still ahead of a path position', () => {
+      const result = stitchLegs(legs);
+      expect(getRemainingStops(result, 0).map((s) => s.node_code)).toEqual(['B', 'C']);
+      // Rerouting from a stop counts it as visited
+      expect(getRemainingStops(result, 1).map((s) => s.node_code)).toEqual(['C']);
+      expect(getRemainingStops(result, 2)).toEqual([]);
+      expect(getRemainingStops(null, 0)).toEqual([]);
+    });
+  });
+});
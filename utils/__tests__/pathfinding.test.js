@@ -1,5 +1,6 @@
 
-import { PathFinder } from '../pathfinding';
+import { PathFinder, getRouteStats } from '../pathfinding';
+import { getRouteCost } from '../routingProfiles';
 
 describe('PathFinder', () => {
   let pathFinder;
@@ -52,4 +53,825 @@ describe('PathFinder', () => {
         expect(neighbors).toEqual([]);
     });
   });
+
+  describe('routing profiles', () => {
+    // Lobby (L) reaches floor 2 (F) either by stairs (S) or by elevator (E)
+    const profileNodes = [
+      { node_id: 1, node_code: 'L', floor_level: 1, type_of_node: 'room' },
+      { node_id: 2, node_code: 'S', floor_level: 1, type_of_node: 'room' },
+      { node_id: 3, node_code: 'E', floor_level: 1, type_of_node: 'elevator' },
+      { node_id: 4, node_code: 'F', floor_level: 2, type_of_node: 'room' },
+    ];
+    const profileEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 5, is_active: true },
+      { from_node_id: 2, to_node_id: 4, distance: 10, is_staircase: true, is_active: true },
+      { from_node_id: 1, to_node_id: 3, distance: 20, is_active: true },
+      { from_node_id: 3, to_node_id: 4, distance: 10, is_active: true },
+    ];
+    let profileFinder;
+
+    beforeEach(() => {
+      profileFinder = new PathFinder();
+      profileFinder.buildGraph(profileNodes, profileEdges);
+    });
+
+    const codes = (result) => result.path.map((n) => n.node_code);
+
+    test('default profile takes the shortest route', () => {
+      const result = profileFinder.findPath('L', 'F');
+      expect(codes(result)).toEqual(['L', 'S', 'F']);
+      expect(result.total_distance).toBe(15);
+      expect(result.profile).toBe('default');
+    });
+
+    test('wheelchair profile never uses stairs', () => {
+      const result = profileFinder.findPath('L', 'F', { profile: 'wheelchair' });
+      expect(codes(result)).toEqual(['L', 'E', 'F']);
+      expect(result.profile).toBe('wheelchair');
+    });
+
+    test('wheelchair profile prefers an elevator over an equal-length ramp', () => {
+      // L reaches F by a ramp (R) or by the elevator (E), both 30 m
+      profileFinder.buildGraph(
+        [...profileNodes, { node_id: 5, node_code: 'R', floor_level: 1, type_of_node: 'room' }],
+        [
+          { from_node_id: 1, to_node_id: 5, distance: 20, is_active: true },
+          { from_node_id: 5, to_node_id: 4, distance: 10, is_active: true },
+          ...profileEdges.filter((e) => e.from_node_id === 1 ? e.to_node_id === 3 : e.from_node_id === 3),
+        ]
+      );
+
+      const wheelchair = profileFinder.findPath('L', 'F', { profile: 'wheelchair' });
+      expect(codes(wheelchair)).toEqual(['L', 'E', 'F']);
+      expect(wheelchair.total_distance).toBe(30);
+      expect(codes(profileFinder.findPath('L', 'F', { profile: 'avoid_elevators' }))).toEqual(['L', 'R', 'F']);
+    });
+
+    test('stroller profile prefers the elevator and reports real distance', () => {
+      const result = profileFinder.findPath('L', 'F', { profile: 'stroller' });
+      expect(codes(result)).toEqual(['L', 'E', 'F']);
+      expect(result.total_distance).toBe(30);
+    });
+
+    test('avoid_elevators profile skips elevator nodes', () => {
+      profileFinder.buildGraph(profileNodes, profileEdges.filter((e) => !e.is_staircase));
+      expect(profileFinder.findPath('L', 'F').success).toBe(true);
+      expect(profileFinder.findPath('L', 'F', { profile: 'avoid_elevators' }).success).toBe(false);
+    });
+
+    test('getRouteCost rebuilds the weighted cost from a path without total_cost', () => {
+      for (const profile of ['default', 'wheelchair', 'stroller']) {
+        const result = profileFinder.findPath('L', 'F', { profile });
+        const { total_cost: totalCost, ...serverResult } = result;
+        expect(getRouteCost(serverResult, profile)).toBe(totalCost);
+      }
+    });
+
+    test('legacy avoidStairs boolean is still honored', () => {
+      const result = profileFinder.findPath('L', 'F', true);
+      expect(codes(result)).toEqual(['L', 'E', 'F']);
+    });
+  });
+
+  describe('findItinerary', () => {
+    // A - B - C - D in a line, 10m apart
+    const lineNodes = ['A', 'B', 'C', 'D'].map((code, i) => ({ node_id: i + 1, node_code: code, name: `Node ${code}` }));
+    const lineEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 10, is_active: true },
+      { from_node_id: 2, to_node_id: 3, distance: 10, is_active: true },
+      { from_node_id: 3, to_node_id: 4, distance: 10, is_active: true },
+    ];
+    let lineFinder;
+
+    beforeEach(() => {
+      lineFinder = new PathFinder();
+      lineFinder.buildGraph(lineNodes, lineEdges);
+    });
+
+    test('visits stops in the shortest order', () => {
+      const result = lineFinder.findItinerary('A', ['D', 'B', 'C']);
+      expect(result.success).toBe(true);
+      expect(result.order).toEqual(['B', 'C', 'D']);
+      expect(result.total_distance).toBe(30);
+      expect(result.path.map((n) => n.node_code)).toEqual(['A', 'B', 'C', 'D']);
+      expect(result.legs).toHaveLength(3);
+      expect(result.stops.map((s) => s.stop_number)).toEqual([1, 2, 3]);
+      expect(result.directions.length).toBeGreaterThan(0);
+    });
+
+    test('orders stops by the profile-weighted cost, not raw distance', () => {
+      // X hangs off A by a 10m staircase, Y by a 12m corridor
+      const branchFinder = new PathFinder();
+      branchFinder.buildGraph(
+        ['A', 'X', 'Y'].map((code, i) => ({ node_id: i + 1, node_code: code, name: `Node ${code}` })),
+        [
+          { from_node_id: 1, to_node_id: 2, distance: 10, is_staircase: true, is_active: true },
+          { from_node_id: 1, to_node_id: 3, distance: 12, is_active: true },
+        ]
+      );
+
+      expect(branchFinder.findItinerary('A', ['X', 'Y']).order).toEqual(['X', 'Y']);
+
+      // Visiting X last takes the staircase once instead of twice
+      const stroller = branchFinder.findItinerary('A', ['X', 'Y'], { profile: 'stroller' });
+      expect(stroller.order).toEqual(['Y', 'X']);
+      expect(stroller.total_distance).toBe(34);
+    });
+
+    test('ignores duplicate stops and the start itself', () => {
+      const result = lineFinder.findItinerary('A', ['C', 'A', 'C']);
+      expect(result.order).toEqual(['C']);
+    });
+
+    test('fails for unknown stops', () => {
+      const result = lineFinder.findItinerary('A', ['Z']);
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('findAlternativePaths', () => {
+    // Three parallel corridors from S to G, plus a shortcut X that mostly overlaps the best one
+    const altNodes = [
+      { node_id: 1, node_code: 'S', floor_level: 1 },
+      { node_id: 2, node_code: 'B', floor_level: 1 },
+      { node_id: 3, node_code: 'C', floor_level: 2 },
+      { node_id: 4, node_code: 'E', floor_level: 1 },
+      { node_id: 5, node_code: 'G', floor_level: 1 },
+    ];
+    const altEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 10, is_active: true },
+      { from_node_id: 2, to_node_id: 5, distance: 10, is_active: true },
+      { from_node_id: 1, to_node_id: 3, distance: 12, is_staircase: true, is_active: true },
+      { from_node_id: 3, to_node_id: 5, distance: 12, is_staircase: true, is_active: true },
+      { from_node_id: 1, to_node_id: 4, distance: 15, is_active: true },
+      { from_node_id: 4, to_node_id: 5, distance: 15, is_active: true },
+    ];
+    let altFinder;
+
+    beforeEach(() => {
+      altFinder = new PathFinder();
+      altFinder.buildGraph(altNodes, altEdges);
+    });
+
+    const routeCodes = (route) => route.path.map((n) => n.node_code).join('');
+
+    test('returns loopless routes in increasing distance order', () => {
+      const result = altFinder.findAlternativePaths('S', 'G', 3);
+      expect(result.success).toBe(true);
+      expect(result.routes.map(routeCodes)).toEqual(['SBG', 'SCG', 'SEG']);
+      expect(result.routes.map((r) => r.total_distance)).toEqual([20, 24, 30]);
+      result.routes.forEach((route) => {
+        const ids = route.path.map((n) => n.node_id);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(route.directions.length).toBeGreaterThan(0);
+      });
+    });
+
+    test('reports stair count and floor changes per route', () => {
+      const result = altFinder.findAlternativePaths('S', 'G', 2);
+      expect(result.routes).toHaveLength(2);
+      expect(result.routes[1].stair_count).toBe(2);
+      expect(result.routes[1].floor_changes).toBe(2);
+      expect(result.routes[0].stair_count).toBe(0);
+    });
+
+    test('skips candidates that overlap too much with accepted routes', () => {
+      // Detour B -> X -> G shares the S -> B corridor (10 of 21m) with the best route
+      altFinder.buildGraph(
+        [...altNodes, { node_id: 6, node_code: 'X', floor_level: 1 }],
+        [
+          ...altEdges,
+          { from_node_id: 2, to_node_id: 6, distance: 5, is_active: true },
+          { from_node_id: 6, to_node_id: 5, distance: 6, is_active: true },
+        ]
+      );
+
+      const loose = altFinder.findAlternativePaths('S', 'G', 2, { maxOverlap: 1 });
+      expect(routeCodes(loose.routes[1])).toBe('SBXG');
+
+      const strict = altFinder.findAlternativePaths('S', 'G', 2, { maxOverlap: 0.4 });
+      expect(routeCodes(strict.routes[1])).toBe('SCG');
+    });
+
+    test('honors the routing profile', () => {
+      const result = altFinder.findAlternativePaths('S', 'G', 3, { profile: 'wheelchair' });
+      expect(result.routes.map(routeCodes)).toEqual(['SBG', 'SEG']);
+    });
+
+    test('keeps the parallel edge the route actually took', () => {
+      // S and B are joined by a staircase and by a longer ramp
+      altFinder.buildGraph(altNodes, [
+        { edge_id: 7, from_node_id: 1, to_node_id: 2, distance: 10, is_staircase: true, is_active: true },
+        { edge_id: 8, from_node_id: 1, to_node_id: 2, distance: 14, is_active: true },
+        { edge_id: 9, from_node_id: 2, to_node_id: 5, distance: 10, is_active: true },
+      ]);
+
+      const result = altFinder.findPath('S', 'G', { profile: 'stroller' });
+      expect(result.path.map((n) => n.edge_id)).toEqual([null, 8, 9]);
+      expect(altFinder.resultToSteps(result).map((step) => step.edge?.edge_id)).toEqual([undefined, 8, 9]);
+    });
+
+    test('offers the parallel edge as an alternative', () => {
+      // S and B are joined by a staircase and by a longer ramp
+      altFinder.buildGraph(altNodes, [
+        { edge_id: 7, from_node_id: 1, to_node_id: 2, distance: 10, is_staircase: true, is_active: true },
+        { edge_id: 8, from_node_id: 1, to_node_id: 2, distance: 14, is_active: true },
+        { edge_id: 9, from_node_id: 2, to_node_id: 5, distance: 10, is_active: true },
+      ]);
+
+      const result = altFinder.findAlternativePaths('S', 'G', 3);
+      expect(result.routes.map((route) => route.path.map((n) => n.edge_id))).toEqual([
+        [null, 7, 9],
+        [null, 8, 9],
+      ]);
+      expect(result.routes.map((route) => route.stair_count)).toEqual([1, 0]);
+    });
+
+    test('getRouteStats handles an empty path', () => {
+      expect(getRouteStats([])).toEqual({ stair_count: 0, floor_changes: 0 });
+    });
+  });
+
+  describe('geometric heuristic', () => {
+    // 10 x 10 grid, 1 map unit apart, 2m per edge
+    const size = 10;
+    const gridNodes = [];
+    const gridEdges = [];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const id = y * size + x + 1;
+        gridNodes.push({ node_id: id, node_code: `N${id}`, floor_level: 1, map_x: x, map_y: y });
+        if (x > 0) gridEdges.push({ from_node_id: id - 1, to_node_id: id, distance: 2, is_active: true });
+        if (y > 0) gridEdges.push({ from_node_id: id - size, to_node_id: id, distance: 2, is_active: true });
+      }
+    }
+    let gridFinder;
+
+    beforeEach(() => {
+      gridFinder = new PathFinder();
+      gridFinder.buildGraph(gridNodes, gridEdges);
+    });
+
+    test('derives meters per map unit from edges', () => {
+      expect(gridFinder.metersPerMapUnit).toBe(2);
+      expect(gridFinder.getStats().metersPerMapUnit).toBe(2);
+    });
+
+    test('never overestimates the remaining distance', () => {
+      const goalId = size * size;
+      for (const node of gridNodes) {
+        const result = gridFinder.findPath(node.node_code, `N${goalId}`);
+        expect(gridFinder.heuristic(node.node_id, goalId)).toBeLessThanOrEqual(result.total_distance + 1e-9);
+      }
+    });
+
+    test('expands fewer nodes than the floor-only heuristic with the same distance', () => {
+      const geometric = gridFinder.findPath('N1', `N${size}`);
+      gridFinder.useGeometricHeuristic = false;
+      const floorOnly = gridFinder.findPath('N1', `N${size}`);
+
+      expect(geometric.total_distance).toBe(floorOnly.total_distance);
+      expect(geometric.expanded_nodes).toBeLessThan(floorOnly.expanded_nodes);
+    });
+
+    test('falls back to the floor heuristic when coordinates are missing', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(mockNodes, mockEdges);
+      expect(finder.metersPerMapUnit).toBeNull();
+      expect(finder.findPath('A', 'C').total_distance).toBe(20);
+    });
+  });
+
+  describe('directional edges', () => {
+    const dirNodes = [
+      { node_id: 1, node_code: 'A', name: 'Node A' },
+      { node_id: 2, node_code: 'B', name: 'Node B' },
+      { node_id: 3, node_code: 'C', name: 'Node C' },
+    ];
+
+    test('forward-only edges cannot be walked backwards', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(dirNodes, [
+        { from_node_id: 1, to_node_id: 2, distance: 10, direction: 'forward', is_active: true },
+      ]);
+      expect(finder.findPath('A', 'B').success).toBe(true);
+      expect(finder.findPath('B', 'A').success).toBe(false);
+    });
+
+    test('reverse-only edges can only be walked to -> from', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(dirNodes, [
+        { from_node_id: 1, to_node_id: 2, distance: 10, direction: 'reverse', is_active: true },
+      ]);
+      expect(finder.findPath('A', 'B').success).toBe(false);
+      expect(finder.findPath('B', 'A').success).toBe(true);
+    });
+
+    test('uses per-direction distances', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(dirNodes, [
+        { from_node_id: 1, to_node_id: 2, distance: 10, reverse_distance: 14, is_active: true },
+      ]);
+      expect(finder.findPath('A', 'B').total_distance).toBe(10);
+      expect(finder.findPath('B', 'A').total_distance).toBe(14);
+    });
+
+    test('routes around a one-way edge and mentions one-way passages', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(dirNodes, [
+        { from_node_id: 1, to_node_id: 2, distance: 10, direction: 'forward', is_active: true },
+        { from_node_id: 2, to_node_id: 3, distance: 10, is_active: true },
+        { from_node_id: 3, to_node_id: 1, distance: 30, is_active: true },
+      ]);
+
+      const back = finder.findPath('B', 'A');
+      expect(back.path.map((n) => n.node_code)).toEqual(['B', 'C', 'A']);
+
+      const forward = finder.getDirections('A', 'B');
+      expect(forward.path[1].one_way).toBe(true);
+      expect(forward.directions.some((d) => d.one_way && d.text.includes('(one-way)'))).toBe(true);
+    });
+
+    test('counts one-way edges once in stats', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(dirNodes, [
+        { from_node_id: 1, to_node_id: 2, distance: 10, direction: 'forward', is_active: true },
+        { from_node_id: 2, to_node_id: 3, distance: 10, is_active: true },
+      ]);
+      expect(finder.getStats().edges).toBe(2);
+    });
+  });
+
+  describe('findNearest', () => {
+    // R1 (restroom) is 25m away via B, R2 is 12m away via C; E is an elevator next to A
+    const facilityNodes = [
+      { node_id: 1, node_code: 'A', name: 'Lobby', type_of_node: 'room' },
+      { node_id: 2, node_code: 'B', name: 'Hall B', type_of_node: 'room' },
+      { node_id: 3, node_code: 'C', name: 'Hall C', type_of_node: 'room' },
+      { node_id: 4, node_code: 'R1', name: 'Restroom 1', type_of_node: 'room' },
+      { node_id: 5, node_code: 'R2', name: 'Restroom 2', type_of_node: 'room' },
+      { node_id: 6, node_code: 'E', name: 'Elevator', type_of_node: 'elevator' },
+    ];
+    const facilityEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 5, is_active: true },
+      { from_node_id: 2, to_node_id: 4, distance: 20, is_active: true },
+      { from_node_id: 1, to_node_id: 3, distance: 6, is_staircase: true, is_active: true },
+      { from_node_id: 3, to_node_id: 5, distance: 6, is_active: true },
+      { from_node_id: 1, to_node_id: 6, distance: 3, is_active: true },
+    ];
+    const isRestroom = (node) => node.name.startsWith('Restroom');
+    let facilityFinder;
+
+    beforeEach(() => {
+      facilityFinder = new PathFinder();
+      facilityFinder.buildGraph(facilityNodes, facilityEdges);
+    });
+
+    test('returns matches ordered by distance up to the limit', () => {
+      const result = facilityFinder.findNearest('A', isRestroom, 5);
+      expect(result.success).toBe(true);
+      expect(result.results.map((r) => [r.node.node_code, r.distance])).toEqual([['R2', 12], ['R1', 25]]);
+
+      expect(facilityFinder.findNearest('A', isRestroom, 1).results).toHaveLength(1);
+    });
+
+    test('accepts a node type instead of a predicate', () => {
+      const result = facilityFinder.findNearest('B', 'elevator');
+      expect(result.results[0].node.node_code).toBe('E');
+      expect(result.results[0].distance).toBe(8);
+    });
+
+    test('never returns the start node and honors the routing profile', () => {
+      expect(facilityFinder.findNearest('E', 'elevator').results).toEqual([]);
+
+      const wheelchair = facilityFinder.findNearest('A', isRestroom, 1, { profile: 'wheelchair' });
+      expect(wheelchair.results[0].node.node_code).toBe('R1');
+    });
+
+    test('fails for unknown start nodes', () => {
+      expect(facilityFinder.findNearest('Z', 'elevator').success).toBe(false);
+    });
+  });
+
+  describe('findReachable', () => {
+    // A -13m- B -13m- C, and a 13m staircase from A to S
+    const campusNodes = [
+      { node_id: 1, node_code: 'A', name: 'Gym', floor_level: 1 },
+      { node_id: 2, node_code: 'B', name: 'Hall', floor_level: 1 },
+      { node_id: 3, node_code: 'C', name: 'Library', floor_level: 1 },
+      { node_id: 4, node_code: 'S', name: 'Upstairs', floor_level: 2 },
+    ];
+    const campusEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 13, is_active: true },
+      { from_node_id: 2, to_node_id: 3, distance: 13, is_active: true },
+      { from_node_id: 1, to_node_id: 4, distance: 13, is_staircase: true, is_active: true },
+    ];
+    let campusFinder;
+
+    beforeEach(() => {
+      campusFinder = new PathFinder();
+      campusFinder.buildGraph(campusNodes, campusEdges);
+    });
+
+    const codes = (result) => result.nodes.map((r) => r.node.node_code);
+
+    test('returns nodes within a distance budget, including the start', () => {
+      const result = campusFinder.findReachable('A', { maxDistance: 20 });
+      expect(result.success).toBe(true);
+      expect(codes(result).sort()).toEqual(['A', 'B', 'S']);
+      expect(result.nodes[0]).toMatchObject({ distance: 0, seconds: 0 });
+    });
+
+    test('returns nodes within a time budget, counting stair time', () => {
+      // 13m at 1.3 m/s is 10s; the staircase adds another 10s
+      const result = campusFinder.findReachable('A', { maxSeconds: 15 });
+      expect(codes(result).sort()).toEqual(['A', 'B']);
+
+      const wider = campusFinder.findReachable('A', { maxSeconds: 20 });
+      expect(codes(wider).sort()).toEqual(['A', 'B', 'C', 'S']);
+      expect(wider.nodes.find((r) => r.node.node_code === 'S').seconds).toBe(20);
+    });
+
+    test('honors the routing profile', () => {
+      const result = campusFinder.findReachable('A', { maxDistance: 100 }, { profile: 'wheelchair' });
+      expect(codes(result)).not.toContain('S');
+      expect(result.profile).toBe('wheelchair');
+    });
+
+    test('fails without a budget or for unknown start nodes', () => {
+      expect(campusFinder.findReachable('A', {}).success).toBe(false);
+      expect(campusFinder.findReachable('Z', { maxDistance: 10 }).success).toBe(false);
+    });
+  });
+
+  describe('schedules', () => {
+    // A - B - C is short but B - C locks after 18:00; A - D - C is the long way round
+    const scheduleNodes = [
+      { node_id: 1, node_code: 'A', name: 'Gate' },
+      { node_id: 2, node_code: 'B', name: 'Corridor' },
+      { node_id: 3, node_code: 'C', name: 'Night Class' },
+      { node_id: 4, node_code: 'D', name: 'Courtyard' },
+      { node_id: 5, node_code: 'L', name: 'Library', open_hours: [{ days: [1], open: '08:00', close: '17:00' }] },
+    ];
+    const scheduleEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 10, is_active: true },
+      {
+        edge_id: 23,
+        from_node_id: 2,
+        to_node_id: 3,
+        distance: 10,
+        is_active: true,
+        open_hours: [{ days: [1, 2, 3, 4, 5], open: '07:00', close: '18:00' }],
+      },
+      { from_node_id: 1, to_node_id: 4, distance: 30, is_active: true },
+      { from_node_id: 4, to_node_id: 3, distance: 30, is_active: true },
+      { from_node_id: 1, to_node_id: 5, distance: 5, is_active: true },
+    ];
+    // Monday 19 October 2026, local time
+    const monday = (hours) => new Date(2026, 9, 19, hours).toISOString();
+    let scheduleFinder;
+
+    beforeEach(() => {
+      scheduleFinder = new PathFinder();
+      scheduleFinder.buildGraph(scheduleNodes, scheduleEdges);
+    });
+
+    test('uses edges that are open at departure', () => {
+      const result = scheduleFinder.findPath('A', 'C', { departureTime: monday(10) });
+      expect(result.path.map((n) => n.node_code)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('routes around edges closed at departure', () => {
+      const result = scheduleFinder.findPath('A', 'C', { departureTime: monday(19) });
+      expect(result.path.map((n) => n.node_code)).toEqual(['A', 'D', 'C']);
+    });
+
+    test('ignores schedules without a departure time', () => {
+      const result = scheduleFinder.findPath('A', 'C');
+      expect(result.path.map((n) => n.node_code)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('reports the closures a route was detoured around', () => {
+      const result = scheduleFinder.findPath('A', 'C', { departureTime: monday(19) });
+      expect(result.detour.extra_distance).toBe(40);
+      expect(result.detour.closures).toEqual([
+        { kind: 'edge', id: 23, name: 'Corridor – Night Class', reason: null, until: null },
+      ]);
+
+      expect(scheduleFinder.findPath('A', 'C', { departureTime: monday(10) }).detour).toBeUndefined();
+    });
+
+    test('only searches again without schedules when the route ran into a closure', () => {
+      const searchPath = jest.spyOn(scheduleFinder, 'searchPath');
+
+      // Everything is open at 10:00
+      expect(scheduleFinder.findPath('A', 'C', { departureTime: monday(10) }).detour).toBeUndefined();
+      expect(searchPath).toHaveBeenCalledTimes(1);
+
+      expect(scheduleFinder.findPath('A', 'C', { departureTime: monday(19) }).detour).toBeDefined();
+      expect(searchPath).toHaveBeenCalledTimes(3);
+    });
+
+    test('explains when only closures block the route', () => {
+      const cleaning = {
+        start: new Date(2026, 9, 19, 9).toISOString(),
+        end: new Date(2026, 9, 19, 11).toISOString(),
+        reason: 'Floor cleaning',
+      };
+      const finder = new PathFinder();
+      finder.buildGraph(
+        [{ node_id: 1, node_code: 'A', name: 'Gate' }, { node_id: 2, node_code: 'B', name: 'Hall' }],
+        [{ edge_id: 7, from_node_id: 1, to_node_id: 2, distance: 10, is_active: true, closures: [cleaning] }]
+      );
+
+      const blocked = finder.findPath('A', 'B', { departureTime: monday(10) });
+      expect(blocked.success).toBe(false);
+      expect(blocked.error).toMatch(/Gate – Hall/);
+      expect(blocked.closures[0]).toMatchObject({ kind: 'edge', id: 7, reason: 'Floor cleaning', until: cleaning.end });
+
+      // The closure expires on its own
+      expect(finder.findPath('A', 'B', { departureTime: monday(11) }).success).toBe(true);
+    });
+
+    test('reports a closed destination', () => {
+      const result = scheduleFinder.findPath('A', 'L', { departureTime: monday(19) });
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Library is closed/);
+      expect(scheduleFinder.findPath('A', 'L', { departureTime: monday(9) }).success).toBe(true);
+    });
+  });
+
+  describe('landmark directions', () => {
+    // Gate -> Lobby heads north, then a right turn east through Hall to Dorm.
+    // The Chapel sits west of the Lobby, the Library south of the Dorm.
+    const landmarkNodes = [
+      { node_id: 1, node_code: 'A', name: 'Gate', map_x: 0, map_y: 100, annotation: 0 },
+      { node_id: 2, node_code: 'B', name: 'Lobby', map_x: 0, map_y: 0 },
+      { node_id: 3, node_code: 'C', name: 'Hall', map_x: 100, map_y: 0 },
+      { node_id: 4, node_code: 'D', name: 'Dorm', map_x: 200, map_y: 0 },
+      { node_id: 5, node_code: 'CH', name: 'Chapel', type_of_node: 'landmark', map_x: -60, map_y: 20 },
+      { node_id: 6, node_code: 'LB', name: 'Library', type_of_node: 'landmark', map_x: 150, map_y: 60 },
+    ];
+    const landmarkEdges = [
+      { from_node_id: 1, to_node_id: 2, distance: 100, compass_angle: 0, is_active: true },
+      { from_node_id: 2, to_node_id: 3, distance: 100, compass_angle: 90, is_active: true },
+      { from_node_id: 3, to_node_id: 4, distance: 100, compass_angle: 90, is_active: true },
+      { from_node_id: 2, to_node_id: 5, distance: 10, compass_angle: 270, is_active: true },
+      { from_node_id: 4, to_node_id: 6, distance: 10, compass_angle: 180, is_active: true },
+    ];
+    const texts = (result) => result.directions.map((step) => step.text);
+
+    test('turns after a landmark at the turning node', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(landmarkNodes, landmarkEdges);
+
+      const result = finder.getDirections('A', 'D');
+      expect(texts(result)).toEqual([
+        'Face towards Lobby and start walking',
+        'Walk straight ahead for 100.0m to Lobby; the Chapel will be on your left',
+        'Turn right after the Chapel and walk for 200.0m to Dorm',
+        'You have arrived at Dorm',
+      ]);
+      expect(result.directions[2].landmark).toEqual({ node_id: 5, name: 'Chapel', position: 'after' });
+    });
+
+    test('mentions landmarks passed on the way', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(
+        landmarkNodes.filter((node) => node.node_code !== 'CH'),
+        landmarkEdges.filter((edge) => edge.to_node_id !== 5)
+      );
+
+      const result = finder.getDirections('A', 'D');
+      expect(texts(result)[2]).toBe('Turn right (90°) and walk for 200.0m to Dorm; the Library will be on your right');
+    });
+
+    test('ignores landmarks on the path or on another floor', () => {
+      const finder = new PathFinder();
+      finder.buildGraph(
+        landmarkNodes.map((node) => (node.node_code === 'CH' ? { ...node, floor_level: 2 } : { ...node, floor_level: 1 })),
+        landmarkEdges
+      );
+      expect(texts(finder.getDirections('A', 'B'))[1]).toBe('Walk straight ahead for 100.0m to Lobby');
+      expect(finder.getDirections('A', 'CH').directions.every((step) => step.landmark === null)).toBe(true);
+    });
+  });
+
+  describe('findEvacuationRoute', () => {
+    // From room R: a hazardous hallway to E1, an elevator ride to E3, or the stairs to E2
+    const evacNodes = [
+      { node_id: 1, node_code: 'R', name: 'Room', type_of_node: 'room', floor_level: 2 },
+      { node_id: 2, node_code: 'H', name: 'Hallway', type_of_node: 'hallway', floor_level: 2, is_hazard: true },
+      { node_id: 3, node_code: 'E1', name: 'East Exit', type_of_node: 'entrance', floor_level: 2 },
+      { node_id: 4, node_code: 'L2', name: 'Lift 2F', type_of_node: 'elevator', floor_level: 2 },
+      { node_id: 5, node_code: 'L1', name: 'Lift 1F', type_of_node: 'elevator', floor_level: 1 },
+      { node_id: 6, node_code: 'E3', name: 'Lobby Exit', type_of_node: 'entrance', floor_level: 1 },
+      { node_id: 7, node_code: 'S', name: 'Stairwell', type_of_node: 'staircase', floor_level: 1 },
+      { node_id: 8, node_code: 'E2', name: 'West Exit', type_of_node: 'exit', floor_level: 1 },
+    ];
+    const evacEdges = [
+      { edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 5, is_active: true },
+      { edge_id: 2, from_node_id: 2, to_node_id: 3, distance: 5, is_active: true },
+      { edge_id: 3, from_node_id: 1, to_node_id: 4, distance: 3, is_active: true },
+      { edge_id: 4, from_node_id: 4, to_node_id: 5, distance: 3, is_active: true },
+      { edge_id: 5, from_node_id: 5, to_node_id: 6, distance: 3, is_active: true },
+      { edge_id: 6, from_node_id: 1, to_node_id: 7, distance: 20, is_staircase: true, is_active: true },
+      { edge_id: 7, from_node_id: 7, to_node_id: 8, distance: 20, is_active: true },
+    ];
+    let evacFinder;
+
+    beforeEach(() => {
+      evacFinder = new PathFinder();
+      evacFinder.buildGraph(evacNodes, evacEdges);
+    });
+
+    const codes = (result) => result.path.map((n) => n.node_code);
+
+    test('avoids hazard areas and elevators', () => {
+      const result = evacFinder.findEvacuationRoute('R');
+      expect(result.success).toBe(true);
+      expect(result.evacuation).toBe(true);
+      expect(result.exit.node_code).toBe('E2');
+      expect(codes(result)).toEqual(['R', 'S', 'E2']);
+      expect(result.directions.length).toBeGreaterThan(0);
+
+      // An ordinary nearest-exit search takes the elevator
+      const [nearest] = evacFinder.findNearest('R', 'entrance').results;
+      expect(nearest.node.node_code).toBe('E3');
+    });
+
+    test('treats hazardous edges like hazardous nodes', () => {
+      evacFinder.buildGraph(
+        evacNodes.map((node) => ({ ...node, is_hazard: false })),
+        evacEdges.map((edge) => (edge.edge_id === 2 ? { ...edge, is_hazard: true } : edge))
+      );
+      expect(evacFinder.findEvacuationRoute('R').exit.node_code).toBe('E2');
+    });
+
+    test('prefers a closer assembly point', () => {
+      evacFinder.buildGraph(
+        [...evacNodes, { node_id: 9, node_code: 'AP', name: 'Field', type_of_node: 'assembly_point', floor_level: 2 }],
+        [...evacEdges, { edge_id: 8, from_node_id: 1, to_node_id: 9, distance: 30, is_active: true }]
+      );
+      expect(codes(evacFinder.findEvacuationRoute('R'))).toEqual(['R', 'AP']);
+    });
+
+    test('is already safe at an exit', () => {
+      const result = evacFinder.findEvacuationRoute('E2');
+      expect(codes(result)).toEqual(['E2']);
+      expect(result.exit.node_code).toBe('E2');
+    });
+
+    test('reports when no safe exit can be reached', () => {
+      evacFinder.buildGraph(evacNodes, evacEdges.filter((edge) => edge.edge_id !== 6));
+      const result = evacFinder.findEvacuationRoute('R');
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/No safe exit/);
+    });
+  });
+
+  describe('avoid lists', () => {
+    // S - H - G through the Science hallway, or the longer S - Y - G across the yard
+    const avoidNodes = [
+      { node_id: 1, node_code: 'S', name: 'Start', building: 'Main' },
+      { node_id: 2, node_code: 'H', name: 'Hallway', building: 'Science' },
+      { node_id: 3, node_code: 'Y', name: 'Yard', building: 'Grounds' },
+      { node_id: 4, node_code: 'G', name: 'Goal', building: 'Main' },
+    ];
+    const avoidEdges = [
+      { edge_id: 11, from_node_id: 1, to_node_id: 2, distance: 10, is_active: true },
+      { edge_id: 12, from_node_id: 2, to_node_id: 4, distance: 10, is_active: true },
+      { edge_id: 13, from_node_id: 1, to_node_id: 3, distance: 25, is_active: true },
+      { edge_id: 14, from_node_id: 3, to_node_id: 4, distance: 25, is_active: true },
+    ];
+    let avoidFinder;
+
+    beforeEach(() => {
+      avoidFinder = new PathFinder();
+      avoidFinder.buildGraph(avoidNodes, avoidEdges);
+    });
+
+    const codes = (result) => result.path.map((n) => n.node_code).join('');
+
+    test('routes around avoided nodes, edges and buildings', () => {
+      expect(codes(avoidFinder.findPath('S', 'G'))).toBe('SHG');
+      expect(codes(avoidFinder.findPath('S', 'G', { avoid: { nodes: ['H'] } }))).toBe('SYG');
+      expect(codes(avoidFinder.findPath('S', 'G', { avoid: { edges: [12] } }))).toBe('SYG');
+      expect(codes(avoidFinder.findPath('S', 'G', { avoid: { buildings: ['science '] } }))).toBe('SYG');
+    });
+
+    test('hard avoidance fails when nothing else connects', () => {
+      const result = avoidFinder.findPath('S', 'G', { avoid: { nodes: ['H', 'Y'] } });
+      expect(result.success).toBe(false);
+      expect(result.avoided).toBe(true);
+      expect(result.error).toMatch(/avoids the selected places/);
+    });
+
+    test('soft avoidance falls back to avoided places when needed', () => {
+      const result = avoidFinder.findPath('S', 'G', { avoid: { nodes: ['H', 'Y'], soft: true } });
+      expect(codes(result)).toBe('SHG');
+      expect(result.total_distance).toBe(20);
+
+      expect(codes(avoidFinder.findPath('S', 'G', { avoid: { nodes: ['H'], soft: true } }))).toBe('SYG');
+    });
+
+    test('never avoids the destination or the start and goal buildings', () => {
+      expect(codes(avoidFinder.findPath('S', 'H', { avoid: { nodes: ['H'] } }))).toBe('SH');
+      expect(codes(avoidFinder.findPath('S', 'G', { avoid: { buildings: ['Main'] } }))).toBe('SHG');
+    });
+
+    test('applies to alternative routes', () => {
+      const result = avoidFinder.findAlternativePaths('S', 'G', 2, { avoid: { nodes: ['H'] } });
+      expect(result.routes.map(codes)).toEqual(['SYG']);
+    });
+  });
+
+  describe('applyDelta', () => {
+    // Adjacency, caches and derived state in a comparable form (neighbor order ignored)
+    const snapshot = (finder) => ({
+      graph: [...finder.graph.entries()]
+        .map(([nodeId, neighbors]) => [nodeId, neighbors.map((n) => JSON.stringify(n)).sort()])
+        .sort(([a], [b]) => a - b),
+      nodes: [...finder.nodesCache.entries()].sort(([a], [b]) => a - b),
+      codes: [...finder.nodesByCode.keys()].sort(),
+      metersPerMapUnit: finder.metersPerMapUnit,
+      hasSchedules: finder.hasSchedules,
+    });
+
+    const baseNodes = [
+      { node_id: 1, node_code: 'A', map_x: 0, map_y: 0 },
+      { node_id: 2, node_code: 'B', map_x: 10, map_y: 0 },
+      { node_id: 3, node_code: 'C', map_x: 10, map_y: 10 },
+    ];
+    const baseEdges = [
+      { edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 10, compass_angle: 90 },
+      { edge_id: 2, from_node_id: 2, to_node_id: 3, distance: 10, compass_angle: 180 },
+    ];
+
+    // Patch a graph built from the base data and rebuild from the updated data
+    const patchAndRebuild = (delta, nodes, edges) => {
+      const patched = new PathFinder();
+      patched.buildGraph(baseNodes, baseEdges);
+      patched.applyDelta(delta);
+      const rebuilt = new PathFinder();
+      rebuilt.buildGraph(nodes, edges);
+      return { patched, rebuilt };
+    };
+
+    test('adds a node and its edge like a full rebuild', () => {
+      const node = { node_id: 4, node_code: 'D', map_x: 0, map_y: 10 };
+      const edge = { edge_id: 3, from_node_id: 3, to_node_id: 4, distance: 10, compass_angle: 270 };
+      const { patched, rebuilt } = patchAndRebuild(
+        { nodes: [node], edges: [edge] },
+        [...baseNodes, node],
+        [...baseEdges, edge]
+      );
+
+      expect(snapshot(patched)).toEqual(snapshot(rebuilt));
+      expect(patched.findPath('A', 'D').total_distance).toBe(30);
+    });
+
+    test('updates and closes edges like a full rebuild', () => {
+      const closures = [{ start: '2026-01-01T00:00:00Z', end: '2099-01-01T00:00:00Z', reason: 'Works' }];
+      const edges = [
+        { ...baseEdges[0], distance: 25, one_way: true },
+        { ...baseEdges[1], closures },
+      ];
+      const { patched, rebuilt } = patchAndRebuild({ edges }, baseNodes, edges);
+
+      expect(snapshot(patched)).toEqual(snapshot(rebuilt));
+      expect(patched.hasSchedules).toBe(true);
+      expect(patched.findPath('A', 'C', { departureTime: '2026-10-19T08:00:00Z' }).success).toBe(false);
+    });
+
+    test('removes nodes and edges and renames codes like a full rebuild', () => {
+      const renamed = { ...baseNodes[0], node_code: 'A2' };
+      const { patched, rebuilt } = patchAndRebuild(
+        { nodes: [renamed], removedNodeIds: [3], removedEdgeIds: [2] },
+        [renamed, baseNodes[1]],
+        [baseEdges[0]]
+      );
+
+      expect(snapshot(patched)).toEqual(snapshot(rebuilt));
+      expect(patched.getNodeByCode('A')).toBeNull();
+      expect(patched.findPath('A2', 'B').success).toBe(true);
+    });
+
+    test('links edges that arrive before their nodes', () => {
+      const node = { node_id: 4, node_code: 'D' };
+      const edge = { edge_id: 3, from_node_id: 4, to_node_id: 1, distance: 5 };
+      const patched = new PathFinder();
+      patched.buildGraph(baseNodes, baseEdges);
+      patched.applyDelta({ edges: [edge] });
+      patched.applyDelta({ nodes: [node] });
+
+      const rebuilt = new PathFinder();
+      rebuilt.buildGraph([...baseNodes, node], [...baseEdges, edge]);
+      expect(snapshot(patched)).toEqual(snapshot(rebuilt));
+    });
+
+    test('requires a built graph', () => {
+      expect(() => new PathFinder().applyDelta({ nodes: [] })).toThrow();
+    });
+  });
 });
@@ -0,0 +1,110 @@
+import {
+  sampleNodePairs,
+  compareRoutes,
+  runConsistencyCheck,
+  buildConsistencyReport,
+  MISMATCH_TYPES,
+} from '../routeConsistency';
+
+const route = (codes, totalDistance, maneuvers = ['depart', 'arrive']) => ({
+  success: true,
+  total_distance: totalDistance,
+  path: codes.map((node_code) => ({ node_code })),
+  directions: maneuvers.map((maneuver) => ({ maneuver, turn: null })),
+});
+
+// Deterministic random source cycling through the given values
+const sequence = (values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe('routeConsistency', () => {
+  describe('sampleNodePairs', () => {
+    test('returns distinct pairs of different nodes', () => {
+      const nodes = ['A', 'B', 'C'].map((node_code) => ({ node_code }));
+      // A->A and the repeated A->B are skipped
+      const random = sequence([0, 0, 0, 0.5, 0, 0.5, 0.9, 0.1, 0.5, 0.9]);
+
+      expect(sampleNodePairs(nodes, 3, random)).toEqual([
+        { start: 'A', goal: 'B' },
+        { start: 'C', goal: 'A' },
+        { start: 'B', goal: 'C' },
+      ]);
+    });
+
+    test('caps the sample at every possible pair', () => {
+      const nodes = [{ node_code: 'A' }, { node_code: 'B' }];
+      expect(sampleNodePairs(nodes, 10)).toHaveLength(2);
+      expect(sampleNodePairs([{ node_code: 'A' }], 10)).toEqual([]);
+    });
+  });
+
+  describe('compareRoutes', () => {
+    test('reports nothing when both engines agree', () => {
+      expect(compareRoutes(route(['A', 'B'], 10), route(['A', 'B'], 10.1))).toEqual([]);
+    });
+
+    test('reports distance, path and direction differences', () => {
+      const offline = route(['A', 'B', 'D'], 20, ['depart', 'turn', 'arrive']);
+      const server = route(['A', 'C', 'D'], 25, ['depart', 'continue', 'arrive']);
+      const types = compareRoutes(offline, server).map((mismatch) => mismatch.type);
+
+      expect(types).toEqual([MISMATCH_TYPES.DISTANCE, MISMATCH_TYPES.PATH, MISMATCH_TYPES.DIRECTIONS]);
+    });
+
+    test('reports a route only one engine found', () => {
+      const [mismatch] = compareRoutes(route(['A', 'B'], 10), { success: false, error: 'No path found' });
+      expect(mismatch).toEqual({ type: MISMATCH_TYPES.AVAILABILITY, offline: 'found', server: 'No path found' });
+      expect(compareRoutes({ success: false }, { success: false })).toEqual([]);
+    });
+  });
+
+  describe('runConsistencyCheck', () => {
+    test('compares every pair against a stand-in server', async () => {
+      const serverRoutes = {
+        'A->B': route(['A', 'B'], 10),
+        'B->A': route(['B', 'C', 'A'], 30),
+      };
+      const findServerRoute = jest.fn(async (start, goal) => {
+        const result = serverRoutes[`${start}->${goal}`];
+        if (!result) throw new Error('Network Error');
+        return result;
+      });
+      const findOfflineRoute = async (start, goal) => route([start, goal], 10);
+
+      const results = await runConsistencyCheck(
+        [{ start: 'A', goal: 'B' }, { start: 'B', goal: 'A' }, { start: 'A', goal: 'C' }],
+        { findOfflineRoute, findServerRoute }
+      );
+
+      expect(findServerRoute).toHaveBeenCalledTimes(3);
+      expect(results[0].mismatches).toEqual([]);
+      expect(results[1].mismatches.map((m) => m.type)).toEqual([MISMATCH_TYPES.DISTANCE, MISMATCH_TYPES.PATH]);
+      expect(results[2].mismatches).toEqual([
+        { type: MISMATCH_TYPES.AVAILABILITY, offline: 'found', server: 'Network Error' },
+      ]);
+    });
+  });
+
+  describe('buildConsistencyReport', () => {
+    test('summarizes results and keeps only mismatching pairs', () => {
+      const results = [
+        { start: 'A', goal: 'B', mismatches: [] },
+        { start: 'B', goal: 'A', mismatches: [{ type: MISMATCH_TYPES.PATH }, { type: MISMATCH_TYPES.DISTANCE }] },
+      ];
+      const report = buildConsistencyReport(results, { server: 'http://localhost:8000' }, new Date('2026-10-19T08:00:00Z'));
+
+      expect(report.generated_at).toBe('2026-10-19T08:00:00.000Z');
+      expect(report.server).toBe('http://localhost:8000');
+      expect(report.summary).toEqual({
+        pairs: 2,
+        matched: 1,
+        mismatched: 1,
+        by_type: { availability: 0, distance: 1, path: 1, directions: 0 },
+      });
+      expect(report.mismatches).toEqual([results[1]]);
+      expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import {
+  parseTimeOfDay,
+  parseDateTime,
+  formatDateTimeInput,
+  isOpenAt,
+  validateOpenHours,
+  validateClosures,
+  toClosureInputs,
+  toClosurePayload,
+  formatOpenHours,
+  getClosureStatus,
+  formatClosureStatus,
+  createTemporaryClosure,
+  reopenClosures,
+  pruneExpiredClosures,
+  getScheduleSignature,
+} from '../schedules';
+
+// Monday 19 October 2026, local time
+const monday = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+describe('schedules', () => {
+  const weekdayCorridor = {
+    open_hours: [{ days: [1, 2, 3, 4, 5], open: '07:00', close: '18:00' }],
+  };
+
+  test('parses times of day', () => {
+    expect(parseTimeOfDay('07:30')).toBe(450);
+    expect(parseTimeOfDay('24:00')).toBe(1440);
+    expect(parseTimeOfDay('25:00')).toBeNull();
+    expect(parseTimeOfDay('7am')).toBeNull();
+  });
+
+  test('items without a schedule are always open', () => {
+    expect(isOpenAt({}, monday(23))).toBe(true);
+    expect(isOpenAt(null, monday(23))).toBe(true);
+  });
+
+  test('respects weekly open hours', () => {
+    expect(isOpenAt(weekdayCorridor, monday(9))).toBe(true);
+    expect(isOpenAt(weekdayCorridor, monday(18))).toBe(false);
+    expect(isOpenAt(weekdayCorridor, new Date(2026, 9, 18, 9))).toBe(false); // Sunday
+  });
+
+  test('supports windows running past midnight', () => {
+    const lateLab = { open_hours: [{ days: [1], open: '20:00', close: '02:00' }] };
+    expect(isOpenAt(lateLab, monday(21))).toBe(true);
+    expect(isOpenAt(lateLab, new Date(2026, 9, 20, 1))).toBe(true); // Tuesday 01:00
+    expect(isOpenAt(lateLab, new Date(2026, 9, 20, 3))).toBe(false);
+  });
+
+  test('closures win over open hours', () => {
+    const closed = {
+      ...weekdayCorridor,
+      closures: [{ start: monday(8).toISOString(), end: monday(12).toISOString(), reason: 'Cleaning' }],
+    };
+    expect(isOpenAt(closed, monday(9))).toBe(false);
+    expect(isOpenAt(closed, monday(12))).toBe(true);
+  });
+
+  test('validates form values', () => {
+    expect(validateOpenHours(weekdayCorridor.open_hours)).toBeNull();
+    expect(validateOpenHours([{ days: [], open: '07:00', close: '18:00' }])).toMatch(/at least one day/);
+    expect(validateOpenHours([{ days: [1], open: '7', close: '18:00' }])).toMatch(/HH:MM/);
+    expect(validateClosures([{ start: '2026-10-19 08:00', end: '2026-10-19 07:00' }])).toMatch(/after start/);
+    expect(validateClosures([{ start: 'soon', end: '2026-10-19 07:00' }])).toMatch(/YYYY-MM-DD/);
+  });
+
+  test('round-trips closures between form rows and the API', () => {
+    const rows = [{ start: '2026-10-19 18:00', end: '2026-10-20 07:00', reason: ' Locked ' }];
+    const payload = toClosurePayload(rows);
+    expect(payload[0].start).toBe(parseDateTime('2026-10-19 18:00').toISOString());
+    expect(payload[0].reason).toBe('Locked');
+    expect(toClosureInputs(payload)[0].start).toBe('2026-10-19 18:00');
+    expect(formatDateTimeInput('not a date')).toBe('');
+  });
+
+  test('temporary closures expire on their own', () => {
+    const closure = createTemporaryClosure(' Floor cleaning ', 60, monday(9));
+    const corridor = { closures: [closure] };
+
+    expect(closure.reason).toBe('Floor cleaning');
+    expect(getClosureStatus(corridor, monday(9, 30))).toEqual({ reason: 'Floor cleaning', until: monday(10).toISOString() });
+    expect(getClosureStatus(corridor, monday(10))).toBeNull();
+    expect(formatClosureStatus(getClosureStatus(corridor, monday(9, 30)))).toBe('Closed: Floor cleaning until 2026-10-19 10:00');
+    expect(formatClosureStatus(getClosureStatus(weekdayCorridor, monday(20)))).toBe('Closed (outside open hours)');
+  });
+
+  test('reopens and prunes closures', () => {
+    const closures = [createTemporaryClosure('Construction', 120, monday(8))];
+    const reopened = reopenClosures(closures, monday(9));
+    expect(reopened[0].end).toBe(monday(9).toISOString());
+    expect(pruneExpiredClosures(reopened, monday(9))).toEqual([]);
+    expect(pruneExpiredClosures(closures, monday(9))).toHaveLength(1);
+  });
+
+  test('schedule signatures change with closures only', () => {
+    const edges = [{ edge_id: 1 }, { edge_id: 2 }];
+    const closed = [{ edge_id: 1 }, { edge_id: 2, closures: [createTemporaryClosure('Maintenance', 30, monday(9))] }];
+    expect(getScheduleSignature(edges)).toBe(getScheduleSignature([{ edge_id: 1 }, { edge_id: 2 }]));
+    expect(getScheduleSignature(edges)).not.toBe(getScheduleSignature(closed));
+  });
+
+  test('summarizes open hours', () => {
+    expect(formatOpenHours([])).toBe('Always open');
+    expect(formatOpenHours([{ days: [2, 1], open: '07:00', close: '18:00' }])).toBe('Mon, Tue 07:00–18:00');
+  });
+});
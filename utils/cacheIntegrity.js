@@ -0,0 +1,77 @@
+/**
+ * Cache Integrity - Detect corrupt or missing cached 360° images
+ *
+ * The server reports each node's image size and MD5 (image360_size, image360_md5);
+ * both are stored with the cached nodes. A file matching them is intact. Without
+ * them, files are checked for JPEG start/end markers, which catch partially written
+ * files. Panoramas may carry camera or XMP data after the end marker, so the end
+ * marker is searched for in the tail rather than expected in the last two bytes.
+ *
+ * File facts are { exists, size, md5, head, tail, unreadable }, where head is the
+ * first two bytes of the file and tail its last TAIL_BYTES bytes (or fewer).
+ */
+
+export const INTEGRITY_ISSUES = {
+  MISSING: 'missing',
+  UNREADABLE: 'unreadable',
+  SIZE_MISMATCH: 'size_mismatch',
+  CHECKSUM_MISMATCH: 'checksum_mismatch',
+  NOT_JPEG: 'not_jpeg',
+  TRUNCATED: 'truncated',
+  DECODE_FAILED: 'decode_failed', // reported by the 360° viewer
+};
+
+// How much of the end of a file is searched for the end marker
+export const TAIL_BYTES = 64 * 1024;
+
+const JPEG_START = [0xff, 0xd8];
+const JPEG_END = [0xff, 0xd9];
+
+const hasMarker = (bytes, marker) => bytes[0] === marker[0] && bytes[1] === marker[1];
+
+// Whether the bytes contain the marker anywhere (searching from the end)
+const containsMarker = (bytes, marker) => {
+  for (let i = bytes.length - 2; i >= 0; i--) {
+    if (bytes[i] === marker[0] && bytes[i + 1] === marker[1]) return true;
+  }
+  return false;
+};
+
+/**
+ * Read the expected size and checksum of a node's image
+ * @param {Object} node - Cached node
+ * @returns {Object} { size, md5 } (null when the server didn't report them)
+ */
+export const getExpectedImage = (node) => ({
+  size: Number(node?.image360_size) > 0 ? Number(node.image360_size) : null,
+  md5: node?.image360_md5 ? String(node.image360_md5).toLowerCase() : null,
+});
+
+/**
+ * Check a cached image file
+ * @param {Object} facts - File facts
+ * @param {Object} expected - { size, md5 } from getExpectedImage
+ * @returns {string|null} One of INTEGRITY_ISSUES, or null if the file looks intact
+ */
+export const verifyImageFile = (facts, expected = {}) => {
+  if (!facts?.exists) return INTEGRITY_ISSUES.MISSING;
+  if (facts.unreadable) return INTEGRITY_ISSUES.UNREADABLE;
+  if (facts.size === 0) return INTEGRITY_ISSUES.TRUNCATED;
+  const sizeKnown = Boolean(expected.size) && facts.size !== null && facts.size !== undefined;
+  if (sizeKnown && facts.size !== expected.size) return INTEGRITY_ISSUES.SIZE_MISMATCH;
+  const md5Known = Boolean(expected.md5 && facts.md5);
+  if (md5Known && facts.md5.toLowerCase() !== expected.md5) return INTEGRITY_ISSUES.CHECKSUM_MISMATCH;
+  // Matches what the server sent, whatever follows the end marker
+  if (sizeKnown || md5Known) return null;
+
+  if (facts.head && !hasMarker(facts.head, JPEG_START)) return INTEGRITY_ISSUES.NOT_JPEG;
+  if (facts.tail && !containsMarker(facts.tail, JPEG_END)) return INTEGRITY_ISSUES.TRUNCATED;
+  return null;
+};
+
+export default {
+  INTEGRITY_ISSUES,
+  TAIL_BYTES,
+  getExpectedImage,
+  verifyImageFile,
+};
@@ -0,0 +1,89 @@
+/**
+ * Delta Sync - Merge server changes into the offline cache
+ *
+ * The data-version endpoint reports a version token (data_version or updated_at);
+ * the client stores the token it last applied. When they differ, the changes
+ * endpoint returns only records updated since the applied version:
+ *   { success, version, nodes, edges, events, deleted: { nodes, edges, events } }
+ * Deleted records come as IDs in `deleted`, or as records flagged
+ * is_deleted / deleted_at (tombstones).
+ */
+
+export const RECORD_IDS = {
+  nodes: 'node_id',
+  edges: 'edge_id',
+  events: 'event_id',
+};
+
+/**
+ * Read the version token from a data-version response
+ * Counts alone don't count: edits don't change them.
+ * @param {Object} versionInfo - `version` field of the data-version response
+ * @returns {string|null} Token, or null if the server doesn't report one
+ */
+export const getVersionToken = (versionInfo) => {
+  const token = versionInfo?.data_version ?? versionInfo?.updated_at ?? null;
+  return token === null || token === '' ? null : String(token);
+};
+
+/**
+ * Check whether a record is a tombstone
+ * @param {Object} record - Node, edge or event
+ * @returns {boolean}
+ */
+export const isTombstone = (record) => record?.is_deleted === true || Boolean(record?.deleted_at);
+
+/**
+ * Merge changed records into a cached list
+ * Changed records replace cached ones by ID (new ones are appended);
+ * deleted IDs and tombstones are dropped.
+ * @param {Array} cached - Cached records
+ * @param {Array} changed - Records updated since the applied version
+ * @param {Array} deletedIds - IDs deleted since the applied version
+ * @param {string} idField - ID field (e.g. 'node_id')
+ * @returns {Array} Merged records
+ */
+export const mergeRecords = (cached, changed, deletedIds, idField) => {
+  const merged = new Map((cached || []).map((record) => [String(record[idField]), record]));
+  for (const record of changed || []) {
+    const key = String(record[idField]);
+    if (isTombstone(record)) {
+      merged.delete(key);
+    } else {
+      merged.set(key, record);
+    }
+  }
+  for (const id of deletedIds || []) merged.delete(String(id));
+  return [...merged.values()];
+};
+
+/**
+ * Apply a changes response to cached nodes, edges and events
+ * @param {Object} cache - { nodes, edges, events } currently cached
+ * @param {Object} changes - Changes endpoint response
+ * @returns {Object} { nodes, edges, events } after the changes
+ */
+export const applyChanges = (cache, changes) => Object.fromEntries(
+  Object.entries(RECORD_IDS).map(([kind, idField]) => [
+    kind,
+    mergeRecords(cache?.[kind], changes?.[kind], changes?.deleted?.[kind], idField),
+  ])
+);
+
+/**
+ * Check whether two record lists differ in any record (not just in length)
+ * @param {Array} before - Cached records
+ * @param {Array} after - Fresh records
+ * @returns {boolean}
+ */
+export const recordsChanged = (before, after) =>
+  JSON.stringify(before || []) !== JSON.stringify(after || []);
+
+export default {
+  RECORD_IDS,
+  getVersionToken,
+  isTombstone,
+  mergeRecords,
+  applyChanges,
+  recordsChanged,
+};
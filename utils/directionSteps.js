@@ -0,0 +1,376 @@
+/**
+ * Direction Steps - Structured turn-by-turn instructions
+ *
+ * Directions are built from a path (as returned by findPath) into step objects:
+ * {
+ *   maneuver: 'depart' | 'continue' | 'turn' | 'proceed' | 'stairs' | 'elevator' | 'arrive',
+ *   turn: { direction: 'left' | 'right' | 'straight', degrees, severity } | null,
+ *   distance: meters covered by the step,
+ *   is_staircase, one_way,
+ *   floor_change: { from, to } | null,
+ *   target: { node_id, node_code, name },
+ *   path_index: { start, end },
+ *   landmark: { node_id, name, position: 'after' | 'left' | 'right' } | null,
+ *   text: rendered sentence
+ * }
+ *
+ * 'proceed' is used when heading information is missing, so no turn is known.
+ * Consecutive straight segments are merged into the preceding move, and runs of
+ * stairs or elevator edges become a single floor-change step.
+ * Works on the path alone, so offline and server results share the same schema.
+ * Text is rendered in the active language (utils/i18n); screens can re-render
+ * a step in another language with renderDirectionStep(step, language).
+ * Landmarks need the graph, so the PathFinder adds them (see getSideOf).
+ */
+
+import { translate } from './i18n';
+
+export const MANEUVERS = {
+  DEPART: 'depart',
+  CONTINUE: 'continue',
+  TURN: 'turn',
+  PROCEED: 'proceed',
+  STAIRS: 'stairs',
+  ELEVATOR: 'elevator',
+  ARRIVE: 'arrive',
+};
+
+// Walking steps a following straight segment can be merged into
+const MERGEABLE_MOVES = [MANEUVERS.CONTINUE, MANEUVERS.TURN, MANEUVERS.PROCEED];
+
+// Minimum sine of the bearing to call a landmark left or right (~15°)
+const SIDE_MIN_SINE = 0.25;
+
+const toAngle = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+/**
+ * Calculate the shortest angular difference and classify the turn
+ * Properly handles wrap-around (e.g. 350° to 20° = 30° right, not 330° left)
+ * @param {number} fromAngle - Current facing angle (0-360)
+ * @param {number} toAngle - Target direction angle (0-360)
+ * @returns {Object} { degrees, direction: 'left'|'right'|'straight', severity: 'slight'|'normal'|'sharp'|null }
+ */
+export const classifyTurn = (fromAngle, toAngle) => {
+  // Positive = clockwise = turn right, negative = counter-clockwise = turn left
+  const diff = ((toAngle - fromAngle + 540) % 360) - 180;
+  const absDiff = Math.abs(diff);
+  const degrees = Math.round(absDiff);
+
+  if (absDiff <= 10) {
+    return { degrees, direction: 'straight', severity: null };
+  }
+
+  const direction = diff > 0 ? 'right' : 'left';
+  let severity = 'sharp';
+  if (absDiff <= 45) severity = 'slight';
+  else if (absDiff <= 135) severity = 'normal';
+
+  return { degrees, direction, severity };
+};
+
+/**
+ * Which side of a walk from one node to the next a point lies on
+ * Uses map_x/map_y (screen coordinates, y pointing down)
+ * @param {Object} from - Node walked from
+ * @param {Object} to - Node walked to
+ * @param {Object} point - Node to locate (e.g. a landmark)
+ * @returns {string|null} 'left' or 'right', or null if unknown or roughly ahead/behind
+ */
+export const getSideOf = (from, to, point) => {
+  const coords = [from, to, point].map((node) => [parseFloat(node?.map_x), parseFloat(node?.map_y)]);
+  if (coords.some(([x, y]) => isNaN(x) || isNaN(y))) return null;
+
+  const [[fx, fy], [tx, ty], [px, py]] = coords;
+  const headingX = tx - fx;
+  const headingY = ty - fy;
+  const pointX = px - fx;
+  const pointY = py - fy;
+  const lengths = Math.hypot(headingX, headingY) * Math.hypot(pointX, pointY);
+  if (lengths === 0) return null;
+
+  // Sine of the angle between heading and point; below ~15° it is ahead or behind
+  const sine = (headingX * pointY - headingY * pointX) / lengths;
+  if (Math.abs(sine) < SIDE_MIN_SINE) return null;
+  return sine > 0 ? 'right' : 'left';
+};
+
+/**
+ * Render a turn as an instruction phrase
+ * @param {Object} turn - Result of classifyTurn
+ * @param {string} language - Language code (defaults to the active language)
+ * @param {boolean} showDegrees - Include the angle (omitted next to a landmark)
+ * @returns {string} e.g. 'Turn left (90°)'
+ */
+export const renderTurn = (turn, language, showDegrees = true) => {
+  if (turn.direction === 'straight') return translate('turn.straight', {}, language);
+  return translate(`turn.${turn.severity}${showDegrees ? '' : 'Plain'}`, {
+    direction: translate(`turn.${turn.direction}`, {}, language),
+    degrees: turn.degrees,
+  }, language);
+};
+
+/**
+ * Render a floor-change step (stairs or elevator)
+ * @param {Object} step - Direction step
+ * @param {string} means - 'stairs' or 'elevator'
+ * @param {string} note - One-way suffix
+ * @param {string} language - Language code
+ * @returns {string} e.g. 'Take the stairs up to floor 3'
+ */
+const renderFloorChange = (step, means, note, language) => {
+  const change = step.floor_change;
+  if (!change) return translate(`directions.${means}To`, { name: step.target?.name, note }, language);
+  const way = change.to > change.from ? 'Up' : 'Down';
+  return translate(`directions.${means}${way}`, { floor: change.to, note }, language);
+};
+
+// Step sentence without the landmark side note
+const renderStepText = (step, language) => {
+  const name = step.target?.name;
+  const distance = step.distance ? step.distance.toFixed(1) : '0';
+  const oneWay = step.one_way ? translate('directions.oneWay', {}, language) : '';
+  const note = (step.is_staircase ? translate('directions.viaStairs', {}, language) : '') + oneWay;
+  const params = { name, distance, note };
+
+  switch (step.maneuver) {
+    case MANEUVERS.STAIRS:
+      return renderFloorChange(step, 'stairs', oneWay, language);
+    case MANEUVERS.ELEVATOR:
+      return renderFloorChange(step, 'elevator', oneWay, language);
+    case MANEUVERS.DEPART:
+      return translate('directions.depart', params, language);
+    case MANEUVERS.CONTINUE:
+      return step.path_index.start === 0
+        ? translate('directions.straightAhead', params, language)
+        : translate('directions.continueStraight', params, language);
+    case MANEUVERS.TURN:
+      if (step.landmark?.position === 'after') {
+        return translate('directions.turnAfterLandmark', {
+          ...params,
+          turn: renderTurn(step.turn, language, false),
+          landmark: step.landmark.name,
+        }, language);
+      }
+      return translate('directions.turnAndWalk', { ...params, turn: renderTurn(step.turn, language) }, language);
+    case MANEUVERS.ARRIVE:
+      return step.path_index.end === 0
+        ? translate('directions.alreadyThere', params, language)
+        : translate('directions.arrived', params, language);
+    case MANEUVERS.PROCEED:
+    default:
+      return translate('directions.walkForward', params, language);
+  }
+};
+
+/**
+ * Render a step object as a sentence
+ * @param {Object} step - Direction step
+ * @param {string} language - Language code (defaults to the active language)
+ * @returns {string} Instruction text
+ */
+export const renderDirectionStep = (step, language) => {
+  const text = renderStepText(step, language);
+  const landmark = step.landmark;
+  if (landmark?.position !== 'left' && landmark?.position !== 'right') return text;
+
+  return text + translate('directions.landmarkOnSide', {
+    landmark: landmark.name,
+    side: translate(`turn.${landmark.position}`, {}, language),
+  }, language);
+};
+
+const toTarget = (node) => ({
+  node_id: node.node_id,
+  node_code: node.node_code,
+  name: node.name,
+});
+
+const getFloorChange = (fromNode, toNode) => {
+  const from = parseFloat(fromNode.floor_level);
+  const to = parseFloat(toNode.floor_level);
+  if (isNaN(from) || isNaN(to) || from === to) return null;
+  return { from, to };
+};
+
+const isElevator = (node) => (node.type_of_node || node.type) === 'elevator';
+
+// Combined floor change of two consecutive steps
+const joinFloorChanges = (first, second) => {
+  const from = first.floor_change?.from ?? second.floor_change?.from;
+  const to = second.floor_change?.to ?? first.floor_change?.to;
+  if (from === undefined || to === undefined || from === to) return null;
+  return { from, to };
+};
+
+/**
+ * Build a step object and render its text
+ * @param {Object} fields - Step fields (without text)
+ * @returns {Object} Direction step
+ */
+export const createDirectionStep = (fields) => {
+  const step = {
+    turn: null,
+    distance: 0,
+    is_staircase: false,
+    one_way: false,
+    floor_change: null,
+    landmark: null,
+    ...fields,
+  };
+  step.text = renderDirectionStep(step);
+  return step;
+};
+
+/**
+ * Build a movement step from path[index - 1] to path[index]
+ * @param {Array} path - Path nodes
+ * @param {number} index - Index of the node being walked to
+ * @param {number|null} facingAngle - Angle the user currently faces
+ * @returns {Object} Direction step
+ */
+const buildMoveStep = (path, index, facingAngle) => {
+  const prev = path[index - 1];
+  const step = path[index];
+  const edgeAngle = toAngle(step.compass_angle);
+
+  const floorChange = getFloorChange(prev, step);
+
+  let maneuver = MANEUVERS.PROCEED;
+  let turn = null;
+  if (facingAngle !== null && edgeAngle !== null) {
+    turn = classifyTurn(facingAngle, edgeAngle);
+    maneuver = turn.direction === 'straight' ? MANEUVERS.CONTINUE : MANEUVERS.TURN;
+  }
+  if (step.is_staircase === true) {
+    maneuver = MANEUVERS.STAIRS;
+  } else if (floorChange && isElevator(prev) && isElevator(step)) {
+    maneuver = MANEUVERS.ELEVATOR;
+  }
+
+  return createDirectionStep({
+    maneuver,
+    turn,
+    distance: step.distance_from_prev || 0,
+    is_staircase: step.is_staircase === true,
+    one_way: step.one_way === true,
+    floor_change: floorChange,
+    target: toTarget(step),
+    path_index: { start: index - 1, end: index },
+  });
+};
+
+/**
+ * Check whether a step can be folded into the step before it
+ * @param {Object} prev - Previous step
+ * @param {Object} step - Current step
+ * @returns {boolean}
+ */
+const canMerge = (prev, step) => {
+  if (!prev || prev.one_way !== step.one_way) return false;
+  // Stairs and elevator runs collapse into one floor change
+  if (step.maneuver === MANEUVERS.STAIRS || step.maneuver === MANEUVERS.ELEVATOR) {
+    return prev.maneuver === step.maneuver;
+  }
+  // Straight segments extend the preceding walk
+  return step.maneuver === MANEUVERS.CONTINUE && MERGEABLE_MOVES.includes(prev.maneuver);
+};
+
+/**
+ * Merge consecutive straight segments and stairs/elevator runs
+ * @param {Array<Object>} steps - Direction steps (one per edge)
+ * @returns {Array<Object>} Collapsed steps
+ */
+export const collapseDirectionSteps = (steps) => {
+  const collapsed = [];
+
+  for (const step of steps) {
+    const prev = collapsed[collapsed.length - 1];
+    if (!canMerge(prev, step)) {
+      collapsed.push(step);
+      continue;
+    }
+
+    collapsed[collapsed.length - 1] = createDirectionStep({
+      ...prev,
+      distance: Math.round((prev.distance + step.distance) * 100) / 100,
+      floor_change: joinFloorChanges(prev, step),
+      target: step.target,
+      path_index: { start: prev.path_index.start, end: step.path_index.end },
+    });
+  }
+
+  return collapsed;
+};
+
+/**
+ * Generate structured directions for a path
+ * Uses node annotations (initial view angles) and edge compass angles
+ * to produce relative turns (e.g. "turn left", "slightly turn right")
+ * @param {Array} path - Path nodes (as returned by findPath)
+ * @returns {Array<Object>} Direction steps
+ */
+export const buildDirectionSteps = (path) => {
+  if (!Array.isArray(path) || path.length === 0) return [];
+
+  const lastIndex = path.length - 1;
+  if (lastIndex === 0) {
+    // Only one node (start = destination)
+    return [createDirectionStep({
+      maneuver: MANEUVERS.ARRIVE,
+      target: toTarget(path[0]),
+      path_index: { start: 0, end: 0 },
+    })];
+  }
+
+  const steps = [];
+
+  // First node: face towards the next node, using this node's annotation as the initial heading
+  steps.push(createDirectionStep({
+    maneuver: MANEUVERS.DEPART,
+    target: toTarget(path[1]),
+    path_index: { start: 0, end: 0 },
+  }));
+  steps.push(buildMoveStep(path, 1, toAngle(path[0].annotation)));
+
+  // After the first move, the user faces the edge direction
+  let facingAngle = toAngle(path[1].compass_angle);
+
+  for (let i = 2; i <= lastIndex; i++) {
+    steps.push(buildMoveStep(path, i, facingAngle));
+    const edgeAngle = toAngle(path[i].compass_angle);
+    if (edgeAngle !== null) facingAngle = edgeAngle;
+  }
+
+  steps.push(createDirectionStep({
+    maneuver: MANEUVERS.ARRIVE,
+    target: toTarget(path[lastIndex]),
+    path_index: { start: lastIndex, end: lastIndex },
+  }));
+
+  return collapseDirectionSteps(steps);
+};
+
+/**
+ * Shift a step's path range (used when stitching legs into one path)
+ * @param {Object} step - Direction step
+ * @param {number} offset - Index offset
+ * @returns {Object} New step
+ */
+export const offsetDirectionStep = (step, offset) => ({
+  ...step,
+  path_index: step.path_index
+    ? { start: step.path_index.start + offset, end: step.path_index.end + offset }
+    : step.path_index,
+});
+
+export default {
+  MANEUVERS,
+  classifyTurn,
+  getSideOf,
+  renderTurn,
+  renderDirectionStep,
+  createDirectionStep,
+  collapseDirectionSteps,
+  buildDirectionSteps,
+  offsetDirectionStep,
+};
@@ -0,0 +1,97 @@
+/**
+ * Download Concurrency - How many images to download at once
+ *
+ * The connection type (NetInfo) sets the ceiling; observed throughput pulls it
+ * down when the link is already saturated, since extra connections then only
+ * split the bandwidth and make each panorama slower to finish.
+ *
+ * Throughput samples are { bytes, startedAt, finishedAt } of finished downloads.
+ */
+
+export const MIN_CONCURRENCY = 1;
+export const MAX_CONCURRENCY = 6;
+
+// Bandwidth one more download needs to be worth its own connection (bytes/s)
+export const BYTES_PER_WORKER = 256 * 1024;
+
+// Only recent downloads count towards the observed throughput
+export const THROUGHPUT_WINDOW_MS = 15000;
+
+const CELLULAR_LIMITS = {
+  '5g': 4,
+  '4g': 3,
+  '3g': 2,
+  '2g': 1,
+};
+
+/**
+ * Concurrency ceiling for a connection
+ * @param {Object} netState - NetInfo state
+ * @returns {number} Maximum parallel downloads
+ */
+export const getConnectionConcurrency = (netState) => {
+  if (!netState || netState.isConnected === false) return MIN_CONCURRENCY;
+
+  switch (netState.type) {
+    case 'wifi':
+    case 'ethernet':
+      // Metered Wi-Fi is usually a phone hotspot
+      return netState.details?.isConnectionExpensive ? 3 : MAX_CONCURRENCY;
+    case 'cellular':
+      return CELLULAR_LIMITS[netState.details?.cellularGeneration] || 2;
+    default:
+      return 2;
+  }
+};
+
+/**
+ * Add a finished download to the throughput samples
+ * @param {Array} samples - Recent samples
+ * @param {Object} sample - { bytes, startedAt, finishedAt }
+ * @param {number} windowMs - How far back samples are kept
+ * @returns {Array} Samples within the window
+ */
+export const recordThroughputSample = (samples, sample, windowMs = THROUGHPUT_WINDOW_MS) =>
+  [...(samples || []), sample].filter((s) => s.finishedAt >= sample.finishedAt - windowMs);
+
+/**
+ * Combined throughput of all downloads in the samples
+ * Overlapping downloads share the elapsed time, so this is the bandwidth of the pool.
+ * @param {Array} samples - Throughput samples
+ * @returns {number|null} Bytes per second, or null without usable samples
+ */
+export const measureThroughput = (samples) => {
+  if (!samples?.length) return null;
+  const bytes = samples.reduce((sum, s) => sum + s.bytes, 0);
+  const startedAt = Math.min(...samples.map((s) => s.startedAt));
+  const finishedAt = Math.max(...samples.map((s) => s.finishedAt));
+  if (bytes <= 0 || finishedAt <= startedAt) return null;
+  return (bytes * 1000) / (finishedAt - startedAt);
+};
+
+/**
+ * Pick the number of parallel downloads
+ * Allows one more download than the observed bandwidth fills, so the pool
+ * grows back when the link speeds up.
+ * @param {Object} netState - NetInfo state
+ * @param {number|null} bytesPerSecond - Observed throughput (null before any download finished)
+ * @returns {number} Parallel downloads
+ */
+export const getDownloadConcurrency = (netState, bytesPerSecond = null) => {
+  const ceiling = getConnectionConcurrency(netState);
+  if (bytesPerSecond === null || bytesPerSecond === undefined) return ceiling;
+
+  const byThroughput = Math.floor(bytesPerSecond / BYTES_PER_WORKER) + 1;
+  return Math.max(MIN_CONCURRENCY, Math.min(ceiling, byThroughput));
+};
+
+export default {
+  MIN_CONCURRENCY,
+  MAX_CONCURRENCY,
+  BYTES_PER_WORKER,
+  THROUGHPUT_WINDOW_MS,
+  getConnectionConcurrency,
+  recordThroughputSample,
+  measureThroughput,
+  getDownloadConcurrency,
+};
@@ -0,0 +1,196 @@
+/**
+ * Download Queue - Persistable state for resumable image downloads
+ *
+ * A queue is { items: [...] }, each item
+ *   { id, url, filename, nodeId, label, status, attempts, nextAttemptAt, error, revision }
+ * Failed attempts are retried with exponential backoff until MAX_ATTEMPTS,
+ * then the item stays 'failed' until retried by hand.
+ * revision counts how often an item was queued again, so a running download
+ * can tell a re-queued item from its own older copy (see mergeQueued).
+ *
+ * All functions return new queues, so the state can be saved after every step.
+ */
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+export const MAX_ATTEMPTS = 4;
+export const BASE_RETRY_DELAY_MS = 2000;
+export const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Backoff before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds (2s, 4s, 8s, ... capped at 60s)
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+
+const getRevision = (item) => item?.revision || 0;
+
+/**
+ * Add items to a queue
+ * Items already queued with the same URL keep their state (waiting, backing off or done);
+ * failed items and changed URLs start over. Forced items always start over, e.g. when
+ * the downloaded file was replaced or found corrupt.
+ * @param {Object|null} queue - Existing queue
+ * @param {Array<Object>} items - { id, url, filename, nodeId, label }
+ * @param {Object} options - { force }: queue the items again whatever their state
+ * @returns {Object} Queue
+ */
+export const enqueueItems = (queue, items, { force = false } = {}) => {
+  const existing = new Map((queue?.items || []).map((item) => [item.id, item]));
+  for (const item of items) {
+    const queued = existing.get(item.id);
+    if (!force && queued && queued.url === item.url && queued.status !== ITEM_STATUS.FAILED) continue;
+    existing.set(item.id, {
+      ...item,
+      status: ITEM_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null,
+      revision: queued ? getRevision(queued) + 1 : 0,
+    });
+  }
+  return { items: [...existing.values()] };
+};
+
+/**
+ * Bring changes to the saved queue into a queue being worked on
+ * Items queued since the copy was taken are added, and items queued again
+ * (a higher revision) replace the working copy.
+ * @param {Object} queue - Queue being worked on
+ * @param {Object|null} saved - Saved queue
+ * @returns {Object} Queue
+ */
+export const mergeQueued = (queue, saved) => {
+  const savedById = new Map((saved?.items || []).map((item) => [item.id, item]));
+  const items = queue.items.map((item) => {
+    const savedItem = savedById.get(item.id);
+    return savedItem && getRevision(savedItem) > getRevision(item) ? savedItem : item;
+  });
+  const known = new Set(queue.items.map((item) => item.id));
+  const added = (saved?.items || []).filter((item) => !known.has(item.id));
+  return { items: [...items, ...added] };
+};
+
+/**
+ * Whether an item was queued again since a copy of it was taken
+ * @param {Object} queue - Queue
+ * @param {Object} item - Earlier copy of the item
+ * @returns {boolean}
+ */
+export const isRequeued = (queue, item) =>
+  getRevision(queue.items.find((queued) => queued.id === item.id)) > getRevision(item);
+
+const updateItem = (queue, id, changes) => ({
+  items: queue.items.map((item) => (item.id === id ? { ...item, ...changes } : item)),
+});
+
+/**
+ * Pick the next pending item
+ * @param {Object} queue - Queue
+ * @param {number} now - Current time (ms)
+ * @param {Set<string>} busyIds - Items already being downloaded
+ * @returns {Object|null} { item, waitMs } (waitMs > 0 while backing off), or null when nothing is pending
+ */
+export const getNextItem = (queue, now = Date.now(), busyIds = new Set()) => {
+  const pending = (queue?.items || []).filter((item) => (
+    item.status === ITEM_STATUS.PENDING && !busyIds.has(item.id)
+  ));
+  if (pending.length === 0) return null;
+
+  const next = pending.reduce((best, item) => (
+    (item.nextAttemptAt || 0) < (best.nextAttemptAt || 0) ? item : best
+  ));
+  return { item: next, waitMs: Math.max(0, (next.nextAttemptAt || 0) - now) };
+};
+
+/**
+ * Mark an item downloaded
+ * @param {Object} queue - Queue
+ * @param {string} id - Item ID
+ * @returns {Object} Queue
+ */
+export const markDone = (queue, id) =>
+  updateItem(queue, id, { status: ITEM_STATUS.DONE, nextAttemptAt: null, error: null });
+
+/**
+ * Record a failed attempt: back off, or give up after MAX_ATTEMPTS
+ * @param {Object} queue - Queue
+ * @param {string} id - Item ID
+ * @param {string} error - Failure reason
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Queue
+ */
+export const markFailed = (queue, id, error, now = Date.now()) => {
+  const item = queue.items.find((queued) => queued.id === id);
+  if (!item) return queue;
+
+  const attempts = item.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    return updateItem(queue, id, { status: ITEM_STATUS.FAILED, attempts, nextAttemptAt: null, error });
+  }
+  return updateItem(queue, id, { attempts, nextAttemptAt: now + getRetryDelay(attempts), error });
+};
+
+/**
+ * Put failed items back in line with a fresh set of attempts
+ * @param {Object} queue - Queue
+ * @returns {Object} Queue
+ */
+export const retryFailed = (queue) => ({
+  items: (queue?.items || []).map((item) => (
+    item.status === ITEM_STATUS.FAILED
+      ? { ...item, status: ITEM_STATUS.PENDING, attempts: 0, nextAttemptAt: null, error: null }
+      : item
+  )),
+});
+
+/**
+ * Drop finished items, optionally the failed ones too
+ * @param {Object} queue - Queue
+ * @param {boolean} dropFailed - Also drop failed items
+ * @returns {Object} Queue
+ */
+export const pruneQueue = (queue, dropFailed = false) => ({
+  items: (queue?.items || []).filter((item) => (
+    item.status === ITEM_STATUS.PENDING || (item.status === ITEM_STATUS.FAILED && !dropFailed)
+  )),
+});
+
+/**
+ * Count items by state
+ * @param {Object} queue - Queue
+ * @returns {Object} { total, done, pending, failed }
+ */
+export const getQueueSummary = (queue) => {
+  const items = queue?.items || [];
+  const count = (status) => items.filter((item) => item.status === status).length;
+  return {
+    total: items.length,
+    done: count(ITEM_STATUS.DONE),
+    pending: count(ITEM_STATUS.PENDING),
+    failed: count(ITEM_STATUS.FAILED),
+  };
+};
+
+export default {
+  ITEM_STATUS,
+  MAX_ATTEMPTS,
+  BASE_RETRY_DELAY_MS,
+  MAX_RETRY_DELAY_MS,
+  getRetryDelay,
+  enqueueItems,
+  mergeQueued,
+  isRequeued,
+  getNextItem,
+  markDone,
+  markFailed,
+  retryFailed,
+  pruneQueue,
+  getQueueSummary,
+};
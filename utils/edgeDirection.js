@@ -0,0 +1,87 @@
+/**
+ * Edge Direction - Helpers for one-way and directional edges
+ *
+ * An edge is stored once (from_node → to_node) with a direction:
+ * - bidirectional: walkable both ways (default, legacy edges)
+ * - forward: only from_node → to_node (e.g. exit-only door)
+ * - reverse: only to_node → from_node
+ *
+ * `reverse_distance` optionally overrides the distance when walking
+ * to_node → from_node (e.g. uphill ramps); it defaults to `distance`.
+ */
+
+export const EDGE_DIRECTIONS = {
+  BIDIRECTIONAL: 'bidirectional',
+  FORWARD: 'forward',
+  REVERSE: 'reverse',
+};
+
+export const EDGE_DIRECTION_OPTIONS = [
+  { value: EDGE_DIRECTIONS.BIDIRECTIONAL, label: 'Both ways', icon: '↔' },
+  { value: EDGE_DIRECTIONS.FORWARD, label: 'From → To only', icon: '→' },
+  { value: EDGE_DIRECTIONS.REVERSE, label: 'To → From only', icon: '←' },
+];
+
+/**
+ * Get an edge's direction, defaulting to bidirectional
+ * @param {Object} edge - Edge object
+ * @returns {string} One of EDGE_DIRECTIONS
+ */
+export const getEdgeDirection = (edge) => {
+  const direction = edge?.direction;
+  return Object.values(EDGE_DIRECTIONS).includes(direction)
+    ? direction
+    : EDGE_DIRECTIONS.BIDIRECTIONAL;
+};
+
+/**
+ * Check if an edge can be walked from_node → to_node
+ * @param {Object} edge - Edge object
+ * @returns {boolean}
+ */
+export const allowsForward = (edge) => getEdgeDirection(edge) !== EDGE_DIRECTIONS.REVERSE;
+
+/**
+ * Check if an edge can be walked to_node → from_node
+ * @param {Object} edge - Edge object
+ * @returns {boolean}
+ */
+export const allowsReverse = (edge) => getEdgeDirection(edge) !== EDGE_DIRECTIONS.FORWARD;
+
+/**
+ * Check if an edge is one-way
+ * @param {Object} edge - Edge object
+ * @returns {boolean}
+ */
+export const isOneWay = (edge) => getEdgeDirection(edge) !== EDGE_DIRECTIONS.BIDIRECTIONAL;
+
+/**
+ * Distance when walking to_node → from_node
+ * @param {Object} edge - Edge object
+ * @returns {number} Reverse distance (falls back to the forward distance)
+ */
+export const getReverseDistance = (edge) => {
+  const reverse = parseFloat(edge?.reverse_distance);
+  return reverse > 0 ? reverse : parseFloat(edge?.distance) || 0;
+};
+
+/**
+ * Get the display option (label/icon) for an edge's direction
+ * @param {Object} edge - Edge object
+ * @returns {Object} Entry from EDGE_DIRECTION_OPTIONS
+ */
+export const getEdgeDirectionOption = (edge) => {
+  const direction = getEdgeDirection(edge);
+  return EDGE_DIRECTION_OPTIONS.find((option) => option.value === direction);
+};
+
+export default {
+  EDGE_DIRECTIONS,
+  EDGE_DIRECTION_OPTIONS,
+  getEdgeDirection,
+  allowsForward,
+  allowsReverse,
+  isOneWay,
+  getReverseDistance,
+  getEdgeDirectionOption,
+};
@@ -0,0 +1,155 @@
+/**
+ * ETA - Walking-time estimates for routes
+ *
+ * Time for each path segment (path[i - 1] → path[i]):
+ * - distance / walking speed of the routing profile
+ * - + stairEdgeSeconds when the edge is a staircase
+ * - + elevatorFloorSeconds per floor when riding between elevator nodes,
+ *   plus elevatorWaitSeconds once when boarding
+ *
+ * The optional rush pace ("rushing between classes") speeds up walking only;
+ * stairs and elevator waits take the same time.
+ */
+
+import { getRoutingProfile } from './routingProfiles';
+import { translate } from './i18n';
+
+export const PACES = {
+  NORMAL: 'normal',
+  RUSH: 'rush',
+};
+
+// Walking speed multiplier for the rush pace
+export const RUSH_PACE_MULTIPLIER = 1.4;
+
+// Time between classes the route should fit in
+export const CLASS_CHANGE_SECONDS = 10 * 60;
+
+const DEFAULT_WALKING_SPEED = 1.3;
+
+const isElevator = (node) => (node?.type_of_node || node?.type) === 'elevator';
+
+const getFloorDelta = (from, to) => {
+  const delta = Math.abs(parseFloat(to?.floor_level) - parseFloat(from?.floor_level));
+  return isNaN(delta) ? 0 : delta;
+};
+
+/**
+ * Check whether moving between two nodes is an elevator ride (elevator to elevator, different floors)
+ * @param {Object} from - Node left
+ * @param {Object} to - Node reached
+ * @returns {boolean}
+ */
+export const isElevatorRide = (from, to) => isElevator(from) && isElevator(to) && getFloorDelta(from, to) > 0;
+
+/**
+ * Walking speed for a profile and pace
+ * @param {string|Object} profile - Routing profile ID or object
+ * @param {string} pace - One of PACES
+ * @returns {number} Meters per second
+ */
+export const getWalkingSpeed = (profile, pace = PACES.NORMAL) => {
+  const speed = getRoutingProfile(profile).walkingSpeed || DEFAULT_WALKING_SPEED;
+  return pace === PACES.RUSH ? speed * RUSH_PACE_MULTIPLIER : speed;
+};
+
+/**
+ * Time to move from one node to the next
+ * @param {Object} prev - Node left
+ * @param {Object} node - Node reached (distance_from_prev, is_staircase describe the edge)
+ * @param {string|Object} profile - Routing profile ID or object
+ * @param {string} pace - One of PACES
+ * @param {boolean} alreadyRiding - True when prev was itself reached by elevator (no second wait)
+ * @returns {number} Seconds
+ */
+export const getSegmentSeconds = (prev, node, profile, pace = PACES.NORMAL, alreadyRiding = false) => {
+  const routingProfile = getRoutingProfile(profile);
+
+  let seconds = (node.distance_from_prev || 0) / getWalkingSpeed(routingProfile, pace);
+  if (node.is_staircase) {
+    seconds += routingProfile.stairEdgeSeconds || 0;
+  }
+  if (isElevatorRide(prev, node)) {
+    seconds += getFloorDelta(prev, node) * (routingProfile.elevatorFloorSeconds || 0);
+    // Wait for the car once per ride, not at every floor
+    if (!alreadyRiding) {
+      seconds += routingProfile.elevatorWaitSeconds || 0;
+    }
+  }
+  return seconds;
+};
+
+/**
+ * Estimate the time of every segment of a path
+ * @param {Array} path - Path nodes (as returned by findPath)
+ * @param {string|Object} profile - Routing profile ID or object
+ * @param {string} pace - One of PACES
+ * @returns {Array<number>} Seconds to reach each node from the previous one (index 0 is 0)
+ */
+export const estimateSegmentSeconds = (path, profile, pace = PACES.NORMAL) => {
+  if (!Array.isArray(path)) return [];
+
+  return path.map((node, index) => {
+    if (index === 0) return 0;
+    const prev = path[index - 1];
+    const alreadyRiding = index >= 2 && isElevatorRide(path[index - 2], prev);
+    return getSegmentSeconds(prev, node, profile, pace, alreadyRiding);
+  });
+};
+
+/**
+ * Estimate walking time for a route result
+ * Direction steps (see utils/directionSteps) get the time of the path range they cover
+ * @param {Object} result - Path result with path and optional directions
+ * @param {string|Object} profile - Routing profile ID or object
+ * @param {string} pace - One of PACES
+ * @returns {Object} { total_seconds, segment_seconds, step_seconds, fits_class_change, pace }
+ */
+export const estimateRoute = (result, profile, pace = PACES.NORMAL) => {
+  const segments = estimateSegmentSeconds(result?.path, profile, pace);
+  const total = segments.reduce((sum, seconds) => sum + seconds, 0);
+
+  const steps = Array.isArray(result?.directions)
+    ? result.directions.map((step) => {
+      if (!step?.path_index) return 0;
+      let seconds = 0;
+      for (let i = step.path_index.start + 1; i <= step.path_index.end; i++) {
+        seconds += segments[i] || 0;
+      }
+      return Math.round(seconds);
+    })
+    : [];
+
+  return {
+    total_seconds: Math.round(total),
+    segment_seconds: segments,
+    step_seconds: steps,
+    fits_class_change: total <= CLASS_CHANGE_SECONDS,
+    pace,
+  };
+};
+
+/**
+ * Format a duration for display (e.g. '45 s', '4 min')
+ * @param {number} seconds - Duration in seconds
+ * @param {string} language - Language code (defaults to the active language)
+ * @returns {string} Localized duration
+ */
+export const formatDuration = (seconds, language) => {
+  if (seconds < 60) {
+    return translate('eta.seconds', { count: Math.max(1, Math.round(seconds)) }, language);
+  }
+  return translate('eta.minutes', { count: Math.round(seconds / 60) }, language);
+};
+
+export default {
+  PACES,
+  RUSH_PACE_MULTIPLIER,
+  CLASS_CHANGE_SECONDS,
+  getWalkingSpeed,
+  isElevatorRide,
+  getSegmentSeconds,
+  estimateSegmentSeconds,
+  estimateRoute,
+  formatDuration,
+};
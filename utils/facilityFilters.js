@@ -0,0 +1,89 @@
+/**
+ * Facility Filters - Node predicates for "nearest X" queries
+ *
+ * Used with PathFinder.findNearest / ApiService.findNearest.
+ * Matches on type_of_node first, then on common names for facilities
+ * that have no dedicated node type (e.g. restrooms).
+ */
+
+const getNodeType = (node) => (node?.type_of_node || node?.type || '').toLowerCase();
+const getNodeName = (node) => (node?.name || '').toLowerCase();
+
+export const NEAREST_FACILITIES = [
+  {
+    id: 'restroom',
+    label: 'Restroom',
+    icon: '🚻',
+    predicate: (node) =>
+      getNodeType(node) === 'restroom' ||
+      /restroom|comfort room|toilet|\bcr\b/.test(getNodeName(node)),
+  },
+  {
+    id: 'exit',
+    label: 'Exit',
+    icon: '🚪',
+    predicate: (node) =>
+      ['entrance', 'exit'].includes(getNodeType(node)) ||
+      /\bexit\b|entrance|\bgate\b/.test(getNodeName(node)),
+  },
+  {
+    id: 'elevator',
+    label: 'Elevator',
+    icon: '🛗',
+    predicate: (node) => getNodeType(node) === 'elevator',
+  },
+  {
+    id: 'staircase',
+    label: 'Stairs',
+    icon: '🪜',
+    predicate: (node) => getNodeType(node) === 'staircase',
+  },
+];
+
+// Node types an evacuation may end at (see isEvacuationTarget)
+export const EVACUATION_NODE_TYPES = ['entrance', 'exit', 'assembly_point'];
+
+/**
+ * Check whether a node lies in an admin-defined hazard area
+ * @param {Object} node - Node (or edge)
+ * @returns {boolean}
+ */
+export const isHazard = (node) => node?.is_hazard === true;
+
+/**
+ * Fingerprint of which edges or nodes are hazard areas
+ * Used to notice hazard changes that don't change the number of items
+ * @param {Array} items - Edges or nodes
+ * @returns {string} Signature
+ */
+export const getHazardSignature = (items) => (items || [])
+  .filter(isHazard)
+  .map((item) => String(item.edge_id ?? item.node_id))
+  .sort()
+  .join(',');
+
+/**
+ * Check whether a node is a safe place to evacuate to
+ * Exits and designated assembly points, unless they are inside a hazard area
+ * @param {Object} node - Node
+ * @returns {boolean}
+ */
+export const isEvacuationTarget = (node) =>
+  EVACUATION_NODE_TYPES.includes(getNodeType(node)) && !isHazard(node);
+
+/**
+ * Get a facility filter by ID
+ * @param {string} id - Facility ID
+ * @returns {Object|null} Facility filter
+ */
+export const getFacilityFilter = (id) =>
+  NEAREST_FACILITIES.find((facility) => facility.id === id) || null;
+
+export default {
+  NEAREST_FACILITIES,
+  EVACUATION_NODE_TYPES,
+  isHazard,
+  getHazardSignature,
+  isEvacuationTarget,
+  getFacilityFilter,
+};
@@ -0,0 +1,59 @@
+/**
+ * Graph Delta - Node and edge changes between two versions of the navigation graph
+ *
+ * A delta is { nodes, edges, removedNodeIds, removedEdgeIds }:
+ * - nodes / edges: added or changed items (full objects)
+ * - removedNodeIds / removedEdgeIds: IDs that no longer exist
+ *
+ * PathFinder#applyDelta patches a live graph with it, so syncs and admin
+ * saves don't have to rebuild the whole adjacency list.
+ */
+
+const diffById = (before, after, getId) => {
+  const previous = new Map((before || []).map((item) => [String(getId(item)), item]));
+  const changed = [];
+
+  for (const item of after || []) {
+    const key = String(getId(item));
+    const old = previous.get(key);
+    if (!old || JSON.stringify(old) !== JSON.stringify(item)) changed.push(item);
+    previous.delete(key);
+  }
+  return { changed, removedIds: [...previous.values()].map(getId) };
+};
+
+/**
+ * Compute the delta that turns one graph into another
+ * @param {Object} before - { nodes, edges } currently loaded
+ * @param {Object} after - { nodes, edges } to load
+ * @returns {Object|null} Delta, or null when it can't be computed (edges without edge_id)
+ */
+export const computeGraphDelta = (before, after) => {
+  const edges = [...(before?.edges || []), ...(after?.edges || [])];
+  if (edges.some((edge) => edge.edge_id === null || edge.edge_id === undefined)) return null;
+
+  const nodes = diffById(before?.nodes, after?.nodes, (node) => node.node_id);
+  const edgeDiff = diffById(before?.edges, after?.edges, (edge) => edge.edge_id);
+  return {
+    nodes: nodes.changed,
+    edges: edgeDiff.changed,
+    removedNodeIds: nodes.removedIds,
+    removedEdgeIds: edgeDiff.removedIds,
+  };
+};
+
+/**
+ * Check whether a delta changes nothing
+ * @param {Object} delta - Graph delta
+ * @returns {boolean}
+ */
+export const isEmptyDelta = (delta) => Boolean(delta) &&
+  (delta.nodes || []).length === 0 &&
+  (delta.edges || []).length === 0 &&
+  (delta.removedNodeIds || []).length === 0 &&
+  (delta.removedEdgeIds || []).length === 0;
+
+export default {
+  computeGraphDelta,
+  isEmptyDelta,
+};
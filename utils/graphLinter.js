@@ -0,0 +1,191 @@
+/**
+ * Graph Linter - Integrity checks for the navigation graph
+ *
+ * Checks:
+ * - Duplicate node_codes (error)
+ * - Edges pointing to missing nodes (error)
+ * - Edges with distance <= 0 (error)
+ * - Disconnected components (warning, every component except the largest)
+ * - Nodes without map_x/map_y (warning)
+ *
+ * Each issue carries a `target` describing which admin form fixes it,
+ * so screens can tap through to NodeForm / EdgeForm.
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+export const ISSUE_TYPES = {
+  DUPLICATE_NODE_CODE: 'duplicate_node_code',
+  MISSING_NODE: 'missing_node',
+  INVALID_DISTANCE: 'invalid_distance',
+  DISCONNECTED_COMPONENT: 'disconnected_component',
+  MISSING_COORDINATES: 'missing_coordinates',
+};
+
+const getEdgeEndpoints = (edge) => ({
+  fromId: edge.from_node_id || edge.from_node?.node_id,
+  toId: edge.to_node_id || edge.to_node?.node_id,
+});
+
+const hasCoordinate = (value) =>
+  value !== null && value !== undefined && value !== '' && !isNaN(parseFloat(value));
+
+const nodeTarget = (node) => ({ screen: 'NodeForm', params: { node } });
+const edgeTarget = (edge) => ({ screen: 'EdgeForm', params: { edge } });
+
+/**
+ * Find connected components, treating every active edge as walkable both ways
+ * @param {Array} nodes - Node objects
+ * @param {Array} edges - Edge objects
+ * @returns {Array<Array<number>>} Components (node ID lists), largest first
+ */
+export const findComponents = (nodes, edges) => {
+  const adjacency = new Map(nodes.map((node) => [node.node_id, []]));
+
+  for (const edge of edges) {
+    if (edge.is_active === false) continue;
+    const { fromId, toId } = getEdgeEndpoints(edge);
+    if (!adjacency.has(fromId) || !adjacency.has(toId)) continue;
+    adjacency.get(fromId).push(toId);
+    adjacency.get(toId).push(fromId);
+  }
+
+  const seen = new Set();
+  const components = [];
+
+  for (const nodeId of adjacency.keys()) {
+    if (seen.has(nodeId)) continue;
+
+    const component = [];
+    const stack = [nodeId];
+    seen.add(nodeId);
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      component.push(current);
+      for (const next of adjacency.get(current)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return components.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Run all integrity checks on the graph
+ * @param {Array} nodes - Node objects
+ * @param {Array} edges - Edge objects
+ * @returns {Object} { issues, summary: { errors, warnings, total, components }, healthy }
+ */
+export const lintGraph = (nodes = [], edges = []) => {
+  const issues = [];
+  const nodesById = new Map(nodes.map((node) => [node.node_id, node]));
+
+  // Duplicate node codes
+  const nodesByCode = new Map();
+  for (const node of nodes) {
+    const list = nodesByCode.get(node.node_code) || [];
+    list.push(node);
+    nodesByCode.set(node.node_code, list);
+  }
+  for (const [code, list] of nodesByCode) {
+    if (list.length < 2) continue;
+    for (const node of list) {
+      issues.push({
+        type: ISSUE_TYPES.DUPLICATE_NODE_CODE,
+        severity: SEVERITY.ERROR,
+        message: `Node code "${code}" is used by ${list.length} nodes`,
+        node_id: node.node_id,
+        target: nodeTarget(node),
+      });
+    }
+  }
+
+  // Edge checks
+  for (const edge of edges) {
+    const { fromId, toId } = getEdgeEndpoints(edge);
+    const missing = [fromId, toId].filter((id) => !nodesById.has(id));
+
+    if (missing.length > 0) {
+      issues.push({
+        type: ISSUE_TYPES.MISSING_NODE,
+        severity: SEVERITY.ERROR,
+        message: `Edge #${edge.edge_id} points to missing node ${missing.join(', ')}`,
+        edge_id: edge.edge_id,
+        target: edgeTarget(edge),
+      });
+    }
+
+    const distance = parseFloat(edge.distance);
+    if (isNaN(distance) || distance <= 0) {
+      const fromName = nodesById.get(fromId)?.name || fromId;
+      const toName = nodesById.get(toId)?.name || toId;
+      issues.push({
+        type: ISSUE_TYPES.INVALID_DISTANCE,
+        severity: SEVERITY.ERROR,
+        message: `Edge ${fromName} → ${toName} has invalid distance (${edge.distance})`,
+        edge_id: edge.edge_id,
+        target: edgeTarget(edge),
+      });
+    }
+  }
+
+  // Disconnected components: everything outside the largest component is unreachable
+  const components = findComponents(nodes, edges);
+  components.slice(1).forEach((component) => {
+    const first = nodesById.get(component[0]);
+    const names = component.slice(0, 3).map((id) => nodesById.get(id)?.name || id);
+    const more = component.length > 3 ? ` and ${component.length - 3} more` : '';
+    issues.push({
+      type: ISSUE_TYPES.DISCONNECTED_COMPONENT,
+      severity: SEVERITY.WARNING,
+      message: `${component.length} node(s) unreachable from the main graph: ${names.join(', ')}${more}`,
+      node_id: first?.node_id,
+      node_ids: component,
+      target: nodeTarget(first),
+    });
+  });
+
+  // Missing map coordinates
+  for (const node of nodes) {
+    if (!hasCoordinate(node.map_x) || !hasCoordinate(node.map_y)) {
+      issues.push({
+        type: ISSUE_TYPES.MISSING_COORDINATES,
+        severity: SEVERITY.WARNING,
+        message: `${node.name || node.node_code} has no map position`,
+        node_id: node.node_id,
+        target: nodeTarget(node),
+      });
+    }
+  }
+
+  const errors = issues.filter((issue) => issue.severity === SEVERITY.ERROR).length;
+  const warnings = issues.length - errors;
+
+  return {
+    issues,
+    summary: {
+      errors,
+      warnings,
+      total: issues.length,
+      components: components.length,
+    },
+    healthy: issues.length === 0,
+  };
+};
+
+export default {
+  SEVERITY,
+  ISSUE_TYPES,
+  findComponents,
+  lintGraph,
+};
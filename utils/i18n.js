@@ -0,0 +1,93 @@
+/**
+ * i18n - Message catalogs and translation lookup
+ *
+ * Catalogs live in locales/<code>.js as flat objects of dotted keys, e.g.
+ * 'directions.arrived': 'You have arrived at {name}'.
+ * - {param} placeholders are filled from the params object
+ * - A { one, other } entry is picked by params.count
+ * - Missing keys fall back to English, then to the key itself
+ *
+ * The active language is module state so non-React code (PathFinder,
+ * direction rendering) can localize without threading it through every call.
+ * Screens read it through contexts/LanguageContext.
+ */
+
+import en from '../locales/en';
+import fil from '../locales/fil';
+import ceb from '../locales/ceb';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', nativeLabel: 'English' },
+  { code: 'fil', label: 'Filipino', nativeLabel: 'Filipino' },
+  { code: 'ceb', label: 'Cebuano', nativeLabel: 'Binisaya' },
+];
+
+const CATALOGS = { en, fil, ceb };
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Check if a language code has a catalog
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+/**
+ * Set the active language
+ * @param {string} code - Language code (unsupported codes fall back to English)
+ * @returns {string} The language now in use
+ */
+export const setLanguage = (code) => {
+  currentLanguage = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  return currentLanguage;
+};
+
+/**
+ * Get the active language code
+ * @returns {string}
+ */
+export const getLanguage = () => currentLanguage;
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+
+/**
+ * Translate a message key
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values (count selects plural forms)
+ * @param {string} language - Language code (defaults to the active language)
+ * @returns {string} Translated text
+ */
+export const translate = (key, params = {}, language = currentLanguage) => {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+  let entry = catalog[key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+  if (entry === undefined) return key;
+
+  if (typeof entry === 'object') {
+    entry = params.count === 1 ? entry.one : entry.other;
+  }
+  return interpolate(entry, params);
+};
+
+/**
+ * Translate using the active language
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated text
+ */
+export const t = (key, params) => translate(key, params);
+
+export default {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  isSupportedLanguage,
+  setLanguage,
+  getLanguage,
+  translate,
+  t,
+};
@@ -0,0 +1,60 @@
+/**
+ * Image Cache Budget - Least-recently-used eviction for cached panoramas
+ *
+ * Cached images are entries { id, size, lastAccess } (lastAccess in ms, 0 if never
+ * viewed since tracking began). When the cache plus the next downloads would go over
+ * the user's budget, the least recently viewed images are evicted first. Protected
+ * images (on saved routes, or just downloaded) are never evicted.
+ */
+
+// Average 360° image size, used to reserve room before a download finishes
+export const AVERAGE_IMAGE_BYTES = 800 * 1024;
+
+const MB = 1024 * 1024;
+
+// Budgets offered in Offline Settings (null = no limit)
+export const BUDGET_OPTIONS = [null, 250 * MB, 500 * MB, 1024 * MB, 2048 * MB];
+
+/**
+ * Pick the images to evict so the cache fits its budget
+ * Evicts nothing if even evicting every unprotected image wouldn't make room.
+ * @param {Array} entries - Cached images { id, size, lastAccess }
+ * @param {Object} options - { budget, incomingBytes, protectedIds }
+ *   budget: bytes allowed (null = no limit); incomingBytes: room needed for downloads
+ *   about to start; protectedIds: Set of image IDs that must stay
+ * @returns {Object} { evict, usedBytes, freedBytes, fits }
+ */
+export const planEviction = (entries, { budget = null, incomingBytes = 0, protectedIds = new Set() } = {}) => {
+  const usedBytes = (entries || []).reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (budget === null || budget === undefined) {
+    return { evict: [], usedBytes, freedBytes: 0, fits: true };
+  }
+
+  const candidates = (entries || [])
+    .filter((entry) => !protectedIds.has(String(entry.id)))
+    .sort((a, b) => (a.lastAccess || 0) - (b.lastAccess || 0));
+
+  const evict = [];
+  let remaining = usedBytes;
+  for (const entry of candidates) {
+    if (remaining + incomingBytes <= budget) break;
+    evict.push(entry);
+    remaining -= entry.size || 0;
+  }
+
+  if (remaining + incomingBytes > budget) {
+    return { evict: [], usedBytes, freedBytes: 0, fits: false };
+  }
+  return {
+    evict,
+    usedBytes,
+    freedBytes: usedBytes - remaining,
+    fits: true,
+  };
+};
+
+export default {
+  AVERAGE_IMAGE_BYTES,
+  BUDGET_OPTIONS,
+  planEviction,
+};
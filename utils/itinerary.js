@@ -0,0 +1,248 @@
+/**
+ * Itinerary Utilities - Stop ordering and leg stitching for multi-stop routes
+ *
+ * Stop ordering is an open travelling-salesman problem (fixed start, free end):
+ * - Up to EXACT_STOP_LIMIT stops: exact Held-Karp dynamic programming
+ * - More stops: nearest-neighbour order improved with 2-opt
+ *
+ * Both work on a cost matrix where index 0 is the start and 1..n are the stops.
+ * Unreachable pairs use Infinity.
+ */
+
+import { offsetDirectionStep } from './directionSteps';
+
+export const EXACT_STOP_LIMIT = 8;
+
+/**
+ * Total cost of visiting stops in the given order, starting from index 0
+ * @param {Array<Array<number>>} costMatrix - Pairwise leg costs
+ * @param {Array<number>} order - Stop indices (1..n)
+ * @returns {number} Route cost
+ */
+export const getOrderCost = (costMatrix, order) => {
+  let cost = 0;
+  let prev = 0;
+  for (const stop of order) {
+    cost += costMatrix[prev][stop];
+    prev = stop;
+  }
+  return cost;
+};
+
+/**
+ * Exact stop order using Held-Karp dynamic programming
+ * @param {Array<Array<number>>} costMatrix - Pairwise leg costs
+ * @returns {Object} { order, cost }
+ */
+const solveExact = (costMatrix) => {
+  const n = costMatrix.length - 1;
+  const full = (1 << n) - 1;
+  const dp = Array.from({ length: full + 1 }, () => new Array(n).fill(Infinity));
+  const parent = Array.from({ length: full + 1 }, () => new Array(n).fill(-1));
+
+  for (let j = 0; j < n; j++) {
+    dp[1 << j][j] = costMatrix[0][j + 1];
+  }
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let j = 0; j < n; j++) {
+      if (!(mask & (1 << j)) || dp[mask][j] === Infinity) continue;
+
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+        const nextMask = mask | (1 << k);
+        const cost = dp[mask][j] + costMatrix[j + 1][k + 1];
+        if (cost < dp[nextMask][k]) {
+          dp[nextMask][k] = cost;
+          parent[nextMask][k] = j;
+        }
+      }
+    }
+  }
+
+  // Open path: the route may end at whichever stop is cheapest
+  let last = -1;
+  let best = Infinity;
+  for (let j = 0; j < n; j++) {
+    if (dp[full][j] < best) {
+      best = dp[full][j];
+      last = j;
+    }
+  }
+
+  if (last === -1) return { order: null, cost: Infinity };
+
+  const order = [];
+  let mask = full;
+  while (last !== -1) {
+    order.push(last + 1);
+    const prev = parent[mask][last];
+    mask &= ~(1 << last);
+    last = prev;
+  }
+  order.reverse();
+
+  return { order, cost: best };
+};
+
+/**
+ * Approximate stop order: nearest neighbour followed by 2-opt improvement
+ * @param {Array<Array<number>>} costMatrix - Pairwise leg costs
+ * @returns {Object} { order, cost }
+ */
+const solveHeuristic = (costMatrix) => {
+  const n = costMatrix.length - 1;
+  const remaining = new Set(Array.from({ length: n }, (_, i) => i + 1));
+  let order = [];
+  let current = 0;
+
+  while (remaining.size > 0) {
+    let next = null;
+    for (const stop of remaining) {
+      if (next === null || costMatrix[current][stop] < costMatrix[current][next]) {
+        next = stop;
+      }
+    }
+    order.push(next);
+    remaining.delete(next);
+    current = next;
+  }
+
+  let bestCost = getOrderCost(costMatrix, order);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const candidate = [
+          ...order.slice(0, i),
+          ...order.slice(i, k + 1).reverse(),
+          ...order.slice(k + 1),
+        ];
+        const candidateCost = getOrderCost(costMatrix, candidate);
+        if (candidateCost < bestCost - 1e-9) {
+          order = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  if (bestCost === Infinity) return { order: null, cost: Infinity };
+  return { order, cost: bestCost };
+};
+
+/**
+ * Find the best order to visit all stops
+ * @param {Array<Array<number>>} costMatrix - Pairwise leg costs (index 0 = start)
+ * @returns {Object} { order: Array<number>|null, cost: number, exact: boolean }
+ */
+export const solveStopOrder = (costMatrix) => {
+  const stopCount = costMatrix.length - 1;
+  if (stopCount <= 0) {
+    return { order: [], cost: 0, exact: true };
+  }
+  if (stopCount <= EXACT_STOP_LIMIT) {
+    return { ...solveExact(costMatrix), exact: true };
+  }
+  return { ...solveHeuristic(costMatrix), exact: false };
+};
+
+/**
+ * Stitch consecutive leg results into one path
+ * Each path node is tagged with its leg_index, and every leg end becomes a numbered stop
+ * @param {Array<Object>} legs - Path results (path, total_distance, directions) in visiting order
+ * @returns {Object} Combined path result with legs and stops
+ */
+export const stitchLegs = (legs) => {
+  const path = [];
+  const stops = [];
+  const legSummaries = [];
+  let totalDistance = 0;
+
+  legs.forEach((leg, legIndex) => {
+    const legPath = leg.path || [];
+    // The first node of each later leg is the previous leg's last node
+    const startIndex = Math.max(path.length - 1, 0);
+    const nodes = legIndex === 0 ? legPath : legPath.slice(1);
+
+    nodes.forEach((node) => {
+      path.push({ ...node, leg_index: legIndex });
+    });
+
+    totalDistance += leg.total_distance || 0;
+    const endNode = path[path.length - 1];
+
+    legSummaries.push({
+      leg_index: legIndex,
+      from: legPath[0] || null,
+      to: legPath[legPath.length - 1] || null,
+      total_distance: leg.total_distance || 0,
+      num_nodes: legPath.length,
+      // Step ranges are re-based onto the stitched path
+      directions: (leg.directions || []).map((step) =>
+        typeof step === 'object' ? offsetDirectionStep(step, startIndex) : step
+      ),
+      path_start_index: startIndex,
+      path_end_index: path.length - 1,
+    });
+
+    if (endNode) {
+      stops.push({
+        stop_number: legIndex + 1,
+        path_index: path.length - 1,
+        node_id: endNode.node_id,
+        node_code: endNode.node_code,
+        name: endNode.name,
+        building: endNode.building,
+        floor_level: endNode.floor_level,
+      });
+    }
+  });
+
+  const result = {
+    success: true,
+    path,
+    total_distance: Math.round(totalDistance * 100) / 100,
+    num_nodes: path.length,
+    start: path[0] || null,
+    goal: path[path.length - 1] || null,
+    legs: legSummaries,
+    stops,
+  };
+
+  if (legs.some((leg) => Array.isArray(leg.directions))) {
+    result.directions = legSummaries.flatMap((leg) => leg.directions);
+  }
+
+  // Closures any leg was detoured around
+  const detours = legs.map((leg) => leg.detour).filter(Boolean);
+  if (detours.length > 0) {
+    result.detour = {
+      closures: detours.flatMap((detour) => detour.closures),
+      extra_distance: Math.round(detours.reduce((sum, detour) => sum + detour.extra_distance, 0) * 100) / 100,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Stops still ahead of a position on a stitched itinerary
+ * Used to reroute from a node along the path without revisiting stops already passed
+ * @param {Object} result - Itinerary result from stitchLegs
+ * @param {number} pathIndex - Index of the current node in result.path
+ * @returns {Array<Object>} Remaining stops, in visiting order
+ */
+export const getRemainingStops = (result, pathIndex) =>
+  (result?.stops || []).filter((stop) => stop.path_index > pathIndex);
+
+export default {
+  EXACT_STOP_LIMIT,
+  getOrderCost,
+  solveStopOrder,
+  stitchLegs,
+  getRemainingStops,
+};
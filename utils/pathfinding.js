@@ -8,8 +8,91 @@
  * - Staircase detection (is_staircase flag)
  * - Active/inactive edges (is_active flag)
  * - Works with cached nodes/edges from OfflineService
+ * - Routing profiles (cost multipliers / exclusions for stairs and elevators)
+ * - Multi-stop itineraries (optimal stop ordering)
+ * - Alternative routes (Yen's loopless k-shortest paths)
+ * - Geometric A* heuristic from calibrated map coordinates
+ * - One-way edges and per-direction distances
+ * - Nearest-facility queries (single-source Dijkstra)
+ * - Structured direction steps (maneuver, turn, distance, path range)
+ * - Collapsed directions (merged straight hallways, single stairs/elevator steps)
+ * - Localized direction text and compass names (utils/i18n)
+ * - Reachability queries within a distance or walking-time budget
+ * - Opening hours and dated closures on edges and nodes (departureTime route option),
+ *   reporting the closures a route was detoured around
+ * - Per-request avoid lists of nodes, edges and buildings (hard or soft)
+ * - Landmark-referenced directions ("Turn left after the Chapel")
+ * - Evacuation routes to the nearest safe exit or assembly point, avoiding
+ *   hazard areas (is_hazard nodes/edges) and elevators
+ * - Incremental graph updates (applyDelta) without a full rebuild
  */
 
+import { MAP_CALIBRATION, MAP_ASSETS } from '../config';
+import { transformCoordinate } from './MapCoordinateUtils';
+import { getRoutingProfile, MIN_ELEVATOR_MULTIPLIER } from './routingProfiles';
+import { allowsForward, allowsReverse, isOneWay, getReverseDistance } from './edgeDirection';
+import { solveStopOrder, stitchLegs } from './itinerary';
+import {
+  MANEUVERS,
+  buildDirectionSteps,
+  createDirectionStep,
+  classifyTurn,
+  getSideOf,
+  renderTurn,
+} from './directionSteps';
+import { translate } from './i18n';
+import { PACES, getSegmentSeconds, isElevatorRide } from './eta';
+import { hasSchedule, isOpenAt, parseDateTime, getClosureStatus } from './schedules';
+import { isHazard, isEvacuationTarget } from './facilityFilters';
+
+// Alternative routes may share at most this fraction of their distance
+const DEFAULT_MAX_OVERLAP = 0.7;
+
+// Cost multiplier for avoided nodes, edges and buildings when avoidance is soft
+export const AVOID_COST_MULTIPLIER = 10;
+
+const normalizeBuilding = (name) => String(name ?? '').trim().toLowerCase();
+
+// Key of one hop along an edge; includes the edge_id so parallel edges (a stair and a ramp) stay apart
+const getHopKey = (fromId, toId, edgeId) => `${fromId}->${toId}#${edgeId ?? ''}`;
+
+// Key of a route given as search steps ({ id, edge })
+const getStepsKey = (steps) => steps.map((step) => `${step.id}#${step.edge?.edge_id ?? ''}`).join(',');
+
+// Hops from a path node within which landmarks are mentioned in directions
+const LANDMARK_RADIUS = 1;
+
+// Steps that can mention a landmark beside the walk
+const LANDMARK_MANEUVERS = [MANEUVERS.TURN, MANEUVERS.CONTINUE, MANEUVERS.PROCEED];
+
+// Handle both API formats:
+// Format 1: from_node_id and to_node_id (direct IDs)
+// Format 2: from_node and to_node (nested objects with node_id)
+const getEdgeEndpoints = (edge) => ({
+  fromId: edge.from_node_id || edge.from_node?.node_id,
+  toId: edge.to_node_id || edge.to_node?.node_id,
+});
+
+// Assumed minimum walking distance per floor level (meters)
+const METERS_PER_FLOOR = 4.0;
+
+/**
+ * Summarize a path for route comparison
+ * @param {Array<Object>} path - Path nodes (as returned by findPath)
+ * @returns {Object} { stair_count, floor_changes }
+ */
+export function getRouteStats(path) {
+  let stairCount = 0;
+  let floorChanges = 0;
+  for (let i = 1; i < (path || []).length; i++) {
+    if (path[i].is_staircase) stairCount++;
+    const prevFloor = parseFloat(path[i - 1].floor_level);
+    const floor = parseFloat(path[i].floor_level);
+    if (!isNaN(prevFloor) && !isNaN(floor) && prevFloor !== floor) floorChanges++;
+  }
+  return { stair_count: stairCount, floor_changes: floorChanges };
+}
+
 /**
  * Min Heap implementation for priority queue
  * Used by A* algorithm for efficient node selection
@@ -75,7 +158,19 @@ class PathFinder {
     this.nodesCache = new Map();
     this.nodesByCode = new Map();
     this.graph = new Map();
+    // Raw edges by edge_id, so deltas can unlink and relink them
+    this.edgesById = new Map();
     this.initialized = false;
+    // Meters per calibrated map unit (null = no usable coordinates, floor-only heuristic)
+    this.metersPerMapUnit = null;
+    // Set to false to compare against the floor-only heuristic
+    this.useGeometricHeuristic = true;
+    // Debug: nodes expanded by the most recent search
+    this.lastExpandedCount = 0;
+    // Whether the most recent search skipped an edge or node closed at departure
+    this.lastSearchHitClosure = false;
+    // True when any edge or node has open hours or closures
+    this.hasSchedules = false;
   }
 
   /**
@@ -87,6 +182,9 @@ class PathFinder {
     this.nodesCache.clear();
     this.nodesByCode.clear();
     this.graph.clear();
+    this.edgesById.clear();
+    this.metersPerMapUnit = null;
+    this.hasSchedules = false;
 
     if (!nodes || !edges) {
       throw new Error('Nodes and edges are required to build graph');
@@ -97,50 +195,193 @@ class PathFinder {
       this.nodesCache.set(node.node_id, node);
       this.nodesByCode.set(node.node_code, node);
       this.graph.set(node.node_id, []);
+      if (hasSchedule(node)) this.hasSchedules = true;
     }
 
     // Build adjacency list from active edges
     for (const edge of edges) {
-      // Skip inactive edges
-      if (edge.is_active === false) continue;
-
-      // Handle both API formats:
-      // Format 1: from_node_id and to_node_id (direct IDs)
-      // Format 2: from_node and to_node (nested objects with node_id)
-      const fromId = edge.from_node_id || edge.from_node?.node_id;
-      const toId = edge.to_node_id || edge.to_node?.node_id;
-
-      // Skip edges with missing node IDs
-      if (!fromId || !toId) {
-        console.warn('Skipping edge with missing node IDs:', edge);
-        continue;
+      if (edge.edge_id !== null && edge.edge_id !== undefined) {
+        this.edgesById.set(String(edge.edge_id), edge);
       }
+      this.linkEdge(edge);
+    }
+
+    this.metersPerMapUnit = this.computeMetersPerMapUnit();
+    this.initialized = true;
+  }
+
+  /**
+   * Add an edge's adjacency entries (both directions unless one-way)
+   * Inactive edges and edges from unknown nodes are skipped
+   * @param {Object} edge - Edge object
+   */
+  linkEdge(edge) {
+    // Skip inactive edges
+    if (edge.is_active === false) return;
+
+    const { fromId, toId } = getEdgeEndpoints(edge);
 
-      // Add forward edge
-      if (this.graph.has(fromId)) {
-        this.graph.get(fromId).push({
-          to: toId,
-          distance: parseFloat(edge.distance) || 0,
-          compass_angle: parseFloat(edge.compass_angle) || 0,
-          is_staircase: edge.is_staircase === true,
-          edge_id: edge.edge_id
-        });
+    // Skip edges with missing node IDs
+    if (!fromId || !toId) {
+      console.warn('Skipping edge with missing node IDs:', edge);
+      return;
+    }
+
+    const oneWay = isOneWay(edge);
+    const schedule = hasSchedule(edge)
+      ? { open_hours: edge.open_hours, closures: edge.closures }
+      : null;
+    if (schedule) this.hasSchedules = true;
+
+    // Add forward edge
+    if (allowsForward(edge) && this.graph.has(fromId)) {
+      this.graph.get(fromId).push({
+        to: toId,
+        distance: parseFloat(edge.distance) || 0,
+        compass_angle: parseFloat(edge.compass_angle) || 0,
+        is_staircase: edge.is_staircase === true,
+        one_way: oneWay,
+        edge_id: edge.edge_id,
+        is_hazard: isHazard(edge),
+        schedule: schedule
+      });
+    }
+
+    // Add reverse edge (unless one-way), with its own distance if set
+    const reverseAngle = ((parseFloat(edge.compass_angle) || 0) + 180) % 360;
+    if (allowsReverse(edge) && this.graph.has(toId)) {
+      this.graph.get(toId).push({
+        to: fromId,
+        distance: getReverseDistance(edge),
+        compass_angle: reverseAngle,
+        is_staircase: edge.is_staircase === true,
+        one_way: oneWay,
+        edge_id: edge.edge_id,
+        is_hazard: isHazard(edge),
+        schedule: schedule
+      });
+    }
+  }
+
+  /**
+   * Remove an edge's adjacency entries (both directions)
+   * @param {Object} edge - Edge object as it was linked
+   */
+  unlinkEdge(edge) {
+    const { fromId, toId } = getEdgeEndpoints(edge);
+    for (const nodeId of [fromId, toId]) {
+      const neighbors = this.graph.get(nodeId);
+      if (!neighbors) continue;
+      this.graph.set(nodeId, neighbors.filter((edgeInfo) => edgeInfo.edge_id !== edge.edge_id));
+    }
+  }
+
+  /**
+   * Unlink and relink every known edge touching a node
+   * (a node added after its edges gets their entries)
+   * @param {number} nodeId - Node ID
+   */
+  relinkEdgesOf(nodeId) {
+    for (const edge of this.edgesById.values()) {
+      const { fromId, toId } = getEdgeEndpoints(edge);
+      if (fromId !== nodeId && toId !== nodeId) continue;
+      this.unlinkEdge(edge);
+      this.linkEdge(edge);
+    }
+  }
+
+  /**
+   * Patch the loaded graph with added, changed and removed nodes and edges
+   * The result matches buildGraph on the updated data (up to neighbor order).
+   * @param {Object} delta - { nodes, edges, removedNodeIds, removedEdgeIds } (see utils/graphDelta)
+   */
+  applyDelta(delta) {
+    if (!this.initialized) {
+      throw new Error('Graph must be built before applying a delta');
+    }
+    const { nodes = [], edges = [], removedNodeIds = [], removedEdgeIds = [] } = delta || {};
+
+    // Changed edges are unlinked too and relinked below with their new fields
+    for (const edgeId of [...removedEdgeIds, ...edges.map((edge) => edge.edge_id)]) {
+      const existing = this.edgesById.get(String(edgeId));
+      if (!existing) continue;
+      this.unlinkEdge(existing);
+      this.edgesById.delete(String(edgeId));
+    }
+
+    for (const nodeId of removedNodeIds) {
+      const node = this.nodesCache.get(nodeId);
+      if (!node) continue;
+      this.nodesCache.delete(nodeId);
+      if (this.nodesByCode.get(node.node_code) === node) this.nodesByCode.delete(node.node_code);
+      // Entries pointing at it stay, as in a rebuild; they lead nowhere
+      this.graph.delete(nodeId);
+    }
+
+    for (const node of nodes) {
+      const existing = this.nodesCache.get(node.node_id);
+      if (existing && this.nodesByCode.get(existing.node_code) === existing) {
+        this.nodesByCode.delete(existing.node_code);
+      }
+      this.nodesCache.set(node.node_id, node);
+      this.nodesByCode.set(node.node_code, node);
+      if (!this.graph.has(node.node_id)) {
+        this.graph.set(node.node_id, []);
+        this.relinkEdgesOf(node.node_id);
       }
+    }
+
+    for (const edge of edges) {
+      this.edgesById.set(String(edge.edge_id), edge);
+      this.linkEdge(edge);
+    }
+
+    this.hasSchedules = [...this.nodesCache.values()].some(hasSchedule) ||
+      [...this.graph.values()].some((neighbors) => neighbors.some((edgeInfo) => edgeInfo.schedule));
+    this.metersPerMapUnit = this.computeMetersPerMapUnit();
+  }
+
+  /**
+   * Get a node's calibrated map position
+   * @param {Object} node - Node object
+   * @returns {Object|null} {x, y} or null when coordinates are missing
+   */
+  getMapPoint(node) {
+    if (!node || node.map_x === null || node.map_x === undefined || node.map_y === null || node.map_y === undefined) {
+      return null;
+    }
+    const x = parseFloat(node.map_x);
+    const y = parseFloat(node.map_y);
+    if (isNaN(x) || isNaN(y)) return null;
+
+    const calibration = MAP_CALIBRATION[MAP_ASSETS.DEFAULT_CAMPUS_MAP] || {};
+    return transformCoordinate({ x, y }, calibration);
+  }
+
+  /**
+   * Derive meters per map unit from the graph itself
+   * Uses the smallest distance / map-length ratio over all edges, so the
+   * straight-line estimate never exceeds a real path length (admissible)
+   * @returns {number|null} Scale, or null if no edge has usable coordinates
+   */
+  computeMetersPerMapUnit() {
+    let minRatio = Infinity;
 
-      // Add reverse edge (bidirectional)
-      const reverseAngle = ((parseFloat(edge.compass_angle) || 0) + 180) % 360;
-      if (this.graph.has(toId)) {
-        this.graph.get(toId).push({
-          to: fromId,
-          distance: parseFloat(edge.distance) || 0,
-          compass_angle: reverseAngle,
-          is_staircase: edge.is_staircase === true,
-          edge_id: edge.edge_id
-        });
+    for (const [fromId, neighbors] of this.graph) {
+      const fromPoint = this.getMapPoint(this.nodesCache.get(fromId));
+      if (!fromPoint) continue;
+
+      for (const edgeInfo of neighbors) {
+        const toPoint = this.getMapPoint(this.nodesCache.get(edgeInfo.to));
+        if (!toPoint) continue;
+
+        const mapLength = Math.hypot(toPoint.x - fromPoint.x, toPoint.y - fromPoint.y);
+        if (mapLength <= 0) continue;
+        minRatio = Math.min(minRatio, Math.max(0, edgeInfo.distance) / mapLength);
       }
     }
 
-    this.initialized = true;
+    return minRatio === Infinity ? null : minRatio;
   }
 
   /**
@@ -175,8 +416,9 @@ class PathFinder {
   }
 
   /**
-   * Heuristic for A*: Estimate distance using floor difference
-   * Assumes ~4 meters per floor level
+   * Heuristic for A*: Estimate distance in meters
+   * Uses the larger of the straight-line map distance and the floor difference
+   * (~4 meters per floor); falls back to floors only when coordinates are missing
    * @param {number} nodeAId - Source node ID
    * @param {number} nodeBId - Target node ID
    * @returns {number} Estimated distance
@@ -190,7 +432,153 @@ class PathFinder {
     const floorLevelA = parseFloat(nodeA.floor_level) || 0;
     const floorLevelB = parseFloat(nodeB.floor_level) || 0;
     const floorDiff = Math.abs(floorLevelA - floorLevelB);
-    return floorDiff * 4.0; // Assume 4 meters per floor
+    const floorEstimate = floorDiff * METERS_PER_FLOOR;
+
+    if (!this.useGeometricHeuristic || this.metersPerMapUnit === null) {
+      return floorEstimate;
+    }
+
+    const pointA = this.getMapPoint(nodeA);
+    const pointB = this.getMapPoint(nodeB);
+    if (!pointA || !pointB) return floorEstimate;
+
+    const straightLine = Math.hypot(pointB.x - pointA.x, pointB.y - pointA.y) * this.metersPerMapUnit;
+    return Math.max(straightLine, floorEstimate);
+  }
+
+  /**
+   * Check if a node is an elevator
+   * @param {number} nodeId - Node ID
+   * @returns {boolean}
+   */
+  isElevatorNode(nodeId) {
+    const node = this.nodesCache.get(nodeId);
+    if (!node) return false;
+    return (node.type_of_node || node.type) === 'elevator';
+  }
+
+  /**
+   * Normalize route options
+   * Accepts the legacy avoidStairs boolean or an options object
+   * Evacuation routes never use elevators or hazard areas, whatever the profile
+   * @param {boolean|Object} options - avoidStairs flag or { avoidStairs, profile, departureTime, avoid, evacuation }
+   * @returns {Object} { avoidStairs, profile, departureTime, avoid, evacuation } with profile resolved to an object,
+   *   departureTime to a Date (null ignores schedules) and avoid to ID sets (see resolveAvoid)
+   */
+  resolveRouteOptions(options) {
+    const opts = options !== null && typeof options === 'object'
+      ? options
+      : { avoidStairs: options === true };
+    const evacuation = opts.evacuation === true;
+    const baseProfile = getRoutingProfile(opts.profile);
+    const profile = evacuation ? { ...baseProfile, excludeElevators: true } : baseProfile;
+
+    return {
+      ...opts,
+      profile,
+      evacuation,
+      avoidStairs: opts.avoidStairs === true || profile.excludeStairs,
+      departureTime: parseDateTime(opts.departureTime),
+      avoid: this.resolveAvoid(opts.avoid),
+    };
+  }
+
+  /**
+   * Normalize an avoid list
+   * @param {Object} avoid - { nodes: [node codes], edges: [edge IDs], buildings: [names], soft }
+   *   Hard (default) never uses them; soft makes them AVOID_COST_MULTIPLIER times as costly
+   * @returns {Object|null} { nodeIds, edgeIds, buildings, soft } as Sets, or null if nothing is avoided
+   */
+  resolveAvoid(avoid) {
+    if (!avoid) return null;
+    if (avoid.nodeIds instanceof Set) return avoid;
+
+    const nodeIds = new Set((avoid.nodes || [])
+      .map((code) => this.getNodeByCode(code)?.node_id)
+      .filter((id) => id !== undefined));
+    const edgeIds = new Set((avoid.edges || []).map(String));
+    const buildings = new Set((avoid.buildings || []).map(normalizeBuilding).filter(Boolean));
+    if (nodeIds.size === 0 && edgeIds.size === 0 && buildings.size === 0) return null;
+
+    return { nodeIds, edgeIds, buildings, soft: avoid.soft === true };
+  }
+
+  /**
+   * Check whether an edge runs into something the caller avoids
+   * @param {Object} edgeInfo - Adjacency list entry
+   * @param {Object} avoid - Resolved avoid list
+   * @param {number} goalId - Goal node ID (never avoided itself)
+   * @returns {boolean}
+   */
+  isAvoided(edgeInfo, avoid, goalId) {
+    if (edgeInfo.edge_id !== undefined && avoid.edgeIds.has(String(edgeInfo.edge_id))) return true;
+    if (edgeInfo.to === goalId) return false;
+    if (avoid.nodeIds.has(edgeInfo.to)) return true;
+    return avoid.buildings.size > 0 &&
+      avoid.buildings.has(normalizeBuilding(this.nodesCache.get(edgeInfo.to)?.building));
+  }
+
+  /**
+   * Elevator cost multiplier of a profile (below 1 prefers elevators)
+   * @param {Object} profile - Resolved routing profile
+   * @returns {number} Multiplier, at least MIN_ELEVATOR_MULTIPLIER
+   */
+  getElevatorMultiplier(profile) {
+    return Math.max(MIN_ELEVATOR_MULTIPLIER, profile.elevatorMultiplier ?? 1);
+  }
+
+  /**
+   * Factor applied to the A* heuristic
+   * An elevator preference makes some edges cheaper than their length, so the
+   * estimate is scaled down by the same amount to stay admissible
+   * @param {Object} options - Resolved route options
+   * @returns {number} Scale (<= 1)
+   */
+  getHeuristicScale(options) {
+    if (options.profile.excludeElevators) return 1;
+    return Math.min(1, this.getElevatorMultiplier(options.profile));
+  }
+
+  /**
+   * Cost of traversing an edge under the given route options
+   * @param {number} fromId - Node the edge leaves from
+   * @param {Object} edgeInfo - Adjacency list entry
+   * @param {Object} routeOptions - Resolved route options
+   * @param {number} goalId - Goal node ID (elevator exclusion never blocks the goal itself)
+   * @returns {number|null} Weighted cost, or null if the edge must not be used
+   */
+  getEdgeCost(fromId, edgeInfo, routeOptions, goalId) {
+    const { profile, avoidStairs, departureTime, avoid, evacuation } = routeOptions;
+    const avoided = Boolean(avoid) && this.isAvoided(edgeInfo, avoid, goalId);
+
+    if (avoided && !avoid.soft) return null;
+    if (evacuation && (edgeInfo.is_hazard || isHazard(this.nodesCache.get(edgeInfo.to)))) return null;
+
+    if (edgeInfo.is_staircase && avoidStairs) return null;
+    // Schedules are checked at departure; campus walks are short enough not to cross them
+    if (departureTime && (
+      !isOpenAt(edgeInfo.schedule, departureTime) ||
+      !isOpenAt(this.nodesCache.get(edgeInfo.to), departureTime)
+    )) {
+      this.lastSearchHitClosure = true;
+      return null;
+    }
+    if (profile.excludeElevators && edgeInfo.to !== goalId && this.isElevatorNode(edgeInfo.to)) {
+      return null;
+    }
+
+    let multiplier = 1;
+    if (edgeInfo.is_staircase) {
+      multiplier *= Math.max(1, profile.stairMultiplier || 1);
+    }
+    if (this.isElevatorNode(fromId) || this.isElevatorNode(edgeInfo.to)) {
+      multiplier *= this.getElevatorMultiplier(profile);
+    }
+    if (avoided) {
+      multiplier *= AVOID_COST_MULTIPLIER;
+    }
+
+    return edgeInfo.distance * multiplier;
   }
 
   /**
@@ -204,12 +592,14 @@ class PathFinder {
 
   /**
    * Find shortest path using A* algorithm
+   * With a departureTime, edges and nodes closed at that moment are skipped
+   * Avoided buildings don't apply to the start and goal buildings (you have to leave/enter them)
    * @param {string} startCode - Starting node code
    * @param {string} goalCode - Destination node code
-   * @param {boolean} avoidStairs - If true, avoid edges with is_staircase=true
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile, departureTime, avoid }
    * @returns {Object} Path details or error message
    */
-  findPath(startCode, goalCode, avoidStairs = false) {
+  findPath(startCode, goalCode, routeOptions = false) {
     if (!this.initialized) {
       return { success: false, error: 'PathFinder not initialized. Call buildGraph() first.' };
     }
@@ -227,6 +617,7 @@ class PathFinder {
 
     const startId = startNode.node_id;
     const goalId = goalNode.node_id;
+    const options = this.exemptEndpointBuildings(this.resolveRouteOptions(routeOptions), startNode, goalNode);
 
     // Same node case
     if (startId === goalId) {
@@ -245,33 +636,157 @@ class PathFinder {
           map_y: node.map_y !== null && node.map_y !== undefined ? parseFloat(node.map_y) : null,
           distance_from_prev: 0,
           compass_angle: null,
-          is_staircase: false
+          is_staircase: false,
+          edge_id: null
         }],
         total_distance: 0,
+        total_cost: 0,
         num_nodes: 1,
         start: null,
-        goal: null
+        goal: null,
+        profile: options.profile.id
       };
     }
 
+    const goalClosure = options.departureTime && getClosureStatus(goalNode, options.departureTime);
+    if (goalClosure) {
+      const reason = goalClosure.reason ? ` (${goalClosure.reason})` : '';
+      return {
+        success: false,
+        error: `${goalNode.name} is closed at the selected time${reason}`,
+        closures: [{ kind: 'node', id: goalId, name: goalNode.name, ...goalClosure }],
+      };
+    }
+
+    const search = this.searchPath(startId, goalId, options);
+    // Searching again without schedules only tells something if closures were skipped
+    const hitClosure = this.lastSearchHitClosure;
+    if (search) {
+      const result = this.reconstructPath(search.cameFrom, startId, goalId);
+      result.profile = options.profile.id;
+      // Profile-weighted cost (what the search minimized); total_distance stays in meters
+      result.total_cost = Math.round(search.cost * 100) / 100;
+      result.expanded_nodes = this.lastExpandedCount;
+
+      const detour = hitClosure ? this.findDetour(startId, goalId, options, search.cost) : null;
+      if (detour) {
+        result.detour = {
+          closures: detour.closures,
+          extra_distance: Math.round((result.total_distance - detour.distance) * 100) / 100,
+        };
+      }
+      return result;
+    }
+
+    // Only closures stand in the way
+    const blocked = hitClosure ? this.findDetour(startId, goalId, options, Infinity) : null;
+    if (blocked) {
+      const names = blocked.closures.map((closure) => closure.name).join(', ');
+      return {
+        success: false,
+        error: `No open route at the selected time (closed: ${names})`,
+        closures: blocked.closures,
+      };
+    }
+
+    if (options.avoid && this.searchPath(startId, goalId, { ...options, avoid: null })) {
+      return { success: false, error: 'No route avoids the selected places', avoided: true };
+    }
+
+    return { success: false, error: 'No path found between the specified nodes' };
+  }
+
+  /**
+   * Drop the start and goal buildings from the avoided buildings
+   * @param {Object} options - Resolved route options
+   * @param {Object} startNode - Start node
+   * @param {Object} goalNode - Goal node
+   * @returns {Object} Route options
+   */
+  exemptEndpointBuildings(options, startNode, goalNode) {
+    const { avoid } = options;
+    if (!avoid || avoid.buildings.size === 0) return options;
+
+    const buildings = new Set(avoid.buildings);
+    buildings.delete(normalizeBuilding(startNode.building));
+    buildings.delete(normalizeBuilding(goalNode.building));
+    if (buildings.size === avoid.buildings.size) return options;
+
+    return { ...options, avoid: { ...avoid, buildings } };
+  }
+
+  /**
+   * Check whether closures forced a longer route
+   * Searches again ignoring schedules; if that route is cheaper, lists what on it is closed
+   * @param {number} startId - Start node ID
+   * @param {number} goalId - Goal node ID
+   * @param {Object} options - Resolved route options
+   * @param {number} cost - Cost of the route found with schedules (Infinity if none)
+   * @returns {Object|null} { closures: [{ kind, id, name, reason, until }], distance } or null
+   */
+  findDetour(startId, goalId, options, cost) {
+    if (!options.departureTime || !this.hasSchedules) return null;
+
+    const open = this.searchPath(startId, goalId, { ...options, departureTime: null });
+    if (!open || open.cost >= cost) return null;
+
+    const closures = [];
+    let distance = 0;
+    let currentId = goalId;
+    while (currentId !== startId) {
+      const { prev, edge } = open.cameFrom.get(currentId);
+      const node = this.nodesCache.get(currentId);
+      distance += edge.distance;
+
+      const nodeStatus = getClosureStatus(node, options.departureTime);
+      if (nodeStatus) {
+        closures.push({ kind: 'node', id: node.node_id, name: node.name, ...nodeStatus });
+      }
+      const edgeStatus = edge.schedule && getClosureStatus(edge.schedule, options.departureTime);
+      if (edgeStatus) {
+        const name = `${this.nodesCache.get(prev).name} – ${node.name}`;
+        closures.push({ kind: 'edge', id: edge.edge_id, name, ...edgeStatus });
+      }
+      currentId = prev;
+    }
+
+    return closures.length > 0 ? { closures: closures.reverse(), distance } : null;
+  }
+
+  /**
+   * Core A* search between two node IDs
+   * @param {number} startId - Start node ID
+   * @param {number} goalId - Goal node ID
+   * @param {Object} options - Resolved route options
+   * @param {Object} blocked - Optional { nodes: Set<id>, edges: Set of hop keys (see getHopKey) } to skip
+   * @returns {Object|null} { cameFrom, cost } or null if unreachable
+   */
+  searchPath(startId, goalId, options, blocked = null) {
+    const blockedNodes = blocked?.nodes || null;
+    const blockedEdges = blocked?.edges || null;
+    const heuristicScale = this.getHeuristicScale(options);
+
     // A* data structures
     const openSet = new MinHeap();
     openSet.push(0, startId);
 
     const cameFrom = new Map(); // {node_id: {prev: previous_node_id, edge: edge_info}}
     const gScore = new Map([[startId, 0]]);
-    const fScore = new Map([[startId, this.heuristic(startId, goalId)]]);
+    const fScore = new Map([[startId, this.heuristic(startId, goalId) * heuristicScale]]);
     const visited = new Set();
+    this.lastExpandedCount = 0;
+    this.lastSearchHitClosure = false;
 
     while (!openSet.isEmpty()) {
       const { value: currentId } = openSet.pop();
 
       if (visited.has(currentId)) continue;
       visited.add(currentId);
+      this.lastExpandedCount++;
 
       // Goal reached
       if (currentId === goalId) {
-        return this.reconstructPath(cameFrom, startId, goalId, gScore.get(goalId));
+        return { cameFrom, cost: gScore.get(goalId) };
       }
 
       // Explore neighbors
@@ -279,24 +794,385 @@ class PathFinder {
       for (const edgeInfo of neighbors) {
         const neighborId = edgeInfo.to;
 
-        // Skip stairs if requested
-        if (avoidStairs && edgeInfo.is_staircase) continue;
+        if (blockedNodes && blockedNodes.has(neighborId)) continue;
+        if (blockedEdges && blockedEdges.has(getHopKey(currentId, neighborId, edgeInfo.edge_id))) continue;
+
+        // Skip excluded edges (stairs / elevators) for the active profile
+        const edgeCost = this.getEdgeCost(currentId, edgeInfo, options, goalId);
+        if (edgeCost === null) continue;
 
         // Calculate tentative g_score
-        const tentativeG = gScore.get(currentId) + edgeInfo.distance;
+        const tentativeG = gScore.get(currentId) + edgeCost;
 
         if (!gScore.has(neighborId) || tentativeG < gScore.get(neighborId)) {
           // Better path found
           cameFrom.set(neighborId, { prev: currentId, edge: edgeInfo });
           gScore.set(neighborId, tentativeG);
-          const f = tentativeG + this.heuristic(neighborId, goalId);
+          const f = tentativeG + this.heuristic(neighborId, goalId) * heuristicScale;
           fScore.set(neighborId, f);
           openSet.push(f, neighborId);
         }
       }
     }
 
-    return { success: false, error: 'No path found between the specified nodes' };
+    return null;
+  }
+
+  /**
+   * Find the nearest nodes matching a predicate using single-source Dijkstra
+   * @param {string} startCode - Starting node code
+   * @param {Function|string} predicate - (node) => boolean, or a type_of_node value
+   * @param {number} limit - Maximum number of matches to return
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} { success, results: [{ node, distance }] } ordered by distance
+   */
+  findNearest(startCode, predicate, limit = 1, routeOptions = false) {
+    if (!this.initialized) {
+      return { success: false, error: 'PathFinder not initialized. Call buildGraph() first.' };
+    }
+
+    const startNode = this.getNodeByCode(startCode);
+    if (!startNode) {
+      return { success: false, error: `Start node not found: ${startCode}` };
+    }
+
+    const matches = typeof predicate === 'function'
+      ? predicate
+      : (node) => (node.type_of_node || node.type) === predicate;
+    const options = this.resolveRouteOptions(routeOptions);
+    const startId = startNode.node_id;
+
+    const openSet = new MinHeap();
+    openSet.push(0, startId);
+    const cost = new Map([[startId, 0]]); // profile-weighted
+    const distance = new Map([[startId, 0]]); // real meters
+    const visited = new Set();
+    const results = [];
+
+    while (!openSet.isEmpty() && results.length < limit) {
+      const { value: currentId } = openSet.pop();
+
+      if (visited.has(currentId)) continue;
+      visited.add(currentId);
+
+      // The start node itself is never a result
+      const node = this.nodesCache.get(currentId);
+      if (currentId !== startId && matches(node)) {
+        results.push({ node, distance: Math.round(distance.get(currentId) * 100) / 100 });
+      }
+
+      for (const edgeInfo of this.graph.get(currentId) || []) {
+        const edgeCost = this.getEdgeCost(currentId, edgeInfo, options, null);
+        if (edgeCost === null) continue;
+
+        const tentative = cost.get(currentId) + edgeCost;
+        if (!cost.has(edgeInfo.to) || tentative < cost.get(edgeInfo.to)) {
+          cost.set(edgeInfo.to, tentative);
+          distance.set(edgeInfo.to, distance.get(currentId) + edgeInfo.distance);
+          openSet.push(tentative, edgeInfo.to);
+        }
+      }
+    }
+
+    return { success: true, results, profile: options.profile.id };
+  }
+
+  /**
+   * Find every node reachable within a distance or walking-time budget (isochrone)
+   * Dijkstra bounded by the budget; routing profile exclusions apply, but cost
+   * multipliers do not, so the budget is measured in real meters / seconds
+   * @param {string} startCode - Starting node code
+   * @param {Object} budget - { maxDistance } in meters or { maxSeconds, pace } (see utils/eta)
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} { success, start, budget, nodes: [{ node, distance, seconds }], profile }
+   */
+  findReachable(startCode, budget = {}, routeOptions = false) {
+    if (!this.initialized) {
+      return { success: false, error: 'PathFinder not initialized. Call buildGraph() first.' };
+    }
+
+    const startNode = this.getNodeByCode(startCode);
+    if (!startNode) {
+      return { success: false, error: `Start node not found: ${startCode}` };
+    }
+
+    const maxDistance = budget.maxDistance ?? null;
+    const maxSeconds = budget.maxSeconds ?? null;
+    if (!(maxDistance > 0) && !(maxSeconds > 0)) {
+      return { success: false, error: 'A positive maxDistance or maxSeconds budget is required' };
+    }
+
+    const pace = budget.pace || PACES.NORMAL;
+    const byTime = maxSeconds > 0;
+    const limit = byTime ? maxSeconds : maxDistance;
+    const options = this.resolveRouteOptions(routeOptions);
+    const startId = startNode.node_id;
+
+    const openSet = new MinHeap();
+    openSet.push(0, startId);
+    const labels = new Map([[startId, { distance: 0, seconds: 0, riding: false }]]);
+    const visited = new Set();
+    const nodes = [];
+
+    while (!openSet.isEmpty()) {
+      const { value: currentId } = openSet.pop();
+
+      if (visited.has(currentId)) continue;
+      visited.add(currentId);
+
+      const current = this.nodesCache.get(currentId);
+      const label = labels.get(currentId);
+      nodes.push({
+        node: current,
+        distance: Math.round(label.distance * 100) / 100,
+        seconds: Math.round(label.seconds),
+      });
+
+      for (const edgeInfo of this.graph.get(currentId) || []) {
+        // Only used for profile exclusions
+        if (this.getEdgeCost(currentId, edgeInfo, options, null) === null) continue;
+
+        const next = this.nodesCache.get(edgeInfo.to);
+        const seconds = label.seconds + getSegmentSeconds(
+          current,
+          { ...next, distance_from_prev: edgeInfo.distance, is_staircase: edgeInfo.is_staircase },
+          options.profile,
+          pace,
+          label.riding
+        );
+        const distance = label.distance + edgeInfo.distance;
+        const metric = byTime ? seconds : distance;
+        if (metric > limit) continue;
+
+        const known = labels.get(edgeInfo.to);
+        if (!known || metric < (byTime ? known.seconds : known.distance)) {
+          labels.set(edgeInfo.to, { distance, seconds, riding: isElevatorRide(current, next) });
+          openSet.push(metric, edgeInfo.to);
+        }
+      }
+    }
+
+    return {
+      success: true,
+      start: startNode,
+      budget: { maxDistance, maxSeconds, pace },
+      nodes,
+      profile: options.profile.id,
+    };
+  }
+
+  /**
+   * Route to the nearest safe exit or assembly point (see isEvacuationTarget)
+   * Never uses elevators or hazard areas; the start itself may be inside one
+   * @param {string} startCode - Starting node code
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile, departureTime, avoid }
+   * @returns {Object} Path with directions plus { evacuation: true, exit }, or error message
+   */
+  findEvacuationRoute(startCode, routeOptions = false) {
+    if (!this.initialized) {
+      return { success: false, error: 'PathFinder not initialized. Call buildGraph() first.' };
+    }
+
+    const startNode = this.getNodeByCode(startCode);
+    if (!startNode) {
+      return { success: false, error: `Start node not found: ${startCode}` };
+    }
+
+    const options = {
+      ...(routeOptions !== null && typeof routeOptions === 'object' ? routeOptions : { avoidStairs: routeOptions === true }),
+      evacuation: true,
+    };
+
+    let exit = startNode;
+    if (!isEvacuationTarget(startNode)) {
+      const nearest = this.findNearest(startCode, isEvacuationTarget, 1, options);
+      if (!nearest.success) return nearest;
+      if (nearest.results.length === 0) {
+        return { success: false, error: 'No safe exit or assembly point can be reached from here' };
+      }
+      exit = nearest.results[0].node;
+    }
+
+    const result = this.getDirections(startCode, exit.node_code, options);
+    if (!result.success) return result;
+    return { ...result, evacuation: true, exit };
+  }
+
+  /**
+   * Find up to k alternative routes using Yen's loopless k-shortest-paths algorithm
+   * Candidates sharing more than maxOverlap of their distance with an accepted
+   * route are skipped so the alternatives stay meaningfully different
+   * @param {string} startCode - Starting node code
+   * @param {string} goalCode - Destination node code
+   * @param {number} k - Maximum number of routes to return
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile, avoid, maxOverlap }
+   * @returns {Object} { success, routes: [path results with directions and route stats] }
+   */
+  findAlternativePaths(startCode, goalCode, k = 3, routeOptions = false) {
+    const first = this.getDirections(startCode, goalCode, routeOptions);
+    if (!first.success) return first;
+
+    const startId = first.path[0].node_id;
+    const goalId = first.path[first.path.length - 1].node_id;
+    const options = this.exemptEndpointBuildings(
+      this.resolveRouteOptions(routeOptions),
+      this.nodesCache.get(startId),
+      this.nodesCache.get(goalId)
+    );
+    const maxOverlap = options.maxOverlap ?? DEFAULT_MAX_OVERLAP;
+
+    const toCandidate = (steps) => ({
+      steps,
+      key: getStepsKey(steps),
+      cost: this.getStepsCost(steps, options, goalId),
+    });
+
+    first.overlap = 0;
+    const firstCandidate = toCandidate(this.resultToSteps(first));
+    const shortest = [firstCandidate]; // Yen's A list
+    const candidates = []; // Yen's B list
+    const seen = new Set([firstCandidate.key]);
+    const accepted = [{ candidate: firstCandidate, result: first }];
+    // Diversity filtering discards candidates, so allow extra Yen iterations
+    const maxIterations = k * 5;
+
+    for (let iteration = 1; accepted.length < k && iteration < maxIterations; iteration++) {
+      const previous = shortest[shortest.length - 1].steps;
+
+      for (let i = 0; i < previous.length - 1; i++) {
+        const spurId = previous[i].id;
+        const rootSteps = previous.slice(0, i + 1);
+        const rootKey = getStepsKey(rootSteps);
+
+        // Remove the next edge of every known path sharing this root (only that edge,
+        // so a parallel edge between the same nodes can still be taken)
+        const blockedEdges = new Set();
+        for (const known of shortest) {
+          const nextStep = known.steps[i + 1];
+          if (nextStep && getStepsKey(known.steps.slice(0, i + 1)) === rootKey) {
+            blockedEdges.add(getHopKey(spurId, nextStep.id, nextStep.edge?.edge_id));
+          }
+        }
+        // Root nodes (except the spur node) may not be revisited: keeps paths loopless
+        const blockedNodes = new Set(rootSteps.slice(0, -1).map((step) => step.id));
+
+        const spur = this.searchPath(spurId, goalId, options, { nodes: blockedNodes, edges: blockedEdges });
+        if (!spur) continue;
+
+        const spurSteps = this.cameFromToSteps(spur.cameFrom, spurId, goalId);
+        const candidate = toCandidate([...rootSteps, ...spurSteps.slice(1)]);
+        if (seen.has(candidate.key)) continue;
+        seen.add(candidate.key);
+        candidates.push(candidate);
+      }
+
+      if (candidates.length === 0) break;
+
+      candidates.sort((a, b) => a.cost - b.cost);
+      const next = candidates.shift();
+      shortest.push(next);
+
+      const overlap = Math.max(...accepted.map((route) => this.getRouteOverlap(next.steps, route.candidate.steps)));
+      if (overlap <= maxOverlap) {
+        const result = this.attachDirections(this.stepsToResult(next.steps));
+        result.profile = options.profile.id;
+        result.overlap = Math.round(overlap * 100) / 100;
+        accepted.push({ candidate: next, result });
+      }
+    }
+
+    const routes = accepted.map(({ result }) => ({ ...result, ...getRouteStats(result.path) }));
+    return { success: true, routes, profile: options.profile.id };
+  }
+
+  /**
+   * Convert a path result into search steps ({ id, edge })
+   * Each step keeps the edge the route actually took (by edge_id), not just any
+   * edge to the same node, so a stair and a ramp between two nodes stay apart
+   * @param {Object} result - Path result from findPath
+   * @returns {Array<Object>} Steps
+   */
+  resultToSteps(result) {
+    return result.path.map((node, index) => {
+      if (index === 0) return { id: node.node_id, edge: null };
+      const prevId = result.path[index - 1].node_id;
+      const edges = (this.graph.get(prevId) || []).filter((e) => e.to === node.node_id);
+      const taken = node.edge_id !== null && node.edge_id !== undefined
+        ? edges.find((e) => e.edge_id === node.edge_id)
+        : null;
+      const edge = taken || edges[0] || null;
+      return { id: node.node_id, edge };
+    });
+  }
+
+  /**
+   * Convert an A* cameFrom map into search steps ({ id, edge })
+   * @param {Map} cameFrom - Map of node to {prev, edge}
+   * @param {number} startId - Start node ID
+   * @param {number} goalId - Goal node ID
+   * @returns {Array<Object>} Steps from start to goal
+   */
+  cameFromToSteps(cameFrom, startId, goalId) {
+    const steps = [];
+    let currentId = goalId;
+    while (currentId !== startId) {
+      const { prev, edge } = cameFrom.get(currentId);
+      steps.push({ id: currentId, edge });
+      currentId = prev;
+    }
+    steps.push({ id: startId, edge: null });
+    return steps.reverse();
+  }
+
+  /**
+   * Build a path result from search steps
+   * @param {Array<Object>} steps - Steps from start to goal
+   * @returns {Object} Path result
+   */
+  stepsToResult(steps) {
+    const cameFrom = new Map();
+    for (let i = 1; i < steps.length; i++) {
+      cameFrom.set(steps[i].id, { prev: steps[i - 1].id, edge: steps[i].edge });
+    }
+    return this.reconstructPath(cameFrom, steps[0].id, steps[steps.length - 1].id);
+  }
+
+  /**
+   * Profile-weighted cost of a sequence of steps
+   * @param {Array<Object>} steps - Steps from start to goal
+   * @param {Object} options - Resolved route options
+   * @param {number} goalId - Goal node ID
+   * @returns {number} Total cost
+   */
+  getStepsCost(steps, options, goalId) {
+    let cost = 0;
+    for (let i = 1; i < steps.length; i++) {
+      const edgeCost = this.getEdgeCost(steps[i - 1].id, steps[i].edge, options, goalId);
+      cost += edgeCost === null ? Infinity : edgeCost;
+    }
+    return cost;
+  }
+
+  /**
+   * Fraction of a route's distance shared with another route (by directed edge)
+   * @param {Array<Object>} steps - Candidate route steps
+   * @param {Array<Object>} otherSteps - Accepted route steps
+   * @returns {number} Overlap between 0 and 1
+   */
+  getRouteOverlap(steps, otherSteps) {
+    const otherEdges = new Set();
+    for (let i = 1; i < otherSteps.length; i++) {
+      otherEdges.add(getHopKey(otherSteps[i - 1].id, otherSteps[i].id, otherSteps[i].edge?.edge_id));
+    }
+
+    let shared = 0;
+    let total = 0;
+    for (let i = 1; i < steps.length; i++) {
+      const distance = steps[i].edge?.distance || 0;
+      total += distance;
+      if (otherEdges.has(getHopKey(steps[i - 1].id, steps[i].id, steps[i].edge?.edge_id))) shared += distance;
+    }
+    return total > 0 ? shared / total : 1;
   }
 
   /**
@@ -304,18 +1180,20 @@ class PathFinder {
    * @param {Map} cameFrom - Map of node to {prev, edge}
    * @param {number} startId - Start node ID
    * @param {number} goalId - Goal node ID
-   * @param {number} totalDistance - Total path distance
    * @returns {Object} Path result
    */
-  reconstructPath(cameFrom, startId, goalId, totalDistance) {
+  reconstructPath(cameFrom, startId, goalId) {
     const path = [];
     let currentId = goalId;
+    // Sum real edge distances: gScore holds the profile-weighted cost
+    let totalDistance = 0;
 
     while (currentId !== startId) {
       if (!cameFrom.has(currentId)) break;
 
       const { prev, edge } = cameFrom.get(currentId);
       const node = this.nodesCache.get(currentId);
+      totalDistance += edge.distance;
 
       path.push({
         node_id: node.node_id,
@@ -330,7 +1208,10 @@ class PathFinder {
         annotation: node.annotation !== undefined && node.annotation !== null ? parseFloat(node.annotation) : null,
         distance_from_prev: edge.distance,
         compass_angle: edge.compass_angle,
-        is_staircase: edge.is_staircase
+        is_staircase: edge.is_staircase,
+        one_way: edge.one_way === true,
+        // The edge taken to reach this node (parallel edges can join the same pair)
+        edge_id: edge.edge_id ?? null
       });
 
       currentId = prev;
@@ -351,7 +1232,8 @@ class PathFinder {
       annotation: startNode.annotation !== undefined && startNode.annotation !== null ? parseFloat(startNode.annotation) : null,
       distance_from_prev: 0,
       compass_angle: null,
-      is_staircase: false
+      is_staircase: false,
+      edge_id: null
     });
 
     path.reverse();
@@ -369,17 +1251,12 @@ class PathFinder {
   /**
    * Convert compass angle to human-readable direction
    * @param {number} angle - Compass angle in degrees
+   * @param {string} language - Language code (defaults to the active language)
    * @returns {string} Direction name
    */
-  compassToDirection(angle) {
-    const directions = [
-      'North', 'North-Northeast', 'Northeast', 'East-Northeast',
-      'East', 'East-Southeast', 'Southeast', 'South-Southeast',
-      'South', 'South-Southwest', 'Southwest', 'West-Southwest',
-      'West', 'West-Northwest', 'Northwest', 'North-Northwest'
-    ];
+  compassToDirection(angle, language) {
     const index = Math.floor((angle + 11.25) / 22.5) % 16;
-    return directions[index];
+    return translate(`compass.${index}`, {}, language);
   }
 
   /**
@@ -388,96 +1265,132 @@ class PathFinder {
    * to generate relative turn-based directions (e.g. "turn left", "slightly turn right")
    * @param {string} startCode - Starting node code
    * @param {string} goalCode - Destination node code
-   * @param {boolean} avoidStairs - If true, avoid stairs
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
    * @returns {Object} Path with directions
    */
-  getDirections(startCode, goalCode, avoidStairs = false) {
-    const result = this.findPath(startCode, goalCode, avoidStairs);
+  getDirections(startCode, goalCode, routeOptions = false) {
+    const result = this.findPath(startCode, goalCode, routeOptions);
 
     if (!result.success) return result;
 
-    const directions = [];
-    // Track the angle the user is currently facing
-    let currentFacingAngle = null;
-
-    for (let i = 0; i < result.path.length; i++) {
-      const step = result.path[i];
-
-      if (i === 0) {
-        // First node: instruct user to face towards the next node
-        if (i + 1 < result.path.length) {
-          const nextStep = result.path[i + 1];
-          directions.push(`Face towards ${nextStep.name} and start walking`);
-
-          // Determine the user's initial facing angle from this node's annotation
-          const initialAngle = (step.annotation !== null && step.annotation !== undefined)
-            ? parseFloat(step.annotation)
-            : null;
-          const edgeAngle = (nextStep.compass_angle !== null && nextStep.compass_angle !== undefined)
-            ? parseFloat(nextStep.compass_angle)
-            : null;
-
-          if (initialAngle !== null && edgeAngle !== null) {
-            const turn = this.getRelativeTurn(initialAngle, edgeAngle);
-            const stairInfo = nextStep.is_staircase ? ' via stairs' : '';
-            const distance = nextStep.distance_from_prev ? nextStep.distance_from_prev.toFixed(1) : '0';
-
-            if (turn.instruction === 'continue straight') {
-              directions.push(`Walk straight ahead for ${distance}m${stairInfo} to ${nextStep.name}`);
-            } else {
-              directions.push(`${turn.instruction} and walk for ${distance}m${stairInfo} to ${nextStep.name}`);
-            }
-          } else {
-            // Fallback when angles are unavailable
-            const stairInfo = nextStep.is_staircase ? ' via stairs' : '';
-            const distance = nextStep.distance_from_prev ? nextStep.distance_from_prev.toFixed(1) : '0';
-            directions.push(`Walk forward for ${distance}m${stairInfo} to ${nextStep.name}`);
-          }
+    return this.attachDirections(result);
+  }
 
-          // After the first move, user is now facing the edge direction
-          currentFacingAngle = edgeAngle;
-        } else {
-          // Only one node (start = destination)
-          directions.push(`You are already at ${step.name}`);
-        }
-      } else if (i >= 2) {
-        // Subsequent nodes (from the 3rd node onward):
-        // Compare the user's current facing angle with the new edge direction
-        const edgeAngle = (step.compass_angle !== null && step.compass_angle !== undefined)
-          ? parseFloat(step.compass_angle)
-          : null;
-
-        if (currentFacingAngle !== null && edgeAngle !== null) {
-          const turn = this.getRelativeTurn(currentFacingAngle, edgeAngle);
-          const stairInfo = step.is_staircase ? ' via stairs' : '';
-          const distance = step.distance_from_prev ? step.distance_from_prev.toFixed(1) : '0';
-
-          if (turn.instruction === 'continue straight') {
-            directions.push(`Continue straight for ${distance}m${stairInfo} to ${step.name}`);
-          } else {
-            directions.push(`${turn.instruction} and walk for ${distance}m${stairInfo} to ${step.name}`);
-          }
+  /**
+   * Generate structured directions for an existing path result
+   * Each step carries its maneuver, turn, distance and path range plus rendered text,
+   * and a nearby landmark where one helps
+   * @param {Object} result - Successful path result
+   * @returns {Object} Same result with a directions array (see utils/directionSteps)
+   */
+  attachDirections(result) {
+    const pathIds = new Set(result.path.map((node) => node.node_id));
+    result.directions = buildDirectionSteps(result.path).map((step) => {
+      const landmark = this.findStepLandmark(result.path, step, pathIds);
+      return landmark ? createDirectionStep({ ...step, landmark }) : step;
+    });
+    return result;
+  }
 
-          // Update facing angle to this edge's direction
-          currentFacingAngle = edgeAngle;
-        } else {
-          // Fallback
-          const stairInfo = step.is_staircase ? ' via stairs' : '';
-          const distance = step.distance_from_prev ? step.distance_from_prev.toFixed(1) : '0';
-          directions.push(`Walk forward for ${distance}m${stairInfo} to ${step.name}`);
-          if (edgeAngle !== null) currentFacingAngle = edgeAngle;
-        }
+  /**
+   * Landmark nodes near a path node, on the same floor and off the path
+   * @param {number} nodeId - Path node ID
+   * @param {Set} pathIds - IDs of every node on the path
+   * @returns {Array<Object>} Landmark nodes
+   */
+  getNearbyLandmarks(nodeId, pathIds) {
+    const node = this.nodesCache.get(nodeId);
+    return this.getNearbyNodeIds(nodeId, LANDMARK_RADIUS)
+      .filter((id) => !pathIds.has(id))
+      .map((id) => this.nodesCache.get(id))
+      .filter((candidate) => candidate &&
+        (candidate.type_of_node || candidate.type) === 'landmark' &&
+        (candidate.floor_level == null || node?.floor_level == null ||
+          String(candidate.floor_level) === String(node.floor_level)));
+  }
+
+  /**
+   * Pick a landmark to mention in a direction step
+   * Turns are placed after a landmark at the turning node; walks mention a landmark
+   * passed on the left or right (bearing from map_x/map_y)
+   * @param {Array} path - Path nodes
+   * @param {Object} step - Direction step
+   * @param {Set} pathIds - IDs of every node on the path
+   * @returns {Object|null} { node_id, name, position: 'after' | 'left' | 'right' } or null
+   */
+  findStepLandmark(path, step, pathIds) {
+    if (!LANDMARK_MANEUVERS.includes(step.maneuver) || !step.path_index) return null;
+    const { start, end } = step.path_index;
+
+    if (step.maneuver === MANEUVERS.TURN) {
+      const [landmark] = this.getNearbyLandmarks(path[start].node_id, pathIds);
+      if (landmark) return { node_id: landmark.node_id, name: landmark.name, position: 'after' };
+    }
+
+    for (let i = start + 1; i <= end; i++) {
+      for (const landmark of this.getNearbyLandmarks(path[i].node_id, pathIds)) {
+        const side = getSideOf(path[i - 1], path[i], landmark);
+        if (side) return { node_id: landmark.node_id, name: landmark.name, position: side };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Plan a multi-stop itinerary visiting every stop in the best order
+   * Legs are stitched into one path with per-leg directions
+   * @param {string} startCode - Starting node code
+   * @param {Array<string>} stopCodes - Node codes to visit (order is optimized)
+   * @param {boolean|Object} routeOptions - avoidStairs flag, or { avoidStairs, profile }
+   * @returns {Object} Combined path with legs, stops and visiting order
+   */
+  findItinerary(startCode, stopCodes, routeOptions = false) {
+    if (!this.initialized) {
+      return { success: false, error: 'PathFinder not initialized. Call buildGraph() first.' };
+    }
+
+    const stops = [...new Set(stopCodes || [])].filter((code) => code !== startCode);
+    if (stops.length === 0) {
+      return { success: false, error: 'At least one stop different from the start is required' };
+    }
+
+    const codes = [startCode, ...stops];
+    for (const code of codes) {
+      if (!this.getNodeByCode(code)) {
+        return { success: false, error: `Node not found: ${code}` };
       }
-      // Note: i === 1 is handled inside i === 0 block (first move generates 2 directions)
     }
 
-    // Add arrival message
-    if (result.path.length > 1) {
-      const lastStep = result.path[result.path.length - 1];
-      directions.push(`You have arrived at ${lastStep.name}`);
+    // Pairwise leg costs, weighted by the profile like each leg's own route
+    // (the route never returns to the start)
+    const costMatrix = codes.map((fromCode, i) =>
+      codes.map((toCode, j) => {
+        if (i === j) return 0;
+        if (j === 0) return Infinity;
+        const leg = this.findPath(fromCode, toCode, routeOptions);
+        return leg.success ? leg.total_cost : Infinity;
+      })
+    );
+
+    const { order, exact } = solveStopOrder(costMatrix);
+    if (!order) {
+      return { success: false, error: 'No route visits all of the selected stops' };
     }
 
-    result.directions = directions;
+    const legs = [];
+    let fromCode = startCode;
+    for (const stopIndex of order) {
+      const toCode = codes[stopIndex];
+      const leg = this.getDirections(fromCode, toCode, routeOptions);
+      if (!leg.success) return leg;
+      legs.push(leg);
+      fromCode = toCode;
+    }
+
+    const result = stitchLegs(legs);
+    result.order = order.map((stopIndex) => codes[stopIndex]);
+    result.exact_order = exact;
+    result.profile = this.resolveRouteOptions(routeOptions).profile.id;
     return result;
   }
 
@@ -487,30 +1400,12 @@ class PathFinder {
    * 
    * @param {number} fromAngle - Current facing angle (0-360)
    * @param {number} toAngle - Target direction angle (0-360)
-   * @returns {Object} { degrees: number, direction: 'left'|'right'|'straight', instruction: string }
+   * @param {string} language - Language code for the instruction (defaults to the active language)
+   * @returns {Object} { degrees: number, direction: 'left'|'right'|'straight', severity, instruction: string }
    */
-  getRelativeTurn(fromAngle, toAngle) {
-    // Calculate shortest signed angular difference
-    // Positive = clockwise = turn right
-    // Negative = counter-clockwise = turn left
-    let diff = ((toAngle - fromAngle + 540) % 360) - 180;
-
-    const absDiff = Math.abs(diff);
-    const roundedDiff = Math.round(absDiff);
-
-    if (absDiff <= 10) {
-      return { degrees: roundedDiff, direction: 'straight', instruction: 'continue straight' };
-    }
-
-    const turnDir = diff > 0 ? 'right' : 'left';
-
-    if (absDiff <= 45) {
-      return { degrees: roundedDiff, direction: turnDir, instruction: `Slightly turn ${turnDir} (${roundedDiff}°)` };
-    } else if (absDiff <= 135) {
-      return { degrees: roundedDiff, direction: turnDir, instruction: `Turn ${turnDir} (${roundedDiff}°)` };
-    } else {
-      return { degrees: roundedDiff, direction: turnDir, instruction: `Turn sharply ${turnDir} (${roundedDiff}°)` };
-    }
+  getRelativeTurn(fromAngle, toAngle, language) {
+    const turn = classifyTurn(fromAngle, toAngle);
+    return { ...turn, instruction: renderTurn(turn, language) };
   }
 
   /**
@@ -521,6 +1416,10 @@ class PathFinder {
     this.nodesCache.clear();
     this.nodesByCode.clear();
     this.graph.clear();
+    this.edgesById.clear();
+    this.metersPerMapUnit = null;
+    this.hasSchedules = false;
+    this.lastExpandedCount = 0;
   }
 
   /**
@@ -542,13 +1441,18 @@ class PathFinder {
 
     let edgeCount = 0;
     for (const neighbors of this.graph.values()) {
-      edgeCount += neighbors.length;
+      for (const edgeInfo of neighbors) {
+        // Bidirectional edges appear twice in the adjacency list, one-way edges once
+        edgeCount += edgeInfo.one_way ? 1 : 0.5;
+      }
     }
 
     return {
       nodes: this.nodesCache.size,
-      edges: edgeCount / 2, // Divide by 2 because edges are bidirectional
-      initialized: true
+      edges: edgeCount,
+      initialized: true,
+      metersPerMapUnit: this.metersPerMapUnit,
+      lastExpandedNodes: this.lastExpandedCount
     };
   }
 }
@@ -0,0 +1,164 @@
+/**
+ * Route Consistency - Compare offline (PathFinder) and server routes
+ *
+ * A diagnostic for the offline engine drifting from the server's:
+ * - sampleNodePairs picks start/goal pairs from the cached graph
+ * - compareRoutes reports distance, path and direction mismatches for one pair
+ * - runConsistencyCheck routes every pair with both engines
+ * - buildConsistencyReport summarizes the results as shareable JSON
+ *
+ * Engines are passed in, so the check can run against any server
+ * (e.g. a local stand-in) or against fakes in tests.
+ */
+
+export const MISMATCH_TYPES = {
+  AVAILABILITY: 'availability',
+  DISTANCE: 'distance',
+  PATH: 'path',
+  DIRECTIONS: 'directions',
+};
+
+// Distances may differ by rounding; more than this fraction is a mismatch
+export const DISTANCE_TOLERANCE = 0.02;
+
+/**
+ * Pick random start/goal pairs of distinct nodes
+ * @param {Array} nodes - Node objects
+ * @param {number} count - Number of pairs wanted
+ * @param {Function} random - Random number source in [0, 1) (default Math.random)
+ * @returns {Array<Object>} Pairs as { start, goal } node codes (fewer if the graph is small)
+ */
+export const sampleNodePairs = (nodes, count, random = Math.random) => {
+  const codes = [...new Set((nodes || []).map((node) => node.node_code).filter(Boolean))];
+  const maxPairs = codes.length * (codes.length - 1);
+  const wanted = Math.min(count, maxPairs);
+  const seen = new Set();
+  const pairs = [];
+
+  while (pairs.length < wanted) {
+    const start = codes[Math.floor(random() * codes.length)];
+    const goal = codes[Math.floor(random() * codes.length)];
+    const key = `${start}->${goal}`;
+    if (start === goal || seen.has(key)) continue;
+    seen.add(key);
+    pairs.push({ start, goal });
+  }
+  return pairs;
+};
+
+const getPathCodes = (route) => (route.path || []).map((node) => node.node_code);
+
+// What a visitor is told to do, ignoring wording and language
+const getDirectionSignature = (route) => (route.directions || []).map((step) => (
+  typeof step === 'object'
+    ? [step.maneuver, step.turn?.direction].filter(Boolean).join(':')
+    : String(step)
+));
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * Compare the offline and server routes for one pair
+ * @param {Object} offline - Offline route result
+ * @param {Object} server - Server route result
+ * @param {number} tolerance - Allowed relative distance difference
+ * @returns {Array<Object>} Mismatches as { type, offline, server } (empty when they agree)
+ */
+export const compareRoutes = (offline, server, tolerance = DISTANCE_TOLERANCE) => {
+  if (!offline?.success || !server?.success) {
+    // Agreeing that no route exists is consistent
+    if (!offline?.success && !server?.success) return [];
+    return [{
+      type: MISMATCH_TYPES.AVAILABILITY,
+      offline: offline?.success ? 'found' : offline?.error || 'no route',
+      server: server?.success ? 'found' : server?.error || 'no route',
+    }];
+  }
+
+  const mismatches = [];
+
+  const offlineDistance = Number(offline.total_distance) || 0;
+  const serverDistance = Number(server.total_distance) || 0;
+  const longest = Math.max(offlineDistance, serverDistance);
+  if (longest > 0 && Math.abs(offlineDistance - serverDistance) / longest > tolerance) {
+    mismatches.push({ type: MISMATCH_TYPES.DISTANCE, offline: offlineDistance, server: serverDistance });
+  }
+
+  const offlinePath = getPathCodes(offline);
+  const serverPath = getPathCodes(server);
+  if (!sameList(offlinePath, serverPath)) {
+    mismatches.push({ type: MISMATCH_TYPES.PATH, offline: offlinePath, server: serverPath });
+  }
+
+  const offlineSteps = getDirectionSignature(offline);
+  const serverSteps = getDirectionSignature(server);
+  if (!sameList(offlineSteps, serverSteps)) {
+    mismatches.push({ type: MISMATCH_TYPES.DIRECTIONS, offline: offlineSteps, server: serverSteps });
+  }
+
+  return mismatches;
+};
+
+/**
+ * Route every pair with both engines and compare the results
+ * Engine errors are recorded as failed routes instead of aborting the run
+ * @param {Array<Object>} pairs - { start, goal } node codes
+ * @param {Object} engines - { findOfflineRoute, findServerRoute }, each (start, goal) => Promise<route>
+ * @param {Object} options - { tolerance }
+ * @returns {Promise<Array<Object>>} Per-pair results as { start, goal, mismatches }
+ */
+export const runConsistencyCheck = async (pairs, engines, options = {}) => {
+  const { tolerance = DISTANCE_TOLERANCE } = options;
+  const route = async (engine, start, goal) => {
+    try {
+      return await engine(start, goal);
+    } catch (error) {
+      return { success: false, error: error?.message || error?.error || 'Request failed' };
+    }
+  };
+
+  const results = [];
+  // One pair at a time so a slow server isn't flooded
+  for (const { start, goal } of pairs) {
+    const offline = await route(engines.findOfflineRoute, start, goal);
+    const server = await route(engines.findServerRoute, start, goal);
+    results.push({ start, goal, mismatches: compareRoutes(offline, server, tolerance) });
+  }
+  return results;
+};
+
+/**
+ * Summarize a consistency run as a shareable report
+ * @param {Array<Object>} results - Result of runConsistencyCheck
+ * @param {Object} meta - Extra fields for the report (e.g. server URL, data version)
+ * @param {Date} now - Report time (default now)
+ * @returns {Object} Report with summary counts and the mismatching pairs
+ */
+export const buildConsistencyReport = (results, meta = {}, now = new Date()) => {
+  const mismatched = results.filter((result) => result.mismatches.length > 0);
+  const byType = Object.fromEntries(Object.values(MISMATCH_TYPES).map((type) => [type, 0]));
+  for (const result of mismatched) {
+    for (const mismatch of result.mismatches) byType[mismatch.type] += 1;
+  }
+
+  return {
+    generated_at: now.toISOString(),
+    ...meta,
+    summary: {
+      pairs: results.length,
+      matched: results.length - mismatched.length,
+      mismatched: mismatched.length,
+      by_type: byType,
+    },
+    mismatches: mismatched,
+  };
+};
+
+export default {
+  MISMATCH_TYPES,
+  DISTANCE_TOLERANCE,
+  sampleNodePairs,
+  compareRoutes,
+  runConsistencyCheck,
+  buildConsistencyReport,
+};
@@ -0,0 +1,136 @@
+/**
+ * Routing Profiles - Named accessibility presets for route computation
+ *
+ * Each profile describes how the pathfinder should treat staircase edges and
+ * elevator nodes:
+ * - *Multiplier: cost multiplier applied to the edge distance
+ * - exclude*: hard exclusion, the edge/node is never used
+ *
+ * stairMultiplier is >= 1. elevatorMultiplier may go down to MIN_ELEVATOR_MULTIPLIER
+ * to prefer elevators; the pathfinder scales its A* heuristic by the same factor
+ * so it stays admissible.
+ *
+ * Walking-time estimates (utils/eta) also read per-profile timing:
+ * - walkingSpeed: meters per second on level ground
+ * - stairEdgeSeconds: extra time per staircase edge
+ * - elevatorWaitSeconds: extra time per elevator ride (waiting for the car)
+ * - elevatorFloorSeconds: extra time per floor travelled in the elevator
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Largest elevator preference allowed (elevator edges cost at least half their length)
+export const MIN_ELEVATOR_MULTIPLIER = 0.5;
+
+export const ROUTING_PROFILES = {
+  default: {
+    id: 'default',
+    label: 'Default',
+    icon: '🚶',
+    description: 'Shortest walking route',
+    stairMultiplier: 1,
+    elevatorMultiplier: 1,
+    excludeStairs: false,
+    excludeElevators: false,
+    walkingSpeed: 1.3,
+    stairEdgeSeconds: 10,
+    elevatorWaitSeconds: 45,
+    elevatorFloorSeconds: 5,
+  },
+  wheelchair: {
+    id: 'wheelchair',
+    label: 'Wheelchair',
+    icon: '♿',
+    description: 'Never uses stairs, prefers elevators',
+    stairMultiplier: 1,
+    elevatorMultiplier: 0.8,
+    excludeStairs: true,
+    excludeElevators: false,
+    walkingSpeed: 1.0,
+    stairEdgeSeconds: 10,
+    elevatorWaitSeconds: 60,
+    elevatorFloorSeconds: 5,
+  },
+  stroller: {
+    id: 'stroller',
+    label: 'Stroller / Luggage',
+    icon: '🧳',
+    description: 'Strongly prefers elevators over stairs',
+    stairMultiplier: 5,
+    elevatorMultiplier: 1,
+    excludeStairs: false,
+    excludeElevators: false,
+    walkingSpeed: 1.1,
+    stairEdgeSeconds: 30,
+    elevatorWaitSeconds: 60,
+    elevatorFloorSeconds: 5,
+  },
+  avoid_elevators: {
+    id: 'avoid_elevators',
+    label: 'Avoid Elevators',
+    icon: '🪜',
+    description: 'Never uses elevators',
+    stairMultiplier: 1,
+    elevatorMultiplier: 1,
+    excludeStairs: false,
+    excludeElevators: true,
+    walkingSpeed: 1.3,
+    stairEdgeSeconds: 10,
+    elevatorWaitSeconds: 45,
+    elevatorFloorSeconds: 5,
+  },
+};
+
+/**
+ * Get a routing profile by ID
+ * Accepts a profile object as well, so callers can pass either form
+ * @param {string|Object} profile - Profile ID or profile object
+ * @returns {Object} Routing profile (falls back to default)
+ */
+export const getRoutingProfile = (profile) => {
+  if (profile && typeof profile === 'object') {
+    return { ...ROUTING_PROFILES[DEFAULT_PROFILE_ID], ...profile };
+  }
+  return ROUTING_PROFILES[profile] || ROUTING_PROFILES[DEFAULT_PROFILE_ID];
+};
+
+/**
+ * Get all routing profiles as an ordered list (for pickers)
+ * @returns {Array} Routing profiles
+ */
+export const getRoutingProfileList = () => Object.values(ROUTING_PROFILES);
+
+/**
+ * Profile-weighted cost of a route, the quantity the pathfinder minimizes
+ * Results that report total_cost keep it; otherwise it is rebuilt from the path
+ * (staircase hops and hops touching an elevator get the profile multipliers).
+ * @param {Object} result - Path result { path, total_cost?, total_distance }
+ * @param {string|Object} profile - Profile ID or profile object
+ * @returns {number} Weighted cost
+ */
+export const getRouteCost = (result, profile) => {
+  if (typeof result?.total_cost === 'number') return result.total_cost;
+  if (!Array.isArray(result?.path)) return result?.total_distance ?? Infinity;
+
+  const routingProfile = getRoutingProfile(profile);
+  const elevatorMultiplier = Math.max(MIN_ELEVATOR_MULTIPLIER, routingProfile.elevatorMultiplier ?? 1);
+  const isElevator = (step) => step?.type === 'elevator';
+
+  const cost = result.path.reduce((sum, step, i) => {
+    if (i === 0) return sum;
+    let multiplier = 1;
+    if (step.is_staircase) multiplier *= Math.max(1, routingProfile.stairMultiplier || 1);
+    if (isElevator(result.path[i - 1]) || isElevator(step)) multiplier *= elevatorMultiplier;
+    return sum + (step.distance_from_prev || 0) * multiplier;
+  }, 0);
+  return Math.round(cost * 100) / 100;
+};
+
+export default {
+  DEFAULT_PROFILE_ID,
+  MIN_ELEVATOR_MULTIPLIER,
+  ROUTING_PROFILES,
+  getRoutingProfile,
+  getRoutingProfileList,
+  getRouteCost,
+};
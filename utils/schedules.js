@@ -0,0 +1,309 @@
+/**
+ * Schedules - Opening hours and dated closures for edges and nodes
+ *
+ * Edges and nodes may carry:
+ * - open_hours: weekly windows, e.g. [{ days: [1, 2, 3, 4, 5], open: '07:00', close: '18:00' }]
+ *   (days use Date#getDay: 0 = Sunday). A window closing before it opens runs past
+ *   midnight. No windows means always open.
+ * - closures: dated windows, e.g. [{ start: '2026-10-20T08:00:00.000Z', end: '...', reason: 'Renovation' }]
+ *
+ * Temporary closures ("floor cleaning until 15:00") are closures starting now;
+ * they expire on their own once their end time passes.
+ *
+ * Times are interpreted in the device's local time zone (the campus' time zone).
+ */
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Presets offered when closing an edge or node temporarily
+export const CLOSURE_REASONS = ['Floor cleaning', 'Construction', 'Maintenance', 'Event setup'];
+export const CLOSURE_DURATIONS = [
+  { label: '30 min', minutes: 30 },
+  { label: '1 hour', minutes: 60 },
+  { label: '4 hours', minutes: 4 * 60 },
+  { label: '1 day', minutes: 24 * 60 },
+];
+
+/**
+ * Parse a 'HH:MM' time of day
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+export const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parse a date/time (Date, timestamp, ISO string or 'YYYY-MM-DD HH:MM' local time)
+ * @param {Date|string|number} value - Date/time
+ * @returns {Date|null} Date, or null if invalid
+ */
+export const parseDateTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date
+    ? value
+    : new Date(typeof value === 'string' ? value.trim().replace(' ', 'T') : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date as 'YYYY-MM-DD HH:MM' in local time (for form inputs)
+ * @param {Date|string|number} value - Date/time
+ * @returns {string} Formatted date, or '' if invalid
+ */
+export const formatDateTimeInput = (value) => {
+  const date = parseDateTime(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Check whether an edge or node has any schedule data
+ * @param {Object} item - Edge or node
+ * @returns {boolean}
+ */
+export const hasSchedule = (item) =>
+  (Array.isArray(item?.open_hours) && item.open_hours.length > 0) ||
+  (Array.isArray(item?.closures) && item.closures.length > 0);
+
+const isActiveAt = (closure, date) => {
+  const start = parseDateTime(closure.start);
+  const end = parseDateTime(closure.end);
+  return Boolean(start && end && date >= start && date < end);
+};
+
+const isWithinOpenHours = (openHours, date) => {
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const previousDay = (day + 6) % 7;
+
+  return openHours.some((window) => {
+    const open = parseTimeOfDay(window.open);
+    const close = parseTimeOfDay(window.close);
+    if (open === null || close === null) return false;
+    const days = window.days || [];
+
+    if (close > open) {
+      return days.includes(day) && minute >= open && minute < close;
+    }
+    // Overnight window: evening of a listed day, or early morning after it
+    return (days.includes(day) && minute >= open) ||
+      (days.includes(previousDay) && minute < close);
+  });
+};
+
+/**
+ * Check whether an edge or node is open at a given time
+ * Closures win over open hours; items without a schedule are always open
+ * @param {Object} item - Edge or node (or null)
+ * @param {Date|string|number} time - Moment to check
+ * @returns {boolean}
+ */
+export const isOpenAt = (item, time) => {
+  if (!hasSchedule(item)) return true;
+  const date = parseDateTime(time);
+  if (!date) return true;
+
+  if ((item.closures || []).some((closure) => isActiveAt(closure, date))) return false;
+  if (Array.isArray(item.open_hours) && item.open_hours.length > 0) {
+    return isWithinOpenHours(item.open_hours, date);
+  }
+  return true;
+};
+
+/**
+ * Get the closure window in effect at a given time
+ * @param {Object} item - Edge or node
+ * @param {Date|string|number} time - Moment to check (default now)
+ * @returns {Object|null} Closure window, or null
+ */
+export const getActiveClosure = (item, time = new Date()) => {
+  const date = parseDateTime(time);
+  if (!date) return null;
+  return (item?.closures || []).find((closure) => isActiveAt(closure, date)) || null;
+};
+
+/**
+ * Why an edge or node is closed at a given time
+ * @param {Object} item - Edge or node
+ * @param {Date|string|number} time - Moment to check (default now)
+ * @returns {Object|null} { reason, until } (null fields outside open hours), or null if open
+ */
+export const getClosureStatus = (item, time = new Date()) => {
+  if (isOpenAt(item, time)) return null;
+  const closure = getActiveClosure(item, time);
+  return {
+    reason: closure?.reason || null,
+    until: closure ? parseDateTime(closure.end).toISOString() : null,
+  };
+};
+
+/**
+ * Describe a closure status for admin lists (e.g. 'Closed: Floor cleaning until 2026-10-19 15:00')
+ * @param {Object} status - Result of getClosureStatus
+ * @returns {string} Description, or '' if open
+ */
+export const formatClosureStatus = (status) => {
+  if (!status) return '';
+  if (!status.until) return 'Closed (outside open hours)';
+  const reason = status.reason ? `: ${status.reason}` : '';
+  return `Closed${reason} until ${formatDateTimeInput(status.until)}`;
+};
+
+/**
+ * Create a closure window starting now
+ * @param {string} reason - Why it is closed (e.g. 'Floor cleaning')
+ * @param {number} minutes - How long it stays closed
+ * @param {Date} now - Start time (default now)
+ * @returns {Object} Closure window
+ */
+export const createTemporaryClosure = (reason, minutes, now = new Date()) => ({
+  start: now.toISOString(),
+  end: new Date(now.getTime() + minutes * 60000).toISOString(),
+  reason: (reason || '').trim(),
+});
+
+/**
+ * End every closure in effect now (reopen)
+ * @param {Array} closures - Closure windows
+ * @param {Date} now - Reopening time (default now)
+ * @returns {Array} Closure windows
+ */
+export const reopenClosures = (closures, now = new Date()) => (closures || []).map((closure) => (
+  isActiveAt(closure, now) ? { ...closure, end: now.toISOString() } : closure
+));
+
+/**
+ * Drop closures that have already ended
+ * @param {Array} closures - Closure windows (rows with unparseable dates are kept for validation)
+ * @param {Date} now - Reference time (default now)
+ * @returns {Array} Closure windows
+ */
+export const pruneExpiredClosures = (closures, now = new Date()) => (closures || []).filter((closure) => {
+  const end = parseDateTime(closure.end);
+  return !end || end > now;
+});
+
+/**
+ * Fingerprint of the schedules of a list of edges or nodes
+ * Used to notice closure changes that don't change the number of items
+ * @param {Array} items - Edges or nodes
+ * @returns {string} Signature
+ */
+export const getScheduleSignature = (items) => JSON.stringify(
+  (items || [])
+    .filter(hasSchedule)
+    .map((item) => [item.edge_id ?? item.node_id, item.open_hours || [], item.closures || []])
+);
+
+/**
+ * Validate weekly open-hours windows
+ * @param {Array} openHours - Open-hours windows
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateOpenHours = (openHours) => {
+  for (const [index, window] of (openHours || []).entries()) {
+    const label = `Open hours row ${index + 1}`;
+    if (!Array.isArray(window.days) || window.days.length === 0) {
+      return `${label}: select at least one day`;
+    }
+    const open = parseTimeOfDay(window.open);
+    const close = parseTimeOfDay(window.close);
+    if (open === null || close === null) {
+      return `${label}: use HH:MM times (e.g. 07:00)`;
+    }
+    if (open === close) {
+      return `${label}: opening and closing times are the same`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate dated closure windows
+ * @param {Array} closures - Closure windows
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateClosures = (closures) => {
+  for (const [index, closure] of (closures || []).entries()) {
+    const label = `Closure ${index + 1}`;
+    const start = parseDateTime(closure.start);
+    const end = parseDateTime(closure.end);
+    if (!start || !end) {
+      return `${label}: use YYYY-MM-DD HH:MM dates`;
+    }
+    if (end <= start) {
+      return `${label}: end must be after start`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Closures as form rows, with local 'YYYY-MM-DD HH:MM' start/end
+ * @param {Array} closures - Stored closure windows
+ * @returns {Array} Closure rows for editing
+ */
+export const toClosureInputs = (closures) => (closures || []).map((closure) => ({
+  ...closure,
+  // Half-typed dates are kept as typed
+  start: formatDateTimeInput(closure.start) || closure.start || '',
+  end: formatDateTimeInput(closure.end) || closure.end || '',
+}));
+
+/**
+ * Closure form rows as stored closure windows (ISO start/end)
+ * Call validateClosures first
+ * @param {Array} closures - Closure rows from a form
+ * @returns {Array} Closure windows for the API
+ */
+export const toClosurePayload = (closures) => (closures || []).map((closure) => ({
+  start: parseDateTime(closure.start).toISOString(),
+  end: parseDateTime(closure.end).toISOString(),
+  reason: (closure.reason || '').trim(),
+}));
+
+/**
+ * Short summary of open hours for lists (e.g. 'Mon, Tue 07:00–18:00')
+ * @param {Array} openHours - Open-hours windows
+ * @returns {string} Summary, or 'Always open'
+ */
+export const formatOpenHours = (openHours) => {
+  if (!Array.isArray(openHours) || openHours.length === 0) return 'Always open';
+  return openHours
+    .map((window) => {
+      const days = [...(window.days || [])].sort((a, b) => a - b).map((day) => DAY_LABELS[day]).join(', ');
+      return `${days} ${window.open}–${window.close}`;
+    })
+    .join('; ');
+};
+
+export default {
+  DAY_LABELS,
+  CLOSURE_REASONS,
+  CLOSURE_DURATIONS,
+  parseTimeOfDay,
+  parseDateTime,
+  formatDateTimeInput,
+  hasSchedule,
+  isOpenAt,
+  getActiveClosure,
+  getClosureStatus,
+  formatClosureStatus,
+  createTemporaryClosure,
+  reopenClosures,
+  pruneExpiredClosures,
+  getScheduleSignature,
+  validateOpenHours,
+  validateClosures,
+  toClosureInputs,
+  toClosurePayload,
+  formatOpenHours,
+};